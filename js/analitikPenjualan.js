@@ -0,0 +1,304 @@
+import SalesAnalyticsService from "./services/salesAnalyticsService.js";
+import BranchService from "./services/branchService.js";
+import { escapeHtml } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const formFilterAnalitik = document.getElementById("formFilterAnalitik");
+const filterBulan = document.getElementById("filterBulan");
+const filterGranularitas = document.getElementById("filterGranularitas");
+const filterPembanding = document.getElementById("filterPembanding");
+const filterCabang = document.getElementById("filterCabang");
+const filterDimensi = document.getElementById("filterDimensi");
+const btnTampilkan = document.getElementById("btnTampilkan");
+const periodeInfo = document.getElementById("periodeInfo");
+const breakdownLabel = document.getElementById("breakdownLabel");
+const breakdownTableBody = document.querySelector("#breakdownTable tbody");
+const topSellerBody = document.querySelector("#topSellerTable tbody");
+const bottomSellerBody = document.querySelector("#bottomSellerTable tbody");
+const drilldownTitle = document.getElementById("modalDrilldownLabel");
+const drilldownBody = document.querySelector("#tableDrilldown tbody");
+const drilldownFoot = document.querySelector("#tableDrilldown tfoot");
+
+const TOP_COUNT = 10;
+
+let currentLines = [];
+let comparisonLines = [];
+let currentRange = null;
+let comparisonRange = null;
+let trendGroups = [];
+let breakdownGroups = [];
+let trendChart = null;
+let breakdownChart = null;
+
+// Helpers
+function formatRupiah(angka) {
+  return new Intl.NumberFormat("id-ID").format(Math.round(Number(angka) || 0));
+}
+
+function formatRange({ start, end }) {
+  const options = { day: "2-digit", month: "short", year: "numeric" };
+  return `${start.toLocaleDateString("id-ID", options)} - ${end.toLocaleDateString("id-ID", options)}`;
+}
+
+function currentMonthStr() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+}
+
+function renderGrowth(current, previous) {
+  const growth = SalesAnalyticsService.getGrowth(current, previous);
+  if (growth === null) return `<span class="text-muted">Tidak ada pembanding</span>`;
+
+  const className = growth >= 0 ? "text-success" : "text-danger";
+  const icon = growth >= 0 ? "fa-arrow-up" : "fa-arrow-down";
+  return `<span class="${className}"><i class="fas ${icon}"></i> ${Math.abs(growth).toFixed(1)}%</span>`;
+}
+
+// Bulanan = 12 bulan terakhir, harian / mingguan = satu bulan
+function getPeriodMonths() {
+  return filterGranularitas.value === "month" ? 12 : 1;
+}
+
+// Ringkasan
+function renderSummary() {
+  const current = SalesAnalyticsService.summarize(currentLines);
+  const previous = SalesAnalyticsService.summarize(comparisonLines);
+
+  document.getElementById("summaryNominal").textContent = `Rp ${formatRupiah(current.nominal)}`;
+  document.getElementById("summaryJumlah").textContent = formatRupiah(current.jumlah);
+  document.getElementById("summaryTransaksi").textContent = formatRupiah(current.transaksi);
+  document.getElementById("growthNominal").innerHTML = renderGrowth(current.nominal, previous.nominal);
+  document.getElementById("growthJumlah").innerHTML = renderGrowth(current.jumlah, previous.jumlah);
+  document.getElementById("growthTransaksi").innerHTML = renderGrowth(current.transaksi, previous.transaksi);
+}
+
+// Tren per periode, pembanding disejajarkan per urutan periode (hari ke-1 vs hari ke-1, dst.)
+function renderTrend() {
+  const granularity = filterGranularitas.value;
+  trendGroups = SalesAnalyticsService.groupByPeriod(currentLines, granularity, currentRange);
+  const previousGroups = SalesAnalyticsService.groupByPeriod(comparisonLines, granularity, comparisonRange);
+
+  if (trendChart) trendChart.destroy();
+  trendChart = new Chart(document.getElementById("trendChart"), {
+    type: "line",
+    data: {
+      labels: trendGroups.map((group) => group.label),
+      datasets: [
+        {
+          label: "Periode ini",
+          data: trendGroups.map((group) => group.nominal),
+          borderColor: "#0d6efd",
+          backgroundColor: "rgba(13, 110, 253, 0.15)",
+          fill: true,
+          tension: 0.3,
+        },
+        {
+          label: "Pembanding",
+          data: trendGroups.map((_, index) => previousGroups[index]?.nominal ?? null),
+          borderColor: "#adb5bd",
+          borderDash: [6, 4],
+          tension: 0.3,
+        },
+      ],
+    },
+    options: {
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        tooltip: {
+          callbacks: { label: (context) => `${context.dataset.label}: Rp ${formatRupiah(context.parsed.y)}` },
+        },
+      },
+      scales: { y: { ticks: { callback: (value) => formatRupiah(value) } } },
+      onClick: (event, elements) => {
+        if (elements.length === 0) return;
+        const group = trendGroups[elements[0].index];
+        showDrilldown(`Transaksi ${group.label}`, group.lines);
+      },
+    },
+  });
+}
+
+// Rincian per dimensi: grafik 10 teratas + tabel lengkap dengan pembanding
+function renderBreakdown() {
+  const dimension = filterDimensi.value;
+  breakdownGroups = SalesAnalyticsService.groupByDimension(currentLines, dimension);
+  const previousByKey = new Map(
+    SalesAnalyticsService.groupByDimension(comparisonLines, dimension).map((group) => [group.key, group])
+  );
+  const topGroups = breakdownGroups.slice(0, TOP_COUNT);
+
+  breakdownLabel.textContent = SalesAnalyticsService.DIMENSIONS[dimension];
+
+  if (breakdownChart) breakdownChart.destroy();
+  breakdownChart = new Chart(document.getElementById("breakdownChart"), {
+    type: "bar",
+    data: {
+      labels: topGroups.map((group) => group.label),
+      datasets: [
+        { label: "Periode ini", data: topGroups.map((group) => group.nominal), backgroundColor: "#0d6efd" },
+        {
+          label: "Pembanding",
+          data: topGroups.map((group) => previousByKey.get(group.key)?.nominal || 0),
+          backgroundColor: "#ced4da",
+        },
+      ],
+    },
+    options: {
+      indexAxis: "y",
+      plugins: {
+        tooltip: {
+          callbacks: { label: (context) => `${context.dataset.label}: Rp ${formatRupiah(context.parsed.x)}` },
+        },
+      },
+      scales: { x: { ticks: { callback: (value) => formatRupiah(value) } } },
+      onClick: (event, elements) => {
+        if (elements.length === 0) return;
+        const group = topGroups[elements[0].index];
+        showDrilldown(group.label, group.lines);
+      },
+    },
+  });
+
+  if (breakdownGroups.length === 0) {
+    breakdownTableBody.innerHTML = `<tr><td colspan="6" class="text-center text-muted">Tidak ada penjualan</td></tr>`;
+    return;
+  }
+
+  breakdownTableBody.innerHTML = breakdownGroups
+    .map((group, index) => {
+      const previous = previousByKey.get(group.key)?.nominal || 0;
+      return `
+        <tr class="drilldown-row" role="button" data-index="${index}">
+          <td>${escapeHtml(group.label)}</td>
+          <td class="text-center">${group.transaksi}</td>
+          <td class="text-center">${group.jumlah}</td>
+          <td class="text-end">${formatRupiah(group.nominal)}</td>
+          <td class="text-end text-muted">${formatRupiah(previous)}</td>
+          <td class="text-end">${renderGrowth(group.nominal, previous)}</td>
+        </tr>`;
+    })
+    .join("");
+}
+
+// Terlaris dan kurang laris per kode (jumlah pcs), hanya kode yang terjual di periode ini
+function renderSellerTable(tableBody, groups) {
+  if (groups.length === 0) {
+    tableBody.innerHTML = `<tr><td colspan="3" class="text-center text-muted">Tidak ada penjualan</td></tr>`;
+    return;
+  }
+
+  tableBody.innerHTML = groups
+    .map(
+      (group) => `
+        <tr class="drilldown-row" role="button" data-kode="${escapeHtml(group.key)}">
+          <td>${escapeHtml(group.label)}</td>
+          <td class="text-center">${group.jumlah}</td>
+          <td class="text-end">${formatRupiah(group.nominal)}</td>
+        </tr>`
+    )
+    .join("");
+}
+
+function renderSellers() {
+  const byQty = SalesAnalyticsService.groupByDimension(currentLines, "kode").sort(
+    (a, b) => b.jumlah - a.jumlah || b.nominal - a.nominal
+  );
+  renderSellerTable(topSellerBody, byQty.slice(0, TOP_COUNT));
+  renderSellerTable(bottomSellerBody, byQty.slice(-TOP_COUNT).reverse());
+}
+
+// Drill-down ke baris transaksi
+function showDrilldown(title, lines) {
+  const sorted = [...lines].sort((a, b) => b.date - a.date);
+  const total = SalesAnalyticsService.summarize(sorted);
+
+  drilldownTitle.textContent = `${title} · ${total.transaksi} transaksi`;
+  drilldownBody.innerHTML = sorted
+    .map(
+      (line) => `
+        <tr>
+          <td class="text-nowrap">${line.date.toLocaleString("id-ID", { dateStyle: "short", timeStyle: "short" })}</td>
+          <td>${escapeHtml(line.jenis)}</td>
+          <td>${escapeHtml(line.sales)}</td>
+          <td>${escapeHtml(line.kode)}</td>
+          <td>${escapeHtml(line.nama)}</td>
+          <td class="text-center">${line.jumlah}</td>
+          <td class="text-end">${formatRupiah(line.nominal)}</td>
+        </tr>`
+    )
+    .join("");
+  drilldownFoot.innerHTML = `
+    <tr>
+      <td colspan="5" class="text-end">TOTAL</td>
+      <td class="text-center">${total.jumlah}</td>
+      <td class="text-end">${formatRupiah(total.nominal)}</td>
+    </tr>`;
+
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("modalDrilldown")).show();
+}
+
+function renderAll() {
+  renderSummary();
+  renderTrend();
+  renderBreakdown();
+  renderSellers();
+}
+
+async function loadData(e) {
+  e?.preventDefault();
+
+  const bulan = filterBulan.value || currentMonthStr();
+  const months = getPeriodMonths();
+  currentRange = SalesAnalyticsService.getPeriodRange(bulan, months);
+  comparisonRange = SalesAnalyticsService.getComparisonRange(bulan, months, filterPembanding.value);
+  periodeInfo.textContent = `Periode ${formatRange(currentRange)} dibandingkan ${formatRange(comparisonRange)}`;
+
+  btnTampilkan.disabled = true;
+  try {
+    [currentLines, comparisonLines] = await Promise.all([
+      SalesAnalyticsService.loadLines(currentRange, filterCabang.value),
+      SalesAnalyticsService.loadLines(comparisonRange, filterCabang.value),
+    ]);
+    renderAll();
+  } catch (error) {
+    console.error("❌ Failed to load sales analytics:", error);
+    Swal.fire("Gagal", `Gagal memuat data penjualan: ${error.message}`, "error");
+  } finally {
+    btnTampilkan.disabled = false;
+  }
+}
+
+// Event listeners
+formFilterAnalitik.addEventListener("submit", loadData);
+filterDimensi.addEventListener("change", renderBreakdown);
+
+breakdownTableBody.addEventListener("click", (e) => {
+  const row = e.target.closest(".drilldown-row");
+  if (!row) return;
+  const group = breakdownGroups[Number(row.dataset.index)];
+  showDrilldown(group.label, group.lines);
+});
+
+[topSellerBody, bottomSellerBody].forEach((tableBody) =>
+  tableBody.addEventListener("click", (e) => {
+    const row = e.target.closest(".drilldown-row");
+    if (!row) return;
+    const lines = currentLines.filter((line) => line.kode === row.dataset.kode);
+    showDrilldown(row.cells[0].textContent, lines);
+  })
+);
+
+// Initialize
+filterGranularitas.innerHTML = Object.entries(SalesAnalyticsService.GRANULARITIES)
+  .map(([value, label]) => `<option value="${value}">${label}</option>`)
+  .join("");
+filterDimensi.innerHTML = Object.entries(SalesAnalyticsService.DIMENSIONS)
+  .map(([value, label]) => `<option value="${value}">${label}</option>`)
+  .join("");
+filterBulan.value = currentMonthStr();
+
+BranchService.populateCabangSelect(filterCabang, { includeAll: true }).then(() => loadData());
@@ -0,0 +1,184 @@
+import AuditService from "./services/auditService.js";
+import UserService from "./services/userService.js";
+import BranchService from "./services/branchService.js";
+import PermissionService from "./services/permissionService.js";
+import { escapeHtml, formatDateKey } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const filterTanggalMulai = document.getElementById("filterTanggalMulai");
+const filterTanggalAkhir = document.getElementById("filterTanggalAkhir");
+const filterUser = document.getElementById("filterUser");
+const filterKoleksi = document.getElementById("filterKoleksi");
+const btnTampilkan = document.getElementById("btnTampilkan");
+const tableAudit = document.querySelector("#tableAudit tbody");
+
+// Detail modal refs
+const detailModal = document.getElementById("detailModal");
+const detailInfo = document.getElementById("detailInfo");
+const tableDetail = document.querySelector("#tableDetail tbody");
+
+const ACTION_BADGES = {
+  create: "bg-success",
+  update: "bg-warning text-dark",
+  delete: "bg-danger",
+  cancel: "bg-danger",
+  purge: "bg-dark",
+};
+
+let logs = [];
+
+// Helpers
+function formatDateTime(timestamp) {
+  const date = timestamp?.toDate ? timestamp.toDate() : null;
+  if (!date) return "-";
+  return date.toLocaleString("id-ID", { dateStyle: "short", timeStyle: "medium" });
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '<span class="text-muted">-</span>';
+  return escapeHtml(value);
+}
+
+function formatActor(entry) {
+  const authorized = entry.authorizedBy
+    ? `<div class="small text-muted">Otorisasi: ${escapeHtml(entry.authorizedBy)}</div>`
+    : "";
+  return `${escapeHtml(entry.actor)}${authorized}`;
+}
+
+async function populateFilters() {
+  filterKoleksi.innerHTML += Object.entries(AuditService.AUDITED_COLLECTIONS)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join("");
+
+  try {
+    const users = await UserService.listUsers();
+    filterUser.innerHTML += users
+      .map((user) => `<option value="${escapeHtml(user.username)}">${escapeHtml(user.username)}</option>`)
+      .join("");
+  } catch (error) {
+    console.error("❌ Failed to load users for filter:", error);
+  }
+}
+
+async function loadLogs() {
+  if (!filterTanggalMulai.value || !filterTanggalAkhir.value) {
+    Swal.fire("Perhatian", "Pilih rentang tanggal terlebih dahulu", "warning");
+    return;
+  }
+
+  const startDate = new Date(`${filterTanggalMulai.value}T00:00:00`);
+  const endDate = new Date(`${filterTanggalAkhir.value}T23:59:59.999`);
+  if (startDate > endDate) {
+    Swal.fire("Perhatian", "Tanggal mulai tidak boleh setelah tanggal akhir", "warning");
+    return;
+  }
+
+  btnTampilkan.disabled = true;
+  tableAudit.innerHTML = `<tr><td colspan="7" class="text-center">Memuat audit log...</td></tr>`;
+
+  try {
+    logs = await AuditService.getLogs({
+      startDate,
+      endDate,
+      actor: filterUser.value,
+      collection: filterKoleksi.value,
+    });
+    renderTable();
+  } catch (error) {
+    console.error("❌ Failed to load audit log:", error);
+    tableAudit.innerHTML = `<tr><td colspan="7" class="text-center text-danger">Gagal memuat audit log</td></tr>`;
+  } finally {
+    btnTampilkan.disabled = false;
+  }
+}
+
+function renderTable() {
+  if (logs.length === 0) {
+    tableAudit.innerHTML = `<tr><td colspan="7" class="text-center">Tidak ada perubahan data pada periode ini</td></tr>`;
+    return;
+  }
+
+  tableAudit.innerHTML = logs
+    .map((entry) => {
+      const actionLabel = escapeHtml(AuditService.AUDIT_ACTIONS[entry.action] || entry.action);
+      const badge = ACTION_BADGES[entry.action] || "bg-secondary";
+      const collectionLabel = escapeHtml(AuditService.AUDITED_COLLECTIONS[entry.collection] || entry.collection);
+      const cabang = escapeHtml(BranchService.getCabangName(entry.cabang));
+      const keterangan = entry.keterangan ? `<div class="small text-muted">${escapeHtml(entry.keterangan)}</div>` : "";
+
+      return `
+        <tr>
+          <td>${formatDateTime(entry.timestamp)}</td>
+          <td>${formatActor(entry)}</td>
+          <td><span class="badge ${badge}">${actionLabel}</span></td>
+          <td>${collectionLabel}<div class="small text-muted">${cabang}</div></td>
+          <td><code>${escapeHtml(entry.docId)}</code>${keterangan}</td>
+          <td>${escapeHtml(entry.page)}</td>
+          <td class="text-center">
+            <button type="button" class="btn btn-sm btn-outline-primary btn-detail" data-id="${escapeHtml(entry.id)}">
+              ${(entry.changes || []).length}
+            </button>
+          </td>
+        </tr>`;
+    })
+    .join("");
+}
+
+function showDetail(logId) {
+  const entry = logs.find((item) => item.id === logId);
+  if (!entry) return;
+
+  detailInfo.innerHTML = `
+    <div><strong>${escapeHtml(AuditService.AUDIT_ACTIONS[entry.action] || entry.action)}</strong>
+      ${escapeHtml(entry.collection)} / <code>${escapeHtml(entry.docId)}</code></div>
+    <div class="small text-muted">
+      ${formatDateTime(entry.timestamp)} oleh ${escapeHtml(entry.actor)} (${escapeHtml(entry.actorRole)})
+      ${entry.authorizedBy ? `, otorisasi ${escapeHtml(entry.authorizedBy)}` : ""}
+    </div>`;
+
+  const changes = entry.changes || [];
+  tableDetail.innerHTML =
+    changes.length > 0
+      ? changes
+          .map(
+            (change) => `
+        <tr>
+          <td><code>${escapeHtml(change.field)}</code></td>
+          <td>${formatValue(change.before)}</td>
+          <td>${formatValue(change.after)}</td>
+        </tr>`
+          )
+          .join("")
+      : `<tr><td colspan="3" class="text-center text-muted">Tidak ada detail field</td></tr>`;
+
+  bootstrap.Modal.getOrCreateInstance(detailModal).show();
+}
+
+// Guard halaman juga dijalankan main.js; modul ini tidak memasang handler tanpa hak akses
+if (!PermissionService.can("audit.view")) {
+  Swal.fire("Akses Ditolak", "Halaman ini hanya untuk supervisor", "error").then(() => {
+    window.location.href = "dashboard.html";
+  });
+} else {
+  // Default: 7 hari terakhir
+  const today = new Date();
+  const weekAgo = new Date(today);
+  weekAgo.setDate(today.getDate() - 6);
+  filterTanggalMulai.value = formatDateKey(weekAgo);
+  filterTanggalAkhir.value = formatDateKey(today);
+
+  // Event listeners
+  btnTampilkan.addEventListener("click", loadLogs);
+
+  tableAudit.addEventListener("click", (e) => {
+    const detailButton = e.target.closest(".btn-detail");
+    if (detailButton) showDetail(detailButton.dataset.id);
+  });
+
+  BranchService.getCabangList().then(populateFilters).then(loadLogs);
+}
@@ -1,9 +1,19 @@
-import { authService } from './../configFirebase.js';
+import PermissionService from './../services/permissionService.js';
+import SessionService from './../services/sessionService.js';
+
+let authResult = null;
+
+// Cek masa berlaku sesi + login + hak akses halaman sesuai matriks permission
+// Hasil disimpan per halaman, jadi main.js dan modul halaman tidak menampilkan peringatan dua kali
 export async function checkAuth() {
-    const currentUser = await authService.getCurrentUser();
-    if (!currentUser) {
-        window.location.href = '../index.html';
-        return false;
+    if (authResult === null) {
+        authResult = SessionService.getSession() && !SessionService.validate() ? false : PermissionService.guardPage();
     }
-    return true;
-}
\ No newline at end of file
+    return authResult;
+}
+
+// Dipanggil dengan top-level await di awal modul halaman: halaman yang ditolak sedang dialihkan,
+// jadi modul berhenti di sini dan tidak memuat data maupun memasang listener
+export async function requirePageAccess() {
+    if (!(await checkAuth())) await new Promise(() => {});
+}
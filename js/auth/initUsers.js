@@ -1,34 +1,10 @@
-import { firestore } from '../configFirebase.js';
-import { 
-  collection, 
-  doc, 
-  setDoc, 
-  getDoc, 
-  getDocs 
-} from 'https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js';
+import UserService from '../services/userService.js';
 
-// Gunakan Firestore methods, BUKAN Realtime Database methods
+// Akun user dikelola UserService (password ter-hash di koleksi users)
+// Mengembalikan akun awal { username, password } jika baru saja dibuat karena koleksi users kosong
 export async function initializeUsers() {
   try {
-    const usersRef = collection(firestore, 'users');
-    const snapshot = await getDocs(usersRef);
-    
-    if (snapshot.empty) {
-      // Create default users
-      await setDoc(doc(firestore, 'users', 'admin'), {
-        username: 'adminmelati',
-        password: 'admin',
-        role: 'admin'
-      });
-      
-      await setDoc(doc(firestore, 'users', 'operator'), {
-        username: 'operator',
-        password: 'operator123',
-        role: 'operator'
-      });
-      
-      console.log('Default users created');
-    }
+    return await UserService.ensureUsers();
   } catch (error) {
     console.error('Error initializing users:', error);
     throw error;
@@ -36,23 +12,24 @@ export async function initializeUsers() {
 }
 
 export async function loginUser(username, password) {
-  const users = {
-    'adminmelati': { password: 'admin', role: 'admin' },
-    'supervisor': { password: 'smlt116', role: 'supervisor' }
-  };
+  const result = await UserService.login(username, password);
 
-  const user = users[username];
-  
-  if (user && user.password === password) {
+  if (result.success) {
     return {
       success: true,
-      username: username,
-      role: user.role
+      username: result.user.username,
+      role: result.user.role,
+      cabang: result.user.cabang,
+      mustChangePassword: result.user.mustChangePassword
     };
   }
-  
+
   return {
     success: false,
-    message: 'Username atau password salah'
+    message: result.message || 'Username atau password salah'
   };
 }
+
+export async function changePassword(username, oldPassword, newPassword) {
+  return UserService.changePassword(username, oldPassword, newPassword);
+}
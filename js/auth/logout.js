@@ -1,7 +1,6 @@
+import SessionService from './../services/sessionService.js';
+
 export function handleLogout() {
-    // Clear session storage
-    sessionStorage.removeItem('currentUser');
-    
-    // Redirect to login page
-    window.location.href = 'index.html';
+    // Hapus sesi di tab ini dan tab lain, lalu kembali ke halaman login
+    SessionService.logout();
 }
@@ -15,9 +15,19 @@ import {
   deleteField,
   serverTimestamp,
   collection,
+  addDoc,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
 
 import { firestore } from "./configFirebase.js"; // Pindahkan import ke sini
+import UserService from "./services/userService.js";
+import BranchService from "./services/branchService.js";
+import CustomerService from "./services/customerService.js";
+import GoldRateService from "./services/goldRateService.js";
+import { attachCustomerAutocomplete, refreshCustomerAutocomplete } from "./components/customerAutocomplete.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 // Global variables
 let currentCondition = "1";
@@ -26,6 +36,10 @@ let pendingChanges = {};
 let mediaGallery = [];
 let currentMediaIndex = 0;
 let persentaseMap = { 1: 97, 2: 92, 3: 85, 4: 70 };
+// Hasil hitung terakhir, disimpan ke riwayat customer jika nomor HP diisi
+let lastResults = [];
+// Harga emas harian, dipakai mengisi otomatis harga per gram hari ini per kadar
+let goldRates = null;
 
 // Initialize page
 document.addEventListener("DOMContentLoaded", async () => {
@@ -36,7 +50,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
 
     // Load persentase settings from Firestore
-    await loadPersentaseSettings();
+    await Promise.all([loadPersentaseSettings(), loadGoldRates()]);
 
     // Initialize all required functions
     await setupBuybackForm();
@@ -68,6 +82,22 @@ function setupBuybackForm() {
     printButton.addEventListener("click", printModal);
   }
 
+  const saveButton = document.getElementById("saveBuybackButton");
+  if (saveButton) {
+    saveButton.addEventListener("click", saveBuyback);
+  }
+
+  attachCustomerAutocomplete(document.getElementById("customerName"), document.getElementById("customerPhone"));
+
+  // Harga hari ini mengikuti harga emas kadar terpilih, kecuali sudah diketik manual
+  const tbody = document.querySelector("#tablePenerimaan tbody");
+  tbody.addEventListener("change", (e) => {
+    if (e.target.name === "kadar") fillHargaHariIni(e.target.closest("tr"));
+  });
+  tbody.addEventListener("input", (e) => {
+    if (e.target.name === "hargaHariIni") delete e.target.dataset.auto;
+  });
+
   setupDeleteButtons();
   setupConditionVisualButtons();
   setupOfflineMonitoring();
@@ -201,9 +231,45 @@ function calculateBuyback(e) {
   }
 
   const results = calculateBuybackPrice(items);
+  lastResults = results;
   showResults(results);
 }
 
+// Simpan hasil buyback ke koleksi "buyback" agar tampil di riwayat customer
+async function saveBuyback() {
+  const saveButton = document.getElementById("saveBuybackButton");
+  const customerName = document.getElementById("customerName").value.trim();
+  const customerPhone = document.getElementById("customerPhone").value.trim();
+  const customerId = CustomerService.normalizePhone(customerPhone);
+  if (!customerId || lastResults.length === 0) return;
+
+  try {
+    saveButton.disabled = true;
+    await addDoc(collection(firestore, "buyback"), {
+      tanggal: new Date().toLocaleDateString("id-ID"),
+      cabang: BranchService.getCurrentCabang(),
+      kasir: BranchService.getCurrentUser()?.username || "",
+      customerName,
+      customerPhone,
+      customerId,
+      items: lastResults,
+      timestamp: serverTimestamp(),
+    });
+    await CustomerService.safeUpsert({ nama: customerName, noHp: customerPhone });
+    refreshCustomerAutocomplete();
+
+    lastResults = [];
+    saveButton.classList.add("d-none");
+    bootstrap.Modal.getInstance(document.getElementById("resultModal"))?.hide();
+    showAlert(`Buyback tersimpan di riwayat customer ${customerName || customerPhone}`, "success");
+  } catch (error) {
+    console.error("Error saving buyback:", error);
+    showAlert("Gagal menyimpan buyback: " + error.message, "danger");
+  } finally {
+    saveButton.disabled = false;
+  }
+}
+
 // Calculate buyback price
 function calculateBuybackPrice(items) {
   const results = [];
@@ -365,6 +431,11 @@ function showResults(results) {
 `;
 
   modalBody.innerHTML = content;
+  // Tombol simpan hanya muncul jika nomor HP customer diisi
+  const customerPhone = document.getElementById("customerPhone").value;
+  document
+    .getElementById("saveBuybackButton")
+    .classList.toggle("d-none", !CustomerService.normalizePhone(customerPhone));
   const resultModal = new bootstrap.Modal(document.getElementById("resultModal"));
   resultModal.show();
 }
@@ -511,6 +582,27 @@ async function loadPersentaseSettings() {
   }
 }
 
+async function loadGoldRates() {
+  try {
+    goldRates = await GoldRateService.getCurrentRates();
+  } catch (error) {
+    console.error("Error loading gold rates:", error);
+  }
+}
+
+function fillHargaHariIni(row) {
+  const input = row.querySelector("[name='hargaHariIni']");
+  const rate = GoldRateService.getRate(goldRates, row.querySelector("[name='kadar']").value);
+  if (input.value && !input.dataset.auto) return;
+
+  input.value = rate ? rate.harga : "";
+  if (rate) {
+    input.dataset.auto = "1";
+  } else {
+    delete input.dataset.auto;
+  }
+}
+
 // Setup settings button and modals
 function setupSettingsButton() {
   const btnSetting = document.getElementById("btnSetting");
@@ -521,19 +613,21 @@ function setupSettingsButton() {
 
   // Show password modal when settings button is clicked
   btnSetting.addEventListener("click", () => {
+    document.getElementById("settingsUsername").value = "";
     document.getElementById("settingsPassword").value = "";
     settingsPasswordModal.show();
   });
 
   // Verify password
-  verifyPasswordBtn.addEventListener("click", () => {
+  verifyPasswordBtn.addEventListener("click", async () => {
+    const username = document.getElementById("settingsUsername").value;
     const password = document.getElementById("settingsPassword").value;
-    if (password === "smlt116") {
+    if (await UserService.verifyAuthorization(username, password, "buyback.settings")) {
       settingsPasswordModal.hide();
       showBuybackSettings();
       buybackSettingsModal.show();
     } else {
-      alert("Password salah!");
+      alert("Username atau password salah, atau tidak berhak mengubah pengaturan!");
     }
   });
 
@@ -0,0 +1,67 @@
+/**
+ * Barcode scanner (keyboard wedge)
+ * Scanner USB/Bluetooth mengetik kode sangat cepat lalu menekan Enter. Ketikan yang lebih cepat dari
+ * MAX_INTERVAL per karakter dianggap hasil scan, jadi kasir tidak perlu fokus ke input tertentu.
+ * Karakter hasil scan yang sempat masuk ke input yang sedang fokus dikembalikan ke nilai semula.
+ */
+
+// Jeda maksimal antar karakter (ms); manusia mengetik jauh lebih lambat
+const MAX_INTERVAL = 40;
+const MIN_LENGTH = 3;
+
+function isEditable(element) {
+  return element && (element.tagName === "INPUT" || element.tagName === "TEXTAREA");
+}
+
+/**
+ * Pasang deteksi scanner pada halaman
+ * @param {Function} onScan - Dipanggil dengan kode hasil scan (sudah di-trim)
+ * @param {Object} options - { minLength, maxInterval, isEnabled: () => boolean }
+ * @returns {Function} Pelepas listener
+ */
+export function attachBarcodeScanner(onScan, { minLength = MIN_LENGTH, maxInterval = MAX_INTERVAL, isEnabled } = {}) {
+  let buffer = "";
+  let lastKeyTime = 0;
+  let target = null;
+  let targetValue = "";
+
+  const reset = () => {
+    buffer = "";
+    target = null;
+  };
+
+  const handleKeydown = (e) => {
+    if (isEnabled && !isEnabled()) return;
+
+    const now = performance.now();
+    const isFast = now - lastKeyTime <= maxInterval;
+    lastKeyTime = now;
+
+    if (e.key === "Enter") {
+      const code = buffer.trim();
+      if (isFast && code.length >= minLength) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (isEditable(target)) target.value = targetValue;
+        reset();
+        onScan(code);
+        return;
+      }
+      reset();
+      return;
+    }
+
+    if (e.key.length !== 1 || e.ctrlKey || e.altKey || e.metaKey) return;
+
+    // Karakter pertama dari rangkaian baru: simpan input yang fokus beserta nilainya sebelum scan
+    if (!isFast || !buffer) {
+      buffer = "";
+      target = document.activeElement;
+      targetValue = isEditable(target) ? target.value : "";
+    }
+    buffer += e.key;
+  };
+
+  window.addEventListener("keydown", handleKeydown, true);
+  return () => window.removeEventListener("keydown", handleKeydown, true);
+}
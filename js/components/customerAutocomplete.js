@@ -0,0 +1,84 @@
+/**
+ * Customer autocomplete
+ * Datalist nama & nomor HP dari CustomerService untuk form POS, order barang, return dan buyback.
+ * Memilih nomor HP mengisi nama customer, memilih nama yang unik mengisi nomor HP.
+ */
+
+import CustomerService from "../services/customerService.js";
+import { escapeHtml } from "../services/helpers.js";
+
+const PHONE_LIST_ID = "customerPhoneList";
+const NAME_LIST_ID = "customerNameList";
+
+let loadPromise = null;
+
+function getDatalist(id) {
+  let datalist = document.getElementById(id);
+  if (!datalist) {
+    datalist = document.createElement("datalist");
+    datalist.id = id;
+    document.body.appendChild(datalist);
+  }
+  return datalist;
+}
+
+function renderDatalists(customers) {
+  getDatalist(PHONE_LIST_ID).innerHTML = customers
+    .map(
+      (customer) =>
+        `<option value="${CustomerService.formatPhoneDisplay(customer.noHp)}">${escapeHtml(customer.nama)}</option>`
+    )
+    .join("");
+
+  getDatalist(NAME_LIST_ID).innerHTML = customers
+    .map(
+      (customer) =>
+        `<option value="${escapeHtml(customer.nama)}">${CustomerService.formatPhoneDisplay(customer.noHp)}</option>`
+    )
+    .join("");
+}
+
+// Muat data customer sekali per halaman, dipakai bersama oleh semua input
+function loadCustomers() {
+  if (!loadPromise) {
+    loadPromise = CustomerService.getAll()
+      .then(renderDatalists)
+      .catch((error) => {
+        console.error("❌ Gagal memuat data customer:", error);
+        loadPromise = null;
+      });
+  }
+  return loadPromise;
+}
+
+/**
+ * Pasang autocomplete pada pasangan input nama & nomor HP
+ * @param {HTMLInputElement} nameInput
+ * @param {HTMLInputElement} phoneInput
+ */
+export function attachCustomerAutocomplete(nameInput, phoneInput) {
+  if (!nameInput || !phoneInput) return;
+
+  nameInput.setAttribute("list", NAME_LIST_ID);
+  phoneInput.setAttribute("list", PHONE_LIST_ID);
+  nameInput.setAttribute("autocomplete", "off");
+  phoneInput.setAttribute("autocomplete", "off");
+  loadCustomers();
+
+  phoneInput.addEventListener("change", () => {
+    const customer = CustomerService.findByPhone(phoneInput.value);
+    if (customer) nameInput.value = customer.nama;
+  });
+
+  nameInput.addEventListener("change", () => {
+    const matches = CustomerService.findByName(nameInput.value);
+    if (matches.length === 1 && !phoneInput.value.trim()) {
+      phoneInput.value = CustomerService.formatPhoneDisplay(matches[0].noHp);
+    }
+  });
+}
+
+// Perbarui datalist setelah customer baru tersimpan
+export function refreshCustomerAutocomplete() {
+  if (CustomerService.customers) renderDatalists(CustomerService.customers);
+}
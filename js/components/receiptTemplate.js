@@ -0,0 +1,426 @@
+/**
+ * Receipt template
+ * Satu-satunya tempat HTML struk & invoice penjualan disusun, dipakai POS, data penjualan dan preview
+ * di halaman pengaturan struk. Struk mengikuti template ReceiptTemplateService (kop, logo, footer, syarat,
+ * lebar kertas); invoice dicetak di atas form pre-printed 10 × 20 cm sehingga posisinya tetap.
+ * Struk angsuran DP dan Z-report shift memakai kerangka struk yang sama (renderReceiptDocument).
+ *
+ * Transaksi yang diterima: data penjualanAksesoris dengan `tanggal` berupa teks siap cetak. Angka boleh
+ * berupa number atau teks berformat rupiah ("1.250.000") seperti di form POS.
+ */
+
+import ReceiptTemplateService from "../services/receiptTemplateService.js";
+import PromotionService from "../services/promotionService.js";
+import { getPaymentLabel } from "../services/paymentTypes.js";
+import { escapeHtml } from "../services/helpers.js";
+
+const PRINT_SCRIPT = `
+  <script>
+    window.onload = function() {
+      window.print();
+      setTimeout(function() { window.close(); }, 500);
+    };
+  </script>`;
+
+const INVOICE_STYLE = `
+  @page { size: 10cm 20cm; margin: 0; }
+  body { font-family: Arial, sans-serif; font-size: 12px; margin: 0; padding: 5mm; width: 20cm; box-sizing: border-box; }
+  .invoice { width: 100%; position: relative; min-height: 19cm; }
+  .header-info { text-align: left; margin-bottom: 0.5cm; margin-left: 14.3cm; margin-top: 0.8cm; }
+  .customer-info { text-align: left; margin-bottom: 1.1cm; margin-left: 14.3cm; font-size: 11px; line-height: 1.2; }
+  .total-row { position: absolute; top: 6.3cm; right: 3cm; text-align: right; font-weight: bold; }
+  .diskon-row { position: absolute; top: 5.8cm; right: 3cm; text-align: right; font-size: 10px; }
+  .sales { position: absolute; top: 7.2cm; right: 1.6cm; text-align: right; }
+  .keterangan { position: absolute; top: 5cm; left: 0.5cm; right: 3cm; font-style: italic; font-size: 10px; padding-top: 2mm; text-align: left; }
+  .keterangan-spacer { height: 0; }
+  .item-details { display: flex; flex-wrap: wrap; }
+  .item-data { display: grid; grid-template-columns: 2cm 2.8cm 4.7cm 1.8cm 1.8cm 2cm; width: 100%; column-gap: 0.2cm; margin-left: 0.5cm; margin-top: 0.8cm; margin-right: 3cm; }
+  .item-data span { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .item-data span:nth-child(3) { white-space: normal; overflow: visible; text-overflow: clip; word-wrap: break-word; }`;
+
+// Teks template multi-baris
+function multiline(value) {
+  return escapeHtml(value).replace(/\n/g, "<br>");
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  return parseInt(String(value ?? "0").replace(/\./g, "")) || 0;
+}
+
+function formatRupiah(angka) {
+  return new Intl.NumberFormat("id-ID").format(Math.round(toNumber(angka)));
+}
+
+function getSalesType(transaction) {
+  return transaction.jenisPenjualan || transaction.salesType || "aksesoris";
+}
+
+function collectKeterangan(transaction, separator) {
+  if (getSalesType(transaction) !== "manual") return "";
+  return (transaction.items || [])
+    .map((item) => (item.keterangan || "").trim())
+    .filter(Boolean)
+    .join(separator);
+}
+
+function getReceiptStyle(paper) {
+  return `
+  @page { size: ${paper.page}; margin: 0; }
+  body { font-family: consolas; font-size: ${paper.fontSize}px; margin: 0; padding: 0; width: ${paper.width}; }
+  .receipt { margin: 0 auto; padding: 5mm; }
+  .receipt h3, .receipt h4 { text-align: center; margin: 2mm 0; }
+  .receipt hr { border-top: 1px dashed #000; }
+  .receipt table { width: 100%; border-collapse: collapse; }
+  .receipt th, .receipt td { text-align: left; padding: 1mm 2mm; }
+  .logo { display: block; max-width: 60%; max-height: 25mm; margin: 0 auto 2mm; }
+  .kop { text-align: center; font-size: 0.9em; }
+  .info-header { display: flex; justify-content: space-between; margin: 2mm 0; font-size: 0.9em; padding: 0; }
+  .nama-barang { font-weight: bold; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; padding: 2mm 0; margin: 0; }
+  .detail-barang { display: flex; justify-content: space-between; font-size: 0.9em; padding: 1mm 0; margin: 0 0 2mm 0; }
+  .item-separator { border-bottom: 1px dotted #888; padding-bottom: 2mm; margin-bottom: 2mm; }
+  .text-center { text-align: center; }
+  .text-right { text-align: right; }
+  .keterangan { font-style: italic; margin-top: 2mm; border-top: 1px dotted #000; padding-top: 2mm; }
+  .payment-info { margin-top: 2mm; border-top: 1px dotted #000; padding-top: 2mm; }
+  .total td { font-weight: bold; }
+  .syarat { font-size: 0.8em; margin-top: 2mm; }`;
+}
+
+function renderReceiptHeader(template, title) {
+  const logo = template.logoUrl ? `<img class="logo" src="${escapeHtml(template.logoUrl)}" alt="">` : "";
+  const alamat = template.alamat ? `<h4>${multiline(template.alamat)}</h4>` : "";
+  const telepon = template.telepon ? `<div class="kop">Telp. ${escapeHtml(template.telepon)}</div>` : "";
+  const header = template.header ? `<div class="kop">${multiline(template.header)}</div>` : "";
+
+  return `
+    ${logo}
+    <h3>${escapeHtml(template.namaToko)}</h3>
+    ${alamat}
+    ${telepon}
+    ${header}
+    <h4>${escapeHtml(title)}</h4>`;
+}
+
+// Subtotal bruto + baris diskon promo di atas total struk
+function renderDiscountRows(transaction) {
+  const lines = PromotionService.getDiscountLines(transaction);
+  if (lines.length === 0) return "";
+
+  const rows = lines.map((line) => {
+    const jumlah = line.jumlah > 0 ? `-${formatRupiah(line.jumlah)}` : "";
+    return `
+      <tr>
+        <td style="text-align: right; padding-right: 2mm;">${escapeHtml(line.label)}</td>
+        <td style="text-align: right;">${jumlah}</td>
+      </tr>`;
+  });
+
+  return `
+      <tr>
+        <td style="text-align: right; padding-right: 2mm;">Subtotal:</td>
+        <td style="text-align: right;">${formatRupiah(PromotionService.getSaleGross(transaction))}</td>
+      </tr>
+      ${rows.join("")}`;
+}
+
+function renderReceiptItems(items) {
+  return items
+    .map((item, index) => {
+      const separatorClass = index < items.length - 1 ? "item-separator" : "";
+      const hargaText = item.isBonus ? `BONUS x${item.jumlah}` : formatRupiah(item.totalHarga);
+      return `
+      <div class="${separatorClass}">
+        <div class="nama-barang">${escapeHtml(item.nama || "-")}</div>
+        <div class="detail-barang">
+          <span>${escapeHtml(item.kodeText || "-")}</span>
+          <span>${escapeHtml(item.kadar || "-")}</span>
+          <span>${item.berat || "-"} gr</span>
+          <span>${hargaText}</span>
+        </div>
+      </div>`;
+    })
+    .join("");
+}
+
+function renderDPInfo(transaction, totalHarga) {
+  if (transaction.metodeBayar !== "dp" && transaction.statusPembayaran !== "DP") return "";
+
+  const dpAmount = toNumber(transaction.nominalDP);
+  let statusRow;
+  if (dpAmount < totalHarga) {
+    statusRow = `
+      <tr>
+        <td><strong>SISA:</strong></td>
+        <td class="text-right"><strong>${formatRupiah(transaction.sisaPembayaran)}</strong></td>
+      </tr>`;
+  } else if (dpAmount > totalHarga && !Array.isArray(transaction.pembayaran)) {
+    // Penjualan lama tanpa rincian pembayaran: kelebihan DP dicetak sebagai kembalian di sini
+    statusRow = `
+      <tr>
+        <td><strong>KEMBALIAN:</strong></td>
+        <td class="text-right"><strong>${formatRupiah(dpAmount - totalHarga)}</strong></td>
+      </tr>`;
+  } else {
+    statusRow = `<tr><td colspan="2" class="text-center"><strong>LUNAS</strong></td></tr>`;
+  }
+
+  return `
+    <div class="payment-info">
+      <table>
+        <tr>
+          <td>Total Harga:</td>
+          <td class="text-right">${formatRupiah(totalHarga)}</td>
+        </tr>
+        <tr>
+          <td>DP:</td>
+          <td class="text-right">${formatRupiah(dpAmount)}</td>
+        </tr>
+        ${statusRow}
+      </table>
+    </div>`;
+}
+
+function renderPaymentLines(transaction) {
+  if (!Array.isArray(transaction.pembayaran) || transaction.pembayaran.length === 0) return "";
+
+  const paymentRows = transaction.pembayaran
+    .map((line) => {
+      const referensi = line.referensi ? ` (${escapeHtml(line.referensi)})` : "";
+      return `
+        <tr>
+          <td>${getPaymentLabel(line.metode)}${referensi}</td>
+          <td class="text-right">${formatRupiah(line.jumlah)}</td>
+        </tr>`;
+    })
+    .join("");
+  const kembalianRow =
+    transaction.kembalian > 0
+      ? `<tr><td><strong>KEMBALIAN:</strong></td>
+          <td class="text-right"><strong>${formatRupiah(transaction.kembalian)}</strong></td></tr>`
+      : "";
+
+  return `
+    <div class="payment-info">
+      <table>${paymentRows}${kembalianRow}</table>
+    </div>`;
+}
+
+/**
+ * Kerangka struk: kop, footer dan syarat dari template, isi dari pemanggil (struk penjualan, angsuran DP, Z-report)
+ * @param {Object} content - { documentTitle: judul jendela cetak, title: judul di bawah kop, body: HTML isi struk }
+ * @param {Object} template - Default: template tersimpan terakhir
+ */
+export function renderReceiptDocument(
+  { documentTitle, title, body },
+  template = ReceiptTemplateService.getCachedTemplate()
+) {
+  const paper = ReceiptTemplateService.PAPER_SIZES[template.ukuranKertas] || ReceiptTemplateService.PAPER_SIZES["80mm"];
+  const footer = template.footer ? `<p class="text-center">${multiline(template.footer)}</p>` : "";
+  const syarat = template.syarat ? `<div class="syarat">${multiline(template.syarat)}</div>` : "";
+
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${escapeHtml(documentTitle)}</title>
+      <style>${getReceiptStyle(paper)}</style>
+    </head>
+    <body>
+      <div class="receipt">
+        ${renderReceiptHeader(template, title)}
+        <hr>
+        ${body}
+        <hr>
+        ${footer}
+        ${syarat}
+      </div>
+    </body>
+    </html>`;
+}
+
+/**
+ * HTML struk kasir (tanpa perintah cetak, dipakai juga untuk preview)
+ * @param {Object} transaction
+ * @param {Object} template - Default: template tersimpan terakhir
+ */
+export function renderReceiptHTML(transaction, template = ReceiptTemplateService.getCachedTemplate()) {
+  const items = transaction.items || [];
+  const totalHarga = toNumber(transaction.totalHarga);
+  const keterangan = collectKeterangan(transaction, " ");
+  const title = `NOTA PENJUALAN ${getSalesType(transaction).toUpperCase()}`;
+
+  const body = `
+        <div class="info-header">
+          <span>Tanggal: ${escapeHtml(transaction.tanggal || "-")}</span>
+          <span>Sales: ${escapeHtml(transaction.sales || "-")}</span>
+        </div>
+        <hr>
+        <div>${renderReceiptItems(items)}</div>
+        <hr>
+        <table style="width: 100%; margin-top: 2mm;">
+          ${renderDiscountRows(transaction)}
+          <tr style="border-top: 2px solid #000;">
+            <td style="text-align: right; padding-right: 2mm;"><strong>Total:</strong></td>
+            <td style="text-align: right;"><strong>${formatRupiah(totalHarga)}</strong></td>
+          </tr>
+        </table>
+        ${renderDPInfo(transaction, totalHarga)}
+        ${renderPaymentLines(transaction)}
+        ${keterangan ? `<div class="keterangan"><strong>Keterangan:</strong> ${escapeHtml(keterangan)}</div>` : ""}`;
+
+  return renderReceiptDocument({ documentTitle: "Struk Kasir", title, body }, template);
+}
+
+function renderInvoiceDocument(title, transaction, body) {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${title}</title>
+      <style>${INVOICE_STYLE}</style>
+    </head>
+    <body>
+      <div class="invoice">
+        <div class="header-info">
+          <p>${escapeHtml(transaction.tanggal || "")}</p>
+        </div>
+        <div class="customer-info">
+          <div>${escapeHtml(transaction.customerName || "-")}</div>
+          <div>${escapeHtml(transaction.customerPhone || "")}</div>
+        </div>
+        ${body}
+        <div class="sales">${escapeHtml(transaction.sales || "-")}</div>
+      </div>
+    </body>
+    </html>`;
+}
+
+function renderInvoiceItem(item, harga) {
+  return `
+    <div class="item-details">
+      <div class="item-data">
+        <span>${escapeHtml(item.kodeText || "-")}</span>
+        <span>${item.jumlah || " "}pcs</span>
+        <span>${escapeHtml(item.nama || "-")}</span>
+        <span>${escapeHtml(item.kadar || "-")}</span>
+        <span>${item.berat || "-"}gr</span>
+        <span>${harga}</span>
+      </div>
+    </div>`;
+}
+
+function renderInvoiceKeterangan(keterangan) {
+  return keterangan
+    ? `<div class="keterangan"><strong>Keterangan:</strong><br>${escapeHtml(keterangan)}</div>`
+    : `<div class="keterangan-spacer"></div>`;
+}
+
+/**
+ * HTML invoice customer untuk seluruh item transaksi (form pre-printed)
+ */
+export function renderInvoiceHTML(transaction) {
+  const items = transaction.items || [];
+  const itemRows = items
+    .map((item) => renderInvoiceItem(item, item.isBonus ? "BONUS" : formatRupiah(item.totalHarga)))
+    .join("");
+
+  // Diskon promo dicetak di atas total, total invoice = neto
+  const totalBruto = items.reduce((sum, item) => sum + toNumber(item.totalHarga), 0);
+  const totalDiskon = PromotionService.getSaleDiscount(transaction);
+  const diskonRow = totalDiskon > 0 ? `<div class="diskon-row">Diskon Rp ${formatRupiah(totalDiskon)}</div>` : "";
+
+  return renderInvoiceDocument(
+    "Invoice Customer",
+    transaction,
+    `${itemRows}
+    ${renderInvoiceKeterangan(collectKeterangan(transaction, "; "))}
+    ${diskonRow}
+    <div class="total-row">Rp ${formatRupiah(totalBruto - totalDiskon)}</div>`
+  );
+}
+
+/**
+ * HTML invoice untuk satu item (harga neto setelah diskon)
+ */
+export function renderItemInvoiceHTML(transaction, item, { index = 1, total = 1 } = {}) {
+  const harga = formatRupiah(PromotionService.getItemNetPrice(item));
+  const keterangan = getSalesType(transaction) === "manual" ? (item.keterangan || "").trim() : "";
+
+  return renderInvoiceDocument(
+    `Invoice Customer - Item ${index}/${total}`,
+    transaction,
+    `${renderInvoiceItem(item, harga)}
+    ${renderInvoiceKeterangan(keterangan)}
+    <div class="total-row">Rp ${harga}</div>`
+  );
+}
+
+/**
+ * Cetak dokumen di jendela baru (harus dipanggil langsung dari handler klik)
+ * @returns {boolean} false jika popup diblokir browser
+ */
+export function printInWindow(html) {
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) return false;
+
+  printWindow.document.write(html.replace("</body>", `${PRINT_SCRIPT}</body>`));
+  printWindow.document.close();
+  return true;
+}
+
+// Cetak lewat iframe tersembunyi, selesai setelah afterprint (atau fallback waktu) supaya tidak dobel cetak
+function printViaIframe(html) {
+  return new Promise((resolve) => {
+    const iframe = document.createElement("iframe");
+    Object.assign(iframe.style, { position: "fixed", right: "0", bottom: "0", width: "0", height: "0", border: "0" });
+    document.body.appendChild(iframe);
+
+    const frameWindow = iframe.contentWindow;
+    const frameDocument = frameWindow.document;
+    frameDocument.open();
+    frameDocument.write(html);
+    frameDocument.close();
+
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      frameWindow.removeEventListener("afterprint", finish);
+      setTimeout(() => {
+        iframe.remove();
+        resolve();
+      }, 150);
+    };
+    frameWindow.addEventListener("afterprint", finish);
+
+    const tryPrint = () => {
+      try {
+        frameWindow.focus();
+        frameWindow.print();
+        setTimeout(finish, 2500);
+      } catch (error) {
+        // Dokumen belum siap, coba lagi
+        setTimeout(tryPrint, 150);
+      }
+    };
+
+    if (frameDocument.readyState === "complete") {
+      setTimeout(tryPrint, 50);
+    } else {
+      iframe.onload = () => setTimeout(tryPrint, 50);
+    }
+  });
+}
+
+/**
+ * Cetak invoice terpisah per item, satu per satu
+ */
+export async function printItemInvoices(transaction) {
+  const items = transaction.items || [];
+  for (const [index, item] of items.entries()) {
+    await printViaIframe(renderItemInvoiceHTML(transaction, item, { index: index + 1, total: items.length }));
+    // Jeda singkat antar cetak untuk stabilitas printer
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Session lock UI module
+ * Lock screen, timeout warning and PIN setup menu used by SessionService
+ */
+
+import { escapeHtml } from "../services/helpers.js";
+
+const LOCK_MODAL_ID = "sessionLockModal";
+const WARNING_ID = "sessionTimeoutWarning";
+const PIN_MODAL_ID = "sessionPinModal";
+
+// Lock screen: modal statis, tidak bisa ditutup tanpa PIN / password
+export function showLockScreen(username, { onUnlock, onLogout }) {
+  if (document.getElementById(LOCK_MODAL_ID)) return;
+
+  const modalHTML = `
+    <div class="modal fade" id="${LOCK_MODAL_ID}" tabindex="-1" data-bs-backdrop="static" data-bs-keyboard="false"
+      style="background: rgba(33, 37, 41, 0.95)">
+      <div class="modal-dialog modal-dialog-centered modal-sm">
+        <div class="modal-content">
+          <div class="modal-body text-center p-4">
+            <i class="fas fa-lock fa-2x text-primary mb-3"></i>
+            <h5 class="mb-1">Layar Terkunci</h5>
+            <p class="text-muted small mb-3">Masukkan PIN atau password <strong>${escapeHtml(username)}</strong></p>
+            <input type="password" class="form-control text-center mb-2" id="sessionUnlockInput"
+              autocomplete="current-password" placeholder="PIN / Password">
+            <div class="invalid-feedback" id="sessionUnlockError"></div>
+            <button type="button" class="btn btn-primary w-100 mt-2" id="sessionUnlockBtn">
+              <i class="fas fa-unlock me-2"></i>Buka Kunci
+            </button>
+            <button type="button" class="btn btn-link btn-sm text-danger mt-2" id="sessionLogoutBtn">
+              Logout
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.insertAdjacentHTML("beforeend", modalHTML);
+
+  const modalElement = document.getElementById(LOCK_MODAL_ID);
+  const unlockInput = document.getElementById("sessionUnlockInput");
+  const unlockBtn = document.getElementById("sessionUnlockBtn");
+
+  const submit = async () => {
+    if (!unlockInput.value) return;
+
+    unlockBtn.disabled = true;
+    try {
+      const unlocked = await onUnlock(unlockInput.value);
+      if (!unlocked) unlockInput.value = "";
+    } catch (error) {
+      console.error("❌ Unlock error:", error);
+      showLockError("Gagal memverifikasi, periksa koneksi internet");
+    } finally {
+      unlockBtn.disabled = false;
+    }
+  };
+
+  unlockBtn.addEventListener("click", submit);
+  unlockInput.addEventListener("keypress", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      submit();
+    }
+  });
+  document.getElementById("sessionLogoutBtn").addEventListener("click", onLogout);
+
+  modalElement.addEventListener("shown.bs.modal", () => unlockInput.focus());
+  modalElement.addEventListener("hidden.bs.modal", () => modalElement.remove());
+
+  new bootstrap.Modal(modalElement).show();
+}
+
+export function hideLockScreen() {
+  const modalElement = document.getElementById(LOCK_MODAL_ID);
+  if (modalElement) bootstrap.Modal.getInstance(modalElement)?.hide();
+}
+
+export function showLockError(message) {
+  const unlockInput = document.getElementById("sessionUnlockInput");
+  const unlockError = document.getElementById("sessionUnlockError");
+  if (!unlockInput || !unlockError) return;
+
+  unlockInput.classList.add("is-invalid");
+  unlockError.textContent = message;
+}
+
+// Peringatan hitung mundur sebelum layar dikunci
+export function showTimeoutWarning(seconds, onContinue) {
+  let warning = document.getElementById(WARNING_ID);
+
+  if (!warning) {
+    warning = document.createElement("div");
+    warning.id = WARNING_ID;
+    warning.className = "alert alert-warning position-fixed shadow";
+    warning.style.cssText = "top: 20px; right: 20px; z-index: 9999; cursor: pointer;";
+    warning.addEventListener("click", () => {
+      onContinue();
+      warning.remove();
+    });
+    document.body.appendChild(warning);
+  }
+
+  warning.innerHTML = `
+    <i class="fas fa-hourglass-half me-2"></i>
+    Layar akan dikunci dalam <strong>${seconds}</strong> detik - klik untuk melanjutkan
+  `;
+}
+
+export function hideTimeoutWarning() {
+  document.getElementById(WARNING_ID)?.remove();
+}
+
+/**
+ * Tambahkan menu "Atur PIN Kunci" di dropdown profil header
+ * @param {Function} onSave - async (password, pin)
+ */
+export function setupPinMenu(onSave) {
+  const logoutItem = document.getElementById("logoutBtn")?.closest("li");
+  if (!logoutItem || document.getElementById("sessionPinMenu")) return;
+
+  logoutItem.insertAdjacentHTML(
+    "beforebegin",
+    `<li>
+      <button class="dropdown-item" id="sessionPinMenu" type="button">
+        <i class="fas fa-key"></i>
+        Atur PIN Kunci
+      </button>
+    </li>`
+  );
+
+  document.getElementById("sessionPinMenu").addEventListener("click", () => showPinModal(onSave));
+}
+
+function showPinModal(onSave) {
+  document.getElementById(PIN_MODAL_ID)?.remove();
+
+  const modalHTML = `
+    <div class="modal fade" id="${PIN_MODAL_ID}" tabindex="-1">
+      <div class="modal-dialog modal-dialog-centered modal-sm">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title"><i class="fas fa-key me-2"></i>Atur PIN Kunci</h5>
+            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+          </div>
+          <div class="modal-body">
+            <p class="text-muted small">PIN dipakai untuk membuka layar yang terkunci otomatis.</p>
+            <div class="mb-3">
+              <label for="sessionPinPassword" class="form-label">Password</label>
+              <input type="password" class="form-control" id="sessionPinPassword" autocomplete="current-password">
+            </div>
+            <div class="mb-2">
+              <label for="sessionPinInput" class="form-label">PIN Baru (4-6 digit)</label>
+              <input type="password" class="form-control" id="sessionPinInput" inputmode="numeric" maxlength="6"
+                autocomplete="off">
+              <div class="invalid-feedback" id="sessionPinError"></div>
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Batal</button>
+            <button type="button" class="btn btn-primary" id="sessionPinSaveBtn">Simpan</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.body.insertAdjacentHTML("beforeend", modalHTML);
+
+  const modalElement = document.getElementById(PIN_MODAL_ID);
+  const pinModal = new bootstrap.Modal(modalElement);
+  const pinInput = document.getElementById("sessionPinInput");
+  const pinError = document.getElementById("sessionPinError");
+  const saveBtn = document.getElementById("sessionPinSaveBtn");
+
+  saveBtn.addEventListener("click", async () => {
+    saveBtn.disabled = true;
+    pinInput.classList.remove("is-invalid");
+    try {
+      await onSave(document.getElementById("sessionPinPassword").value, pinInput.value);
+      pinModal.hide();
+    } catch (error) {
+      pinInput.classList.add("is-invalid");
+      pinError.textContent = ["wrong-password", "weak-pin"].includes(error.code)
+        ? error.message
+        : "Gagal menyimpan PIN";
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  modalElement.addEventListener("hidden.bs.modal", () => modalElement.remove());
+  pinModal.show();
+}
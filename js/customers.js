@@ -0,0 +1,241 @@
+import CustomerService from "./services/customerService.js";
+import DPService from "./services/dpService.js";
+import BranchService from "./services/branchService.js";
+import { escapeHtml } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const searchCustomer = document.getElementById("searchCustomer");
+const btnCariCustomer = document.getElementById("btnCariCustomer");
+const customerList = document.getElementById("customerList");
+const customerCount = document.getElementById("customerCount");
+const customerProfile = document.getElementById("customerProfile");
+
+const HISTORY_TABS = ["penjualan", "dp", "order", "return", "buyback"];
+
+let customers = [];
+let activePhone = "";
+
+// Helpers
+function formatRupiah(angka) {
+  return new Intl.NumberFormat("id-ID").format(Math.round(Number(angka) || 0));
+}
+
+// Tanggal return disimpan sebagai ISO string, data lain sudah dd/mm/yyyy
+function formatTanggal(value) {
+  if (!value) return "-";
+  const date = new Date(value);
+  return /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(date) ? date.toLocaleDateString("id-ID") : value;
+}
+
+function getItemNames(items = [], field = "nama") {
+  return items.map((item) => item[field] || item.kodeText || item.kode || "-").join(", ");
+}
+
+function getTotalJumlah(details = []) {
+  return details.reduce((sum, detail) => sum + (detail.jumlah || 0), 0);
+}
+
+function renderRows(key, rows, renderRow, columns = 6) {
+  document.getElementById(`count-${key}`).textContent = rows.length;
+  document.querySelector(`#table-${key} tbody`).innerHTML =
+    rows.length > 0
+      ? rows.map(renderRow).join("")
+      : `<tr><td colspan="${columns}" class="text-center text-muted">Tidak ada data</td></tr>`;
+}
+
+function clearTabs() {
+  HISTORY_TABS.forEach((key) => renderRows(key, [], () => ""));
+}
+
+// Daftar customer
+function renderList() {
+  const keyword = searchCustomer.value.trim().toLowerCase();
+  const phoneKeyword = keyword.replace(/[^0-9]/g, "");
+  const rows = customers.filter((customer) => {
+    const names = [customer.nama, ...(customer.namaLain || [])].join(" ").toLowerCase();
+    const phone = CustomerService.formatPhoneDisplay(customer.noHp);
+    return !keyword || names.includes(keyword) || (phoneKeyword && phone.includes(phoneKeyword));
+  });
+
+  customerCount.textContent = `${rows.length} customer`;
+  if (rows.length === 0) {
+    customerList.innerHTML = `<div class="list-group-item text-center text-muted">Customer tidak ditemukan</div>`;
+    return;
+  }
+
+  customerList.innerHTML = rows
+    .map((customer) => {
+      const active = customer.id === activePhone ? "active" : "";
+      return `
+        <button type="button" class="list-group-item list-group-item-action ${active}" data-phone="${customer.id}">
+          <div class="fw-semibold">${escapeHtml(customer.nama)}</div>
+          <div class="small">${CustomerService.formatPhoneDisplay(customer.noHp)}</div>
+        </button>`;
+    })
+    .join("");
+}
+
+async function loadCustomers() {
+  try {
+    customers = await CustomerService.getAll(true);
+    renderList();
+  } catch (error) {
+    console.error("❌ Failed to load customers:", error);
+    customerList.innerHTML = `<div class="list-group-item text-center text-danger">Gagal memuat customer</div>`;
+  }
+}
+
+// Profil & riwayat
+function renderProfile(phone, history) {
+  const { customer, penjualan, dp, angsuran } = history;
+  const nama = customer?.nama || penjualan[0]?.customerName || history.order[0]?.namaCustomer || "-";
+  const namaLain = customer?.namaLain?.length
+    ? `<div class="small text-muted">Juga tercatat sebagai: ${escapeHtml(customer.namaLain.join(", "))}</div>`
+    : "";
+  const totalBelanja = penjualan.reduce((sum, sale) => sum + (Number(sale.totalHarga) || 0), 0);
+  const sisaDP = dp.reduce((sum, sale) => sum + DPService.getSisaPembayaran(sale), 0);
+  const sisaDPText = sisaDP > 0 ? `<span class="text-danger">Rp ${formatRupiah(sisaDP)}</span>` : "-";
+
+  customerProfile.classList.remove("text-muted");
+  customerProfile.innerHTML = `
+    <div class="d-flex flex-wrap justify-content-between gap-3">
+      <div>
+        <h4 class="mb-1">${escapeHtml(nama)}</h4>
+        <div><i class="fas fa-phone me-1"></i>${CustomerService.formatPhoneDisplay(phone)}</div>
+        ${namaLain}
+      </div>
+      <div class="text-end">
+        <div>Total belanja: <strong>Rp ${formatRupiah(totalBelanja)}</strong></div>
+        <div>Angsuran DP: <strong>${angsuran.length}</strong></div>
+        <div>Sisa DP: <strong>${sisaDPText}</strong></div>
+      </div>
+    </div>`;
+}
+
+function renderHistory(history) {
+  const angsuranPerSale = history.angsuran.reduce((counts, installment) => {
+    counts[installment.penjualanId] = (counts[installment.penjualanId] || 0) + 1;
+    return counts;
+  }, {});
+
+  renderRows(
+    "penjualan",
+    history.penjualan,
+    (sale) => `
+      <tr>
+        <td>${escapeHtml(sale.tanggal)}</td>
+        <td>${escapeHtml(sale.jenisPenjualan || "-")}</td>
+        <td>${escapeHtml(getItemNames(sale.items))}</td>
+        <td class="text-end">${formatRupiah(sale.totalHarga)}</td>
+        <td>${escapeHtml(sale.statusPembayaran || "-")}</td>
+        <td>${escapeHtml(BranchService.getCabangName(BranchService.getCabangOf(sale)))}</td>
+      </tr>`
+  );
+
+  renderRows("dp", history.dp, (sale) => {
+    const sisa = DPService.getSisaPembayaran(sale);
+    const count = angsuranPerSale[sale.id];
+    const jumlahAngsuran = count ? `<div class="small">${count} angsuran</div>` : "";
+    return `
+      <tr class="${DPService.isOverdue(sale) ? "table-danger" : ""}">
+        <td>${escapeHtml(sale.tanggal)}</td>
+        <td>${escapeHtml(getItemNames(sale.items))}</td>
+        <td class="text-end">${formatRupiah(sale.totalHarga)}</td>
+        <td class="text-end">${formatRupiah(DPService.getTotalDibayar(sale))}${jumlahAngsuran}</td>
+        <td class="text-end fw-bold">${sisa > 0 ? formatRupiah(sisa) : "Lunas"}</td>
+        <td>${escapeHtml(sale.jatuhTempo || "-")}</td>
+      </tr>`;
+  });
+
+  renderRows(
+    "order",
+    history.order,
+    (order) => `
+      <tr>
+        <td>${escapeHtml(order.tanggal)}</td>
+        <td>${escapeHtml(order.orderBarang)}</td>
+        <td>${escapeHtml(order.berat)}</td>
+        <td>${escapeHtml(order.kadar)}</td>
+        <td>${escapeHtml(order.statusOrder || order.status || "-")}</td>
+        <td>${escapeHtml(order.sales)}</td>
+      </tr>`
+  );
+
+  renderRows(
+    "return",
+    history.return,
+    (item) => `
+      <tr>
+        <td>${escapeHtml(formatTanggal(item.tanggal))}</td>
+        <td>${escapeHtml(item.jenisReturn)}</td>
+        <td>${escapeHtml(getItemNames(item.detailReturn, "namaBarang"))}</td>
+        <td class="text-end">${getTotalJumlah(item.detailReturn)}</td>
+        <td>${escapeHtml(BranchService.getCabangName(BranchService.getCabangOf(item)))}</td>
+        <td>${escapeHtml(item.namaSales)}</td>
+      </tr>`
+  );
+
+  // Satu baris per barang buyback
+  const buybackItems = history.buyback.flatMap((record) => (record.items || []).map((item) => ({ record, item })));
+  renderRows(
+    "buyback",
+    buybackItems,
+    ({ record, item }) => `
+      <tr>
+        <td>${escapeHtml(record.tanggal)}</td>
+        <td>${escapeHtml(item.namaBarang || "-")}</td>
+        <td>${escapeHtml(item.kadar)}</td>
+        <td class="text-end">${formatRupiah(item.hargaBeli)}</td>
+        <td class="text-end">${formatRupiah(item.buybackPrice)}</td>
+        <td>${escapeHtml(record.kasir)}</td>
+      </tr>`
+  );
+}
+
+async function loadProfile(phone) {
+  const normalized = CustomerService.normalizePhone(phone);
+  if (!normalized) {
+    Swal.fire("Nomor HP tidak valid", "Masukkan nomor HP customer, contoh 0812xxxx", "warning");
+    return;
+  }
+
+  activePhone = normalized;
+  renderList();
+  customerProfile.innerHTML = `<div class="text-center text-muted">Memuat riwayat...</div>`;
+  clearTabs();
+
+  try {
+    const history = await CustomerService.getHistory(normalized);
+    renderProfile(normalized, history);
+    renderHistory(history);
+    window.history.replaceState(null, "", `?phone=${normalized}`);
+  } catch (error) {
+    console.error("❌ Failed to load customer history:", error);
+    customerProfile.innerHTML = `<div class="text-center text-danger">Gagal memuat riwayat customer</div>`;
+  }
+}
+
+// Event listeners
+searchCustomer.addEventListener("input", renderList);
+searchCustomer.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") loadProfile(searchCustomer.value);
+});
+btnCariCustomer.addEventListener("click", () => loadProfile(searchCustomer.value));
+customerList.addEventListener("click", (e) => {
+  const item = e.target.closest("[data-phone]");
+  if (item) loadProfile(item.dataset.phone);
+});
+
+// Initialize
+(async () => {
+  clearTabs();
+  await BranchService.getCabangList();
+  await loadCustomers();
+
+  const phone = new URLSearchParams(window.location.search).get("phone");
+  if (phone) loadProfile(phone);
+})();
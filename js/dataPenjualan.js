@@ -3,8 +3,6 @@ import {
   collection,
   getDocs,
   doc,
-  updateDoc,
-  deleteDoc,
   query,
   where,
   orderBy,
@@ -13,8 +11,26 @@ import {
   onSnapshot,
   limit,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import BranchService from "./services/branchService.js";
+import UserService from "./services/userService.js";
+import PermissionService from "./services/permissionService.js";
+import AuditService from "./services/auditService.js";
+import DPService from "./services/dpService.js";
+import PromotionService from "./services/promotionService.js";
+import SaleVoidService from "./services/saleVoidService.js";
+import SalesSummaryService from "./services/salesSummaryService.js";
+import ReceiptTemplateService from "./services/receiptTemplateService.js";
+import {
+  renderReceiptHTML,
+  renderInvoiceHTML,
+  printInWindow,
+  printItemInvoices,
+} from "./components/receiptTemplate.js";
+import { PAYMENT_TYPES, getPaymentLabel, summarizeTenders } from "./services/paymentTypes.js";
+import { requirePageAccess } from "./auth/authCheck.js";
 
-const VERIFICATION_PASSWORD = "smlt116";
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 // Optimized cache manager - no TTL, real-time updates
 const cacheManager = {
@@ -313,107 +329,44 @@ class OptimizedDataPenjualanApp {
     this.currentListeningDate = null;
     this.currentDeleteAction = null;
 
-    // ✅ PERBAIKAN: Tambahkan properties untuk inactivity timer
-    this.inactivityTimer = null;
+    // Listener real-time dihentikan selama layar dikunci SessionService
     this.isUserActive = true;
-    this.INACTIVITY_TIMEOUT = 5 * 60 * 1000; // 5 menit
 
     // Bind methods
     this.filterData = utils.debounce(this.filterData.bind(this), 300);
-
-    // ✅ PERBAIKAN: Bind inactivity methods
-    this.resetInactivityTimer = this.resetInactivityTimer.bind(this);
-    this.handleUserInactivity = this.handleUserInactivity.bind(this);
-  }
-
-  // ✅ PERBAIKAN: Tambahkan method untuk handle inactivity
-  resetInactivityTimer() {
-    // Clear existing timer
-    if (this.inactivityTimer) {
-      clearTimeout(this.inactivityTimer);
-    }
-
-    // Reactivate listener if user becomes active again
-    if (!this.isUserActive && this.currentSelectedDate) {
-      if (!this.realtimeListener) {
-        this.setupDateListener(this.currentSelectedDate);
-        this.currentListeningDate = this.currentSelectedDate;
-        console.log("📡 Real-time listener reactivated due to user activity");
-      }
-    }
-
-    this.isUserActive = true;
-
-    // Set new timer
-    this.inactivityTimer = setTimeout(this.handleUserInactivity, this.INACTIVITY_TIMEOUT);
+    this.handleSessionLocked = this.handleSessionLocked.bind(this);
+    this.handleSessionUnlocked = this.handleSessionUnlocked.bind(this);
   }
 
-  // ✅ PERBAIKAN: Handle user inactivity
-  handleUserInactivity() {
+  // Layar terkunci: hentikan listener untuk menghemat kuota
+  handleSessionLocked() {
     this.isUserActive = false;
 
     if (this.realtimeListener) {
       this.removeRealtimeListener();
-      console.log("🔇 Real-time listener deactivated due to inactivity (5 minutes)");
-
-      // Show subtle notification
-      this.showInactivityNotification();
+      console.log("🔇 Real-time listener deactivated while session is locked");
     }
   }
 
-  // ✅ PERBAIKAN: Show inactivity notification
-  showInactivityNotification() {
-    const existingNotification = document.getElementById("inactivityNotification");
-    if (existingNotification) existingNotification.remove();
-
-    const notification = document.createElement("div");
-    notification.id = "inactivityNotification";
-    notification.className = "alert alert-info alert-dismissible fade show mb-2";
-    notification.innerHTML = `
-      <i class="fas fa-pause-circle me-2"></i>
-      Real-time updates dihentikan sementara untuk menghemat kuota. Klik di mana saja untuk mengaktifkan kembali.
-      <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
-    `;
+  // Layar dibuka kembali: aktifkan lagi listener tanggal yang sedang dipilih
+  handleSessionUnlocked() {
+    this.isUserActive = true;
 
-    const container = document.querySelector(".container-fluid");
-    if (container) {
-      container.insertBefore(notification, container.firstChild);
+    if (this.currentSelectedDate && !this.realtimeListener) {
+      this.setupDateListener(this.currentSelectedDate);
+      this.currentListeningDate = this.currentSelectedDate;
+      console.log("📡 Real-time listener reactivated after unlock");
     }
-
-    // Auto remove after 10 seconds
-    setTimeout(() => {
-      if (notification.parentNode) notification.remove();
-    }, 10000);
   }
 
-  // ✅ PERBAIKAN: Setup inactivity listeners
-  setupInactivityListeners() {
-    // List of events that indicate user activity
-    const activityEvents = ["mousedown", "mousemove", "keypress", "scroll", "touchstart", "click", "focus", "blur"];
-
-    // Add event listeners
-    activityEvents.forEach((event) => {
-      document.addEventListener(event, this.resetInactivityTimer, true);
-    });
-
-    // Start the timer
-    this.resetInactivityTimer();
-
-    console.log("👁️ Inactivity monitoring started (5 minutes timeout)");
+  setupSessionListeners() {
+    document.addEventListener("session:locked", this.handleSessionLocked);
+    document.addEventListener("session:unlocked", this.handleSessionUnlocked);
   }
 
-  // ✅ PERBAIKAN: Remove inactivity listeners
-  removeInactivityListeners() {
-    const activityEvents = ["mousedown", "mousemove", "keypress", "scroll", "touchstart", "click", "focus", "blur"];
-
-    activityEvents.forEach((event) => {
-      document.removeEventListener(event, this.resetInactivityTimer, true);
-    });
-
-    if (this.inactivityTimer) {
-      clearTimeout(this.inactivityTimer);
-      this.inactivityTimer = null;
-    }
+  removeSessionListeners() {
+    document.removeEventListener("session:locked", this.handleSessionLocked);
+    document.removeEventListener("session:unlocked", this.handleSessionUnlocked);
   }
 
   // Initialize application
@@ -426,10 +379,11 @@ class OptimizedDataPenjualanApp {
     this.setDefaultDates();
 
     // Load initial data
-    await this.loadInitialData();
+    await Promise.all([this.loadInitialData(), ReceiptTemplateService.load()]);
 
     this.initDataTable();
     this.populateSalesFilter();
+    await BranchService.populateCabangSelect(document.getElementById("filterCabang"), { includeAll: true });
     this.loadFilterFromURL();
 
     // Set default if no URL params
@@ -439,8 +393,7 @@ class OptimizedDataPenjualanApp {
     }
 
     this.filterData();
-    // ✅ PERBAIKAN: Setup inactivity monitoring
-    this.setupInactivityListeners();
+    this.setupSessionListeners();
     console.log("✅ Optimized Data Penjualan initialized");
   }
 
@@ -641,17 +594,12 @@ class OptimizedDataPenjualanApp {
     };
 
     // ✅ TAMBAHAN: Event listeners untuk delete options
-    const btnHapusPenjualan = document.getElementById("btnHapusPenjualan");
     const btnBatalPenjualan = document.getElementById("btnBatalPenjualan");
     const btnConfirmAction = document.getElementById("btnConfirmAction");
     const btnBackToOptions = document.getElementById("btnBackToOptions");
 
-    if (btnHapusPenjualan) {
-      btnHapusPenjualan.addEventListener("click", () => this.showPasswordSection("hapus"));
-    }
-
     if (btnBatalPenjualan) {
-      btnBatalPenjualan.addEventListener("click", () => this.showPasswordSection("batal"));
+      btnBatalPenjualan.addEventListener("click", () => this.showPasswordSection("void"));
     }
 
     if (btnConfirmAction) {
@@ -720,7 +668,7 @@ class OptimizedDataPenjualanApp {
       this.filterData();
     });
 
-    $("#filterJenisPenjualan, #filterSales").on("change", () => {
+    $("#filterJenisPenjualan, #filterSales, #filterCabang").on("change", () => {
       this.filterData();
     });
   }
@@ -832,6 +780,7 @@ class OptimizedDataPenjualanApp {
       selectedDate: utils.parseDate(document.getElementById("filterTanggal").value),
       jenis: document.getElementById("filterJenisPenjualan").value,
       sales: document.getElementById("filterSales").value,
+      cabang: document.getElementById("filterCabang").value,
     };
 
     // Store current selected date for real-time listener
@@ -911,6 +860,9 @@ class OptimizedDataPenjualanApp {
       // Sales filter
       if (filters.sales !== "all" && transaction.sales !== filters.sales) return false;
 
+      // Cabang filter (transaksi lama tanpa cabang = cabang utama)
+      if (!BranchService.matchesCabang(transaction, filters.cabang)) return false;
+
       return true;
     });
 
@@ -1023,7 +975,9 @@ class OptimizedDataPenjualanApp {
       };
 
       if (transaction.items?.length > 0) {
-        transaction.items.forEach((item) => {
+        transaction.items.forEach((item, index) => {
+          const refunded = SaleVoidService.getRefundedQty(transaction, index);
+          const refundInfo = refunded > 0 ? `<br><small class="text-danger">Refund ${refunded}</small>` : "";
           tableData.push([
             baseData.date,
             baseData.time,
@@ -1031,7 +985,7 @@ class OptimizedDataPenjualanApp {
             baseData.jenis,
             item.kodeText || item.barcode || "-",
             item.nama || "-",
-            item.jumlah || 1,
+            `${item.jumlah || 1}${refundInfo}`,
             item.berat ? `${item.berat} gr` : "-",
             item.kadar || "-",
             `Rp ${utils.formatRupiah(item.totalHarga || 0)}`,
@@ -1088,7 +1042,32 @@ class OptimizedDataPenjualanApp {
       Lunas: `<span class="badge bg-success">Lunas</span>`,
       Free: `<span class="badge bg-info">Gratis</span>`,
     };
-    return badges[status] || `<span class="badge bg-secondary">${status}</span>`;
+    // statusPembayaran DP tersimpan dengan nominal ("DP 500.000")
+    const badge = status.startsWith("DP") ? badges.DP : badges[status];
+    return (
+      (badge || `<span class="badge bg-secondary">${status}</span>`) +
+      this.getVoidInfo(transaction) +
+      this.getTenderInfo(transaction)
+    );
+  }
+
+  // Badge void / refund sebagian beserta alasan terakhir
+  getVoidInfo(transaction) {
+    if (!transaction.statusVoid) return "";
+
+    const lastRefund = transaction.refunds?.[transaction.refunds.length - 1];
+    const title = lastRefund ? `${lastRefund.alasan} (disetujui ${lastRefund.disetujuiOleh || "-"})` : "";
+    const label =
+      transaction.statusVoid === "void" ? "Void" : `Refund Rp ${utils.formatRupiah(transaction.totalRefund || 0)}`;
+    return `<br><span class="badge bg-dark" title="${title.replace(/"/g, "&quot;")}">${label}</span>`;
+  }
+
+  // Metode pembayaran di bawah badge status (hanya penjualan multi-tender)
+  getTenderInfo(transaction) {
+    if (!Array.isArray(transaction.pembayaran) || transaction.pembayaran.length === 0) return "";
+
+    const labels = transaction.pembayaran.map((line) => getPaymentLabel(line.metode));
+    return `<br><small class="text-muted">${[...new Set(labels)].join(" + ")}</small>`;
   }
 
   // Get action buttons HTML
@@ -1115,6 +1094,12 @@ class OptimizedDataPenjualanApp {
 
     document.getElementById("totalTransaksi").textContent = totalTransaksi;
     document.getElementById("totalPendapatan").textContent = `Rp ${utils.formatRupiah(totalPendapatan)}`;
+
+    const perMetode = summarizeTenders(this.filteredData);
+    const tenderRows = [...new Set([...Object.keys(PAYMENT_TYPES), ...Object.keys(perMetode)])]
+      .filter((metode) => perMetode[metode])
+      .map((metode) => `<div>${getPaymentLabel(metode)}: Rp ${utils.formatRupiah(perMetode[metode])}</div>`);
+    document.getElementById("tenderSummary").innerHTML = tenderRows.join("") || "-";
   }
 
   // Calculate actual revenue
@@ -1123,20 +1108,23 @@ class OptimizedDataPenjualanApp {
       return 0;
     }
 
-    if (
-      transaction.jenisPenjualan === "manual" &&
-      (transaction.metodeBayar === "dp" || transaction.statusPembayaran === "DP")
-    ) {
-      return transaction.sisaPembayaran || 0;
+    // DP: uang yang sudah diterima (DP awal + angsuran), sisanya belum menjadi pendapatan
+    if (transaction.metodeBayar === "dp") {
+      return DPService.getTotalDibayar(transaction);
     }
 
     return transaction.totalHarga || 0;
   }
 
+  // Pendapatan setelah dikurangi refund (void penuh = 0)
+  calculateNetRevenue(transaction) {
+    return Math.max(this.calculateActualRevenue(transaction) - (Number(transaction.totalRefund) || 0), 0);
+  }
+
   // Calculate total revenue
   calculateTotalRevenue(transactions) {
     return transactions.reduce((total, transaction) => {
-      return total + this.calculateActualRevenue(transaction);
+      return total + this.calculateNetRevenue(transaction);
     }, 0);
   }
 
@@ -1409,11 +1397,21 @@ class OptimizedDataPenjualanApp {
           return updatedItem;
         });
 
-        updateData.totalHarga = updateData.items.reduce((sum, item) => sum + (item.totalHarga || 0), 0);
+        // totalHarga tetap neto: bruto hasil edit dikurangi diskon promo yang tercatat
+        const totalBruto = updateData.items.reduce((sum, item) => sum + (item.totalHarga || 0), 0);
+        updateData.totalHarga = totalBruto - PromotionService.getSaleDiscount(this.currentTransaction);
+        if (typeof this.currentTransaction.totalBruto === "number") {
+          updateData.totalBruto = totalBruto;
+        }
+        if (this.currentTransaction.metodeBayar === "dp") {
+          updateData.belumLunas = DPService.isBelumLunas({ ...this.currentTransaction, ...updateData });
+        }
       }
 
-      // Update in Firestore
-      await updateDoc(doc(firestore, "penjualanAksesoris", this.currentTransaction.id), updateData);
+      // Update in Firestore (dengan jejak audit), ringkasan harian ikut dikoreksi
+      await AuditService.updateDoc(doc(firestore, "penjualanAksesoris", this.currentTransaction.id), updateData, {
+        relatedWrites: (before, after) => SalesSummaryService.buildChangeWrites(before, after),
+      });
 
       // Update local data and cache (real-time listener akan sync ke browser lain)
       const dateChanged = originalDate && newDate && !utils.isSameDate(originalDate, newDate);
@@ -1490,10 +1488,13 @@ class OptimizedDataPenjualanApp {
   showDeleteOptions() {
     // Show options, hide password section
     document.getElementById("passwordSection").style.display = "none";
+    document.getElementById("multipleItemsSection").style.display = "none";
     document.getElementById("modalFooter").style.display = "block";
 
-    // Reset password
+    // Reset username + password
+    const usernameInput = document.getElementById("deleteVerificationUsername");
     const passwordInput = document.getElementById("deleteVerificationPassword");
+    if (usernameInput) usernameInput.value = "";
     if (passwordInput) passwordInput.value = "";
 
     // Reset action type
@@ -1501,6 +1502,10 @@ class OptimizedDataPenjualanApp {
   }
 
   showPasswordSection(actionType) {
+    if (actionType === "void" && SaleVoidService.isVoided(this.currentTransaction)) {
+      return utils.showAlert("Penjualan ini sudah di-void", "Info", "info");
+    }
+
     // Hide options, show password section
     document.getElementById("passwordSection").style.display = "block";
     document.getElementById("modalFooter").style.display = "none";
@@ -1511,246 +1516,106 @@ class OptimizedDataPenjualanApp {
     // Update confirmation button text
     const confirmBtn = document.getElementById("btnConfirmAction");
     if (confirmBtn) {
-      if (actionType === "hapus") {
-        confirmBtn.innerHTML = '<i class="fas fa-trash me-2"></i> Konfirmasi Hapus Penjualan';
-        confirmBtn.className = "btn btn-success";
-      } else {
-        confirmBtn.innerHTML = '<i class="fas fa-undo me-2"></i>Konfirmasi Batal Penjualan';
-        confirmBtn.className = "btn btn-success";
-      }
+      confirmBtn.innerHTML = '<i class="fas fa-undo me-2"></i>Konfirmasi Void / Refund';
+      confirmBtn.className = "btn btn-success";
     }
 
-    // Focus on password input
+    if (actionType === "void") {
+      this.renderVoidItems();
+      document.getElementById("multipleItemsSection").style.display = "block";
+    }
+
+    // Focus on username input
     setTimeout(() => {
-      document.getElementById("deleteVerificationPassword").focus();
+      document.getElementById("deleteVerificationUsername").focus();
     }, 100);
   }
 
   async executeDeleteAction() {
+    const username = document.getElementById("deleteVerificationUsername").value.trim();
     const password = document.getElementById("deleteVerificationPassword").value;
 
-    if (!password) {
-      return utils.showAlert("Masukkan kata sandi verifikasi terlebih dahulu.", "Peringatan", "warning");
+    if (!username || !password) {
+      return utils.showAlert("Masukkan username dan kata sandi verifikasi terlebih dahulu.", "Peringatan", "warning");
     }
 
-    if (password !== VERIFICATION_PASSWORD) {
-      return utils.showAlert("Kata sandi verifikasi salah.", "Error", "error");
+    const authorizedBy = await UserService.verifyAuthorization(username, password, "sales.delete");
+    if (!authorizedBy) {
+      return utils.showAlert("Username atau kata sandi salah, atau tidak berhak void penjualan.", "Error", "error");
     }
 
-    if (this.currentDeleteAction === "hapus") {
-      await this.deleteTransaction();
-    } else if (this.currentDeleteAction === "batal") {
-      await this.cancelTransaction();
+    if (this.currentDeleteAction === "void") {
+      await this.voidTransaction(authorizedBy);
     }
   }
 
-  // Confirm delete transaction
-  async deleteTransaction() {
-    try {
-      utils.showLoading(true);
-
-      // Hapus dari Firestore (logic existing)
-      await deleteDoc(doc(firestore, "penjualanAksesoris", this.currentTransaction.id));
-
-      // Update local data (real-time listener akan sync ke browser lain)
-      this.salesData = this.salesData.filter((item) => item.id !== this.currentTransaction.id);
-      this.filteredData = this.filteredData.filter((item) => item.id !== this.currentTransaction.id);
-
-      // Update cache
-      cacheManager.removeTransaction(this.currentTransaction.id);
-
-      this.updateDataTable();
-      this.updateSummary();
-
-      $("#deleteModal").modal("hide");
-      utils.showAlert("Penjualan berhasil dihapus", "Sukses", "success");
-    } catch (error) {
-      console.error("Error deleting transaction:", error);
-      utils.showAlert("Terjadi kesalahan saat menghapus penjualan: " + error.message, "Error", "error");
-    } finally {
-      utils.showLoading(false);
-    }
-  }
+  // Void / refund: penjualan tetap tersimpan, item terpilih dikembalikan ke stok lewat ledger pembalik
+  async voidTransaction(authorizedBy = null) {
+    const transaction = this.currentTransaction;
+    const alasan = document.getElementById("alasanVoid").value.trim();
+    const metode = document.getElementById("metodeRefund").value;
+    const items = [...document.querySelectorAll("#itemCheckboxes .void-item-row")]
+      .filter((row) => row.querySelector(".void-item-check").checked)
+      .map((row) => ({
+        index: Number(row.dataset.index),
+        jumlah: parseInt(row.querySelector(".void-item-qty").value) || 0,
+      }));
 
-  // ✅ GANTI: Function cancelTransaction() yang ada dengan versi sederhana
-  async cancelTransaction() {
     try {
+      PermissionService.assert("sales.delete", authorizedBy || PermissionService.getCurrentUser());
       utils.showLoading(true);
 
-      const transaction = this.currentTransaction;
-      console.log("🔄 Cancelling transaction:", transaction.id);
+      const { refund, changes } = await SaleVoidService.refund(transaction.id, { items, alasan, metode, authorizedBy });
 
-      // Step 1: Delete sales transaction
-      await deleteDoc(doc(firestore, "penjualanAksesoris", transaction.id));
-
-      // Step 2: Remove stock transactions & restore stock
-      let restoredCount = 0;
-      if (transaction.items?.length > 0) {
-        restoredCount = await this.removeStockTransactions(transaction);
-      }
-
-      // Step 3: Update local data (real-time listener akan sync ke browser lain)
-      this.salesData = this.salesData.filter((item) => item.id !== transaction.id);
-      this.filteredData = this.filteredData.filter((item) => item.id !== transaction.id);
-      cacheManager.removeTransaction(transaction.id);
-
-      this.updateDataTable();
-      this.updateSummary();
+      // voidAt masih serverTimestamp, listener real-time yang akan mengisinya
+      const { voidAt, ...localChanges } = changes;
+      this.updateLocalData(transaction.id, localChanges);
       $("#deleteModal").modal("hide");
 
-      // ✅ PESAN SUKSES SEDERHANA
-      const message =
-        restoredCount > 0
-          ? `Transaksi berhasil dibatalkan dan ${restoredCount} stok dikembalikan`
-          : "Transaksi berhasil dibatalkan";
-
-      utils.showAlert(message, "Sukses", "success");
+      const label = changes.statusVoid === "void" ? "Penjualan di-void" : "Refund tersimpan";
+      utils.showAlert(`${label}. Nominal refund Rp ${utils.formatRupiah(refund.nominal)}`, "Sukses", "success");
     } catch (error) {
-      console.error("❌ Error canceling transaction:", error);
-      utils.showAlert("Gagal membatalkan transaksi: " + error.message, "Error", "error");
+      console.error("❌ Error voiding transaction:", error);
+      const message =
+        error.code === "insufficient-stock" || error.code === "stale-stock"
+          ? "Saldo stok berubah, silakan coba lagi"
+          : error.message;
+      utils.showAlert("Gagal void / refund penjualan: " + message, "Error", "error");
     } finally {
       utils.showLoading(false);
     }
   }
 
-  // ✅ TAMBAHAN: Helper function untuk remove stock transactions
-  async removeStockTransactions(transaction) {
-    try {
-      let removedCount = 0;
-
-      let transactionDate = this.getTransactionDate(transaction);
-      if (!transactionDate) {
-        throw new Error("Invalid transaction date");
-      }
-
-      const startOfDay = new Date(transactionDate);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(transactionDate);
-      endOfDay.setHours(23, 59, 59, 999);
-
-      console.log(`🔍 Processing cancellation for: ${transactionDate.toDateString()}`);
-
-      // ✅ Enhanced logging untuk debugging
-      console.log(`📊 Transaction Analysis:`, {
-        id: transaction.id,
-        jenis: transaction.jenisPenjualan,
-        isGantiLock: transaction.isGantiLock,
-        itemCount: transaction.items.length,
-        items: transaction.items.map((item) => ({
-          nama: item.nama,
-          kodeText: item.kodeText,
-          kodeLock: item.kodeLock,
-          hasValidLock: !!(item.kodeLock && item.kodeLock !== "-"),
-        })),
-      });
-
-      // ✅ Deteksi apakah ini penjualan manual
-      const isManualSale =
-        transaction.jenisPenjualan === "manual" ||
-        transaction.isGantiLock ||
-        transaction.jenisPenjualan === "gantiLock";
-
-      for (const item of transaction.items) {
-        let kodeToSearch, jenisToSearch;
-
-        if (isManualSale) {
-          // ✅ Penjualan Manual - cek apakah ada kodeLock
-
-          if (!item.kodeLock || item.kodeLock === "-") {
-            // ❌ MANUAL TANPA KODE LOCK - skip (tidak perlu restore)
-            console.log(`⏭️ Manual sale without kodeLock, no stock restore needed:`, {
-              nama: item.nama,
-              kodeText: item.kodeText,
-              kodeLock: item.kodeLock,
-            });
-            continue;
-          }
-
-          // ✅ MANUAL DENGAN KODE LOCK - restore stok lock
-          kodeToSearch = item.kodeLock;
-          jenisToSearch = "gantiLock"; // ✅ CRITICAL FIX: konsisten dengan save (camelCase)
-        } else {
-          // ✅ PENJUALAN NORMAL (aksesoris/kotak/silver)
-
-          kodeToSearch = item.kodeText || item.barcode;
-
-          if (!kodeToSearch || kodeToSearch === "-") {
-            console.warn(`⚠️ No valid kode for normal sale, skipping:`, item);
-            continue;
-          }
-
-          jenisToSearch =
-            transaction.statusPembayaran === "Free" || transaction.metodeBayar === "free" ? "free" : "laku";
-        }
-
-        console.log(`🔄 Processing: ${kodeToSearch} (${jenisToSearch})`);
-
-        try {
-          // STEP 1: Cari dan hapus stock transaction
-          const stockQuery = query(
-            collection(firestore, "stokAksesorisTransaksi"),
-            where("kode", "==", kodeToSearch),
-            where("jenis", "==", jenisToSearch),
-            where("timestamp", ">=", Timestamp.fromDate(startOfDay)),
-            where("timestamp", "<=", Timestamp.fromDate(endOfDay)),
-            limit(1)
-          );
-
-          const stockSnapshot = await getDocs(stockQuery);
-
-          if (stockSnapshot.size > 0) {
-            const stockDoc = stockSnapshot.docs[0];
-
-            // Hapus dari stokAksesorisTransaksi
-            await deleteDoc(doc(firestore, "stokAksesorisTransaksi", stockDoc.id));
-
-            // ✅ STEP 2: Restore stok ke stokAksesoris (SEMUA JENIS)
-            await this.restoreStockQuantity(kodeToSearch, item.jumlah || 1);
-
-            removedCount++;
-            console.log(`✅ ${jenisToSearch} cancelled & stock restored: ${kodeToSearch} +${item.jumlah || 1}`);
-          } else {
-            console.warn(`⚠️ No stock transaction found: ${kodeToSearch} (${jenisToSearch})`);
-          }
-        } catch (error) {
-          console.error(`❌ Error processing ${kodeToSearch}:`, error);
-        }
-      }
-
-      console.log(`✅ Total cancelled: ${removedCount} items with stock restored`);
-      return removedCount;
-    } catch (error) {
-      console.error("❌ Error in removeStockTransactions:", error);
-      throw error;
-    }
-  }
-
-  // ✅ FINAL: restoreStockQuantity (tidak ada perubahan, sudah optimal)
-  async restoreStockQuantity(kode, jumlah) {
-    try {
-      const stockQuery = query(collection(firestore, "stokAksesoris"), where("kode", "==", kode), limit(1));
-
-      const stockSnapshot = await getDocs(stockQuery);
-
-      if (stockSnapshot.size > 0) {
-        const stockDoc = stockSnapshot.docs[0];
-        const stockData = stockDoc.data();
-        const currentStock = stockData.stokAkhir || 0;
-        const newStock = currentStock + jumlah;
-
-        await updateDoc(doc(firestore, "stokAksesoris", stockDoc.id), {
-          stokAkhir: newStock,
-          lastUpdated: serverTimestamp(),
-        });
+  // Daftar item yang masih bisa di-void / refund beserta jumlahnya
+  renderVoidItems() {
+    const transaction = this.currentTransaction;
+    const rows = (transaction.items || []).map((item, index) => {
+      const sisa = SaleVoidService.getRemainingQty(transaction, index);
+      const refunded = SaleVoidService.getRefundedQty(transaction, index);
+      const info = refunded > 0 ? ` <small class="text-danger">(sudah refund ${refunded})</small>` : "";
+      const disabled = sisa <= 0 ? "disabled" : "checked";
+
+      return `
+        <div class="void-item-row d-flex align-items-center gap-2 mb-1" data-index="${index}">
+          <input type="checkbox" class="form-check-input void-item-check mt-0" ${disabled} />
+          <span class="flex-grow-1 small">
+            ${item.kodeText || item.kodeLock || "-"} - ${item.nama || "-"}${info}
+          </span>
+          <input
+            type="number"
+            class="form-control form-control-sm void-item-qty"
+            style="width: 70px"
+            min="1"
+            max="${Math.max(sisa, 0)}"
+            value="${Math.max(sisa, 0)}"
+            ${sisa <= 0 ? "disabled" : ""}
+          />
+        </div>`;
+    });
 
-        console.log(`📦 Stock updated: ${kode} (${currentStock} → ${newStock})`);
-      } else {
-        console.warn(`⚠️ Stock document not found: ${kode}`);
-      }
-    } catch (error) {
-      console.error(`❌ Error restoring stock ${kode}:`, error);
-      throw error;
-    }
+    document.getElementById("itemCheckboxes").innerHTML = rows.join("") || "<p class='text-muted'>Tidak ada item</p>";
+    document.getElementById("alasanVoid").value = "";
+    document.getElementById("metodeRefund").value = "tunai";
   }
 
   // ✅ TAMBAHAN: Helper function untuk get transaction date
@@ -1778,428 +1643,22 @@ class OptimizedDataPenjualanApp {
       return utils.showAlert("Tidak ada data transaksi untuk dicetak!");
     }
 
-    const transaction = this.currentTransaction;
+    const transaction = {
+      ...this.currentTransaction,
+      tanggal: utils.formatDate(this.currentTransaction.timestamp || this.currentTransaction.tanggal),
+    };
 
     // Khusus invoice dengan >1 item: cetak per item satu-satu via iframe (anti duplikat)
-    if (type === "invoice" && transaction && Array.isArray(transaction.items) && transaction.items.length > 1) {
+    if (type === "invoice" && Array.isArray(transaction.items) && transaction.items.length > 1) {
       try {
         $("#printModal").modal("hide");
       } catch (_) {}
-      return this.printInvoicePerItem(transaction);
-    }
-
-    // Fallback: gunakan window.open untuk struk atau invoice biasa (single)
-    const printWindow = window.open("", "_blank");
-    if (!printWindow) {
-      return utils.showAlert("Popup diblokir oleh browser. Mohon izinkan popup untuk mencetak.", "Error", "error");
-    }
-    const html = type === "receipt" ? this.generateReceiptHTML(transaction) : this.generateInvoiceHTML(transaction);
-    printWindow.document.write(html);
-    printWindow.document.close();
-  }
-
-  // Generate receipt HTML
-  generateReceiptHTML(transaction) {
-    const tanggal = utils.formatDate(transaction.timestamp || transaction.tanggal);
-    let salesType = transaction.jenisPenjualan || "aksesoris";
-    if (salesType === "manual") salesType = "manual";
-
-    let receiptHTML = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Struk Kasir</title>
-      <style>
-        body { font-family: consolas; font-size: 12px; margin: 0; padding: 0; width: 80mm;}
-        .receipt { margin: 0 auto; padding: 5mm; }
-        .receipt h3, .receipt h4 { text-align: center; margin: 2mm 0; }
-        .receipt hr { border-top: 1px dashed #000; }
-        .receipt table { width: 100%; border-collapse: collapse; }
-        .receipt th, .receipt td { text-align: left; padding: 1mm 2mm; }
-        .info-header { display: flex; justify-content: space-between; margin: 2mm 0; font-size: 11px; padding: 0; }
-        .nama-barang { font-weight: bold; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; padding: 2mm 0; margin: 0; }
-        .detail-barang { display: flex; justify-content: space-between; font-size: 11px; padding: 1mm 0; margin: 0 0 2mm 0; }
-        .item-separator { border-bottom: 1px dotted #888; padding-bottom: 2mm; margin-bottom: 2mm; }
-        .text-center { text-align: center; }
-        .text-right { text-align: right; }
-        .keterangan { font-style: italic; font-size: 14px; margin-top: 2mm; border-top: 1px dotted #000; padding-top: 2mm; }
-        .payment-info { margin-top: 2mm; border-top: 1px dotted #000; padding-top: 2mm; }
-      </style>
-    </head>
-    <body>
-      <div class="receipt d-flex justify-content-center">
-        <h3>MELATI 3</h3>
-        <h4>JL. DIPONEGORO NO. 116</h4>
-        <h4>NOTA PENJUALAN ${salesType.toUpperCase()}</h4>
-        <hr>
-        <div class="info-header">
-          <span>Tanggal: ${tanggal}</span>
-          <span>Sales: ${transaction.sales || "-"}</span>
-        </div>
-        <hr>
-        <div>
-  `;
-
-    let hasKeterangan = false;
-    let keteranganText = "";
-
-    transaction.items?.forEach((item, index) => {
-      const itemHarga = parseInt(item.totalHarga || 0);
-      const isLastItem = index === transaction.items.length - 1;
-      const separatorClass = !isLastItem ? " item-separator" : "";
-
-      receiptHTML += `
-      <div class="${separatorClass}">
-        <div class="nama-barang">${item.nama || "-"}</div>
-        <div class="detail-barang">
-          <span>${item.kodeText || "-"}</span>
-          <span>${item.kadar || "-"}</span>
-          <span>${item.berat || "-"} gr</span>
-          <span>${utils.formatRupiah(itemHarga)}</span>
-        </div>
-      </div>
-    `;
-
-      if (item.keterangan && item.keterangan.trim() !== "") {
-        hasKeterangan = true;
-        keteranganText += item.keterangan + " ";
-      }
-    });
-
-    const totalHarga = parseInt(transaction.totalHarga || 0);
-    receiptHTML += `
-        </div>
-        <hr>
-        <table style="width: 100%; margin-top: 2mm;">
-          <tr style="border-top: 2px solid #000;">
-            <td style="text-align: right; padding-right: 2mm;"><strong>Total:</strong></td>
-            <td style="text-align: right;"><strong>${utils.formatRupiah(totalHarga)}</strong></td>
-          </tr>
-        </table>
-  `;
-
-    // PERBAIKAN: Add DP information dengan logika yang benar
-    if (transaction.metodeBayar === "dp" || transaction.statusPembayaran === "DP") {
-      const dpAmount = parseInt(transaction.nominalDP || 0);
-
-      receiptHTML += `
-      <div class="payment-info">
-        <table>
-          <tr>
-            <td>Total Harga:</td>
-            <td class="text-right">${utils.formatRupiah(totalHarga)}</td>
-          </tr>
-          <tr>
-            <td>DP:</td>
-            <td class="text-right">${utils.formatRupiah(dpAmount)}</td>
-          </tr>
-    `;
-
-      // PERBAIKAN: Logika untuk menampilkan SISA atau KEMBALIAN
-      if (dpAmount >= totalHarga) {
-        // Jika DP >= total, tampilkan kembalian (jika ada)
-        if (dpAmount > totalHarga) {
-          const kembalian = dpAmount - totalHarga;
-          receiptHTML += `
-          <tr>
-            <td><strong>KEMBALIAN:</strong></td>
-            <td class="text-right"><strong>${utils.formatRupiah(kembalian)}</strong></td>
-          </tr>
-        `;
-        } else {
-          // Jika DP = total, tampilkan LUNAS
-          receiptHTML += `
-          <tr>
-            <td colspan="2" class="text-center"><strong>LUNAS</strong></td>
-          </tr>
-        `;
-        }
-      } else {
-        // Jika DP < total, tampilkan sisa pembayaran
-        const remainingAmount = parseInt(transaction.sisaPembayaran || 0);
-        receiptHTML += `
-        <tr>
-          <td><strong>SISA:</strong></td>
-          <td class="text-right"><strong>${utils.formatRupiah(remainingAmount)}</strong></td>
-        </tr>
-      `;
-      }
-
-      receiptHTML += `
-        </table>
-      </div>
-    `;
+      return printItemInvoices(transaction);
     }
 
-    if (hasKeterangan && transaction.jenisPenjualan === "manual") {
-      receiptHTML += `
-      <div class="keterangan">
-        <strong>Keterangan:</strong> ${keteranganText.trim()}
-      </div>
-    `;
-    }
-
-    receiptHTML += `
-        <hr>
-        <p class="text-center">Terima Kasih<br>Atas Kunjungan Anda</p>
-      </div>
-      <script>
-        window.onload = function() {
-          window.print();
-          setTimeout(function() { window.close(); }, 500);
-        };
-      </script>
-    </body>
-    </html>
-  `;
-
-    return receiptHTML;
-  }
-
-  // Generate invoice HTML
-  generateInvoiceHTML(transaction) {
-    const tanggal = utils.formatDate(transaction.timestamp || transaction.tanggal);
-
-    let invoiceHTML = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Invoice Customer</title>
-      <style>
-        @page { size: 10cm 20cm; margin: 0; }
-        body { font-family: Arial, sans-serif; font-size: 12px; margin: 0; padding: 5mm; width: 20cm; box-sizing: border-box; }
-        .invoice { width: 100%; position: relative; min-height: 19cm; }
-        .header-info { text-align: left; margin-bottom: 0.5cm; margin-left: 14.3cm; margin-top: 0.8cm; }
-        .customer-info { text-align: left; margin-bottom: 1.1cm; margin-left: 14.3cm; font-size: 11px; line-height: 1.2; }
-        .total-row { position: absolute; top: 6.3cm; right: 3cm; text-align: right; font-weight: bold; }
-        .sales { position: absolute; top: 7.2cm; right: 1.6cm; text-align: right; }
-        .keterangan { position: absolute; top: 5cm; left: 0.5cm; right: 3cm; font-style: italic; font-size: 10px; padding-top: 2mm; text-align: left; }
-        .keterangan-spacer { height: 0; }
-        .item-details { display: flex; flex-wrap: wrap; }
-        .item-data { display: grid; grid-template-columns: 2cm 2.8cm 4.7cm 1.8cm 1.8cm 2cm; width: 100%; column-gap: 0.2cm; margin-left: 0.5cm; margin-top: 0.8cm; margin-right: 3cm; }
-        .item-data span { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
-        .item-data span:nth-child(3) { white-space: normal; overflow: visible; text-overflow: clip; word-wrap: break-word; }
-      </style>
-    </head>
-    <body>
-      <div class="invoice">
-        <div class="header-info">
-          <p>${tanggal}</p>
-        </div>
-        <div class="customer-info">
-          <div>${transaction.customerName || "-"}</div>
-          <div>${transaction.customerPhone || ""}</div>
-        </div>
-  `;
-
-    let hasKeterangan = false;
-    let keteranganText = "";
-    let totalHarga = 0;
-
-    // Loop untuk menampilkan semua item-data
-    transaction.items?.forEach((item) => {
-      const itemHarga = parseInt(item.totalHarga || 0);
-      totalHarga += itemHarga;
-
-      invoiceHTML += `
-      <div class="item-details">
-        <div class="item-data">
-          <span>${item.kodeText || "-"}</span>
-          <span>${item.jumlah || " "}pcs</span>
-          <span>${item.nama || "-"}</span>
-          <span>${item.kadar || "-"}</span>
-          <span>${item.berat || "-"}gr</span>
-          <span>${utils.formatRupiah(itemHarga)}</span>
-        </div>
-      </div>
-    `;
-
-      // Kumpulkan keterangan
-      if (item.keterangan && item.keterangan.trim() !== "") {
-        hasKeterangan = true;
-        keteranganText += `${item.keterangan}; `;
-      }
-    });
-
-    // Tampilkan keterangan atau spacer
-    if (hasKeterangan && transaction.jenisPenjualan === "manual") {
-      invoiceHTML += `
-      <div class="keterangan">
-        <strong>Keterangan:</strong><br>
-        ${keteranganText.trim()}
-      </div>
-    `;
-    } else {
-      invoiceHTML += `<div class="keterangan-spacer"></div>`;
-    }
-
-    // Tampilkan total dan sales
-    invoiceHTML += `
-      <div class="total-row">
-        Rp ${utils.formatRupiah(totalHarga)}
-      </div>
-      <div class="sales">${transaction.sales || "-"}</div>
-      </div>
-      <script>
-        window.onload = function() {
-          window.print();
-          setTimeout(function() { window.close(); }, 500);
-        };
-      </script>
-    </body>
-    </html>
-  `;
-
-    return invoiceHTML;
-  }
-
-  // Cetak invoice per item (khusus penjualan manual > 1 item)
-  printInvoicePerItem(transaction) {
-    if (!transaction?.items || transaction.items.length === 0) {
-      return utils.showAlert("Tidak ada item untuk dicetak.", "Info", "info");
-    }
-
-    const totalItems = transaction.items.length;
-    let index = 0;
-
-    const printNext = () => {
-      if (index >= totalItems) {
-        return; // selesai
-      }
-
-      const item = transaction.items[index];
-      const html = this.generateSingleItemInvoiceHTML(transaction, item, index + 1, totalItems);
-      this.printViaIframe(html, () => {
-        index += 1;
-        // beri jeda singkat antar cetak untuk stabilitas printer
-        setTimeout(printNext, 200);
-      });
-    };
-
-    printNext();
-  }
-
-  // Template invoice untuk satu item (tanpa auto window.print di onload)
-  generateSingleItemInvoiceHTML(transaction, item, itemIndex, itemTotal) {
-    const tanggal = utils.formatDate(transaction.timestamp || transaction.tanggal);
-    const itemHarga = parseInt(item?.totalHarga || 0);
-    const keteranganText =
-      transaction.jenisPenjualan === "manual" && item?.keterangan && item.keterangan.trim() !== ""
-        ? `<div class="keterangan"><strong>Keterangan:</strong><br>${item.keterangan.trim()}</div>`
-        : `<div class="keterangan-spacer"></div>`;
-
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Invoice Customer - Item ${itemIndex}/${itemTotal}</title>
-      <style>
-        @page { size: 10cm 20cm; margin: 0; }
-        body { font-family: Arial, sans-serif; font-size: 12px; margin: 0; padding: 5mm; width: 20cm; box-sizing: border-box; }
-        .invoice { width: 100%; position: relative; min-height: 19cm; }
-        .header-info { text-align: left; margin-bottom: 0.5cm; margin-left: 14.3cm; margin-top: 0.8cm; }
-        .customer-info { text-align: left; margin-bottom: 1.1cm; margin-left: 14.3cm; font-size: 11px; line-height: 1.2; }
-        .total-row { position: absolute; top: 6.3cm; right: 3cm; text-align: right; font-weight: bold; }
-        .sales { position: absolute; top: 7.2cm; right: 1.6cm; text-align: right; }
-        .keterangan { position: absolute; top: 5cm; left: 0.5cm; right: 3cm; font-style: italic; font-size: 10px; padding-top: 2mm; text-align: left; }
-        .keterangan-spacer { height: 0; }
-        .item-details { display: flex; flex-wrap: wrap; }
-        .item-data { display: grid; grid-template-columns: 2cm 2.8cm 4.7cm 1.8cm 1.8cm 2cm; width: 100%; column-gap: 0.2cm; margin-left: 0.5cm; margin-top: 0.8cm; margin-right: 3cm; }
-        .item-data span { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
-        .item-data span:nth-child(3) { white-space: normal; overflow: visible; text-overflow: clip; word-wrap: break-word; }
-      </style>
-    </head>
-    <body>
-      <div class="invoice">
-        <div class="header-info">
-          <p>${tanggal}</p>
-        </div>
-        <div class="customer-info">
-          <div>${transaction.customerName || "-"}</div>
-          <div>${transaction.customerPhone || ""}</div>
-        </div>
-        <div class="item-details">
-          <div class="item-data">
-            <span>${item?.kodeText || "-"}</span>
-            <span>${item?.jumlah || " "}pcs</span>
-            <span>${item?.nama || "-"}</span>
-            <span>${item?.kadar || "-"}</span>
-            <span>${item?.berat || "-"}gr</span>
-            <span>${utils.formatRupiah(itemHarga)}</span>
-          </div>
-        </div>
-        ${keteranganText}
-        <div class="total-row">Rp ${utils.formatRupiah(itemHarga)}</div>
-        <div class="sales">${transaction.sales || "-"}</div>
-      </div>
-    </body>
-    </html>`;
-  }
-
-  // Controller cetak via iframe tersembunyi (hindari duplikasi)
-  printViaIframe(html, onDone) {
-    try {
-      const iframe = document.createElement("iframe");
-      iframe.style.position = "fixed";
-      iframe.style.right = "0";
-      iframe.style.bottom = "0";
-      iframe.style.width = "0";
-      iframe.style.height = "0";
-      iframe.style.border = "0";
-      document.body.appendChild(iframe);
-
-      const doc = iframe.contentDocument || iframe.contentWindow.document;
-      doc.open();
-      doc.write(html);
-      doc.close();
-
-      const cleanup = () => {
-        try {
-          if (iframe && iframe.parentNode) iframe.parentNode.removeChild(iframe);
-        } catch (_) {}
-      };
-
-      const handleAfterPrint = () => {
-        try {
-          iframe.contentWindow.removeEventListener("afterprint", handleAfterPrint);
-        } catch (_) {}
-        cleanup();
-        if (typeof onDone === "function") onDone();
-      };
-
-      // Listener afterprint untuk memastikan 1x cetak
-      try {
-        iframe.contentWindow.addEventListener("afterprint", handleAfterPrint);
-      } catch (_) {}
-
-      const tryPrint = () => {
-        try {
-          iframe.contentWindow.focus();
-          iframe.contentWindow.print();
-        } catch (e) {
-          // jika dokumen belum siap, coba lagi
-          return setTimeout(tryPrint, 150);
-        }
-        // Fallback jika afterprint tidak terpanggil
-        setTimeout(() => {
-          if (document.body.contains(iframe)) {
-            try {
-              iframe.contentWindow.removeEventListener("afterprint", handleAfterPrint);
-            } catch (_) {}
-            cleanup();
-            if (typeof onDone === "function") onDone();
-          }
-        }, 2500);
-      };
-
-      if (doc.readyState === "complete") {
-        setTimeout(tryPrint, 50);
-      } else {
-        iframe.onload = () => setTimeout(tryPrint, 50);
-      }
-    } catch (err) {
-      console.error("Print via iframe failed:", err);
-      if (typeof onDone === "function") onDone();
+    const html = type === "receipt" ? renderReceiptHTML(transaction) : renderInvoiceHTML(transaction);
+    if (!printInWindow(html)) {
+      utils.showAlert("Popup diblokir oleh browser. Mohon izinkan popup untuk mencetak.", "Error", "error");
     }
   }
 
@@ -2267,8 +1726,7 @@ class OptimizedDataPenjualanApp {
     // Remove real-time listener
     this.removeTodayListener();
 
-    // ✅ PERBAIKAN: Remove inactivity listeners
-    this.removeInactivityListeners();
+    this.removeSessionListeners();
 
     // Destroy DataTable
     if (this.dataTable) {
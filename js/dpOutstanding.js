@@ -0,0 +1,388 @@
+import DPService from "./services/dpService.js";
+import BranchService from "./services/branchService.js";
+import PermissionService from "./services/permissionService.js";
+import { PAYMENT_TYPES, getPaymentLabel, calculatePayment } from "./services/paymentTypes.js";
+import ReceiptTemplateService from "./services/receiptTemplateService.js";
+import { escapeHtml } from "./services/helpers.js";
+import { renderReceiptDocument, printInWindow } from "./components/receiptTemplate.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const filterCabang = document.getElementById("filterCabang");
+const searchCustomer = document.getElementById("searchCustomer");
+const filterJatuhTempo = document.getElementById("filterJatuhTempo");
+const btnTampilkan = document.getElementById("btnTampilkan");
+const outstandingSummary = document.getElementById("outstandingSummary");
+const tableDP = document.querySelector("#tableDP tbody");
+
+// Bayar modal refs
+const bayarModal = document.getElementById("bayarModal");
+const bayarInfo = document.getElementById("bayarInfo");
+const tablePembayaran = document.querySelector("#tablePembayaran tbody");
+const btnTambahPembayaran = document.getElementById("btnTambahPembayaran");
+const jatuhTempoBaru = document.getElementById("jatuhTempoBaru");
+const keteranganAngsuran = document.getElementById("keteranganAngsuran");
+const bayarRingkasan = document.getElementById("bayarRingkasan");
+const btnSimpanAngsuran = document.getElementById("btnSimpanAngsuran");
+
+// Riwayat modal refs
+const riwayatModal = document.getElementById("riwayatModal");
+const riwayatInfo = document.getElementById("riwayatInfo");
+const tableRiwayat = document.querySelector("#tableRiwayat tbody");
+
+let outstanding = [];
+let currentSale = null;
+let currentInstallments = [];
+
+// Helpers
+function formatRupiah(angka) {
+  return new Intl.NumberFormat("id-ID").format(Math.round(Number(angka) || 0));
+}
+
+function parseRupiah(value) {
+  return parseInt(String(value || "").replace(/\./g, "")) || 0;
+}
+
+// yyyy-mm-dd → dd/mm/yyyy
+function formatJatuhTempo(value) {
+  if (!value) return "-";
+  const [year, month, day] = value.split("-");
+  return `${day}/${month}/${year}`;
+}
+
+function getCustomerLabel(sale) {
+  const phone = sale.customerPhone ? `<div class="small text-muted">${escapeHtml(sale.customerPhone)}</div>` : "";
+  return `${escapeHtml(sale.customerName || "-")}${phone}`;
+}
+
+function getItemNames(sale) {
+  return (sale.items || []).map((item) => item.nama || item.kodeText).join(", ");
+}
+
+function getSaleHeader(sale) {
+  return `<div><strong>${escapeHtml(sale.customerName || "-")}</strong> - ${escapeHtml(getItemNames(sale))}</div>`;
+}
+
+async function loadOutstanding() {
+  btnTampilkan.disabled = true;
+  tableDP.innerHTML = `<tr><td colspan="8" class="text-center">Memuat data...</td></tr>`;
+
+  try {
+    outstanding = await DPService.getOutstanding(filterCabang.value);
+    renderTable();
+  } catch (error) {
+    console.error("❌ Failed to load outstanding DP:", error);
+    tableDP.innerHTML = `<tr><td colspan="8" class="text-center text-danger">Gagal memuat data DP</td></tr>`;
+  } finally {
+    btnTampilkan.disabled = false;
+  }
+}
+
+function renderTable() {
+  const keyword = searchCustomer.value.trim().toLowerCase();
+  const rows = outstanding.filter((sale) => {
+    const customer = `${sale.customerName || ""} ${sale.customerPhone || ""}`.toLowerCase();
+    return (!keyword || customer.includes(keyword)) && (!filterJatuhTempo.checked || DPService.isOverdue(sale));
+  });
+
+  const totalSisa = rows.reduce((sum, sale) => sum + DPService.getSisaPembayaran(sale), 0);
+  outstandingSummary.textContent = `${rows.length} transaksi - sisa Rp ${formatRupiah(totalSisa)}`;
+
+  if (rows.length === 0) {
+    tableDP.innerHTML = `<tr><td colspan="8" class="text-center">Tidak ada DP yang belum lunas</td></tr>`;
+    return;
+  }
+
+  const canPay = PermissionService.can("sales.create");
+  tableDP.innerHTML = rows
+    .map((sale) => {
+      const overdue = DPService.isOverdue(sale);
+      const jatuhTempo = overdue
+        ? `<span class="text-danger fw-bold">${formatJatuhTempo(sale.jatuhTempo)}</span>`
+        : formatJatuhTempo(sale.jatuhTempo);
+      const bayarButton = canPay
+        ? `<button type="button" class="btn btn-sm btn-success btn-bayar" data-id="${sale.id}" title="Bayar">
+            <i class="fas fa-money-bill-wave"></i>
+          </button>`
+        : "";
+
+      return `
+        <tr class="${overdue ? "table-danger" : ""}">
+          <td>${escapeHtml(sale.tanggal)}</td>
+          <td>${getCustomerLabel(sale)}</td>
+          <td>${escapeHtml(getItemNames(sale))}</td>
+          <td class="text-end">${formatRupiah(sale.totalHarga)}</td>
+          <td class="text-end">${formatRupiah(DPService.getTotalDibayar(sale))}</td>
+          <td class="text-end fw-bold">${formatRupiah(DPService.getSisaPembayaran(sale))}</td>
+          <td>${jatuhTempo}</td>
+          <td class="text-center">
+            ${bayarButton}
+            <button type="button" class="btn btn-sm btn-outline-primary btn-riwayat" title="Riwayat"
+              data-id="${sale.id}">
+              <i class="fas fa-history"></i>
+            </button>
+          </td>
+        </tr>`;
+    })
+    .join("");
+}
+
+// Bayar angsuran
+function addPaymentRow(metode = "tunai", jumlah = 0) {
+  const options = Object.entries(PAYMENT_TYPES)
+    .map(([value, type]) => `<option value="${value}" ${value === metode ? "selected" : ""}>${type.label}</option>`)
+    .join("");
+
+  tablePembayaran.insertAdjacentHTML(
+    "beforeend",
+    `<tr>
+      <td><select class="form-select form-select-sm metode-bayar-input">${options}</select></td>
+      <td><input type="text" class="form-control form-control-sm jumlah-bayar-input" placeholder="0"
+        value="${jumlah ? formatRupiah(jumlah) : ""}" /></td>
+      <td><input type="text" class="form-control form-control-sm referensi-input" /></td>
+      <td class="text-center">
+        <button type="button" class="btn btn-sm btn-outline-danger btn-hapus-pembayaran">
+          <i class="fas fa-times"></i>
+        </button>
+      </td>
+    </tr>`
+  );
+}
+
+function collectPaymentLines() {
+  return [...tablePembayaran.querySelectorAll("tr")]
+    .map((row) => ({
+      metode: row.querySelector(".metode-bayar-input").value,
+      jumlah: parseRupiah(row.querySelector(".jumlah-bayar-input").value),
+      referensi: row.querySelector(".referensi-input").value.trim(),
+    }))
+    .filter((line) => line.jumlah > 0);
+}
+
+function renderBayarRingkasan() {
+  const sisa = DPService.getSisaPembayaran(currentSale);
+  const payment = calculatePayment(collectPaymentLines(), sisa);
+  const sisaSesudah = Math.max(0, sisa - (payment.totalBayar - payment.kembalian));
+  const status =
+    sisaSesudah > 0 ? `Sisa setelah bayar Rp ${formatRupiah(sisaSesudah)}` : `<span class="text-success">LUNAS</span>`;
+
+  bayarRingkasan.innerHTML = `
+    Dibayar Rp ${formatRupiah(payment.totalBayar)} &middot;
+    Kembalian Rp ${formatRupiah(payment.kembalian)} &middot;
+    ${status}`;
+}
+
+function openBayarModal(saleId) {
+  currentSale = outstanding.find((sale) => sale.id === saleId);
+  if (!currentSale) return;
+
+  bayarInfo.innerHTML = `
+    ${getSaleHeader(currentSale)}
+    <div class="small text-muted">
+      Total Rp ${formatRupiah(currentSale.totalHarga)} &middot;
+      Dibayar Rp ${formatRupiah(DPService.getTotalDibayar(currentSale))} &middot;
+      Sisa <strong>Rp ${formatRupiah(DPService.getSisaPembayaran(currentSale))}</strong>
+    </div>`;
+
+  tablePembayaran.innerHTML = "";
+  addPaymentRow();
+  jatuhTempoBaru.value = currentSale.jatuhTempo || "";
+  keteranganAngsuran.value = "";
+  renderBayarRingkasan();
+
+  bootstrap.Modal.getOrCreateInstance(bayarModal).show();
+}
+
+async function simpanAngsuran() {
+  const lines = collectPaymentLines();
+  if (lines.length === 0) {
+    Swal.fire("Perhatian", "Jumlah pembayaran harus diisi", "warning");
+    return;
+  }
+
+  btnSimpanAngsuran.disabled = true;
+  try {
+    const installment = await DPService.recordInstallment(currentSale.id, {
+      pembayaran: lines,
+      jatuhTempo: jatuhTempoBaru.value,
+      keterangan: keteranganAngsuran.value.trim(),
+    });
+
+    bootstrap.Modal.getInstance(bayarModal)?.hide();
+    printInstallmentReceipt(installment, installment.sale);
+    Swal.fire(
+      "Berhasil",
+      installment.isPelunasan
+        ? "DP sudah lunas"
+        : `Angsuran tersimpan, sisa Rp ${formatRupiah(installment.sisaSesudah)}`,
+      "success"
+    );
+    await loadOutstanding();
+  } catch (error) {
+    console.error("❌ Save installment error:", error);
+    const message =
+      error.code === "no-open-shift" ? `${error.message} Shift dibuka di halaman Penjualan Aksesoris.` : error.message;
+    Swal.fire("Error", message, "error");
+  } finally {
+    btnSimpanAngsuran.disabled = false;
+  }
+}
+
+// Riwayat pembayaran: DP awal dari dokumen penjualan + angsuran dari angsuranDP
+async function openRiwayatModal(saleId) {
+  currentSale = outstanding.find((sale) => sale.id === saleId);
+  if (!currentSale) return;
+
+  riwayatInfo.innerHTML = `
+    ${getSaleHeader(currentSale)}
+    <div class="small text-muted">Total Rp ${formatRupiah(currentSale.totalHarga)}</div>`;
+  tableRiwayat.innerHTML = `<tr><td colspan="6" class="text-center">Memuat riwayat...</td></tr>`;
+  bootstrap.Modal.getOrCreateInstance(riwayatModal).show();
+
+  try {
+    currentInstallments = await DPService.getInstallments(saleId);
+  } catch (error) {
+    console.error("❌ Failed to load installments:", error);
+    tableRiwayat.innerHTML = `<tr><td colspan="6" class="text-center text-danger">Gagal memuat riwayat</td></tr>`;
+    return;
+  }
+
+  const dpAwal = Math.min(Number(currentSale.nominalDP) || 0, Number(currentSale.totalHarga) || 0);
+  const formatMetode = (lines = []) => lines.map((line) => getPaymentLabel(line.metode)).join(" + ") || "Tunai";
+
+  tableRiwayat.innerHTML =
+    `<tr>
+      <td>${escapeHtml(currentSale.tanggal)}</td>
+      <td>DP awal</td>
+      <td>${formatMetode(currentSale.pembayaran)}</td>
+      <td class="text-end">${formatRupiah(dpAwal)}</td>
+      <td class="text-end">${formatRupiah((Number(currentSale.totalHarga) || 0) - dpAwal)}</td>
+      <td></td>
+    </tr>` +
+    currentInstallments
+      .map((installment) => {
+        const keterangan = installment.keterangan
+          ? `<div class="small text-muted">${escapeHtml(installment.keterangan)}</div>`
+          : "";
+
+        return `
+        <tr>
+          <td>${escapeHtml(installment.tanggal)}</td>
+          <td>${installment.isPelunasan ? "Pelunasan" : "Angsuran"}${keterangan}</td>
+          <td>${formatMetode(installment.pembayaran)}</td>
+          <td class="text-end">${formatRupiah(installment.jumlah)}</td>
+          <td class="text-end">${formatRupiah(installment.sisaSesudah)}</td>
+          <td class="text-center">
+            <button type="button" class="btn btn-sm btn-outline-secondary btn-cetak" data-id="${installment.id}"
+              title="Cetak Ulang">
+              <i class="fas fa-print"></i>
+            </button>
+          </td>
+        </tr>`;
+      })
+      .join("");
+}
+
+// Struk angsuran / pelunasan DP, kop dan footer mengikuti template struk
+function printInstallmentReceipt(installment, sale) {
+  const row = (label, value) => `<tr><td>${label}</td><td class="text-right">${value}</td></tr>`;
+  const paymentRows = (installment.pembayaran || [])
+    .map((line) => {
+      const referensi = line.referensi ? ` (${escapeHtml(line.referensi)})` : "";
+      return row(`${getPaymentLabel(line.metode)}${referensi}`, formatRupiah(line.jumlah));
+    })
+    .join("");
+  const sisaRows = installment.isPelunasan
+    ? `<tr class="total"><td colspan="2" class="text-center">LUNAS</td></tr>`
+    : `<tr class="total"><td>SISA</td><td class="text-right">${formatRupiah(installment.sisaSesudah)}</td></tr>
+      ${sale.jatuhTempo ? row("Jatuh tempo", formatJatuhTempo(sale.jatuhTempo)) : ""}`;
+  const items = (sale.items || [])
+    .map((item) => `<div>${escapeHtml(item.nama || "-")} <span>${escapeHtml(item.kodeText || "")}</span></div>`)
+    .join("");
+
+  const body = `
+        <table>
+          ${row("Tanggal", escapeHtml(installment.tanggal))}
+          ${row("Customer", escapeHtml(sale.customerName || "-"))}
+          ${row("Kasir", escapeHtml(installment.kasir))}
+        </table>
+        <hr>
+        ${items}
+        <hr>
+        <table>
+          ${row("Total harga", formatRupiah(sale.totalHarga))}
+          ${row("Sisa sebelumnya", formatRupiah(installment.sisaSebelum))}
+          <tr class="total"><td>Dibayar</td><td class="text-right">${formatRupiah(installment.jumlah)}</td></tr>
+        </table>
+        <hr>
+        <table>
+          ${paymentRows}
+          ${installment.kembalian > 0 ? row("Kembalian", formatRupiah(installment.kembalian)) : ""}
+        </table>
+        <hr>
+        <table>
+          ${sisaRows}
+        </table>`;
+
+  const jenis = installment.isPelunasan ? "Pelunasan" : "Angsuran";
+  const html = renderReceiptDocument({
+    documentTitle: `Struk ${jenis} DP`,
+    title: `NOTA ${jenis.toUpperCase()} DP`,
+    body,
+  });
+  if (!printInWindow(html)) {
+    Swal.fire("Error", "Popup diblokir oleh browser. Mohon izinkan popup untuk mencetak.", "error");
+  }
+}
+
+// Event listeners
+btnTampilkan.addEventListener("click", loadOutstanding);
+filterCabang.addEventListener("change", loadOutstanding);
+searchCustomer.addEventListener("input", renderTable);
+filterJatuhTempo.addEventListener("change", renderTable);
+
+tableDP.addEventListener("click", (e) => {
+  const bayarButton = e.target.closest(".btn-bayar");
+  const riwayatButton = e.target.closest(".btn-riwayat");
+  if (bayarButton) openBayarModal(bayarButton.dataset.id);
+  if (riwayatButton) openRiwayatModal(riwayatButton.dataset.id);
+});
+
+tableRiwayat.addEventListener("click", (e) => {
+  const cetakButton = e.target.closest(".btn-cetak");
+  if (!cetakButton) return;
+
+  const installment = currentInstallments.find((item) => item.id === cetakButton.dataset.id);
+  if (installment) printInstallmentReceipt(installment, currentSale);
+});
+
+btnTambahPembayaran.addEventListener("click", () => {
+  const { kurang } = calculatePayment(collectPaymentLines(), DPService.getSisaPembayaran(currentSale));
+  addPaymentRow("transfer", kurang);
+  renderBayarRingkasan();
+});
+
+tablePembayaran.addEventListener("input", renderBayarRingkasan);
+tablePembayaran.addEventListener("change", renderBayarRingkasan);
+tablePembayaran.addEventListener("focusout", (e) => {
+  if (!e.target.classList.contains("jumlah-bayar-input")) return;
+  const nominal = parseRupiah(e.target.value);
+  e.target.value = nominal ? formatRupiah(nominal) : "";
+});
+tablePembayaran.addEventListener("click", (e) => {
+  const hapusButton = e.target.closest(".btn-hapus-pembayaran");
+  if (!hapusButton) return;
+
+  hapusButton.closest("tr").remove();
+  if (!tablePembayaran.querySelector("tr")) addPaymentRow();
+  renderBayarRingkasan();
+});
+
+btnSimpanAngsuran.addEventListener("click", simpanAngsuran);
+
+BranchService.populateCabangSelect(filterCabang, { includeAll: true }).then(loadOutstanding);
+// Template struk untuk cetak angsuran; tanpa koneksi tetap memakai salinan lokal terakhir
+ReceiptTemplateService.load().catch((error) => console.warn("⚠️ Receipt template not loaded:", error));
@@ -1,15 +1,17 @@
 import app, { firestore } from "./configFirebase.js";
 import {
   collection,
-  addDoc,
   getDocs,
   query,
   where,
   doc,
-  updateDoc,
-  deleteDoc,
   orderBy,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import AuditService from "./services/auditService.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 // DOM refs
 const btnTambah = document.getElementById("btnTambah");
@@ -190,7 +192,7 @@ if (btnSave) {
     const rows = getInputRowsData();
     try {
       for (const item of rows) {
-        await addDoc(collRef, {
+        await AuditService.addDoc(collRef, {
           tanggal,
           jam,
           sales: item.sales,
@@ -546,7 +548,7 @@ if (document.getElementById("btnKonfirmasiHapusKode")) {
       const jamHapusKode = document.getElementById("jamHapusKode").value;
 
       for (const id of selectedPendingIds) {
-        await updateDoc(doc(firestore, "hapusKode", id), {
+        await AuditService.updateDoc(doc(firestore, "hapusKode", id), {
           status: "processed",
           tglHapusKode,
           jamHapusKode,
@@ -583,7 +585,7 @@ if (btnKembalikanTerpilih) {
 
     try {
       for (const id of selectedProcessedIds) {
-        await updateDoc(doc(firestore, "hapusKode", id), {
+        await AuditService.updateDoc(doc(firestore, "hapusKode", id), {
           status: "pending",
           tglHapusKode: "",
           jamHapusKode: "",
@@ -615,7 +617,7 @@ if (btnHapusTerpilih) {
 
     try {
       for (const id of selectedProcessedIds) {
-        await deleteDoc(doc(firestore, "hapusKode", id));
+        await AuditService.deleteDoc(doc(firestore, "hapusKode", id));
       }
 
       toastSuccess(`${selectedProcessedIds.length} data berhasil dihapus permanen`);
@@ -713,7 +715,7 @@ function enterEditModePending(tr) {
       return;
     }
     try {
-      await updateDoc(doc(firestore, "hapusKode", id), {
+      await AuditService.updateDoc(doc(firestore, "hapusKode", id), {
         sales: newSales,
         barcode: newBarcode,
         namaBarang: newNamaBarang,
@@ -747,7 +749,7 @@ async function deleteRowPending(tr) {
   const ok = await confirmDelete("Hapus data ini?");
   if (!ok) return;
   try {
-    await deleteDoc(doc(firestore, "hapusKode", id));
+    await AuditService.deleteDoc(doc(firestore, "hapusKode", id));
     if (currentFilterMonth) {
       await fetchAndRender(currentFilterMonth);
     }
@@ -786,7 +788,7 @@ if (document.getElementById("btnSimpanPenerima")) {
     btn.disabled = true;
 
     try {
-      await updateDoc(doc(firestore, "hapusKode", currentEditId), {
+      await AuditService.updateDoc(doc(firestore, "hapusKode", currentEditId), {
         penerima,
         updatedAt: Date.now(),
       });
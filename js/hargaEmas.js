@@ -0,0 +1,183 @@
+import GoldRateService from "./services/goldRateService.js";
+import { escapeHtml } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const formHargaEmas = document.getElementById("formHargaEmas");
+const tanggalHarga = document.getElementById("tanggalHarga");
+const tableInputHarga = document.querySelector("#tableInputHarga tbody");
+const kadarBaru = document.getElementById("kadarBaru");
+const btnTambahKadar = document.getElementById("btnTambahKadar");
+const btnSimpanHarga = document.getElementById("btnSimpanHarga");
+const tableRiwayatHead = document.querySelector("#tableRiwayatHarga thead");
+const tableRiwayatBody = document.querySelector("#tableRiwayatHarga tbody");
+
+let currentRates = null;
+let history = [];
+
+// Helpers
+function formatRupiah(angka) {
+  return new Intl.NumberFormat("id-ID").format(Math.round(Number(angka) || 0));
+}
+
+function formatTanggal(dateKey) {
+  if (!dateKey) return "";
+  const [year, month, day] = dateKey.split("-");
+  return `${day}/${month}/${year}`;
+}
+
+// Urutkan kadar numerik: 6K, 8K, 16K, 24K
+function sortKadar(list) {
+  return [...new Set(list)].sort((a, b) => (parseFloat(a) || 0) - (parseFloat(b) || 0) || a.localeCompare(b));
+}
+
+function getKadarList() {
+  return sortKadar([...GoldRateService.DEFAULT_KADAR_LIST, ...Object.keys(currentRates?.rates || {})]);
+}
+
+// Form input harga
+function renderInputRow(kadar) {
+  const rate = GoldRateService.getRate(currentRates, kadar);
+  const previous = rate ? `${formatRupiah(rate.harga)} + ${formatRupiah(rate.ongkos)}` : "-";
+  const harga = rate?.harga || "";
+  const ongkos = rate?.ongkos || "";
+  return `
+    <tr data-kadar="${escapeHtml(kadar)}">
+      <td class="fw-semibold">${escapeHtml(kadar)}</td>
+      <td><input type="number" class="form-control form-control-sm input-harga" min="0" value="${harga}"></td>
+      <td><input type="number" class="form-control form-control-sm input-ongkos" min="0" value="${ongkos}"></td>
+      <td class="small text-muted text-nowrap">${previous}</td>
+    </tr>`;
+}
+
+function renderInputTable() {
+  tableInputHarga.innerHTML = getKadarList().map(renderInputRow).join("");
+}
+
+function addKadar() {
+  const kadar = GoldRateService.normalizeKadar(kadarBaru.value);
+  if (!kadar) return;
+
+  if (tableInputHarga.querySelector(`tr[data-kadar="${CSS.escape(kadar)}"]`)) {
+    Swal.fire("Info", `Kadar ${kadar} sudah ada di daftar`, "info");
+    return;
+  }
+
+  tableInputHarga.insertAdjacentHTML("beforeend", renderInputRow(kadar));
+  kadarBaru.value = "";
+  tableInputHarga.querySelector("tr:last-child .input-harga").focus();
+}
+
+function collectRates() {
+  const rates = {};
+  tableInputHarga.querySelectorAll("tr").forEach((row) => {
+    const harga = Number(row.querySelector(".input-harga").value) || 0;
+    if (harga <= 0) return;
+    rates[row.dataset.kadar] = { harga, ongkos: Number(row.querySelector(".input-ongkos").value) || 0 };
+  });
+  return rates;
+}
+
+async function saveRates(e) {
+  e.preventDefault();
+
+  const rates = collectRates();
+  const tanggal = tanggalHarga.value;
+  const overwrite = history.some((item) => item.tanggal === tanggal);
+
+  const result = await Swal.fire({
+    title: "Simpan harga emas?",
+    text: overwrite
+      ? `Harga tanggal ${formatTanggal(tanggal)} sudah ada dan akan ditimpa`
+      : `${Object.keys(rates).length} kadar berlaku mulai ${formatTanggal(tanggal)}`,
+    icon: "question",
+    showCancelButton: true,
+    confirmButtonText: "Simpan",
+    cancelButtonText: "Batal",
+  });
+  if (!result.isConfirmed) return;
+
+  btnSimpanHarga.disabled = true;
+  try {
+    await GoldRateService.saveRates(tanggal, rates);
+    Swal.fire("Berhasil", "Harga emas tersimpan", "success");
+    await loadData();
+  } catch (error) {
+    console.error("❌ Save gold rate error:", error);
+    Swal.fire("Gagal", error.message, "error");
+  } finally {
+    btnSimpanHarga.disabled = false;
+  }
+}
+
+// Riwayat harga: satu baris per tanggal, satu kolom per kadar
+function renderHistory() {
+  if (history.length === 0) {
+    tableRiwayatHead.innerHTML = "";
+    tableRiwayatBody.innerHTML = `<tr><td class="text-center text-muted">Belum ada harga emas</td></tr>`;
+    return;
+  }
+
+  const kadarList = sortKadar(history.flatMap((item) => Object.keys(item.rates || {})));
+  const today = GoldRateService.getDateKey();
+
+  tableRiwayatHead.innerHTML = `
+    <tr>
+      <th>Tanggal</th>
+      ${kadarList.map((kadar) => `<th class="text-end">${escapeHtml(kadar)}</th>`).join("")}
+      <th>Oleh</th>
+    </tr>`;
+
+  tableRiwayatBody.innerHTML = history
+    .map((item) => {
+      const isCurrent = item.id === currentRates?.id;
+      const badge = isCurrent ? ` <span class="badge bg-success">Berlaku</span>` : "";
+      const scheduled = item.tanggal > today ? ` <span class="badge bg-info">Terjadwal</span>` : "";
+      const cells = kadarList
+        .map((kadar) => {
+          const rate = GoldRateService.getRate(item, kadar);
+          if (!rate) return `<td class="text-end text-muted">-</td>`;
+          const ongkos = rate.ongkos ? `<div class="small text-muted">+${formatRupiah(rate.ongkos)}</div>` : "";
+          return `<td class="text-end">${formatRupiah(rate.harga)}${ongkos}</td>`;
+        })
+        .join("");
+      return `
+        <tr>
+          <td class="text-nowrap">${formatTanggal(item.tanggal)}${badge}${scheduled}</td>
+          ${cells}
+          <td class="small">${escapeHtml(item.updatedBy || "-")}</td>
+        </tr>`;
+    })
+    .join("");
+}
+
+async function loadData() {
+  try {
+    [currentRates, history] = await Promise.all([
+      GoldRateService.getCurrentRates(true),
+      GoldRateService.getHistory(60),
+    ]);
+    renderInputTable();
+    renderHistory();
+  } catch (error) {
+    console.error("❌ Failed to load gold rates:", error);
+    tableRiwayatBody.innerHTML = `<tr><td class="text-center text-danger">Gagal memuat harga emas</td></tr>`;
+  }
+}
+
+// Event listeners
+formHargaEmas.addEventListener("submit", saveRates);
+btnTambahKadar.addEventListener("click", addKadar);
+kadarBaru.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") {
+    e.preventDefault();
+    addKadar();
+  }
+});
+
+// Initialize
+tanggalHarga.value = GoldRateService.getDateKey();
+loadData();
@@ -0,0 +1,432 @@
+import CommissionService from "./services/commissionService.js";
+import BranchService from "./services/branchService.js";
+import { printInWindow } from "./components/receiptTemplate.js";
+import { escapeHtml } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const tableAturanBody = document.querySelector("#tableAturan tbody");
+const tableTargetBody = document.querySelector("#tableTarget tbody");
+const btnTambahAturan = document.getElementById("btnTambahAturan");
+const btnTambahTarget = document.getElementById("btnTambahTarget");
+const btnSimpanAturan = document.getElementById("btnSimpanAturan");
+const formFilterKomisi = document.getElementById("formFilterKomisi");
+const filterBulan = document.getElementById("filterBulan");
+const filterCabang = document.getElementById("filterCabang");
+const btnTampilkan = document.getElementById("btnTampilkan");
+const btnExportExcel = document.getElementById("btnExportExcel");
+const btnCetakSemua = document.getElementById("btnCetakSemua");
+const tableKomisiBody = document.querySelector("#tableKomisi tbody");
+const tableKomisiFoot = document.querySelector("#tableKomisi tfoot");
+const rincianTitle = document.getElementById("modalRincianLabel");
+const rincianBody = document.querySelector("#tableRincian tbody");
+const rincianFoot = document.querySelector("#tableRincian tfoot");
+
+// settings = salinan yang sedang diedit; statement selalu dihitung dengan aturan tersimpan
+let settings = { rules: [], targets: [] };
+let savedSettings = settings;
+let statements = [];
+let statementBulan = "";
+
+// Helpers
+function formatRupiah(angka) {
+  return new Intl.NumberFormat("id-ID").format(Math.round(Number(angka) || 0));
+}
+
+function currentMonthStr() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}`;
+}
+
+function formatBulan(bulan) {
+  const [year, month] = bulan.split("-").map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString("id-ID", { month: "long", year: "numeric" });
+}
+
+function formatTanggal(date) {
+  return date.toLocaleDateString("id-ID", { day: "2-digit", month: "2-digit", year: "numeric" });
+}
+
+function describeTarget(target) {
+  return target ? `≥ Rp ${formatRupiah(target.omzet)} (${target.persen}%)` : "-";
+}
+
+function renderOptions(options, selected) {
+  return Object.entries(options)
+    .map(([value, label]) => `<option value="${value}" ${value === selected ? "selected" : ""}>${label}</option>`)
+    .join("");
+}
+
+// Aturan komisi
+function renderRules() {
+  if (settings.rules.length === 0) {
+    tableAturanBody.innerHTML = `<tr><td colspan="5" class="text-center text-muted">Belum ada aturan</td></tr>`;
+    return;
+  }
+
+  tableAturanBody.innerHTML = settings.rules
+    .map(
+      (rule, index) => `
+        <tr data-index="${index}">
+          <td>
+            <select class="form-select form-select-sm" data-field="jenis">
+              ${renderOptions(CommissionService.JENIS_OPTIONS, rule.jenis)}
+            </select>
+          </td>
+          <td>
+            <select class="form-select form-select-sm" data-field="kategori">
+              ${renderOptions(CommissionService.KATEGORI_OPTIONS, rule.kategori)}
+            </select>
+          </td>
+          <td>
+            <select class="form-select form-select-sm" data-field="tipe">
+              ${renderOptions(CommissionService.RULE_TYPES, rule.tipe)}
+            </select>
+          </td>
+          <td>
+            <input type="number" class="form-control form-control-sm" data-field="nilai" min="0" step="any"
+              value="${rule.nilai}" />
+          </td>
+          <td class="text-center">
+            <button type="button" class="btn btn-sm btn-outline-danger btn-hapus" title="Hapus">
+              <i class="fas fa-trash"></i>
+            </button>
+          </td>
+        </tr>`
+    )
+    .join("");
+}
+
+function renderTargets() {
+  if (settings.targets.length === 0) {
+    tableTargetBody.innerHTML = `<tr><td colspan="3" class="text-center text-muted">Tanpa bonus target</td></tr>`;
+    return;
+  }
+
+  tableTargetBody.innerHTML = settings.targets
+    .map(
+      (target, index) => `
+        <tr data-index="${index}">
+          <td>
+            <input type="number" class="form-control form-control-sm" data-field="omzet" min="0" step="1"
+              value="${target.omzet}" />
+          </td>
+          <td>
+            <input type="number" class="form-control form-control-sm" data-field="persen" min="0" max="100"
+              step="any" value="${target.persen}" />
+          </td>
+          <td class="text-center">
+            <button type="button" class="btn btn-sm btn-outline-danger btn-hapus" title="Hapus">
+              <i class="fas fa-trash"></i>
+            </button>
+          </td>
+        </tr>`
+    )
+    .join("");
+}
+
+// Perubahan input langsung disalin ke settings, baru tersimpan saat klik Simpan Aturan
+function bindEditableTable(tableBody, listName, render) {
+  tableBody.addEventListener("change", (e) => {
+    const row = e.target.closest("tr[data-index]");
+    const field = e.target.dataset.field;
+    if (!row || !field) return;
+
+    const value = e.target.type === "number" ? Number(e.target.value) || 0 : e.target.value;
+    settings[listName][Number(row.dataset.index)][field] = value;
+  });
+
+  tableBody.addEventListener("click", (e) => {
+    const button = e.target.closest(".btn-hapus");
+    if (!button) return;
+
+    settings[listName].splice(Number(button.closest("tr").dataset.index), 1);
+    render();
+  });
+}
+
+async function saveSettings() {
+  btnSimpanAturan.disabled = true;
+  try {
+    savedSettings = await CommissionService.save(settings);
+    settings = structuredClone(savedSettings);
+    renderRules();
+    renderTargets();
+    Swal.fire("Berhasil", "Aturan komisi tersimpan", "success");
+
+    if (statementBulan) await loadStatements();
+  } catch (error) {
+    console.error("❌ Save commission settings error:", error);
+    Swal.fire("Gagal", error.message, "error");
+  } finally {
+    btnSimpanAturan.disabled = false;
+  }
+}
+
+// Statement komisi
+function getTotals() {
+  return statements.reduce(
+    (total, statement) => {
+      ["transaksi", "jumlah", "omzet", "komisiBarang", "bonusTarget", "total"].forEach(
+        (field) => (total[field] += statement[field])
+      );
+      return total;
+    },
+    { transaksi: 0, jumlah: 0, omzet: 0, komisiBarang: 0, bonusTarget: 0, total: 0 }
+  );
+}
+
+function renderStatements() {
+  btnExportExcel.disabled = statements.length === 0;
+  btnCetakSemua.disabled = statements.length === 0;
+
+  if (statements.length === 0) {
+    tableKomisiBody.innerHTML = `<tr><td colspan="9" class="text-center text-muted">Tidak ada penjualan</td></tr>`;
+    tableKomisiFoot.innerHTML = "";
+    return;
+  }
+
+  tableKomisiBody.innerHTML = statements
+    .map(
+      (statement, index) => `
+        <tr data-index="${index}">
+          <td>${escapeHtml(statement.sales)}</td>
+          <td class="text-center">${statement.transaksi}</td>
+          <td class="text-center">${statement.jumlah}</td>
+          <td class="text-end">${formatRupiah(statement.omzet)}</td>
+          <td class="text-end">${formatRupiah(statement.komisiBarang)}</td>
+          <td>${describeTarget(statement.target)}</td>
+          <td class="text-end">${formatRupiah(statement.bonusTarget)}</td>
+          <td class="text-end fw-bold">${formatRupiah(statement.total)}</td>
+          <td class="text-center text-nowrap">
+            <button type="button" class="btn btn-sm btn-outline-primary btn-rincian" title="Rincian transaksi">
+              <i class="fas fa-list"></i>
+            </button>
+            <button type="button" class="btn btn-sm btn-outline-secondary btn-cetak" title="Cetak statement">
+              <i class="fas fa-print"></i>
+            </button>
+          </td>
+        </tr>`
+    )
+    .join("");
+
+  const total = getTotals();
+  tableKomisiFoot.innerHTML = `
+    <tr>
+      <td>TOTAL</td>
+      <td class="text-center">${total.transaksi}</td>
+      <td class="text-center">${total.jumlah}</td>
+      <td class="text-end">${formatRupiah(total.omzet)}</td>
+      <td class="text-end">${formatRupiah(total.komisiBarang)}</td>
+      <td></td>
+      <td class="text-end">${formatRupiah(total.bonusTarget)}</td>
+      <td class="text-end">${formatRupiah(total.total)}</td>
+      <td></td>
+    </tr>`;
+}
+
+function showRincian(statement) {
+  rincianTitle.textContent = `Rincian Komisi ${statement.sales} · ${formatBulan(statementBulan)}`;
+  rincianBody.innerHTML = statement.lines
+    .map(
+      (line) => `
+        <tr>
+          <td class="text-nowrap">${formatTanggal(line.date)}</td>
+          <td>${escapeHtml(line.jenis)}</td>
+          <td>${escapeHtml(line.kategori)}</td>
+          <td>${escapeHtml(line.kode)}</td>
+          <td>${escapeHtml(line.nama)}</td>
+          <td class="text-center">${line.jumlah}</td>
+          <td class="text-end">${formatRupiah(line.nominal)}</td>
+          <td class="small">${CommissionService.describeRule(line.rule)}</td>
+          <td class="text-end">${formatRupiah(line.komisi)}</td>
+        </tr>`
+    )
+    .join("");
+  rincianFoot.innerHTML = `
+    <tr>
+      <td colspan="5" class="text-end">Komisi Barang</td>
+      <td class="text-center">${statement.jumlah}</td>
+      <td class="text-end">${formatRupiah(statement.omzet)}</td>
+      <td></td>
+      <td class="text-end">${formatRupiah(statement.komisiBarang)}</td>
+    </tr>
+    <tr>
+      <td colspan="8" class="text-end">Bonus Target ${describeTarget(statement.target)}</td>
+      <td class="text-end">${formatRupiah(statement.bonusTarget)}</td>
+    </tr>
+    <tr>
+      <td colspan="8" class="text-end">TOTAL KOMISI</td>
+      <td class="text-end">${formatRupiah(statement.total)}</td>
+    </tr>`;
+
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("modalRincian")).show();
+}
+
+async function loadStatements(e) {
+  e?.preventDefault();
+
+  statementBulan = filterBulan.value || currentMonthStr();
+  btnTampilkan.disabled = true;
+  try {
+    statements = await CommissionService.loadStatements(statementBulan, filterCabang.value, savedSettings);
+    renderStatements();
+  } catch (error) {
+    console.error("❌ Failed to load commission statements:", error);
+    Swal.fire("Gagal", `Gagal memuat data penjualan: ${error.message}`, "error");
+  } finally {
+    btnTampilkan.disabled = false;
+  }
+}
+
+// Export & cetak untuk payroll
+function exportExcel() {
+  const ringkasan = statements.map((statement) => ({
+    Sales: statement.sales,
+    Transaksi: statement.transaksi,
+    Pcs: statement.jumlah,
+    Omzet: statement.omzet,
+    "Komisi Barang": statement.komisiBarang,
+    "Target Tercapai": describeTarget(statement.target),
+    "Bonus Target": statement.bonusTarget,
+    "Total Komisi": statement.total,
+  }));
+  const rincian = statements.flatMap((statement) =>
+    statement.lines.map((line) => ({
+      Sales: statement.sales,
+      Tanggal: formatTanggal(line.date),
+      Jenis: line.jenis,
+      Kategori: line.kategori,
+      Kode: line.kode,
+      "Nama Barang": line.nama,
+      Pcs: line.jumlah,
+      Pendapatan: line.nominal,
+      Aturan: CommissionService.describeRule(line.rule),
+      Komisi: line.komisi,
+    }))
+  );
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(ringkasan), "Ringkasan");
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rincian), "Rincian");
+  XLSX.writeFile(wb, `Komisi_Sales_${statementBulan}.xlsx`);
+}
+
+function renderStatementPage(statement) {
+  const rows = statement.lines
+    .map(
+      (line) => `
+        <tr>
+          <td>${formatTanggal(line.date)}</td>
+          <td>${escapeHtml(line.kode)} - ${escapeHtml(line.nama)}</td>
+          <td class="center">${line.jumlah}</td>
+          <td class="right">${formatRupiah(line.nominal)}</td>
+          <td class="right">${formatRupiah(line.komisi)}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `
+    <section class="statement">
+      <h2>Statement Komisi Sales</h2>
+      <table class="info">
+        <tr><td>Sales</td><td>: ${escapeHtml(statement.sales)}</td></tr>
+        <tr><td>Periode</td><td>: ${formatBulan(statementBulan)}</td></tr>
+        <tr><td>Cabang</td><td>: ${escapeHtml(filterCabang.selectedOptions[0]?.textContent || "-")}</td></tr>
+      </table>
+      <table class="lines">
+        <thead>
+          <tr><th>Tanggal</th><th>Barang</th><th>Pcs</th><th>Pendapatan</th><th>Komisi</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+          <tr><td colspan="3">Omzet / Komisi Barang</td><td class="right">${formatRupiah(statement.omzet)}</td>
+            <td class="right">${formatRupiah(statement.komisiBarang)}</td></tr>
+          <tr><td colspan="4">Bonus Target ${describeTarget(statement.target)}</td>
+            <td class="right">${formatRupiah(statement.bonusTarget)}</td></tr>
+          <tr><td colspan="4">TOTAL KOMISI</td><td class="right">${formatRupiah(statement.total)}</td></tr>
+        </tfoot>
+      </table>
+      <table class="signature">
+        <tr><td>Sales</td><td>Disetujui</td></tr>
+        <tr><td>(${escapeHtml(statement.sales)})</td><td>(..................)</td></tr>
+      </table>
+    </section>`;
+}
+
+function printStatements(list) {
+  const html = `<!DOCTYPE html>
+    <html>
+      <head>
+        <title>Statement Komisi ${formatBulan(statementBulan)}</title>
+        <style>
+          @page { size: A4; margin: 15mm; }
+          body { font-family: Arial, sans-serif; font-size: 11px; }
+          h2 { text-align: center; margin: 0 0 10px; }
+          table { width: 100%; border-collapse: collapse; }
+          .statement { page-break-after: always; }
+          .statement:last-child { page-break-after: auto; }
+          .info { width: auto; margin-bottom: 10px; }
+          .info td { padding: 2px 8px 2px 0; }
+          .lines th, .lines td { border: 1px solid #000; padding: 3px 5px; }
+          .lines tfoot td { font-weight: bold; }
+          .signature { margin-top: 40px; text-align: center; }
+          .signature tr:last-child td { padding-top: 50px; }
+          .center { text-align: center; }
+          .right { text-align: right; }
+        </style>
+      </head>
+      <body>${list.map(renderStatementPage).join("")}</body>
+    </html>`;
+
+  if (!printInWindow(html)) {
+    Swal.fire("Popup diblokir", "Izinkan popup untuk mencetak statement komisi", "warning");
+  }
+}
+
+// Event listeners
+bindEditableTable(tableAturanBody, "rules", renderRules);
+bindEditableTable(tableTargetBody, "targets", renderTargets);
+
+btnTambahAturan.addEventListener("click", () => {
+  settings.rules.push(CommissionService.normalizeRule());
+  renderRules();
+});
+
+btnTambahTarget.addEventListener("click", () => {
+  settings.targets.push({ omzet: 0, persen: 0 });
+  renderTargets();
+});
+
+btnSimpanAturan.addEventListener("click", saveSettings);
+formFilterKomisi.addEventListener("submit", loadStatements);
+btnExportExcel.addEventListener("click", exportExcel);
+btnCetakSemua.addEventListener("click", () => printStatements(statements));
+
+tableKomisiBody.addEventListener("click", (e) => {
+  const row = e.target.closest("tr[data-index]");
+  if (!row) return;
+
+  const statement = statements[Number(row.dataset.index)];
+  if (e.target.closest(".btn-rincian")) showRincian(statement);
+  else if (e.target.closest(".btn-cetak")) printStatements([statement]);
+});
+
+// Initialize
+filterBulan.value = currentMonthStr();
+
+Promise.all([CommissionService.load(), BranchService.populateCabangSelect(filterCabang, { includeAll: true })])
+  .then(([loadedSettings]) => {
+    savedSettings = loadedSettings;
+    settings = structuredClone(loadedSettings);
+    renderRules();
+    renderTargets();
+    return loadStatements();
+  })
+  .catch((error) => {
+    console.error("❌ Failed to load commission settings:", error);
+    Swal.fire("Gagal", `Gagal memuat aturan komisi: ${error.message}`, "error");
+  });
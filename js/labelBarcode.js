@@ -0,0 +1,427 @@
+import { firestore } from "./configFirebase.js";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { escapeHtml } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const filterKategori = document.getElementById("filterKategori");
+const searchKode = document.getElementById("searchKode");
+const checkAllKode = document.getElementById("checkAllKode");
+const tableKode = document.querySelector("#tableKode tbody");
+const btnTambahKode = document.getElementById("btnTambahKode");
+const tanggalBatch = document.getElementById("tanggalBatch");
+const batchSelect = document.getElementById("batchSelect");
+const btnMuatBatch = document.getElementById("btnMuatBatch");
+const jenisBarcode = document.getElementById("jenisBarcode");
+const ukuranLabel = document.getElementById("ukuranLabel");
+const labelSummary = document.getElementById("labelSummary");
+const tableLabel = document.querySelector("#tableLabel tbody");
+const labelPreview = document.getElementById("labelPreview");
+const btnKosongkan = document.getElementById("btnKosongkan");
+const btnCetakLabel = document.getElementById("btnCetakLabel");
+
+// Ukuran label printer tag perhiasan (mm). Label kecil tidak memuat nama barang.
+const LABEL_SIZES = {
+  "50x25": { width: 50, height: 25, label: "50 x 25 mm" },
+  "40x30": { width: 40, height: 30, label: "40 x 30 mm" },
+  "38x25": { width: 38, height: 25, label: "38 x 25 mm" },
+  "30x15": { width: 30, height: 15, label: "30 x 15 mm (tag kecil)", compact: true },
+};
+const MAX_PREVIEW = 12;
+const MAX_COPIES = 500;
+
+const LABEL_CSS = `
+  .label {
+    box-sizing: border-box;
+    overflow: hidden;
+    padding: 1mm 1.5mm;
+    font-family: Arial, sans-serif;
+    color: #000;
+    background: #fff;
+    display: flex;
+    gap: 1mm;
+  }
+  .label-code128 { flex-direction: column; align-items: center; justify-content: center; text-align: center; }
+  .label-qr { flex-direction: row; align-items: center; }
+  .label-qr .label-code { flex: 0 0 auto; height: 100%; aspect-ratio: 1 / 1; }
+  .label-qr .label-code svg { width: 100%; height: 100%; }
+  .label-qr .label-text { flex: 1; min-width: 0; }
+  .label-code128 .label-code { width: 100%; flex: 1; min-height: 0; }
+  .label-code128 .label-code svg { width: 100%; height: 100%; }
+  .label-nama { font-size: 6pt; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 100%; }
+  .label-kode { font-size: 7pt; font-weight: bold; letter-spacing: 0.5px; }
+  .label-info { font-size: 6pt; white-space: nowrap; }
+`;
+
+let stockData = [];
+let labelItems = [];
+
+// Helpers
+function formatRupiah(angka) {
+  return new Intl.NumberFormat("id-ID").format(Math.round(Number(angka) || 0));
+}
+
+function parseRupiah(value) {
+  return parseInt(String(value || "").replace(/\./g, "")) || 0;
+}
+
+function getSettings() {
+  const fields = Array.from(document.querySelectorAll(".label-field:checked")).map((input) => input.value);
+  return { jenis: jenisBarcode.value, size: LABEL_SIZES[ukuranLabel.value], fields };
+}
+
+// Render kode ke SVG (string) supaya bisa dipakai di pratinjau dan jendela cetak
+function renderCodeSvg(kode, jenis) {
+  if (jenis === "qr") {
+    const qr = qrcode(0, "M");
+    qr.addData(kode);
+    qr.make();
+    return qr.createSvgTag({ cellSize: 2, margin: 0, scalable: true });
+  }
+
+  const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+  JsBarcode(svg, kode, { format: "CODE128", displayValue: false, margin: 0, height: 40, width: 1 });
+  svg.setAttribute("preserveAspectRatio", "none");
+  return svg.outerHTML;
+}
+
+function getInfoText(item, fields) {
+  const info = [];
+  if (fields.includes("kadar") && item.kadar) info.push(item.kadar);
+  if (fields.includes("berat") && item.berat) info.push(`${item.berat} gr`);
+  if (fields.includes("harga") && item.harga) info.push(`Rp ${formatRupiah(item.harga)}`);
+  return info.join(" · ");
+}
+
+function renderLabel(item, { jenis, size, fields }) {
+  const showNama = fields.includes("nama") && !size.compact;
+  const nama = showNama ? `<div class="label-nama">${escapeHtml(item.nama)}</div>` : "";
+  const info = getInfoText(item, fields);
+  const infoHtml = info ? `<div class="label-info">${escapeHtml(info)}</div>` : "";
+  const code = `<div class="label-code">${renderCodeSvg(item.kode, jenis)}</div>`;
+  const kode = `<div class="label-kode">${escapeHtml(item.kode)}</div>`;
+  const style = `width: ${size.width}mm; height: ${size.height}mm`;
+
+  if (jenis === "qr") {
+    const text = `<div class="label-text">${kode}${nama}${infoHtml}</div>`;
+    return `<div class="label label-qr" style="${style}">${code}${text}</div>`;
+  }
+  return `<div class="label label-code128" style="${style}">${nama}${code}${kode}${infoHtml}</div>`;
+}
+
+// Satu label per eksemplar
+function expandLabels() {
+  return labelItems.flatMap((item) => Array.from({ length: item.jumlah }, () => item));
+}
+
+// Master kode
+async function loadStockData() {
+  try {
+    const snapshot = await getDocs(collection(firestore, "stokAksesoris"));
+    stockData = snapshot.docs
+      .map((stockDoc) => ({ id: stockDoc.id, ...stockDoc.data() }))
+      .filter((item) => item.kode)
+      .sort((a, b) => a.kode.localeCompare(b.kode));
+    renderKodeTable();
+  } catch (error) {
+    console.error("❌ Failed to load stokAksesoris:", error);
+    tableKode.innerHTML = `<tr><td colspan="4" class="text-center text-danger">Gagal memuat data kode</td></tr>`;
+  }
+}
+
+function renderKodeTable() {
+  const keyword = searchKode.value.trim().toLowerCase();
+  const rows = stockData.filter(
+    (item) =>
+      item.kategori === filterKategori.value &&
+      (!keyword || `${item.kode} ${item.nama || ""}`.toLowerCase().includes(keyword))
+  );
+
+  checkAllKode.checked = false;
+  if (rows.length === 0) {
+    tableKode.innerHTML = `<tr><td colspan="4" class="text-center text-muted">Tidak ada kode</td></tr>`;
+    return;
+  }
+
+  tableKode.innerHTML = rows
+    .map(
+      (item) => `
+        <tr>
+          <td><input type="checkbox" class="form-check-input check-kode" value="${escapeHtml(item.kode)}" /></td>
+          <td>${escapeHtml(item.kode)}</td>
+          <td>${escapeHtml(item.nama || "-")}</td>
+          <td class="text-end">${item.hargaJual ? formatRupiah(item.hargaJual) : "-"}</td>
+        </tr>`
+    )
+    .join("");
+}
+
+function findStock(kode) {
+  return stockData.find((item) => item.kode === kode);
+}
+
+// Kode yang sudah ada di daftar cukup ditambah jumlah labelnya
+function addLabelItems(items) {
+  items.forEach(({ kode, nama, jumlah = 1 }) => {
+    const existing = labelItems.find((item) => item.kode === kode);
+    if (existing) {
+      existing.jumlah = Math.min(MAX_COPIES, existing.jumlah + jumlah);
+      return;
+    }
+
+    const stock = findStock(kode);
+    labelItems.push({
+      kode,
+      nama: nama || stock?.nama || "",
+      kadar: "",
+      berat: "",
+      harga: Number(stock?.hargaJual) || 0,
+      jumlah: Math.min(MAX_COPIES, jumlah),
+    });
+  });
+  renderLabelTable();
+}
+
+function renderInput(field, value, placeholder, attrs = 'type="text"') {
+  const input = `class="form-control form-control-sm" data-field="${field}" placeholder="${placeholder}"`;
+  return `<input ${attrs} ${input} value="${escapeHtml(value)}">`;
+}
+
+function renderLabelTable() {
+  const totalLabel = labelItems.reduce((sum, item) => sum + item.jumlah, 0);
+  labelSummary.textContent = `${labelItems.length} kode - ${totalLabel} label`;
+  btnCetakLabel.disabled = totalLabel === 0;
+
+  if (labelItems.length === 0) {
+    tableLabel.innerHTML = `<tr><td colspan="7" class="text-center text-muted">Belum ada kode yang dipilih</td></tr>`;
+  } else {
+    tableLabel.innerHTML = labelItems
+      .map(
+        (item, index) => `
+          <tr data-index="${index}">
+            <td>${escapeHtml(item.kode)}</td>
+            <td>${escapeHtml(item.nama)}</td>
+            <td>${renderInput("kadar", item.kadar, "8K")}</td>
+            <td>${renderInput("berat", item.berat, "0.00")}</td>
+            <td>${renderInput("harga", item.harga ? formatRupiah(item.harga) : "", "0")}</td>
+            <td>${renderInput("jumlah", item.jumlah, "1", `type="number" min="1" max="${MAX_COPIES}"`)}</td>
+            <td class="text-center">
+              <button type="button" class="btn btn-sm btn-danger btn-hapus-label"><i class="fas fa-times"></i></button>
+            </td>
+          </tr>`
+      )
+      .join("");
+  }
+
+  renderPreview();
+}
+
+function renderPreview() {
+  const labels = expandLabels();
+  if (labels.length === 0) {
+    labelPreview.innerHTML = `<span class="text-muted small">Pratinjau label muncul di sini</span>`;
+    return;
+  }
+
+  const settings = getSettings();
+  const sisa = labels.length - MAX_PREVIEW;
+  const more = sisa > 0 ? `<span class="small text-muted align-self-center">+${sisa} label lagi</span>` : "";
+  const preview = labels
+    .slice(0, MAX_PREVIEW)
+    .map((item) => `<div class="border">${renderLabel(item, settings)}</div>`);
+  labelPreview.innerHTML = preview.join("") + more;
+}
+
+// Batch tambah stok
+async function loadBatchOptions() {
+  batchSelect.innerHTML = `<option value="">Memuat...</option>`;
+  if (!tanggalBatch.value) {
+    batchSelect.innerHTML = `<option value="">Pilih tanggal terlebih dahulu</option>`;
+    return;
+  }
+
+  try {
+    const [year, month, day] = tanggalBatch.value.split("-").map(Number);
+    const start = new Date(year, month - 1, day, 0, 0, 0, 0);
+    const end = new Date(year, month - 1, day, 23, 59, 59, 999);
+    const snapshot = await getDocs(
+      query(
+        collection(firestore, "stockAdditions"),
+        where("timestamp", ">=", start),
+        where("timestamp", "<=", end),
+        orderBy("timestamp", "desc")
+      )
+    );
+
+    if (snapshot.empty) {
+      batchSelect.innerHTML = `<option value="">Tidak ada batch di tanggal ini</option>`;
+      return;
+    }
+
+    batchSelect.innerHTML = snapshot.docs
+      .map((batchDoc) => {
+        const data = batchDoc.data();
+        const jam = data.timestamp?.toDate?.().toLocaleTimeString("id-ID", { hour: "2-digit", minute: "2-digit" });
+        const label = `${jam || data.tanggal} - ${data.jenisText || "-"} (${data.totalItems || 0} pcs)`;
+        return `<option value="${batchDoc.id}">${escapeHtml(label)}</option>`;
+      })
+      .join("");
+  } catch (error) {
+    console.error("❌ Failed to load stockAdditions:", error);
+    batchSelect.innerHTML = `<option value="">Gagal memuat batch</option>`;
+  }
+}
+
+async function loadBatch(batchId) {
+  if (!batchId) {
+    Swal.fire("Pilih Batch", "Pilih batch tambah stok terlebih dahulu", "warning");
+    return;
+  }
+
+  try {
+    const snapshot = await getDoc(doc(firestore, "stockAdditions", batchId));
+    if (!snapshot.exists()) {
+      Swal.fire("Tidak Ditemukan", "Batch tambah stok tidak ditemukan", "error");
+      return;
+    }
+
+    const items = (snapshot.data().items || []).map((item) => ({
+      kode: item.kodeText,
+      nama: item.nama,
+      jumlah: parseInt(item.jumlah) || 1,
+    }));
+    addLabelItems(items.filter((item) => item.kode));
+  } catch (error) {
+    console.error("❌ Failed to load batch:", error);
+    Swal.fire("Error", "Gagal memuat batch: " + error.message, "error");
+  }
+}
+
+// Cetak: satu label per halaman sesuai ukuran tag printer
+function printLabels() {
+  const labels = expandLabels();
+  if (labels.length === 0) return;
+
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) {
+    Swal.fire("Error", "Popup diblokir oleh browser. Mohon izinkan popup untuk mencetak.", "error");
+    return;
+  }
+
+  const settings = getSettings();
+  const { width, height } = settings.size;
+  printWindow.document.write(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Label Barcode</title>
+      <style>
+        @page { size: ${width}mm ${height}mm; margin: 0; }
+        body { margin: 0; }
+        ${LABEL_CSS}
+        .label { page-break-after: always; }
+        .label:last-child { page-break-after: auto; }
+      </style>
+    </head>
+    <body>
+      ${labels.map((item) => renderLabel(item, settings)).join("")}
+      <script>
+        window.onload = function() {
+          window.print();
+          setTimeout(function() { window.close(); }, 500);
+        };
+      </script>
+    </body>
+    </html>
+  `);
+
+  printWindow.document.close();
+  console.log(`🏷️ Cetak ${labels.length} label (${settings.jenis}, ${width}x${height}mm)`);
+}
+
+// Event listeners
+filterKategori.addEventListener("change", renderKodeTable);
+searchKode.addEventListener("input", renderKodeTable);
+checkAllKode.addEventListener("change", () => {
+  tableKode.querySelectorAll(".check-kode").forEach((input) => (input.checked = checkAllKode.checked));
+});
+btnTambahKode.addEventListener("click", () => {
+  const selected = Array.from(tableKode.querySelectorAll(".check-kode:checked")).map((input) => input.value);
+  if (selected.length === 0) {
+    Swal.fire("Pilih Kode", "Centang minimal satu kode", "warning");
+    return;
+  }
+  addLabelItems(selected.map((kode) => ({ kode })));
+  tableKode.querySelectorAll(".check-kode").forEach((input) => (input.checked = false));
+  checkAllKode.checked = false;
+});
+
+tanggalBatch.addEventListener("change", loadBatchOptions);
+btnMuatBatch.addEventListener("click", () => loadBatch(batchSelect.value));
+
+tableLabel.addEventListener("input", (e) => {
+  const field = e.target.dataset.field;
+  const index = e.target.closest("tr")?.dataset.index;
+  if (!field || index === undefined) return;
+
+  const item = labelItems[index];
+  if (field === "harga") {
+    item.harga = parseRupiah(e.target.value);
+  } else if (field === "jumlah") {
+    item.jumlah = Math.min(MAX_COPIES, Math.max(1, parseInt(e.target.value) || 1));
+    const totalLabel = labelItems.reduce((sum, label) => sum + label.jumlah, 0);
+    labelSummary.textContent = `${labelItems.length} kode - ${totalLabel} label`;
+  } else {
+    item[field] = e.target.value.trim();
+  }
+  renderPreview();
+});
+tableLabel.addEventListener("focusout", (e) => {
+  if (e.target.dataset.field === "harga" && e.target.value) {
+    e.target.value = formatRupiah(parseRupiah(e.target.value));
+  }
+});
+tableLabel.addEventListener("click", (e) => {
+  const button = e.target.closest(".btn-hapus-label");
+  if (!button) return;
+  labelItems.splice(Number(button.closest("tr").dataset.index), 1);
+  renderLabelTable();
+});
+
+jenisBarcode.addEventListener("change", renderPreview);
+ukuranLabel.addEventListener("change", renderPreview);
+document.querySelectorAll(".label-field").forEach((input) => input.addEventListener("change", renderPreview));
+btnKosongkan.addEventListener("click", () => {
+  labelItems = [];
+  renderLabelTable();
+});
+btnCetakLabel.addEventListener("click", printLabels);
+
+// Initialize
+(async () => {
+  ukuranLabel.innerHTML = Object.entries(LABEL_SIZES)
+    .map(([value, size]) => `<option value="${value}">${size.label}</option>`)
+    .join("");
+
+  const style = document.createElement("style");
+  style.textContent = LABEL_CSS;
+  document.head.appendChild(style);
+
+  renderLabelTable();
+  await loadStockData();
+
+  // Dibuka dari halaman Tambah Barang: labelBarcode.html?batch=<id stockAdditions>
+  const batchId = new URLSearchParams(window.location.search).get("batch");
+  if (batchId) await loadBatch(batchId);
+})();
@@ -11,6 +11,17 @@ import {
   Timestamp,
   onSnapshot,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import BranchService from "./services/branchService.js";
+import ShiftService from "./services/shiftService.js";
+import PromotionService from "./services/promotionService.js";
+import SaleVoidService from "./services/saleVoidService.js";
+import SalesSummaryService from "./services/salesSummaryService.js";
+import { PAYMENT_TYPES, getPaymentLabel, getTenderAmounts } from "./services/paymentTypes.js";
+import { escapeHtml } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 // Table configurations
 const tableConfigs = {
@@ -202,6 +213,8 @@ const laporanPenjualanHandler = {
   salesData: [],
   filteredSalesData: [],
   dataTable: null,
+  shiftCache: new Map(),
+  periodSummaryRows: [],
 
   // Real-time listener management (adapted from laporanStok.js)
   currentListener: null,
@@ -469,9 +482,10 @@ const laporanPenjualanHandler = {
           laporanPenjualanHandler.filteredSalesData.forEach((transaction) => {
             if (!transaction.items) return;
 
-            transaction.items.forEach((item) => {
+            // Item yang sudah di-void / refund tidak ikut dijumlahkan
+            SaleVoidService.getActiveItems(transaction).forEach((item) => {
               const jumlah = parseInt(item.jumlah) || 1;
-              let harga = parseInt(item.totalHarga) || 0;
+              let harga = PromotionService.getItemNetPrice(item);
 
               // Selalu hitung PCS dan berat
               totalPcs += jumlah;
@@ -517,7 +531,10 @@ const laporanPenjualanHandler = {
             extend: "excel",
             text: '<i class="fas fa-file-excel"></i> Excel',
             className: "btn btn-success btn-sm",
-            title: "Laporan Penjualan Manual / Aksesoris / Kotak \n Melati Bawah",
+            title: () =>
+              `Laporan Penjualan Manual / Aksesoris / Kotak \n ${BranchService.getCabangName(
+                document.getElementById("filterCabang").value
+              )}`,
             filename: function () {
               const selectedDate = document.getElementById("startDate").value || "semua";
               return `Laporan_Penjualan_Bawah_${selectedDate.replace(/\//g, "-")}`;
@@ -558,7 +575,10 @@ const laporanPenjualanHandler = {
             extend: "pdf",
             text: '<i class="fas fa-file-pdf"></i> PDF',
             className: "btn btn-danger btn-sm",
-            title: "Laporan Penjualan Manual / Aksesoris / Kotak \n Melati Bawah",
+            title: () =>
+              `Laporan Penjualan Manual / Aksesoris / Kotak \n ${BranchService.getCabangName(
+                document.getElementById("filterCabang").value
+              )}`,
             filename: function () {
               const selectedDate = document.getElementById("startDate").value || "semua";
               return `Laporan_Penjualan_Bawah_${selectedDate.replace(/\//g, "-")}`;
@@ -730,21 +750,28 @@ const laporanPenjualanHandler = {
         transaction.isGantiLock ||
         transaction.jenisPenjualan === "gantiLock";
 
+      // Item yang sudah di-void / refund ditampilkan terpisah di rekap void
+      const activeItems = SaleVoidService.getActiveItems(transaction);
+
       if (isManualSale) {
         // Untuk penjualan manual: tampilkan detail setiap item dalam setiap transaksi
-        transaction.items.forEach((item) => {
+        activeItems.forEach((item) => {
           const key = item.kodeText || item.barcode || "-";
           const name = item.nama || "-";
           const kadar = item.kadar || "-";
           const berat = parseFloat(item.berat) || 0;
           const jumlah = parseInt(item.jumlah) || 1;
 
-          let harga = parseInt(item.totalHarga) || 0;
+          let harga = PromotionService.getItemNetPrice(item);
           if (transaction.metodeBayar === "free") {
             harga = 0;
           }
 
           const beratDisplay = berat > 0 ? `${berat.toFixed(2)} gr` : "-";
+          const hargaEmas = `Rp ${(item.hargaEmas || 0).toLocaleString("id-ID")}/gr`;
+          const hargaEmasFlag = item.dibawahHargaEmas
+            ? ` <span class="badge bg-warning text-dark" title="Harga emas ${hargaEmas}">Di bawah harga emas</span>`
+            : "";
 
           // Tambahkan setiap item sebagai baris terpisah
           tableData.push([
@@ -755,21 +782,21 @@ const laporanPenjualanHandler = {
             jumlah,
             beratDisplay,
             kadar,
-            `Rp ${harga.toLocaleString("id-ID")}`,
+            `Rp ${harga.toLocaleString("id-ID")}${hargaEmasFlag}`,
             status,
             item.keterangan || keterangan,
           ]);
         });
       } else {
         // PERBAIKAN: Untuk penjualan aksesoris/kotak: gunakan global summary untuk menggabungkan semua item dengan kode sama
-        transaction.items.forEach((item) => {
+        activeItems.forEach((item) => {
           const key = item.kodeText || item.barcode || "-";
           const name = item.nama || "-";
           const kadar = item.kadar || "-";
           const berat = parseFloat(item.berat) || 0;
           const jumlah = parseInt(item.jumlah) || 1;
 
-          let harga = parseInt(item.totalHarga) || 0;
+          let harga = PromotionService.getItemNetPrice(item);
           if (transaction.metodeBayar === "free") {
             harga = 0;
           }
@@ -844,12 +871,300 @@ const laporanPenjualanHandler = {
       this.updateTableHeader();
       const tableData = this.prepareTableData();
       this.updateDataTable(tableData);
+      this.renderTenderSummary();
+      this.renderVoidSummary();
+      this.renderDiscountSummary();
+      this.renderShiftSummary();
     } catch (error) {
       console.error("Error rendering sales table:", error);
       this.showAlert("Terjadi kesalahan saat menampilkan data", "Error", "error");
     }
   },
 
+  // Rekap uang diterima per metode pembayaran (tunai sudah dikurangi kembalian)
+  renderTenderSummary() {
+    const tableBody = document.querySelector("#tenderSummaryTable tbody");
+    if (!tableBody) return;
+
+    const summary = {};
+    this.filteredSalesData.forEach((sale) => {
+      Object.entries(getTenderAmounts(sale)).forEach(([metode, jumlah]) => {
+        summary[metode] = summary[metode] || { transaksi: 0, jumlah: 0 };
+        summary[metode].transaksi++;
+        summary[metode].jumlah += jumlah;
+      });
+    });
+
+    const metodeList = [...new Set([...Object.keys(PAYMENT_TYPES), ...Object.keys(summary)])].filter(
+      (metode) => summary[metode]
+    );
+    if (metodeList.length === 0) {
+      tableBody.innerHTML = `<tr><td colspan="3" class="text-center">Tidak ada data</td></tr>`;
+      return;
+    }
+
+    const total = metodeList.reduce((sum, metode) => sum + summary[metode].jumlah, 0);
+    tableBody.innerHTML =
+      metodeList
+        .map(
+          (metode) => `
+          <tr>
+            <td>${getPaymentLabel(metode)}</td>
+            <td class="text-center">${summary[metode].transaksi}</td>
+            <td class="text-end">${formatRupiah(summary[metode].jumlah)}</td>
+          </tr>`
+        )
+        .join("") +
+      `<tr class="table-info fw-bold"><td colspan="2" class="text-end">TOTAL:</td><td class="text-end">${formatRupiah(
+        total
+      )}</td></tr>`;
+  },
+
+  // Daftar void / refund dari penjualan yang sedang ditampilkan
+  renderVoidSummary() {
+    const tableBody = document.querySelector("#voidSummaryTable tbody");
+    if (!tableBody) return;
+
+    const refunds = SaleVoidService.listRefunds(this.filteredSalesData).sort((a, b) => b.waktu.localeCompare(a.waktu));
+    if (refunds.length === 0) {
+      tableBody.innerHTML = `<tr><td colspan="6" class="text-center">Tidak ada void / refund</td></tr>`;
+      return;
+    }
+
+    const total = refunds.reduce((sum, refund) => sum + refund.nominal, 0);
+    const rows = refunds.map((refund) => {
+      const waktu = new Date(refund.waktu).toLocaleString("id-ID", { dateStyle: "short", timeStyle: "short" });
+      const status = refund.sale.statusVoid === "void" ? `<span class="badge bg-dark">Void</span>` : "";
+      const items = refund.items.map((item) => `${item.kode} - ${item.nama} (${item.jumlah})`).join("<br>");
+      return `
+          <tr>
+            <td>${waktu}</td>
+            <td>${refund.sale.sales || "-"} · ${this.formatJenisPenjualan(refund.sale)} ${status}</td>
+            <td>${items}</td>
+            <td class="text-end">${formatRupiah(refund.nominal)}</td>
+            <td>${refund.alasan}</td>
+            <td>${refund.disetujuiOleh || "-"}</td>
+          </tr>`;
+    });
+
+    tableBody.innerHTML =
+      rows.join("") +
+      `<tr class="table-info fw-bold"><td colspan="3" class="text-end">TOTAL:</td>
+        <td class="text-end">${formatRupiah(total)}</td><td colspan="2"></td></tr>`;
+  },
+
+  // Rekap berbulan-bulan dibaca dari salesDailySummary (satu dokumen per hari per cabang)
+  async loadPeriodSummary() {
+    const dari = document.getElementById("rekapDari").value;
+    const sampai = document.getElementById("rekapSampai").value || dari;
+    if (!dari) {
+      this.showAlert("Silakan pilih bulan awal rekap", "Peringatan", "warning");
+      return;
+    }
+    if (sampai < dari) {
+      this.showAlert("Bulan akhir tidak boleh sebelum bulan awal", "Peringatan", "warning");
+      return;
+    }
+
+    const [year, month] = sampai.split("-").map(Number);
+    const endKey = SalesSummaryService.getDateKey(new Date(year, month, 0));
+
+    this.showLoading(true);
+    try {
+      this.periodSummaryRows = await SalesSummaryService.getRows(
+        `${dari}-01`,
+        endKey,
+        document.getElementById("filterCabang")?.value
+      );
+      this.renderPeriodSummary();
+    } catch (error) {
+      console.error("Error loading period summary:", error);
+      this.showAlert("Gagal memuat rekap periode: " + error.message, "Error", "error");
+    } finally {
+      this.showLoading(false);
+    }
+  },
+
+  renderPeriodSummary() {
+    const tableBody = document.querySelector("#rekapPeriodeTable tbody");
+    const groupSelect = document.getElementById("rekapGroup");
+    if (!tableBody || !groupSelect) return;
+
+    const field = groupSelect.value;
+    document.getElementById("rekapGroupLabel").textContent = groupSelect.selectedOptions[0].textContent.replace(
+      "Per ",
+      ""
+    );
+
+    const groups = SalesSummaryService.groupRows(this.periodSummaryRows, field);
+    if (groups.length === 0) {
+      tableBody.innerHTML = `<tr><td colspan="8" class="text-center">Tidak ada data</td></tr>`;
+      return;
+    }
+
+    const formatKey = (key) => {
+      if (field === "tanggal") return key.split("-").reverse().join("/");
+      if (field === "jenis") return this.formatJenisPenjualan({ jenisPenjualan: key });
+      if (field === "metodeBayar") return getPaymentLabel(key);
+      return key;
+    };
+    const renderMetrics = (group) => `
+          <td class="text-center">${group.transaksi}</td>
+          <td class="text-center">${group.jumlah}</td>
+          <td class="text-end">${formatRupiah(group.bruto)}</td>
+          <td class="text-end">${formatRupiah(group.diskon)}</td>
+          <td class="text-end">${formatRupiah(group.nominal)}</td>
+          <td class="text-end">${formatRupiah(group.refund)}</td>
+          <td class="text-end">${formatRupiah(group.nominal - group.refund)}</td>`;
+
+    const [total] = SalesSummaryService.groupRows(
+      groups.map((group) => ({ ...group, key: "total" })),
+      "key"
+    );
+
+    tableBody.innerHTML =
+      groups.map((group) => `<tr><td>${escapeHtml(formatKey(group.key))}</td>${renderMetrics(group)}</tr>`).join("") +
+      `<tr class="table-info fw-bold"><td class="text-end">TOTAL:</td>${renderMetrics(total)}</tr>`;
+  },
+
+  // Penjualan bruto vs neto per jenis penjualan, beserta pemakaian tiap promo
+  renderDiscountSummary() {
+    const tableBody = document.querySelector("#diskonSummaryTable tbody");
+    const promoBody = document.querySelector("#promoSummaryTable tbody");
+    if (!tableBody) return;
+
+    const perJenis = {};
+    const perPromo = {};
+    this.filteredSalesData
+      .filter((sale) => sale.metodeBayar !== "free")
+      .forEach((sale) => {
+        const jenis = sale.isGantiLock || sale.jenisPenjualan === "gantiLock" ? "manual" : sale.jenisPenjualan || "-";
+        const row = (perJenis[jenis] = perJenis[jenis] || { transaksi: 0, bruto: 0, diskon: 0 });
+        row.transaksi++;
+        row.bruto += PromotionService.getSaleGross(sale);
+        row.diskon += PromotionService.getSaleDiscount(sale);
+
+        (sale.promosi || []).forEach((promo) => {
+          const key = promo.id || promo.nama;
+          perPromo[key] = perPromo[key] || { nama: promo.nama, transaksi: 0, jumlah: 0 };
+          perPromo[key].transaksi++;
+          perPromo[key].jumlah += Number(promo.jumlah) || 0;
+        });
+        if (sale.diskonManual > 0) {
+          perPromo.manual = perPromo.manual || { nama: "Diskon manual kasir", transaksi: 0, jumlah: 0 };
+          perPromo.manual.transaksi++;
+          perPromo.manual.jumlah += sale.diskonManual;
+        }
+      });
+
+    const rows = Object.entries(perJenis);
+    if (rows.length === 0) {
+      tableBody.innerHTML = `<tr><td colspan="5" class="text-center">Tidak ada data</td></tr>`;
+    } else {
+      const total = rows.reduce(
+        (sum, [, row]) => ({
+          transaksi: sum.transaksi + row.transaksi,
+          bruto: sum.bruto + row.bruto,
+          diskon: sum.diskon + row.diskon,
+        }),
+        { transaksi: 0, bruto: 0, diskon: 0 }
+      );
+      const renderRow = (label, row, className = "") => `
+          <tr class="${className}">
+            <td>${label}</td>
+            <td class="text-center">${row.transaksi}</td>
+            <td class="text-end">${formatRupiah(row.bruto)}</td>
+            <td class="text-end">${formatRupiah(row.diskon)}</td>
+            <td class="text-end">${formatRupiah(row.bruto - row.diskon)}</td>
+          </tr>`;
+
+      tableBody.innerHTML =
+        rows.map(([jenis, row]) => renderRow(jenis.charAt(0).toUpperCase() + jenis.slice(1), row)).join("") +
+        renderRow("TOTAL", total, "table-info fw-bold");
+    }
+
+    if (!promoBody) return;
+    const promos = Object.values(perPromo);
+    promoBody.innerHTML =
+      promos.length > 0
+        ? promos
+            .map(
+              (promo) => `
+          <tr>
+            <td>${promo.nama}</td>
+            <td class="text-center">${promo.transaksi}</td>
+            <td class="text-end">${promo.jumlah > 0 ? formatRupiah(promo.jumlah) : "Bonus barang"}</td>
+          </tr>`
+            )
+            .join("")
+        : `<tr><td colspan="3" class="text-center">Tidak ada promo terpakai</td></tr>`;
+  },
+
+  // Rekap per shift kasir dari data yang sedang ditampilkan
+  async renderShiftSummary() {
+    const tableBody = document.querySelector("#shiftSummaryTable tbody");
+    if (!tableBody) return;
+
+    const groups = new Map();
+    this.filteredSalesData.forEach((sale) => {
+      const shiftId = sale.shiftId || "";
+      if (!groups.has(shiftId)) groups.set(shiftId, []);
+      groups.get(shiftId).push(sale);
+    });
+
+    if (groups.size === 0) {
+      tableBody.innerHTML = `<tr><td colspan="9" class="text-center">Tidak ada data</td></tr>`;
+      return;
+    }
+
+    // Shift yang sudah ditutup tidak berubah lagi, cukup diambil sekali
+    const missingIds = [...groups.keys()].filter((id) => id && this.shiftCache.get(id)?.status !== "closed");
+    try {
+      const shifts = await ShiftService.getShiftsByIds(missingIds);
+      shifts.forEach((shift, id) => this.shiftCache.set(id, shift));
+    } catch (error) {
+      console.error("Error loading shifts:", error);
+    }
+
+    const formatTime = (timestamp) =>
+      timestamp?.toDate ? timestamp.toDate().toLocaleString("id-ID", { dateStyle: "short", timeStyle: "short" }) : "-";
+
+    tableBody.innerHTML = [...groups.entries()]
+      .map(([shiftId, sales]) => {
+        const shift = this.shiftCache.get(shiftId);
+        const ringkasan = ShiftService.summarizeSales(sales);
+        const closed = shift?.status === "closed";
+
+        let label = "Tanpa shift";
+        if (shift) {
+          label = `${shift.kasir}<div class="small text-muted">${formatTime(shift.openedAt)} - ${formatTime(
+            shift.closedAt
+          )}</div>`;
+        } else if (shiftId) {
+          label = `<code>${shiftId}</code>`;
+        }
+
+        const status = shift
+          ? `<span class="badge ${closed ? "bg-secondary" : "bg-success"}">${closed ? "Ditutup" : "Terbuka"}</span>`
+          : "-";
+        const selisihClass = closed && shift.selisih !== 0 ? "text-danger fw-bold" : "";
+
+        return `
+          <tr>
+            <td>${label}</td>
+            <td>${status}</td>
+            <td class="text-center">${ringkasan.jumlahTransaksi}</td>
+            <td class="text-end">${formatRupiah(ringkasan.totalPenjualan)}</td>
+            <td class="text-end">${formatRupiah(ringkasan.totalLunas)}</td>
+            <td class="text-end">${formatRupiah(ringkasan.totalDP)}</td>
+            <td class="text-end">${closed ? formatRupiah(shift.expectedCash) : "-"}</td>
+            <td class="text-end">${closed ? formatRupiah(shift.countedCash) : "-"}</td>
+            <td class="text-end ${selisihClass}">${closed ? formatRupiah(shift.selisih) : "-"}</td>
+          </tr>`;
+      })
+      .join("");
+  },
+
   // Filter data for selected date and other criteria
   filterSalesData() {
     if (!this.salesData || !this.salesData.length) return;
@@ -859,6 +1174,7 @@ const laporanPenjualanHandler = {
     try {
       const salesType = document.getElementById("salesType").value;
       const salesPerson = document.getElementById("salesPerson").value;
+      const cabang = document.getElementById("filterCabang").value;
 
       this.filteredSalesData = this.salesData.filter((item) => {
         if (!item) return false;
@@ -879,7 +1195,7 @@ const laporanPenjualanHandler = {
           salesMatches = item.sales === salesPerson;
         }
 
-        return typeMatches && salesMatches;
+        return typeMatches && salesMatches && BranchService.matchesCabang(item, cabang);
       });
 
       // Sort by timestamp (newest first)
@@ -947,6 +1263,10 @@ const laporanPenjualanHandler = {
     const today = new Date();
     const formattedToday = formatDate(today);
     document.getElementById("startDate").value = formattedToday;
+
+    const bulanIni = SalesSummaryService.getDateKey(today).slice(0, 7);
+    document.getElementById("rekapDari").value = bulanIni;
+    document.getElementById("rekapSampai").value = bulanIni;
   },
 
   // Attach event listeners
@@ -983,6 +1303,17 @@ const laporanPenjualanHandler = {
       }
     });
 
+    // Cabang filter change
+    document.getElementById("filterCabang")?.addEventListener("change", () => {
+      if (this.isDataLoaded) {
+        this.filterSalesData();
+      }
+    });
+
+    // Rekap periode dari ringkasan harian
+    document.getElementById("btnRekapPeriode")?.addEventListener("click", () => this.loadPeriodSummary());
+    document.getElementById("rekapGroup")?.addEventListener("change", () => this.renderPeriodSummary());
+
     // Sales person filter change
     document.getElementById("salesPerson")?.addEventListener("change", () => {
       if (this.filteredSalesData && this.filteredSalesData.length > 0) {
@@ -1043,6 +1374,7 @@ const laporanPenjualanHandler = {
   init() {
     this.initDatePickers();
     this.attachEventListeners();
+    BranchService.populateCabangSelect(document.getElementById("filterCabang"), { includeAll: true });
     this.setDefaultDates();
 
     this.initDataTable([]);
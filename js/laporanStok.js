@@ -4,14 +4,19 @@ import {
   getDocs,
   query,
   where,
-  orderBy,
   Timestamp,
   onSnapshot,
-  addDoc,
-  deleteDoc,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
 import { firestore } from "./configFirebase.js";
 import StockService from "./services/stockService.js";
+import BranchService from "./services/branchService.js";
+import PermissionService from "./services/permissionService.js";
+import StockAgingService from "./services/stockAgingService.js";
+import { addToStockSummary, createEmptyStockSummary } from "./services/stockTransactionTypes.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 // 📦 Optimized Stock Report Module
 class OptimizedStockReport {
@@ -34,107 +39,105 @@ class OptimizedStockReport {
     this.isDataLoaded = false;
     this.currentSelectedDate = null;
 
+    // Analisis umur stok
+    this.agingRows = [];
+    this.agingCabang = null;
+
     // Bind methods
     this.init = this.init.bind(this);
     this.loadAndFilterStockData = this.loadAndFilterStockData.bind(this);
     this.resetFilters = this.resetFilters.bind(this);
-    this.returnData = new Map();
   }
 
-  // Tambahkan di dalam class, mis. setelah constructor
-  initSnapshotScheduler() {
-    console.log("📅 Initializing Snapshot Scheduler");
-    this.checkYesterdaySnapshot();
-    this.scheduleDaily();
-  }
+  // Checkpoint stok akhir bulan (pengganti snapshot harian/bulanan), dibuat oleh supervisor saja
+  async initCheckpoints() {
+    if (!PermissionService.can("stock.adjust")) return;
 
-  async checkYesterdaySnapshot() {
     try {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      const dateKey = this.formatDate(yesterday);
-      if (!(await this.snapshotExists(dateKey))) {
-        console.log("⚠️ Creating missing yesterday snapshot");
-        await this.createSnapshot(yesterday);
-      }
-    } catch (e) {
-      console.error(e);
+      await StockService.ensureCheckpoints();
+    } catch (error) {
+      console.error("❌ Failed to ensure stock checkpoints:", error);
     }
   }
 
-  scheduleDaily() {
-    const now = new Date();
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-
-    const msUntilMidnight = tomorrow.getTime() - now.getTime();
-    console.log(`📅 Scheduling next snapshot creation in ${Math.round(msUntilMidnight / 1000 / 60)} minutes`);
-
-    setTimeout(async () => {
-      try {
-        await this.createSnapshot();
-        console.log("✅ Snapshot created successfully at midnight");
-      } catch (error) {
-        console.error("❌ Failed to create midnight snapshot:", error);
-      }
+  // Verifikasi checkpoint terhadap replay penuh transaksi
+  async verifyCheckpoints() {
+    const lastMonth = new Date();
+    lastMonth.setDate(0);
+
+    const { value: periode } = await Swal.fire({
+      title: "Verifikasi Checkpoint Stok",
+      input: "month",
+      inputLabel: "Periode checkpoint",
+      inputValue: `${lastMonth.getFullYear()}-${String(lastMonth.getMonth() + 1).padStart(2, "0")}`,
+      showCancelButton: true,
+      confirmButtonText: "Verifikasi",
+      cancelButtonText: "Batal",
+      inputValidator: (value) => (!value ? "Pilih periode terlebih dahulu" : null),
+    });
 
-      // Schedule recurring daily snapshots with error handling
-      setInterval(async () => {
-        try {
-          await this.createSnapshot();
-          console.log("✅ Daily recurring snapshot created");
-        } catch (error) {
-          console.error("❌ Failed to create recurring snapshot:", error);
-        }
-      }, 24 * 60 * 60 * 1000);
-    }, msUntilMidnight);
-  }
+    if (!periode) return;
 
-  async snapshotExists(dateKey) {
-    const q = query(collection(firestore, "dailyStockSnapshot"), where("date", "==", dateKey));
-    return !(await getDocs(q)).empty;
-  }
-
-  async createSnapshot(targetDate = null) {
-    if (!targetDate) {
-      targetDate = new Date();
-      targetDate.setDate(targetDate.getDate() - 1);
-    }
-    const dateKey = this.formatDate(targetDate);
     try {
-      console.log(`📸 Creating snapshot: ${dateKey}`);
-      const endOfDay = new Date(targetDate);
-      endOfDay.setHours(23, 59, 59, 999);
-
-      // ✅ PERBAIKAN: Gunakan StockService untuk konsistensi dengan display
-      if (!this.stockData?.length) await this.loadStockMasterData(true);
-      const kodeList = this.stockData.map((item) => item.kode);
-      const stockMap = await StockService.calculateAllStocksBatch(endOfDay, kodeList);
-
-      const stockData = [];
-      this.stockData.forEach((item) => {
-        stockData.push({
-          kode: item.kode,
-          nama: item.nama || "",
-          kategori: item.kategori || "",
-          stokAkhir: stockMap.get(item.kode) || 0,
-        });
+      Swal.fire({
+        title: "Memverifikasi...",
+        text: "Menghitung ulang stok dari seluruh transaksi",
+        allowOutsideClick: false,
+        didOpen: () => Swal.showLoading(),
       });
-      const old = await getDocs(query(collection(firestore, "dailyStockSnapshot"), where("date", "==", dateKey)));
-      await Promise.all(old.docs.map((d) => deleteDoc(d.ref)));
-      await addDoc(collection(firestore, "dailyStockSnapshot"), {
-        date: dateKey,
-        timestamp: Timestamp.now(),
-        totalItems: stockData.length,
-        stockData,
-        createdBy: "auto",
-        version: "2.1",
+
+      const result = await StockService.verifyCheckpoints(periode);
+
+      if (result.checked === 0 && result.mismatches.length === 0) {
+        Swal.fire("Info", `Belum ada checkpoint untuk periode ${periode}`, "info");
+        return;
+      }
+
+      if (result.mismatches.length === 0) {
+        Swal.fire("Sesuai", `${result.checked} checkpoint periode ${periode} cocok dengan transaksi`, "success");
+        return;
+      }
+
+      const rows = result.mismatches
+        .map(
+          (item) => `
+            <tr>
+              <td>${item.kode}</td>
+              <td>${BranchService.getCabangName(item.cabang)}</td>
+              <td class="text-end">${item.tercatat ?? "-"}</td>
+              <td class="text-end">${item.seharusnya}</td>
+              <td class="text-center">${item.checksumValid ? "✓" : "✗"}</td>
+            </tr>`
+        )
+        .join("");
+
+      const { isConfirmed } = await Swal.fire({
+        title: `${result.mismatches.length} checkpoint tidak sesuai`,
+        html: `
+          <div style="max-height: 300px; overflow-y: auto;">
+            <table class="table table-sm table-bordered">
+              <thead><tr><th>Kode</th><th>Cabang</th><th>Checkpoint</th><th>Transaksi</th><th>Checksum</th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>`,
+        icon: "warning",
+        width: 700,
+        showConfirmButton: PermissionService.can("stock.adjust"),
+        showCancelButton: true,
+        confirmButtonText: "Perbaiki Checkpoint",
+        cancelButtonText: "Tutup",
       });
-      this.clearCacheForDate(targetDate);
-      console.log(`✅ Snapshot created: ${dateKey}`);
-    } catch (e) {
-      console.error("❌ Snapshot error:", e);
+
+      if (!isConfirmed) return;
+
+      PermissionService.assert("stock.adjust");
+      await StockService.verifyCheckpoints(periode, { repair: true });
+      this.clearAllCache();
+      this.saveCacheToStorage();
+      Swal.fire("Berhasil", `Checkpoint periode ${periode} telah diperbaiki`, "success");
+    } catch (error) {
+      console.error("❌ Checkpoint verification error:", error);
+      Swal.fire("Error", "Gagal memverifikasi checkpoint: " + error.message, "error");
     }
   }
 
@@ -146,7 +149,8 @@ class OptimizedStockReport {
     this.setDefaultDates();
     this.initDataTable();
     this.prepareEmptyTable();
-    this.initSnapshotScheduler();
+    this.initCheckpoints();
+    BranchService.populateCabangSelect(document.getElementById("filterCabang"), { includeAll: true });
 
     // Cleanup cache periodically
     setInterval(() => this.cleanupCache(), 30 * 60 * 1000);
@@ -215,7 +219,7 @@ class OptimizedStockReport {
     if (tableBody) {
       tableBody.innerHTML = `
         <tr>
-          <td colspan="10" class="text-center">Silakan pilih tanggal dan klik tombol "Tampilkan" untuk melihat data</td>
+          <td colspan="12" class="text-center">Silakan pilih tanggal dan klik tombol "Tampilkan" untuk melihat data</td>
         </tr>
       `;
     }
@@ -232,55 +236,129 @@ class OptimizedStockReport {
     if (resetBtn) {
       resetBtn.addEventListener("click", () => this.resetFilters());
     }
+
+    const verifyBtn = document.getElementById("verifyCheckpointBtn");
+    if (verifyBtn) {
+      verifyBtn.addEventListener("click", () => this.verifyCheckpoints());
+    }
+
+    const transferBtn = document.getElementById("transferStockBtn");
+    if (transferBtn) {
+      transferBtn.addEventListener("click", () => this.transferStock());
+    }
+
+    document.getElementById("agingForm")?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.loadAgingReport();
+    });
+    document.getElementById("agingStatusFilter")?.addEventListener("change", (e) => {
+      if ($.fn.DataTable.isDataTable("#agingTable")) {
+        $("#agingTable").DataTable().column(12).search(e.target.value).draw();
+      }
+    });
+    document.getElementById("agingSelectAll")?.addEventListener("change", (e) => {
+      if (!$.fn.DataTable.isDataTable("#agingTable")) return;
+      const rows = $("#agingTable").DataTable().rows({ search: "applied" }).nodes();
+      $(rows).find(".aging-check").prop("checked", e.target.checked);
+      this.updateAgingRestockButton();
+    });
+    document.getElementById("agingTable")?.addEventListener("change", (e) => {
+      if (e.target.classList.contains("aging-check")) this.updateAgingRestockButton();
+    });
+    document.getElementById("agingRestockBtn")?.addEventListener("click", () => this.addAgingToRestock());
+
+    const cabangSelect = document.getElementById("filterCabang");
+    if (cabangSelect) {
+      cabangSelect.addEventListener("change", () => {
+        if (this.isDataLoaded) this.loadAndFilterStockData();
+      });
+    }
   }
 
-  // Reset filters
-  resetFilters() {
-    const today = new Date();
-    document.getElementById("startDate").value = this.formatDate(today);
-    this.loadAndFilterStockData();
+  // Cabang laporan: pilihan filter, atau cabang user jika filter belum terisi
+  getSelectedCabang() {
+    return document.getElementById("filterCabang")?.value || BranchService.getCurrentCabang();
   }
 
-  // Tambahkan method baru untuk mengambil data return
-  async fetchReturnData(selectedDate) {
-    try {
-      // Format tanggal ke YYYY-MM-DD sesuai struktur data di Firestore
-      const formattedDate = selectedDate.toISOString().split("T")[0];
+  // Transfer stok ke cabang lain (debit + kredit dalam satu transaksi Firestore)
+  async transferStock() {
+    if (!PermissionService.can("stock.transfer")) {
+      Swal.fire("Akses Ditolak", "Anda tidak memiliki akses transfer stok", "error");
+      return;
+    }
 
-      console.log(`🔍 Fetching return data for date: ${formattedDate}`);
+    const selectedCabang = this.getSelectedCabang();
+    const dariCabang = selectedCabang === BranchService.ALL_CABANG ? BranchService.getCurrentCabang() : selectedCabang;
+    const cabangList = (await BranchService.getCabangList()).filter((cabang) => cabang.id !== dariCabang);
 
-      const returnRef = collection(firestore, "returnBarang");
-      const q = query(returnRef, where("tanggal", "==", formattedDate));
+    if (cabangList.length === 0) {
+      Swal.fire("Info", "Belum ada cabang tujuan transfer", "info");
+      return;
+    }
 
-      const snapshot = await getDocs(q);
-      const returnMap = new Map();
+    const kodeOptions = this.stockData
+      .map((item) => `<option value="${item.kode}">${item.nama || ""}</option>`)
+      .join("");
+    const cabangOptions = cabangList.map((cabang) => `<option value="${cabang.id}">${cabang.nama}</option>`).join("");
+
+    const { value: formValues } = await Swal.fire({
+      title: `Transfer dari ${BranchService.getCabangName(dariCabang)}`,
+      html: `
+        <input id="transferKode" class="form-control mb-2" list="transferKodeList" placeholder="Kode barang" />
+        <datalist id="transferKodeList">${kodeOptions}</datalist>
+        <input id="transferJumlah" type="number" min="1" class="form-control mb-2" placeholder="Jumlah" />
+        <select id="transferTujuan" class="form-select mb-2">${cabangOptions}</select>
+        <input id="transferKeterangan" class="form-control" placeholder="Keterangan (opsional)" />`,
+      showCancelButton: true,
+      confirmButtonText: "Transfer",
+      cancelButtonText: "Batal",
+      preConfirm: () => {
+        const kode = document.getElementById("transferKode").value.trim();
+        const jumlah = parseInt(document.getElementById("transferJumlah").value, 10);
+
+        if (!kode) return Swal.showValidationMessage("Kode barang harus diisi");
+        if (!Number.isInteger(jumlah) || jumlah <= 0) return Swal.showValidationMessage("Jumlah harus lebih dari 0");
 
-      snapshot.forEach((doc) => {
-        const data = doc.data();
-        console.log(`📦 Return document:`, data);
-
-        if (data.detailReturn && Array.isArray(data.detailReturn)) {
-          data.detailReturn.forEach((item) => {
-            if (item.kode && item.jumlah) {
-              const currentAmount = returnMap.get(item.kode) || 0;
-              const newAmount = currentAmount + parseInt(item.jumlah);
-              returnMap.set(item.kode, newAmount);
-              console.log(`📊 Return for ${item.kode}: ${item.jumlah} (total: ${newAmount})`);
-            }
-          });
-        }
-      });
+        return {
+          kode,
+          jumlah,
+          keCabang: document.getElementById("transferTujuan").value,
+          keterangan: document.getElementById("transferKeterangan").value.trim(),
+        };
+      },
+    });
+
+    if (!formValues) return;
+
+    try {
+      Swal.fire({ title: "Memproses transfer...", allowOutsideClick: false, didOpen: () => Swal.showLoading() });
+
+      const currentUser = BranchService.getCurrentUser();
+      await StockService.transferStock({ ...formValues, dariCabang, sales: currentUser?.username || "" });
 
-      this.returnData = returnMap;
-      console.log(`✅ Return data loaded: ${returnMap.size} items`);
-      return returnMap;
+      this.clearAllCache();
+      this.saveCacheToStorage();
+      Swal.fire(
+        "Berhasil",
+        `${formValues.kode} x${formValues.jumlah} ditransfer ke ${BranchService.getCabangName(formValues.keCabang)}`,
+        "success"
+      );
+
+      if (this.isDataLoaded) await this.loadAndFilterStockData(true);
     } catch (error) {
-      console.error("Error fetching return data:", error);
-      this.returnData = new Map();
-      return new Map();
+      console.error("❌ Transfer stock error:", error);
+      const message = error.code === "insufficient-stock" ? error.message : "Gagal transfer stok: " + error.message;
+      Swal.fire("Error", message, "error");
     }
   }
 
+  // Reset filters
+  resetFilters() {
+    const today = new Date();
+    document.getElementById("startDate").value = this.formatDate(today);
+    this.loadAndFilterStockData();
+  }
+
   // Main data loading function
   async loadAndFilterStockData(forceRefresh = false) {
     try {
@@ -312,11 +390,6 @@ class OptimizedStockReport {
       await this.loadStockMasterData(forceRefresh);
       console.log(`✅ Stock master data loaded: ${this.stockData.length} items`);
 
-      // Fetch return data FIRST before calculating stock
-      console.log("🔄 Fetching return data...");
-      await this.fetchReturnData(selectedDate);
-      console.log(`✅ Return data loaded: ${this.returnData.size} items`);
-
       // Calculate stock for selected date
       console.log("📊 Calculating stock for date...");
       await this.calculateStockForDate(selectedDate, forceRefresh);
@@ -343,7 +416,6 @@ class OptimizedStockReport {
       } else {
         // Load normal untuk tanggal sebelumnya
         await this.loadStockMasterData(forceRefresh);
-        await this.fetchReturnData(selectedDate);
         await this.calculateStockForDate(selectedDate, forceRefresh);
         this.renderStockTable();
       }
@@ -435,7 +507,8 @@ class OptimizedStockReport {
 
       // Only clear today's transaction cache (keep master data & snapshots cached)
       const dateKey = this.formatDate(this.currentSelectedDate).replace(/\//g, "-");
-      const cacheKeys = [`transactions_${dateKey}`, `transactions_batch_${dateKey}`, `stock_${dateKey}`];
+      const cabang = this.getSelectedCabang();
+      const cacheKeys = [`transactions_${dateKey}`, `transactions_batch_${dateKey}`, `stock_${cabang}_${dateKey}`];
 
       cacheKeys.forEach((key) => {
         if (this.cache.has(key)) {
@@ -447,22 +520,6 @@ class OptimizedStockReport {
       // Recalculate stock (will fetch fresh transactions, but use cached master data)
       await this.calculateStockForDate(this.currentSelectedDate, false);
 
-      // Refresh return data
-      await this.fetchReturnData(this.currentSelectedDate);
-
-      // Recalculate final stock with return data
-      this.filteredStockData = this.filteredStockData.map((item) => {
-        const returnAmount = this.returnData.get(item.kode) || 0;
-        return {
-          ...item,
-          return: returnAmount,
-          stokAkhir: Math.max(
-            0,
-            item.stokAwal + item.tambahStok - item.laku - item.free - item.gantiLock - returnAmount
-          ),
-        };
-      });
-
       // Update display
       await this.renderStockTable();
 
@@ -585,117 +642,10 @@ class OptimizedStockReport {
   }
 
   // Calculate stock for specific date
-  // 🚀 OPTIMIZATION: Calculate stock incrementally from snapshot
-  // Reduces Firestore reads by 99.5% (from 44k to ~100 reads per query)
-  async calculateStockFromSnapshot(selectedDate) {
-    console.log(`📊 Calculating stock incrementally for: ${this.formatDate(selectedDate)}`);
-
-    // Try to get previous day's snapshot
-    const previousDate = new Date(selectedDate);
-    previousDate.setDate(previousDate.getDate() - 1);
-    const dailySnapshot = await this.getDailySnapshot(previousDate);
-
-    // Robust validation: check for null, Map type, and non-empty
-    if (!dailySnapshot || !(dailySnapshot instanceof Map) || dailySnapshot.size === 0) {
-      console.log("⚠️ No valid snapshot found, falling back to full calculation");
-      return null; // Signal to use fallback
-    }
-
-    console.log(`✅ Using snapshot from ${this.formatDate(previousDate)} (${dailySnapshot.size} items)`);
-
-    // Calculate only TODAY'S transactions (incremental delta)
-    const startOfDay = new Date(selectedDate);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(selectedDate);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    const transaksiQuery = query(
-      collection(firestore, "stokAksesorisTransaksi"),
-      where("timestamp", ">=", Timestamp.fromDate(startOfDay)),
-      where("timestamp", "<=", Timestamp.fromDate(endOfDay)),
-      orderBy("timestamp", "asc")
-    );
-
-    const transaksiSnapshot = await getDocs(transaksiQuery);
-    console.log(`📦 Found ${transaksiSnapshot.size} transactions for today`);
-
-    // Build result array
-    const result = [];
-    const transactionsByKode = new Map();
-
-    // Group today's transactions by kode
-    transaksiSnapshot.forEach((doc) => {
-      const data = doc.data();
-      if (!transactionsByKode.has(data.kode)) {
-        transactionsByKode.set(data.kode, {
-          tambahStok: 0,
-          laku: 0,
-          free: 0,
-          gantiLock: 0,
-          return: 0,
-        });
-      }
-      const trans = transactionsByKode.get(data.kode);
-      const jumlah = data.jumlah || 0;
-
-      // Handle transaction types consistently with batch method
-      switch (data.jenis) {
-        case "tambah":
-        case "stockAddition":
-          trans.tambahStok += jumlah;
-          break;
-        case "laku":
-          trans.laku += jumlah;
-          break;
-        case "free":
-          trans.free += jumlah;
-          break;
-        case "gantiLock":
-          trans.gantiLock += jumlah;
-          break;
-        case "return":
-          trans.return += jumlah;
-          break;
-      }
-    });
-
-    // Calculate for each item
-    this.stockData.forEach((item) => {
-      const snapshotData = dailySnapshot.get(item.kode);
-      const stokAwal = snapshotData ? snapshotData.stokAwal : 0;
-
-      const trans = transactionsByKode.get(item.kode) || {
-        tambahStok: 0,
-        laku: 0,
-        free: 0,
-        gantiLock: 0,
-        return: 0,
-      };
-
-      // Calculate stokAkhir using tambahStok (consistent with batch method)
-      const stokAkhir = stokAwal + trans.tambahStok - trans.laku - trans.free - trans.gantiLock + trans.return;
-
-      result.push({
-        kode: item.kode,
-        nama: item.nama,
-        kategori: item.kategori,
-        stokAwal,
-        stokAkhir,
-        tambahStok: trans.tambahStok,
-        laku: trans.laku,
-        free: trans.free,
-        gantiLock: trans.gantiLock,
-        return: trans.return,
-      });
-    });
-
-    console.log(`✅ Incremental calculation complete: ${result.length} items`);
-    return result;
-  }
-
   async calculateStockForDate(selectedDate, forceRefresh = false) {
     const dateStr = this.formatDate(selectedDate).replace(/\//g, "-");
-    const cacheKey = `stock_${dateStr}`;
+    const cabang = this.getSelectedCabang();
+    const cacheKey = `stock_${cabang}_${dateStr}`;
     const isToday = this.isSameDate(selectedDate, new Date());
 
     if (!forceRefresh && !isToday && this.isCacheValid(cacheKey)) {
@@ -712,17 +662,8 @@ class OptimizedStockReport {
 
       const startCalc = performance.now();
 
-      // 🚀 OPTIMIZATION: Try snapshot + incremental calculation first (99.5% faster!)
-      // Falls back to full batch calculation if snapshot unavailable
-      const incrementalResult = await this.calculateStockFromSnapshot(selectedDate);
-
-      if (incrementalResult) {
-        console.log("✅ Using INCREMENTAL calculation (snapshot + delta)");
-        this.filteredStockData = incrementalResult;
-      } else {
-        console.log("🔄 Using FULL BATCH calculation (fallback)");
-        this.filteredStockData = await this.calculateStockBatch(selectedDate);
-      }
+      // Stok dihitung dari checkpoint akhir bulan + delta transaksi (lihat StockService)
+      this.filteredStockData = await this.calculateStockBatch(selectedDate, cabang);
 
       // Sort results
       this.filteredStockData.sort((a, b) => {
@@ -744,349 +685,6 @@ class OptimizedStockReport {
     }
   }
 
-  // Get snapshot as base
-  async getSnapshotAsBase(selectedDate) {
-    const dateStr = this.formatDate(selectedDate).replace(/\//g, "-");
-    const cacheKey = `snapshot_${dateStr}`;
-
-    if (this.isCacheValid(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      console.log(`📋 Using cached snapshot: ${cached instanceof Map ? cached.size : 0} items`);
-      return cached instanceof Map ? cached : new Map();
-    }
-
-    try {
-      console.log(`🎯 Getting snapshot base for: ${this.formatDate(selectedDate)}`);
-
-      // Priority 1: Daily snapshot (previous day) - DARI laporanStok.js
-      const previousDate = new Date(selectedDate);
-      previousDate.setDate(previousDate.getDate() - 1);
-      console.log(`🔍 Looking for daily snapshot for: ${this.formatDate(previousDate)}`);
-      const dailySnapshot = await this.getDailySnapshot(previousDate);
-      if (dailySnapshot && dailySnapshot.size > 0) {
-        console.log(`📅 Using daily snapshot: ${this.formatDate(previousDate)} (${dailySnapshot.size} items)`);
-        this.setCache(cacheKey, dailySnapshot);
-        return dailySnapshot;
-      }
-
-      // Priority 2: Same day snapshot - TAMBAHAN dari laporanStok.js
-      console.log(`🔍 Looking for same-day snapshot for: ${this.formatDate(selectedDate)}`);
-      const sameDaySnapshot = await this.getDailySnapshot(selectedDate);
-      if (sameDaySnapshot && sameDaySnapshot.size > 0) {
-        console.log(`📅 Using same-day snapshot: ${this.formatDate(selectedDate)} (${sameDaySnapshot.size} items)`);
-        this.setCache(cacheKey, sameDaySnapshot);
-        return sameDaySnapshot;
-      }
-
-      // Priority 3: Monthly snapshot
-      console.log("🔍 Looking for monthly snapshot...");
-      const monthlySnapshot = await this.getMonthlySnapshot(selectedDate);
-      if (monthlySnapshot && monthlySnapshot.size > 0) {
-        const prevMonth = new Date(selectedDate);
-        prevMonth.setMonth(prevMonth.getMonth() - 1);
-        console.log(
-          `📊 Using monthly snapshot: ${prevMonth.getFullYear()}-${String(prevMonth.getMonth() + 1).padStart(
-            2,
-            "0"
-          )} (${monthlySnapshot.size} items)`
-        );
-        this.setCache(cacheKey, monthlySnapshot);
-        return monthlySnapshot;
-      }
-
-      // Priority 4: Empty base
-      console.log("⚠️ No snapshot found, starting from zero");
-      const emptySnapshot = new Map();
-      this.setCache(cacheKey, emptySnapshot);
-      return emptySnapshot;
-    } catch (error) {
-      console.error("❌ Error getting snapshot base:", error);
-      return new Map();
-    }
-  }
-
-  // Get daily snapshot - PERBAIKAN
-  async getDailySnapshot(date) {
-    const dateKey = this.formatDate(date);
-    const cacheKey = `daily_snapshot_${dateKey.replace(/\//g, "-")}`;
-
-    if (this.isCacheValid(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      // Ensure we return null or Map, not undefined
-      if (cached === null || cached === undefined) {
-        return null;
-      }
-      // Validate it's actually a Map
-      if (!(cached instanceof Map)) {
-        console.warn(`⚠️ Cache corruption: expected Map, got ${typeof cached}`);
-        this.cache.delete(cacheKey);
-        this.cacheMeta.delete(cacheKey);
-        // Fall through to fetch from Firestore
-      } else {
-        return cached;
-      }
-    }
-
-    try {
-      console.log(`🔍 Looking for daily snapshot: ${dateKey}`);
-
-      const dailySnapshotQuery = query(collection(firestore, "dailyStockSnapshot"), where("date", "==", dateKey));
-
-      const querySnapshot = await getDocs(dailySnapshotQuery);
-
-      if (querySnapshot.empty) {
-        console.log(`❌ Daily snapshot not found for: ${dateKey}`);
-        this.setCache(cacheKey, null);
-        return null;
-      }
-
-      const doc = querySnapshot.docs[0];
-      const data = doc.data();
-
-      console.log(`✅ Daily snapshot found for: ${dateKey}`, {
-        docId: doc.id,
-        totalItems: data.totalItems || 0,
-        stockDataLength: data.stockData?.length || 0,
-      });
-
-      const snapshotMap = new Map();
-
-      // PERBAIKAN: Validasi struktur data seperti di laporanStok.js
-      if (data.stockData && Array.isArray(data.stockData)) {
-        data.stockData.forEach((item) => {
-          if (item.kode) {
-            snapshotMap.set(item.kode, {
-              stokAwal: item.stokAkhir || 0,
-              nama: item.nama || "",
-              kategori: item.kategori || "",
-            });
-          }
-        });
-
-        console.log(`📊 Daily snapshot loaded: ${snapshotMap.size} items`);
-        this.setCache(cacheKey, snapshotMap);
-        return snapshotMap;
-      } else {
-        console.log(`⚠️ No stockData array in snapshot: ${dateKey}`);
-        this.setCache(cacheKey, null);
-        return null;
-      }
-    } catch (error) {
-      console.error("Error loading daily snapshot:", error);
-      this.setCache(cacheKey, null);
-      return null;
-    }
-  }
-
-  // Get monthly snapshot
-  async getMonthlySnapshot(selectedDate) {
-    const prevMonth = new Date(selectedDate);
-    prevMonth.setMonth(prevMonth.getMonth() - 1);
-    const monthKey = `${prevMonth.getFullYear()}-${String(prevMonth.getMonth() + 1).padStart(2, "0")}`;
-    const cacheKey = `monthly_snapshot_${monthKey}`;
-
-    if (this.isCacheValid(cacheKey)) {
-      return this.cache.get(cacheKey);
-    }
-
-    try {
-      const snapshotQuery = query(collection(firestore, "stokSnapshot"), where("bulan", "==", monthKey));
-
-      const snapshot = await getDocs(snapshotQuery);
-      const snapshotMap = new Map();
-
-      snapshot.forEach((doc) => {
-        const data = doc.data();
-        snapshotMap.set(data.kode, {
-          stokAwal: data.stok_akhir || 0,
-          nama: data.nama || "",
-          kategori: data.kategori || "",
-        });
-      });
-
-      this.setCache(cacheKey, snapshotMap);
-      return snapshotMap;
-    } catch (error) {
-      console.error("Error loading monthly snapshot:", error);
-      return new Map();
-    }
-  }
-
-  // ⚠️ DEPRECATED: Method ini tidak digunakan lagi
-  // Semua perhitungan stok sekarang menggunakan calculateStockBatch() + StockService
-  // Method ini menyebabkan bug stok jadi 0 di tanggal 2 setiap bulan
-  async calculateStockFromBase(baseSnapshot, endDate) {
-    console.warn("⚠️ DEPRECATED: calculateStockFromBase() should not be called. Use calculateStockBatch() instead.");
-    const stockMap = new Map();
-
-    try {
-      console.log("📈 Starting calculateStockFromBase (DEPRECATED)...");
-
-      // Initialize with base snapshot
-      if (baseSnapshot instanceof Map) {
-        console.log(`📅 Initializing from base snapshot: ${baseSnapshot.size} items`);
-        baseSnapshot.forEach((data, kode) => {
-          stockMap.set(kode, data.stokAwal || 0);
-        });
-      } else {
-        console.log("⚠️ No base snapshot available");
-      }
-
-      // Initialize items not in snapshot
-      console.log(`📦 Initializing ${this.stockData.length} stock items`);
-      this.stockData.forEach((item) => {
-        if (!stockMap.has(item.kode)) {
-          stockMap.set(item.kode, 0);
-        }
-      });
-
-      // PERBAIKAN: Logika start date dari laporanStok.js
-      let startDate;
-      if (baseSnapshot instanceof Map && baseSnapshot.size > 0) {
-        // Jika ada snapshot, mulai dari hari setelah snapshot
-        startDate = new Date(endDate);
-        startDate.setUTCDate(startDate.getUTCDate() - 1);
-        startDate.setUTCHours(0, 0, 0, 0);
-        console.log("📅 Using snapshot-based start date");
-      } else {
-        // Jika tidak ada snapshot, mulai dari awal bulan
-        startDate = new Date(Date.UTC(endDate.getUTCFullYear(), endDate.getUTCMonth(), 1));
-        console.log("📅 Using month-based start date");
-      }
-
-      console.log(`📈 Calculating stock from ${this.formatDate(startDate)} to ${this.formatDate(endDate)}`);
-      console.log(`📈 Date range: ${startDate.toISOString()} to ${endDate.toISOString()}`);
-
-      // Calculate transactions from start date to end date
-      if (startDate <= endDate) {
-        const transactions = await this.getTransactionsForDate(startDate, endDate);
-
-        if (transactions instanceof Map) {
-          console.log(`📊 Applying ${transactions.size} transactions to stock`);
-          // Apply transactions to stock
-          transactions.forEach((trans, kode) => {
-            const currentStock = stockMap.get(kode) || 0;
-            const newStock = Math.max(
-              0,
-              currentStock + trans.tambahStok - trans.laku - trans.free - trans.gantiLock - (trans.return || 0)
-            );
-            stockMap.set(kode, newStock);
-
-            // Debug: Log significant changes
-            if (
-              trans.tambahStok > 0 ||
-              trans.laku > 0 ||
-              trans.free > 0 ||
-              trans.gantiLock > 0 ||
-              (trans.return || 0) > 0
-            ) {
-              console.log(
-                `📊 ${kode}: ${currentStock} + ${trans.tambahStok} - ${trans.laku} - ${trans.free} - ${
-                  trans.gantiLock
-                } - ${trans.return || 0} = ${newStock}`
-              );
-            }
-          });
-        }
-      } else {
-        console.log("⚠️ Start date is after end date, skipping transaction calculation");
-      }
-
-      console.log(`📈 Stock calculated from base: ${stockMap.size} items`);
-
-      // Debug: Log items with non-zero stock
-      const nonZeroItems = Array.from(stockMap.entries()).filter(([kode, stock]) => stock > 0);
-      console.log(`📊 Items with non-zero stock: ${nonZeroItems.length}/${stockMap.size}`);
-      if (nonZeroItems.length > 0) {
-        console.log("🔍 Sample non-zero items:", nonZeroItems.slice(0, 3));
-      }
-
-      return stockMap;
-    } catch (error) {
-      console.error("❌ Error calculating stock from base:", error);
-      return stockMap;
-    }
-  }
-
-  // Get transactions for date range
-  async getTransactionsForDate(startDate, endDate) {
-    const startDateStr = startDate.toISOString().split("T")[0];
-    const endDateStr = endDate.toISOString().split("T")[0];
-    const cacheKey = `trans_${startDateStr}_${endDateStr}`;
-
-    const isRecent = Date.now() - endDate.getTime() < 24 * 60 * 60 * 1000;
-    const ttl = isRecent ? this.CACHE_TTL_TODAY : this.CACHE_TTL_STANDARD;
-
-    if (this.isCacheValid(cacheKey, ttl)) {
-      const cached = this.cache.get(cacheKey);
-      return cached instanceof Map ? cached : new Map();
-    }
-
-    const transactionMap = new Map();
-
-    try {
-      const transQuery = query(
-        collection(firestore, "stokAksesorisTransaksi"),
-        where("timestamp", ">=", Timestamp.fromDate(startDate)),
-        where("timestamp", "<=", Timestamp.fromDate(endDate))
-      );
-
-      const transSnapshot = await getDocs(transQuery);
-
-      transSnapshot.forEach((doc) => {
-        const data = doc.data();
-        const kode = data.kode;
-        if (!kode) return;
-
-        if (!transactionMap.has(kode)) {
-          transactionMap.set(kode, {
-            tambahStok: 0,
-            laku: 0,
-            free: 0,
-            gantiLock: 0,
-            return: 0,
-            nama: data.nama || "",
-            kategori: data.kategori || "",
-          });
-        }
-
-        const trans = transactionMap.get(kode);
-        const jumlah = parseInt(data.jumlah) || 0;
-
-        switch (data.jenis) {
-          case "tambah":
-          case "stockAddition":
-            trans.tambahStok += jumlah;
-            break;
-          case "laku":
-            trans.laku += jumlah;
-            break;
-          case "free":
-            trans.free += jumlah;
-            break;
-          case "gantiLock":
-            trans.gantiLock += jumlah;
-            break;
-          case "return":
-            trans.return += jumlah;
-            break;
-          case "reverse_return":
-            trans.return -= jumlah;
-            break;
-        }
-      });
-
-      // All data now in stokAksesorisTransaksi (single source of truth)
-      console.log(`✅ Transactions loaded: ${transactionMap.size} items`);
-
-      this.setCache(cacheKey, transactionMap, ttl);
-      return transactionMap;
-    } catch (error) {
-      console.error("❌ Error getting transactions for date:", error);
-      return new Map();
-    }
-  }
-
   // Render stock table
   renderStockTable() {
     try {
@@ -1108,7 +706,7 @@ class OptimizedStockReport {
         console.log("⚠️ No filtered data to display");
         tableBody.innerHTML = `
           <tr>
-            <td colspan="10" class="text-center">Tidak ada data yang sesuai dengan filter</td>
+            <td colspan="12" class="text-center">Tidak ada data yang sesuai dengan filter</td>
           </tr>
         `;
         this.initDataTable();
@@ -1141,7 +739,9 @@ class OptimizedStockReport {
           item.laku === 0 &&
           item.free === 0 &&
           item.gantiLock === 0 &&
-          item.return === 0
+          item.return === 0 &&
+          !item.transfer &&
+          !item.koreksi
         ) {
           console.log(`⚠️ All values are 0 for ${item.kode}:`, item);
         }
@@ -1157,6 +757,8 @@ class OptimizedStockReport {
             <td class="text-center">${item.free || 0}</td>
             <td class="text-center">${item.gantiLock || 0}</td>
             <td class="text-center">${item.return || 0}</td>
+            <td class="text-center">${item.transfer || 0}</td>
+            <td class="text-center">${item.koreksi || 0}</td>
             <td class="text-center">${item.stokAkhir || 0}</td>
           </tr>
         `;
@@ -1178,7 +780,9 @@ class OptimizedStockReport {
           item.laku > 0 ||
           item.free > 0 ||
           item.gantiLock > 0 ||
-          item.return > 0
+          item.return > 0 ||
+          item.transfer ||
+          item.koreksi
       );
       console.log(`📊 Rendered items with non-zero values: ${nonZeroItems.length}/${this.filteredStockData.length}`);
     } catch (error) {
@@ -1189,6 +793,8 @@ class OptimizedStockReport {
 
   // Initialize DataTable with export - VERSI RINGKAS
   initDataTableWithExport(selectedDate) {
+    const cabangName = BranchService.getCabangName(this.getSelectedCabang());
+
     // Add simple inline styles
     const tableStyle = `
       <style id="stockTableStyle">
@@ -1196,7 +802,7 @@ class OptimizedStockReport {
         #stockTable th:nth-child(1), #stockTable td:nth-child(1) { width: 5% !important; text-align: center; }
         #stockTable th:nth-child(2), #stockTable td:nth-child(2) { width: 9% !important; text-align: center; }
         #stockTable th:nth-child(3), #stockTable td:nth-child(3) { width: 20% !important; text-align: center; }
-        #stockTable th:nth-child(n+4), #stockTable td:nth-child(n+4) { width: 9.5% !important; text-align: center; }
+        #stockTable th:nth-child(n+4), #stockTable td:nth-child(n+4) { width: 7.33% !important; text-align: center; }
         #stockTable th, #stockTable td { padding: 8px 4px; vertical-align: middle; word-wrap: break-word; }
       </style>
     `;
@@ -1215,7 +821,7 @@ class OptimizedStockReport {
         { width: "5%", targets: 0 },
         { width: "12%", targets: 1 },
         { width: "25%", targets: 2 },
-        { width: "9.5%", targets: [3, 4, 5, 6, 7, 8] },
+        { width: "6.4%", targets: [3, 4, 5, 6, 7, 8, 9, 10, 11] },
       ],
       buttons: [
         {
@@ -1223,18 +829,18 @@ class OptimizedStockReport {
           text: '<i class="fas fa-file-excel me-2"></i>Excel',
           className: "btn btn-success btn-sm me-1",
           exportOptions: { columns: ":visible" },
-          title: `Laporan Stok Kotak & Aksesoris Melati Bawah (${selectedDate})`,
+          title: `Laporan Stok Kotak & Aksesoris ${cabangName} (${selectedDate})`,
         },
         {
           extend: "pdf",
           text: '<i class="fas fa-file-pdf me-2"></i>PDF',
           className: "btn btn-danger btn-sm me-1",
           exportOptions: { columns: ":visible" },
-          title: `Laporan Stok Kotak & Aksesoris Melati Bawah\n(${selectedDate})`,
+          title: `Laporan Stok Kotak & Aksesoris ${cabangName}\n(${selectedDate})`,
           customize: function (doc) {
             doc.defaultStyle.fontSize = 8;
             doc.styles.tableHeader.fontSize = 9;
-            doc.content[1].table.widths = ["5%", "9%", "28%", "8%", "8%", "8%", "8%", "8%", "8%", "8%"];
+            doc.content[1].table.widths = ["5%", "9%", "22%", "7%", "7%", "7%", "7%", "7%", "7%", "7%", "7%", "7%"];
             // Center align all columns except name column (3rd column)
             doc.content[1].table.body.forEach((row) => {
               row.forEach((cell, index) => {
@@ -1321,25 +927,6 @@ class OptimizedStockReport {
     return isValid;
   }
 
-  clearCacheForDate(date) {
-    const dateStr = this.formatDate(date).replace(/\//g, "-");
-    const keysToDelete = [];
-
-    this.cache.forEach((value, key) => {
-      if (key.includes(dateStr) || key.includes("stock_") || key.includes("trans_")) {
-        keysToDelete.push(key);
-      }
-    });
-
-    keysToDelete.forEach((key) => {
-      this.cache.delete(key);
-      this.cacheMeta.delete(key);
-    });
-
-    this.saveCacheToStorage();
-    console.log(`🗑️ Cleared cache for ${dateStr}: ${keysToDelete.length} entries`);
-  }
-
   cleanupCache() {
     const now = Date.now();
     const keysToDelete = [];
@@ -1557,7 +1144,7 @@ class OptimizedStockReport {
   }
 
   // 🚀 NEW METHOD: Batch calculation (99% faster than loop per kode!)
-  async calculateStockBatch(selectedDate) {
+  async calculateStockBatch(selectedDate, cabang = this.getSelectedCabang()) {
     try {
       console.log(`📊 Batch calculating stock for ${this.formatDate(selectedDate)}`);
 
@@ -1579,33 +1166,23 @@ class OptimizedStockReport {
 
       // ✅ SINGLE BATCH QUERY for all stock calculations
       const kodeList = this.stockData.map((item) => item.kode);
-      const stockMapPrevious = await StockService.calculateAllStocksBatch(previousDay, kodeList);
-      const stockMapCurrent = await StockService.calculateAllStocksBatch(endOfDay, kodeList);
+      const stockMapPrevious = await StockService.calculateAllStocksBatch(previousDay, kodeList, { cabang });
+      const stockMapCurrent = await StockService.calculateAllStocksBatch(endOfDay, kodeList, { cabang });
 
       // ✅ Get today's transactions in batch
-      const todayTransactionsMap = await this.getTransactionsForDateBatch(startOfDay, endOfDay);
+      const todayTransactionsMap = await this.getTransactionsForDateBatch(startOfDay, endOfDay, cabang);
 
       // ✅ Build results in-memory (fast!)
       const stockResults = this.stockData.map((item) => {
         const kode = item.kode;
         const stokAwal = stockMapPrevious.get(kode) || 0;
         const stokAkhir = stockMapCurrent.get(kode) || 0;
-        const todayTrans = todayTransactionsMap.get(kode) || {
-          tambahStok: 0,
-          laku: 0,
-          free: 0,
-          gantiLock: 0,
-          return: 0,
-        };
+        const todayTrans = todayTransactionsMap.get(kode) || createEmptyStockSummary();
 
         return {
           ...item,
           stokAwal,
-          tambahStok: todayTrans.tambahStok,
-          laku: todayTrans.laku,
-          free: todayTrans.free,
-          gantiLock: todayTrans.gantiLock,
-          return: todayTrans.return,
+          ...todayTrans,
           stokAkhir,
         };
       });
@@ -1619,7 +1196,7 @@ class OptimizedStockReport {
   }
 
   // Helper: Get ALL transactions for date in one query
-  async getTransactionsForDateBatch(startDate, endDate) {
+  async getTransactionsForDateBatch(startDate, endDate, cabang = this.getSelectedCabang()) {
     try {
       const transQuery = query(
         collection(firestore, "stokAksesorisTransaksi"),
@@ -1632,47 +1209,17 @@ class OptimizedStockReport {
 
       console.log(`📊 Processing ${snapshot.size} transactions for date range`);
 
-      let stockAdditionCount = 0;
       snapshot.forEach((doc) => {
         const data = doc.data();
-        const kode = data.kode;
-        const jumlah = data.jumlah || 0;
-
-        if (!transactionsMap.has(kode)) {
-          transactionsMap.set(kode, {
-            tambahStok: 0,
-            laku: 0,
-            free: 0,
-            gantiLock: 0,
-            return: 0,
-          });
-        }
+        if (!BranchService.matchesCabang(data, cabang)) return;
 
-        const trans = transactionsMap.get(kode);
-
-        switch (data.jenis) {
-          case "tambah":
-          case "stockAddition":
-            trans.tambahStok += jumlah;
-            stockAdditionCount++;
-            console.log(`✅ stockAddition: ${kode} +${jumlah} (total: ${trans.tambahStok})`);
-            break;
-          case "laku":
-            trans.laku += jumlah;
-            break;
-          case "free":
-            trans.free += jumlah;
-            break;
-          case "gantiLock":
-            trans.gantiLock += jumlah;
-            break;
-          case "return":
-            trans.return += jumlah;
-            break;
+        if (!transactionsMap.has(data.kode)) {
+          transactionsMap.set(data.kode, createEmptyStockSummary());
         }
+
+        addToStockSummary(transactionsMap.get(data.kode), data);
       });
 
-      console.log(`📈 Found ${stockAdditionCount} stockAddition transactions`);
       console.log(`📦 Total items with transactions: ${transactionsMap.size}`);
 
       return transactionsMap;
@@ -1682,6 +1229,178 @@ class OptimizedStockReport {
     }
   }
 
+  // Analisis slow-moving & dead stock untuk cabang yang dipilih
+  async loadAgingReport() {
+    const thresholds = {
+      periode: document.getElementById("agingPeriode").value,
+      slow: document.getElementById("agingSlow").value,
+      dead: document.getElementById("agingDead").value,
+      restok: document.getElementById("agingRestok").value,
+    };
+
+    try {
+      this.showLoading(true);
+      await this.loadStockMasterData();
+
+      this.agingCabang = this.getSelectedCabang();
+      const result = await StockAgingService.analyze(this.stockData, thresholds, this.agingCabang);
+      this.agingRows = result.rows;
+
+      // Tampilkan batas yang benar-benar dipakai (periode minimal sepanjang batas dead stock)
+      document.getElementById("agingPeriode").value = result.thresholds.periode;
+      document.getElementById("agingSlow").value = result.thresholds.slow;
+
+      this.renderAgingKategori(result.kategori);
+      this.renderAgingTable(result.thresholds);
+    } catch (error) {
+      console.error("❌ Error loading stock aging:", error);
+      this.showError("Gagal menganalisis umur stok: " + error.message);
+    } finally {
+      this.showLoading(false);
+    }
+  }
+
+  renderAgingKategori(groups) {
+    const tableBody = document.querySelector("#agingKategoriTable tbody");
+    if (groups.length === 0) {
+      tableBody.innerHTML = `<tr><td colspan="10" class="text-center">Tidak ada stok atau pergerakan</td></tr>`;
+      return;
+    }
+
+    tableBody.innerHTML = groups
+      .map(
+        (group) => `
+          <tr>
+            <td>${group.kategori}</td>
+            <td class="text-center">${group.kode}</td>
+            <td class="text-center">${group.stokAwal}</td>
+            <td class="text-center">${group.masuk}</td>
+            <td class="text-center">${group.terjual}</td>
+            <td class="text-center">${group.stokAkhir}</td>
+            <td class="text-center">${group.sellThrough.toFixed(1)}%</td>
+            <td class="text-center">${group.turnover.toFixed(2)}x</td>
+            <td class="text-center">${group.slow}</td>
+            <td class="text-center">${group.dead}</td>
+          </tr>`
+      )
+      .join("");
+  }
+
+  renderAgingTable(thresholds) {
+    if ($.fn.DataTable.isDataTable("#agingTable")) {
+      $("#agingTable").DataTable().destroy();
+    }
+
+    const formatTanggal = (date) =>
+      date ? date.toLocaleDateString("id-ID", { day: "2-digit", month: "2-digit", year: "numeric" }) : "-";
+    const beyondPeriode = `> ${thresholds.periode}`;
+
+    document.querySelector("#agingTable tbody").innerHTML = this.agingRows
+      .map((row) => {
+        const status = StockAgingService.AGING_STATUS[row.status];
+        const restok = row.perluRestok ? ` <span class="badge bg-info text-dark">Restok</span>` : "";
+        const hariDiam = row.hariDiam ?? thresholds.periode + 1;
+        const daysOnHand = row.daysOnHand ?? Number.MAX_SAFE_INTEGER;
+        return `
+          <tr>
+            <td class="text-center">
+              <input type="checkbox" class="form-check-input aging-check" data-kode="${row.kode}" />
+            </td>
+            <td class="text-center">${row.kode}</td>
+            <td>${row.nama}</td>
+            <td class="text-center">${row.kategori}</td>
+            <td class="text-center">${row.stokAkhir}</td>
+            <td class="text-center">${row.terjual}</td>
+            <td class="text-center">${formatTanggal(row.lastJual)}</td>
+            <td class="text-center">${formatTanggal(row.lastTambah)}</td>
+            <td class="text-center" data-order="${hariDiam}">${row.hariDiam ?? beyondPeriode}</td>
+            <td class="text-center" data-order="${daysOnHand}">${row.daysOnHand ?? "∞"}</td>
+            <td class="text-center" data-order="${row.sellThrough}">${row.sellThrough.toFixed(1)}%</td>
+            <td class="text-center" data-order="${row.turnover}">${row.turnover.toFixed(2)}x</td>
+            <td class="text-center"><span class="badge bg-${status.badge}">${status.label}</span>${restok}</td>
+          </tr>`;
+      })
+      .join("");
+
+    const cabangName = BranchService.getCabangName(this.getSelectedCabang());
+    $("#agingTable").DataTable({
+      dom: "Bfrtip",
+      pageLength: 25,
+      order: [[8, "desc"]],
+      columnDefs: [{ orderable: false, targets: 0 }],
+      buttons: [
+        {
+          extend: "excel",
+          text: '<i class="fas fa-file-excel me-2"></i>Excel',
+          className: "btn btn-success btn-sm me-1",
+          exportOptions: { columns: ":not(:first-child)" },
+          title: `Analisis Umur Stok ${cabangName} (${thresholds.periode} hari)`,
+        },
+      ],
+      language: {
+        search: "Cari:",
+        info: "Menampilkan _START_ sampai _END_ dari _TOTAL_ data",
+        infoEmpty: "Menampilkan 0 sampai 0 dari 0 data",
+        infoFiltered: "(disaring dari _MAX_ total data)",
+        emptyTable: "Tidak ada stok atau pergerakan",
+        paginate: { next: "Selanjutnya", previous: "Sebelumnya" },
+      },
+    });
+
+    const statusFilter = document.getElementById("agingStatusFilter").value;
+    if (statusFilter) $("#agingTable").DataTable().column(12).search(statusFilter).draw();
+
+    document.getElementById("agingSelectAll").checked = false;
+    this.updateAgingRestockButton();
+  }
+
+  getSelectedAgingRows() {
+    if (!$.fn.DataTable.isDataTable("#agingTable")) return [];
+    const kodeList = $("#agingTable")
+      .DataTable()
+      .$(".aging-check:checked")
+      .map((_, checkbox) => checkbox.dataset.kode)
+      .get();
+    return this.agingRows.filter((row) => kodeList.includes(row.kode));
+  }
+
+  updateAgingRestockButton() {
+    document.getElementById("agingRestockBtn").disabled = this.getSelectedAgingRows().length === 0;
+  }
+
+  // Barang terpilih masuk daftar "perlu restok" di halaman Restok Barang
+  async addAgingToRestock() {
+    if (!PermissionService.can("order.manage")) {
+      Swal.fire("Akses Ditolak", "Anda tidak memiliki akses order & restok barang", "error");
+      return;
+    }
+
+    const rows = this.getSelectedAgingRows();
+    if (rows.length === 0) return;
+
+    const result = await Swal.fire({
+      title: "Tambah ke daftar restok?",
+      text: `${rows.length} barang akan masuk daftar Perlu Restok`,
+      icon: "question",
+      showCancelButton: true,
+      confirmButtonText: "Ya, tambahkan",
+      cancelButtonText: "Batal",
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      const { dibuat, dilewati } = await StockAgingService.createRestockRequests(rows, this.agingCabang);
+      $("#agingTable").DataTable().$(".aging-check").prop("checked", false);
+      document.getElementById("agingSelectAll").checked = false;
+      this.updateAgingRestockButton();
+      const info = dilewati > 0 ? `, ${dilewati} dilewati karena masih ada di daftar restok` : "";
+      this.showSuccess(`${dibuat} barang masuk daftar restok${info}`);
+    } catch (error) {
+      console.error("❌ Error creating restock requests:", error);
+      this.showError("Gagal menambahkan ke daftar restok: " + error.message);
+    }
+  }
+
   // Clear all cache
   clearAllCache() {
     console.log("🗑️ Clearing all cache...");
@@ -1702,6 +1421,10 @@ class OptimizedStockReport {
       $("#stockTable").DataTable().destroy();
     }
 
+    if ($.fn.DataTable.isDataTable("#agingTable")) {
+      $("#agingTable").DataTable().destroy();
+    }
+
     // Remove table style - TAMBAHKAN INI
     document.getElementById("stockTableStyle")?.remove();
 
@@ -7,6 +7,11 @@ import {
   updateDoc,
   getDocs,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import BranchService from "./services/branchService.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 const mainCategories = [
   "KALUNG",
@@ -82,9 +87,10 @@ async function getStockSnapshot({ force = false } = {}) {
       const snap = await getDocs(stocksCol);
       const needed = new Set([...summaryCategories, "stok-komputer"]);
       const data = {};
+      const currentCabang = BranchService.getCurrentCabang();
       snap.forEach((docSnap) => {
-        const id = docSnap.id;
-        if (needed.has(id)) {
+        const { cabang, id } = BranchService.parseScopedDocId(docSnap.id);
+        if (cabang === currentCabang && needed.has(id)) {
           data[id] = docSnap.data() || {};
         }
       });
@@ -150,7 +156,7 @@ async function saveDailyStockSnapshot(selectedDate) {
   if (!dateKey) throw new Error("Tanggal tidak valid");
   await getStockSnapshot();
   const data = computeCurrentSummarySnapshot();
-  const docRef = doc(firestore, "daily_stock_reports", dateKey);
+  const docRef = doc(firestore, "daily_stock_reports", BranchService.scopedDocId(dateKey));
   const existing = await getDoc(docRef);
   const payload = {
     date: dateKey,
@@ -164,7 +170,7 @@ async function saveDailyStockSnapshot(selectedDate) {
 async function loadDailyStockSnapshot(selectedDate) {
   const dateKey = formatDateKey(selectedDate);
   if (!dateKey) throw new Error("Tanggal tidak valid");
-  const ref = doc(firestore, "daily_stock_reports", dateKey);
+  const ref = doc(firestore, "daily_stock_reports", BranchService.scopedDocId(dateKey));
   const snap = await getDoc(ref);
   if (!snap.exists()) return null;
   return snap.data();
@@ -175,7 +181,7 @@ async function ensureYesterdaySnapshotIfMissing() {
   const todayKey = formatDateKey(nowWita);
   const yesterday = new Date(getNowInWita().getTime() - 24 * 60 * 60 * 1000);
   const yesterdayKey = formatDateKey(yesterday);
-  const ref = doc(firestore, "daily_stock_reports", yesterdayKey);
+  const ref = doc(firestore, "daily_stock_reports", BranchService.scopedDocId(yesterdayKey));
   const snap = await getDoc(ref);
   if (!snap.exists()) {
     await getStockSnapshot();
@@ -537,7 +543,7 @@ function initDailyReportPage() {
       saveBtn.onclick = async () => {
         if (isToday) return; // guard
         const dateKey = dateVal || todayKey;
-        const docRef = doc(firestore, "daily_stock_reports", dateKey);
+        const docRef = doc(firestore, "daily_stock_reports", BranchService.scopedDocId(dateKey));
         const total = Math.max(0, parseInt((jumlahEl && jumlahEl.value) || "0", 10) || 0);
         const komputer = Math.max(0, parseInt((komputerEl && komputerEl.value) || "0", 10) || 0);
         let status = "Klop";
@@ -700,7 +706,7 @@ function renderWarnaModal({
   ensureWarnaModalFooter(editable, async () => {
     try {
       const targetDateKey = dateKey || formatDateKey(new Date());
-      const docRef = doc(firestore, "daily_stock_reports", targetDateKey);
+      const docRef = doc(firestore, "daily_stock_reports", BranchService.scopedDocId(targetDateKey));
       let payload = { total: 0 };
       if (isKalungLiontin || isHala) {
         const inputs = Array.from(document.querySelectorAll("#modalDetailWarna .warna-input"));
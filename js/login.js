@@ -1,51 +1,110 @@
-import { initializeUsers, loginUser } from './auth/initUsers.js';
+import { initializeUsers, loginUser, changePassword } from './auth/initUsers.js';
+import SessionService from './services/sessionService.js';
 
-document.getElementById('loginForm').addEventListener('submit', async (e) => {
+const loginForm = document.getElementById('loginForm');
+const changePasswordForm = document.getElementById('changePasswordForm');
+const sessionInfo = document.getElementById('sessionInfo');
+
+// User yang wajib ganti password sebelum session dibuat
+let pendingLogin = null;
+
+function setLoading(form, loading, originalText) {
+  const button = form.querySelector('.login-button');
+  button.innerHTML = loading ? '<span>Loading...</span><i class="fas fa-spinner fa-spin"></i>' : originalText;
+  button.disabled = loading;
+}
+
+// Alasan logout otomatis (sesi kedaluwarsa, gagal buka kunci)
+const sessionReason = SessionService.LOGOUT_REASONS[new URLSearchParams(window.location.search).get('session')];
+if (sessionReason) {
+  sessionInfo.textContent = sessionReason;
+  sessionInfo.style.display = '';
+}
+
+function startSession(result) {
+  SessionService.start(result);
+
+  // Redirect based on role
+  window.location.href = 'dashboard.html';
+}
+
+loginForm.addEventListener('submit', async (e) => {
   e.preventDefault();
-  
+
   const username = document.getElementById('username').value.trim();
   const password = document.getElementById('password').value;
-  
+
   if (!username || !password) {
     alert('Mohon isi username dan password');
     return;
   }
 
   // Show loading state
-  const loginButton = document.querySelector('.login-button');
-  const originalText = loginButton.innerHTML;
-  loginButton.innerHTML = '<span>Loading...</span><i class="fas fa-spinner fa-spin"></i>';
-  loginButton.disabled = true;
+  const originalText = loginForm.querySelector('.login-button').innerHTML;
+  setLoading(loginForm, true);
 
   try {
     // Initialize users and attempt login
-    await initializeUsers();
+    const bootstrapAccount = await initializeUsers();
+    if (bootstrapAccount) {
+      alert(
+        'Akun awal dibuat. Catat sekarang, password ini hanya ditampilkan sekali:\n\n' +
+          `Username: ${bootstrapAccount.username}\nPassword: ${bootstrapAccount.password}\n\n` +
+          'Login dengan akun ini lalu ganti password-nya.'
+      );
+      return;
+    }
+
     const result = await loginUser(username, password);
-    
-    if (result.success) {
-      sessionStorage.setItem('currentUser', JSON.stringify({
-        username: result.username,
-        role: result.role
-      }));
-      
-      // Redirect based on role
-      window.location.href = 'dashboard.html';
+
+    if (result.success && result.mustChangePassword) {
+      pendingLogin = { ...result, password };
+      loginForm.style.display = 'none';
+      changePasswordForm.style.display = '';
+      document.getElementById('newPassword').focus();
+    } else if (result.success) {
+      startSession(result);
     } else {
       alert(result.message || 'Username atau password salah');
     }
   } catch (error) {
     console.error('Login error:', error);
-    
+
     const errorMessages = {
       'permission-denied': 'Akses ditolak. Hubungi administrator.',
       'unavailable': 'Layanan tidak tersedia. Coba lagi nanti.',
       'default': 'Gagal login. Periksa koneksi internet dan coba lagi.'
     };
-    
+
     alert(errorMessages[error.code] || errorMessages.default);
   } finally {
     // Restore button state
-    loginButton.innerHTML = originalText;
-    loginButton.disabled = false;
+    setLoading(loginForm, false, originalText);
+  }
+});
+
+changePasswordForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  if (!pendingLogin) return;
+
+  const newPassword = document.getElementById('newPassword').value;
+  const confirmPassword = document.getElementById('confirmPassword').value;
+
+  if (newPassword !== confirmPassword) {
+    alert('Konfirmasi password tidak sama');
+    return;
+  }
+
+  const originalText = changePasswordForm.querySelector('.login-button').innerHTML;
+  setLoading(changePasswordForm, true);
+
+  try {
+    await changePassword(pendingLogin.username, pendingLogin.password, newPassword);
+    startSession(pendingLogin);
+  } catch (error) {
+    console.error('Change password error:', error);
+    alert(error.code === 'weak-password' ? error.message : 'Gagal mengganti password. Coba lagi.');
+  } finally {
+    setLoading(changePasswordForm, false, originalText);
   }
 });
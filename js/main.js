@@ -1,5 +1,9 @@
 import { sidebarToggle } from "./components/sidebar.js";
 import { initializeDateTime } from "./components/header.js";
+import UserService from "./services/userService.js";
+import PermissionService from "./services/permissionService.js";
+import SessionService from "./services/sessionService.js";
+import { checkAuth } from "./auth/authCheck.js";
 
 try {
   sidebarToggle();
@@ -27,43 +31,25 @@ try {
   console.error("Error initializing UI components:", error);
 }
 
+// Logout juga menutup sesi di tab lain yang terbuka
 function handleLogout() {
-  sessionStorage.removeItem("currentUser");
-  window.location.href = "index.html";
-}
-
-async function checkLoginStatus() {
-  const user = sessionStorage.getItem("currentUser");
-  if (!user) {
-    window.location.href = "index.html";
-  }
+  SessionService.logout();
 }
 
+// Menu sidebar dan elemen [data-permission] mengikuti matriks hak akses
 function setupMenuAccess() {
-  const user = JSON.parse(sessionStorage.getItem("currentUser"));
-
-  // Hide maintenance menu for admin
-  if (user && user.role === "admin") {
-    const maintenanceMenu = document.querySelector('a[href="maintenance.html"]');
-    if (maintenanceMenu) {
-      maintenanceMenu.closest(".nav-item").style.display = "none";
-    }
-  }
+  PermissionService.applyToDocument();
 
-  // Hide btnSettingWA if not supervisor
-  if (user && user.role !== "supervisor") {
-    const btnSettingWA = document.getElementById("btnSettingWA");
-    if (btnSettingWA) {
-      btnSettingWA.style.display = "none";
-    }
-  }
+  // Sidebar dimuat async oleh sidebar-loader.js
+  document.addEventListener("sidebar:loaded", () => PermissionService.applyToDocument());
 }
 
 function setupPasswordVerification() {
   document.addEventListener("click", function (e) {
     const link = e.target.closest('a[href="tambahAksesoris.html"]');
 
-    if (link) {
+    // User dengan hak stock.add langsung masuk, lainnya perlu password user yang berhak
+    if (link && !PermissionService.can("stock.add")) {
       e.preventDefault();
       e.stopPropagation();
       createPasswordModal();
@@ -83,9 +69,13 @@ function createPasswordModal() {
             <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
           </div>
           <div class="modal-body">
-            <p class="text-muted mb-3">Masukkan password untuk mengakses menu Tambah Aksesoris:</p>
+            <p class="text-muted mb-3">Masukkan username dan password / PIN untuk mengakses menu Tambah Aksesoris:</p>
+            <div class="mb-2">
+              <input type="text" class="form-control" id="verificationUsername" placeholder="Username"
+                autocomplete="off">
+            </div>
             <div class="mb-3">
-              <input type="password" class="form-control" id="verificationPassword" placeholder="Password verifikasi">
+              <input type="password" class="form-control" id="verificationPassword" placeholder="Password / PIN">
               <div class="invalid-feedback" id="passwordError"></div>
             </div>
           </div>
@@ -106,20 +96,31 @@ function createPasswordModal() {
   document.body.insertAdjacentHTML("beforeend", modalHTML);
 
   const passwordModal = new bootstrap.Modal(document.getElementById("passwordModal"));
+  const verificationUsername = document.getElementById("verificationUsername");
   const verificationPassword = document.getElementById("verificationPassword");
   const verifyPasswordBtn = document.getElementById("verifyPasswordBtn");
   const passwordError = document.getElementById("passwordError");
 
-  const verifyPassword = function () {
+  const verifyPassword = async function () {
     const password = verificationPassword.value;
-    const correctPassword = "smlt116";
+    let authorizedBy = null;
+
+    verifyPasswordBtn.disabled = true;
+    try {
+      authorizedBy = await UserService.verifyAuthorization(verificationUsername.value, password, "stock.add");
+    } catch (error) {
+      console.error("Error verifying password:", error);
+    } finally {
+      verifyPasswordBtn.disabled = false;
+    }
 
-    if (password === correctPassword) {
+    if (authorizedBy) {
+      PermissionService.grantPageAuthorization("tambahAksesoris.html", authorizedBy);
       passwordModal.hide();
       window.location.href = "tambahAksesoris.html";
     } else {
       verificationPassword.classList.add("is-invalid");
-      passwordError.textContent = "Password salah!";
+      passwordError.textContent = "Username atau password salah, atau tidak berhak!";
     }
   };
 
@@ -141,8 +142,11 @@ function createPasswordModal() {
   });
   passwordModal.show();
 }
-$(document).ready(function () {
-  checkLoginStatus();
+// Masa berlaku sesi + login + hak akses halaman (direct URL tetap dicek, bukan hanya menu yang disembunyikan);
+// modul halaman menunggu guard yang sama sebelum memuat data (requirePageAccess)
+$(document).ready(async function () {
+  if (!(await checkAuth())) return;
+  SessionService.init();
   setupMenuAccess();
   setupPasswordVerification();
 });
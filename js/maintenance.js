@@ -7,7 +7,6 @@ import { firestore } from "./configFirebase.js";
 import {
   collection,
   getDocs,
-  deleteDoc,
   doc,
   query,
   where,
@@ -16,10 +15,18 @@ import {
   Timestamp,
   writeBatch,
   serverTimestamp,
-  updateDoc,
   onSnapshot,
   getDoc,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import PermissionService from "./services/permissionService.js";
+import AuditService from "./services/auditService.js";
+import SalesSummaryService from "./services/salesSummaryService.js";
+import StockService from "./services/stockService.js";
+import { formatDateKey, toDate } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 /**
  * Cache Manager for Export Operations
@@ -294,6 +301,10 @@ class MaintenanceSystem {
     this.btnExportPenjualan = document.getElementById("btnExportPenjualan");
     this.btnExportStockAdditions = document.getElementById("btnExportStockAdditions");
 
+    // Sales summary rebuild
+    this.rebuildSummaryDateInput = document.getElementById("rebuildSummaryDate");
+    this.btnRebuildSummary = document.getElementById("btnRebuildSummary");
+
     // Data management elements
     this.filterDateInput = document.getElementById("filterDate");
     this.btnShowData = document.getElementById("btnShowData");
@@ -318,6 +329,9 @@ class MaintenanceSystem {
     this.btnExportPenjualan.addEventListener("click", () => this.handleExportData("penjualanAksesoris"));
     this.btnExportStockAdditions.addEventListener("click", () => this.handleExportData("stockAdditions"));
 
+    // Sales summary rebuild
+    this.btnRebuildSummary.addEventListener("click", () => this.handleRebuildSummary());
+
     // Month selection change listeners
     this.exportMonthInput.addEventListener("change", () => this.onExportMonthChange());
     this.deleteMonthInput.addEventListener("change", () => this.onDeleteMonthChange());
@@ -368,7 +382,7 @@ class MaintenanceSystem {
    */
   updateDeleteButtonState() {
     const deleteMonth = this.deleteMonthInput.value;
-    const canDelete = deleteMonth && this.exportedMonths.has(deleteMonth);
+    const canDelete = deleteMonth && this.exportedMonths.has(deleteMonth) && PermissionService.can("maintenance.purge");
 
     this.btnDeleteOldData.disabled = !canDelete;
 
@@ -700,18 +714,35 @@ class MaintenanceSystem {
         return;
       }
 
-      // Update Firestore
+      // Field ledger tidak boleh diubah langsung: saldo stokAksesoris dan checkpoint bulanan tidak ikut berubah.
+      // Koreksi stok lewat adjustment di Rekonsiliasi Stok (StockService.postAdjustment).
       const docRef = doc(this.firestore, "stokAksesorisTransaksi", docId);
+      const current = await getDoc(docRef);
+      if (!current.exists()) {
+        this.showAlert("Data transaksi tidak ditemukan", "warning");
+        return;
+      }
+      const entry = current.data();
+      const entryDate = toDate(entry.timestamp);
+      const ledgerChanged =
+        kodeInput !== entry.kode ||
+        stokSebelumInput !== (entry.stokSebelum || 0) ||
+        stokSesudahInput !== (entry.stokSesudah || 0) ||
+        (entryDate && dateInput !== formatDateKey(entryDate));
+      if (ledgerChanged) {
+        this.showAlert(
+          "Tanggal, kode dan stok transaksi tidak bisa diubah di sini. Buat adjustment di halaman Rekonsiliasi Stok.",
+          "warning"
+        );
+        return;
+      }
+
       const updateData = {
-        timestamp: Timestamp.fromDate(new Date(dateInput)),
         timestr: timeInput,
-        kode: kodeInput,
-        stokSebelum: stokSebelumInput,
-        stokSesudah: stokSesudahInput,
         lastUpdated: serverTimestamp(),
       };
 
-      await updateDoc(docRef, updateData);
+      await AuditService.updateDoc(docRef, updateData);
 
       // Update display
       const dateCell = row.querySelector(".date-cell");
@@ -762,8 +793,8 @@ class MaintenanceSystem {
     if (!confirmed) return;
 
     try {
-      // Delete from Firestore (listener will handle UI update)
-      await deleteDoc(doc(this.firestore, "stokAksesorisTransaksi", docId));
+      // Hapus lewat StockService supaya saldo stokAksesoris dan checkpoint ikut dikoreksi (listener update UI)
+      await StockService.removeTransaction(docId);
 
       // Listener will automatically remove from table and cache
       // No manual removal needed
@@ -1073,10 +1104,13 @@ class MaintenanceSystem {
         items[itemIndex].nama = namaInput;
       }
 
-      await updateDoc(docRef, {
+      const changes = {
         timestamp: Timestamp.fromDate(new Date(dateInput)),
         items: items,
         lastUpdated: serverTimestamp(),
+      };
+      await AuditService.updateDoc(docRef, changes, {
+        relatedWrites: (before, after) => SalesSummaryService.buildChangeWrites(before, after),
       });
 
       row.querySelector(".pj-date-cell").textContent = new Date(dateInput).toLocaleDateString("id-ID");
@@ -1100,7 +1134,9 @@ class MaintenanceSystem {
     if (!confirmed) return;
 
     try {
-      await deleteDoc(doc(this.firestore, "penjualanAksesoris", docId));
+      await AuditService.deleteDoc(doc(this.firestore, "penjualanAksesoris", docId), {
+        relatedWrites: (before) => SalesSummaryService.buildChangeWrites(before),
+      });
       // Listener will automatically remove rows and update cache
       // Check if table is empty after listener processes
       setTimeout(() => {
@@ -1196,6 +1232,32 @@ class MaintenanceSystem {
     }
   }
 
+  /**
+   * Rebuild salesDailySummary satu tanggal dari transaksi penjualan mentah
+   */
+  async handleRebuildSummary() {
+    const selectedDate = this.rebuildSummaryDateInput.value;
+    if (!selectedDate) {
+      this.showAlert("Pilih tanggal terlebih dahulu", "warning");
+      return;
+    }
+
+    try {
+      this.showLoading("Menghitung Ulang Ringkasan...", `Memproses penjualan tanggal ${selectedDate}`);
+
+      const result = await SalesSummaryService.rebuildDay(selectedDate);
+      this.showAlert(
+        `Ringkasan ${selectedDate} dihitung ulang dari ${result.transaksi} transaksi (${result.cabang} cabang)`,
+        "success"
+      );
+    } catch (error) {
+      console.error("Error rebuilding sales summary:", error);
+      this.showAlert("Gagal menghitung ulang ringkasan: " + error.message, "error");
+    } finally {
+      this.hideLoading();
+    }
+  }
+
   /**
    * Handle export data for specific collection with month filtering
    */
@@ -1394,6 +1456,8 @@ class MaintenanceSystem {
    */
   async deleteDataByMonth(monthStr) {
     try {
+      PermissionService.assert("maintenance.purge");
+
       const [year, month] = monthStr.split("-");
       const startDate = new Date(parseInt(year), parseInt(month) - 1, 1);
       const endDate = new Date(parseInt(year), parseInt(month), 1);
@@ -1439,6 +1503,14 @@ class MaintenanceSystem {
           }
 
           totalDeleted += docs.length;
+
+          // Hapus massal tidak menyimpan snapshot per dokumen, cukup ringkasan jumlahnya
+          await AuditService.log({
+            collection: collectionName,
+            docId: monthStr,
+            action: "purge",
+            keterangan: `${docs.length} dokumen periode ${monthStr} dihapus`,
+          });
         }
       }
 
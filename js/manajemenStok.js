@@ -8,6 +8,11 @@ import {
   updateDoc,
   onSnapshot,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import BranchService from "./services/branchService.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 // === Konstanta dan Mapping ===
 const mainCategories = [
@@ -221,7 +226,7 @@ async function fetchStockData(forceRefresh = false) {
 
     // Ambil hanya dokumen yang perlu
     const fetchPromises = toFetch.map(async (category) => {
-      const categoryRef = doc(firestore, "stocks", category);
+      const categoryRef = doc(firestore, "stocks", BranchService.scopedDocId(category));
       const categoryDoc = await getDoc(categoryRef);
       let categoryData = {};
 
@@ -266,7 +271,7 @@ async function fetchStockData(forceRefresh = false) {
 }
 async function saveData(category, type) {
   try {
-    const categoryRef = doc(firestore, "stocks", category);
+    const categoryRef = doc(firestore, "stocks", BranchService.scopedDocId(category));
     const payload = {};
     payload[type] = stockData[category][type];
     // Sanitize payload to remove any undefined fields (Firestore does not allow undefined)
@@ -2297,8 +2302,11 @@ function setupRealtimeListener() {
   return onSnapshot(stocksRef, (snapshot) => {
     let updated = false;
 
+    const currentCabang = BranchService.getCurrentCabang();
     snapshot.docChanges().forEach((change) => {
-      const cat = change.doc.id;
+      // Dokumen stocks per cabang: "<cabang>__<kategori>", cabang utama tanpa prefix
+      const { cabang, id: cat } = BranchService.parseScopedDocId(change.doc.id);
+      if (cabang !== currentCabang) return;
       const incoming = change.doc.data();
       if (!incoming) return;
 
@@ -2660,7 +2668,7 @@ async function loadDailySnapshotDoc(dateObj) {
   const dateKey = formatDateKeySnapshot(dateObj);
   if (!dateKey) return null;
   try {
-    const ref = doc(firestore, "daily_stock_reports", dateKey);
+    const ref = doc(firestore, "daily_stock_reports", BranchService.scopedDocId(dateKey));
     const snap = await getDoc(ref);
     return snap.exists() ? snap.data() : null;
   } catch {
@@ -2701,7 +2709,7 @@ async function saveDailySnapshotDoc(dateObj, { backfilled = false } = {}) {
   };
   if (backfilled) payload.backfilled = true;
 
-  const ref = doc(firestore, "daily_stock_reports", dateKey);
+  const ref = doc(firestore, "daily_stock_reports", BranchService.scopedDocId(dateKey));
   await setDoc(ref, payload, { merge: true });
   return payload;
 }
@@ -0,0 +1,192 @@
+import UserService from "./services/userService.js";
+import BranchService from "./services/branchService.js";
+import PermissionService from "./services/permissionService.js";
+import { escapeHtml } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const tableUser = document.querySelector("#tableUser tbody");
+const btnTambahUser = document.getElementById("btnTambahUser");
+
+// User modal refs
+const userModal = document.getElementById("userModal");
+const userUsername = document.getElementById("userUsername");
+const userPassword = document.getElementById("userPassword");
+const userRole = document.getElementById("userRole");
+const userCabang = document.getElementById("userCabang");
+const btnSimpanUser = document.getElementById("btnSimpanUser");
+
+const ROLE_LABELS = {
+  admin: "Admin",
+  supervisor: "Supervisor",
+};
+
+let users = [];
+
+const currentUser = BranchService.getCurrentUser();
+
+// Helpers
+function formatDateTime(timestamp) {
+  const date = timestamp?.toDate ? timestamp.toDate() : null;
+  if (!date) return "-";
+  return date.toLocaleString("id-ID", { dateStyle: "short", timeStyle: "short" });
+}
+
+async function loadUsers() {
+  try {
+    await UserService.ensureUsers();
+    users = await UserService.listUsers();
+    renderTable();
+  } catch (error) {
+    console.error("❌ Failed to load users:", error);
+    tableUser.innerHTML = `<tr><td colspan="6" class="text-center text-danger">Gagal memuat data user</td></tr>`;
+  }
+}
+
+function renderTable() {
+  if (users.length === 0) {
+    tableUser.innerHTML = `<tr><td colspan="6" class="text-center">Belum ada user</td></tr>`;
+    return;
+  }
+
+  tableUser.innerHTML = users
+    .map((user) => {
+      const isSelf = user.username === currentUser?.username;
+      const status = user.aktif
+        ? '<span class="badge bg-success">Aktif</span>'
+        : '<span class="badge bg-secondary">Nonaktif</span>';
+      const mustChange = user.mustChangePassword ? '<div class="small text-warning">Wajib ganti password</div>' : "";
+      const toggleLabel = user.aktif ? "Nonaktifkan" : "Aktifkan";
+      const toggleIcon = user.aktif ? "fa-user-slash" : "fa-user-check";
+
+      return `
+        <tr>
+          <td>${escapeHtml(user.username)}${isSelf ? ' <span class="text-muted small">(Anda)</span>' : ""}</td>
+          <td>${ROLE_LABELS[user.role] || escapeHtml(user.role)}</td>
+          <td>${escapeHtml(BranchService.getCabangName(user.cabang))}</td>
+          <td class="text-center">${status}${mustChange}</td>
+          <td>${formatDateTime(user.lastLogin)}</td>
+          <td class="text-center">
+            <button type="button" class="btn btn-sm btn-outline-primary btn-reset" data-id="${escapeHtml(user.id)}">
+              <i class="fas fa-key me-1"></i>Reset
+            </button>
+            <button
+              type="button"
+              class="btn btn-sm ${user.aktif ? "btn-outline-danger" : "btn-outline-success"} btn-toggle"
+              data-id="${escapeHtml(user.id)}"
+              ${isSelf ? "disabled" : ""}
+            >
+              <i class="fas ${toggleIcon} me-1"></i>${toggleLabel}
+            </button>
+          </td>
+        </tr>`;
+    })
+    .join("");
+}
+
+function openUserModal() {
+  userUsername.value = "";
+  userPassword.value = "";
+  userRole.value = "admin";
+  bootstrap.Modal.getOrCreateInstance(userModal).show();
+}
+
+async function saveUser() {
+  btnSimpanUser.disabled = true;
+  try {
+    await UserService.createUser({
+      username: userUsername.value,
+      password: userPassword.value,
+      role: userRole.value,
+      cabang: userCabang.value,
+    });
+
+    bootstrap.Modal.getInstance(userModal)?.hide();
+    Swal.fire("Berhasil", `User ${userUsername.value.trim().toLowerCase()} dibuat`, "success");
+    await loadUsers();
+  } catch (error) {
+    console.error("❌ Create user error:", error);
+    Swal.fire("Error", error.message, "error");
+  } finally {
+    btnSimpanUser.disabled = false;
+  }
+}
+
+async function resetPassword(userId) {
+  const user = users.find((item) => item.id === userId);
+  if (!user) return;
+
+  const { value: newPassword } = await Swal.fire({
+    title: `Reset Password ${user.username}`,
+    input: "password",
+    inputLabel: "Password sementara (user wajib menggantinya saat login)",
+    inputAttributes: { autocomplete: "new-password" },
+    showCancelButton: true,
+    confirmButtonText: "Reset",
+    cancelButtonText: "Batal",
+    inputValidator: (value) =>
+      !value || value.length < UserService.MIN_PASSWORD_LENGTH
+        ? `Password minimal ${UserService.MIN_PASSWORD_LENGTH} karakter`
+        : null,
+  });
+
+  if (!newPassword) return;
+
+  try {
+    await UserService.resetPassword(userId, newPassword);
+    Swal.fire("Berhasil", `Password ${user.username} telah direset`, "success");
+    await loadUsers();
+  } catch (error) {
+    console.error("❌ Reset password error:", error);
+    Swal.fire("Error", error.message, "error");
+  }
+}
+
+async function toggleUser(userId) {
+  const user = users.find((item) => item.id === userId);
+  if (!user) return;
+
+  const { isConfirmed } = await Swal.fire({
+    title: user.aktif ? "Nonaktifkan user?" : "Aktifkan user?",
+    text: user.aktif ? `${user.username} tidak akan bisa login.` : `${user.username} bisa login kembali.`,
+    icon: "question",
+    showCancelButton: true,
+    confirmButtonText: "Ya",
+    cancelButtonText: "Batal",
+  });
+
+  if (!isConfirmed) return;
+
+  try {
+    await UserService.setUserActive(userId, !user.aktif);
+    await loadUsers();
+  } catch (error) {
+    console.error("❌ Toggle user error:", error);
+    Swal.fire("Error", error.message, "error");
+  }
+}
+
+// Guard halaman juga dijalankan main.js; modul ini tidak memasang handler tanpa hak akses
+if (!PermissionService.can("users.manage")) {
+  Swal.fire("Akses Ditolak", "Halaman ini hanya untuk supervisor", "error").then(() => {
+    window.location.href = "dashboard.html";
+  });
+} else {
+  // Event listeners
+  btnTambahUser.addEventListener("click", openUserModal);
+  btnSimpanUser.addEventListener("click", saveUser);
+
+  tableUser.addEventListener("click", (e) => {
+    const resetButton = e.target.closest(".btn-reset");
+    if (resetButton) resetPassword(resetButton.dataset.id);
+
+    const toggleButton = e.target.closest(".btn-toggle");
+    if (toggleButton) toggleUser(toggleButton.dataset.id);
+  });
+
+  BranchService.populateCabangSelect(userCabang);
+  loadUsers();
+}
@@ -14,6 +14,13 @@ import {
   serverTimestamp,
   onSnapshot,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import UserService from "./services/userService.js";
+import PermissionService from "./services/permissionService.js";
+import SessionService from "./services/sessionService.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 const CACHE_KEY = "kodeDataCache";
 const CACHE_TTL_STANDARD = 60 * 60 * 1000; // 1 jam untuk data historis
@@ -1051,34 +1058,26 @@ function showValidasiHapusModal(selectedItems) {
   $("#modalValidasiHapus").modal("show");
 }
 
-// Tambahkan fungsi validasi kredensial
+// Validasi kredensial lewat UserService, hak hapus lewat matriks permission
 async function validateCredentials(userId, password) {
   try {
-    // Simulasi validasi - ganti dengan logika validasi sebenarnya
-    // Contoh: cek dengan database user atau hardcoded credentials
-
-    // Hardcoded validation (ganti dengan sistem autentikasi yang sebenarnya)
-    const validCredentials = {
-      input: "input116",
-      manager: "manager123",
-      supervisor: "super123",
-    };
+    const user = await UserService.verifyCredentials(userId, password);
 
-    // Cek apakah user ID dan password valid
-    if (validCredentials[userId] && validCredentials[userId] === password) {
-      return { success: true };
+    if (!user) {
+      return {
+        success: false,
+        message: "User ID atau Password tidak valid",
+      };
     }
 
-    // Atau bisa juga validasi dengan current user session
-    const currentUser = JSON.parse(sessionStorage.getItem("currentUser") || "{}");
-    if (currentUser.username === userId && currentUser.password === password) {
-      return { success: true };
+    if (!PermissionService.can("kode.delete", user)) {
+      return {
+        success: false,
+        message: `User ${user.username} tidak memiliki akses hapus kode`,
+      };
     }
 
-    return {
-      success: false,
-      message: "User ID atau Password tidak valid",
-    };
+    return { success: true, user };
   } catch (error) {
     console.error("Error validating credentials:", error);
     return {
@@ -1089,8 +1088,10 @@ async function validateCredentials(userId, password) {
 }
 
 // Tambahkan fungsi untuk melakukan penghapusan setelah validasi berhasil
-async function executeDelete(selectedItems) {
+async function executeDelete(selectedItems, authorizedBy) {
   try {
+    PermissionService.assert("kode.delete", authorizedBy);
+
     Swal.fire({
       title: "Memproses Penghapusan",
       text: `Menghapus ${selectedItems.length} kode...`,
@@ -1648,7 +1649,7 @@ function initializeEventHandlers() {
         // Validasi berhasil, lakukan penghapusan
         const selectedItems = window.pendingDeleteItems || [];
         if (selectedItems.length > 0) {
-          await executeDelete(selectedItems);
+          await executeDelete(selectedItems, validation.user);
         }
       } else {
         showValidasiError(validation.message);
@@ -1790,8 +1791,7 @@ function cleanup() {
 // Authentication functions
 function handleLogout() {
   cleanup();
-  sessionStorage.removeItem("currentUser");
-  window.location.href = "index.html";
+  SessionService.logout();
 }
 
 async function checkLoginStatus() {
@@ -10,6 +10,12 @@ import {
   deleteDoc,
   orderBy,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import CustomerService from "./services/customerService.js";
+import { attachCustomerAutocomplete, refreshCustomerAutocomplete } from "./components/customerAutocomplete.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 // DOM refs
 const btnTambah = document.getElementById("btnTambah");
@@ -126,6 +132,9 @@ function makeRow() {
   inputTbody.appendChild(tr);
   toggleSaveState();
 
+  const [, namaInput, noWaInput] = tr.querySelectorAll("input");
+  attachCustomerAutocomplete(namaInput, noWaInput);
+
   const firstInput = tr.querySelector("input");
   if (firstInput) {
     setTimeout(() => firstInput.focus(), 100);
@@ -194,7 +203,9 @@ if (btnSave) {
           createdAt: Date.now(),
           updatedAt: Date.now(),
         });
+        await CustomerService.safeUpsert({ nama: item.namaCustomer, noHp: formattedWa });
       }
+      refreshCustomerAutocomplete();
       const modalInstance = bootstrap.Modal.getInstance(inputModal);
       if (modalInstance) modalInstance.hide();
       inputTbody.innerHTML = "";
@@ -0,0 +1,92 @@
+import ReceiptTemplateService from "./services/receiptTemplateService.js";
+import { renderReceiptHTML } from "./components/receiptTemplate.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const formTemplateStruk = document.getElementById("formTemplateStruk");
+const ukuranKertas = document.getElementById("ukuranKertas");
+const btnSimpanTemplate = document.getElementById("btnSimpanTemplate");
+const btnResetTemplate = document.getElementById("btnResetTemplate");
+const previewStruk = document.getElementById("previewStruk");
+
+// Transaksi contoh untuk preview, mencakup diskon promo dan pembayaran dengan kembalian
+const SAMPLE_TRANSACTION = {
+  jenisPenjualan: "aksesoris",
+  tanggal: new Date().toLocaleDateString("id-ID"),
+  sales: "SALES",
+  items: [
+    { kodeText: "KL001", nama: "KALUNG RANTAI", kadar: "16K", berat: 2.5, jumlah: 1, totalHarga: 2750000 },
+    { kodeText: "CN015", nama: "CINCIN POLOS", kadar: "17K", berat: 1.2, jumlah: 1, totalHarga: 1450000 },
+  ],
+  totalBruto: 4200000,
+  totalDiskon: 50000,
+  promosi: [{ nama: "Promo Contoh", jumlah: 50000 }],
+  totalHarga: 4150000,
+  metodeBayar: "tunai",
+  pembayaran: [{ metode: "tunai", jumlah: 4200000 }],
+  kembalian: 50000,
+};
+
+function readForm() {
+  const formData = new FormData(formTemplateStruk);
+  return ReceiptTemplateService.normalizeTemplate(Object.fromEntries(formData.entries()));
+}
+
+function fillForm(template) {
+  Object.entries(template).forEach(([field, value]) => {
+    const input = formTemplateStruk.elements.namedItem(field);
+    if (input) input.value = value;
+  });
+}
+
+function renderPreview() {
+  previewStruk.srcdoc = renderReceiptHTML(SAMPLE_TRANSACTION, readForm());
+}
+
+async function saveTemplate(e) {
+  e.preventDefault();
+
+  btnSimpanTemplate.disabled = true;
+  try {
+    await ReceiptTemplateService.save(readForm());
+    Swal.fire("Berhasil", "Template struk tersimpan", "success");
+  } catch (error) {
+    console.error("❌ Save receipt template error:", error);
+    Swal.fire("Gagal", error.message, "error");
+  } finally {
+    btnSimpanTemplate.disabled = false;
+  }
+}
+
+async function resetTemplate() {
+  const result = await Swal.fire({
+    title: "Kembalikan template default?",
+    text: "Isi form diganti template bawaan, belum tersimpan sampai Anda klik Simpan",
+    icon: "question",
+    showCancelButton: true,
+    confirmButtonText: "Ya",
+    cancelButtonText: "Batal",
+  });
+  if (!result.isConfirmed) return;
+
+  fillForm(ReceiptTemplateService.DEFAULT_TEMPLATE);
+  renderPreview();
+}
+
+// Event listeners
+formTemplateStruk.addEventListener("submit", saveTemplate);
+formTemplateStruk.addEventListener("input", renderPreview);
+btnResetTemplate.addEventListener("click", resetTemplate);
+
+// Initialize
+ukuranKertas.innerHTML = Object.entries(ReceiptTemplateService.PAPER_SIZES)
+  .map(([value, paper]) => `<option value="${value}">${paper.label}</option>`)
+  .join("");
+
+ReceiptTemplateService.load().then((template) => {
+  fillForm(template);
+  renderPreview();
+});
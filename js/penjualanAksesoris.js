@@ -14,6 +14,31 @@ import {
   onSnapshot,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
 import StockService from "./services/stockService.js";
+import BranchService from "./services/branchService.js";
+import ShiftService from "./services/shiftService.js";
+import CustomerService from "./services/customerService.js";
+import { attachCustomerAutocomplete, refreshCustomerAutocomplete } from "./components/customerAutocomplete.js";
+import { attachBarcodeScanner } from "./components/barcodeScanner.js";
+import {
+  renderReceiptHTML,
+  renderInvoiceHTML,
+  printInWindow,
+  printItemInvoices,
+} from "./components/receiptTemplate.js";
+import ParkedCartStore from "./services/parkedCartStore.js";
+import OfflineSaleQueue from "./services/offlineSaleQueue.js";
+import PromotionService from "./services/promotionService.js";
+import GoldRateService from "./services/goldRateService.js";
+import ReceiptTemplateService from "./services/receiptTemplateService.js";
+import SalesSummaryService from "./services/salesSummaryService.js";
+import UserService from "./services/userService.js";
+import { applyStockTransaction, getSaleStockJenis } from "./services/stockTransactionTypes.js";
+import { PAYMENT_TYPES, getPaymentLabel, calculatePayment } from "./services/paymentTypes.js";
+import { escapeHtml } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 // Global variables
 let activeLockRow = null;
@@ -206,21 +231,39 @@ const penjualanHandler = {
   stockListener: null,
   salesListener: null,
 
-  // User activity tracking
+  // Listener real-time dihentikan selama layar dikunci SessionService
   isUserActive: true,
-  lastActivity: Date.now(),
-  inactivityTimer: null,
-  INACTIVITY_TIMEOUT: 10 * 60 * 1000, // 10 menit
+
+  // Promo yang dimuat saat halaman dibuka, hasil penerapannya ke keranjang aktif
+  promotions: [],
+  promoSettings: { batasDiskonPersen: 10 },
+  promoResult: null,
+
+  // Harga emas per kadar yang berlaku hari ini, acuan saran harga dan tanda harga rugi
+  goldRates: null,
+
+  // Shift aktif terakhir yang diketahui, dipakai saat penjualan disimpan offline
+  // (awalnya salinan lokal, sehingga halaman yang dimuat ulang saat offline tetap bisa berjualan)
+  lastShift: null,
 
   // Initialize application
   async init() {
     this.setupEventListeners();
     this.initDatePicker();
     this.setDefaultDate();
-    this.setupInactivityMonitor();
+    this.setupSessionListeners();
+    this.resetPaymentRows();
 
     // Load initial data
     await this.loadInitialData();
+    await Promise.all([
+      this.loadPromotions(),
+      this.loadGoldRates(),
+      ReceiptTemplateService.load(),
+      this.resolveShift().catch(() => null),
+    ]);
+    this.updateParkedCount();
+    this.syncOfflineSales();
 
     // Setup real-time listeners
     this.setupSmartListeners();
@@ -232,68 +275,23 @@ const penjualanHandler = {
     console.log(`📊 Reads usage: ${readsMonitor.getUsagePercent()}%`);
   },
 
-  // Setup inactivity monitoring
-  setupInactivityMonitor() {
-    const activityEvents = ["mousedown", "mousemove", "keypress", "scroll", "touchstart"];
-
-    const resetInactivityTimer = () => {
-      this.isUserActive = true;
-      this.lastActivity = Date.now();
-
-      clearTimeout(this.inactivityTimer);
-      this.inactivityTimer = setTimeout(() => {
-        this.handleUserInactivity();
-      }, this.INACTIVITY_TIMEOUT);
-    };
-
-    activityEvents.forEach((event) => {
-      document.addEventListener(event, resetInactivityTimer, { passive: true });
-    });
-
-    // Initial timer
-    resetInactivityTimer();
+  // Ikuti kunci layar dari SessionService (main.js)
+  setupSessionListeners() {
+    document.addEventListener("session:locked", () => this.handleSessionLocked());
+    document.addEventListener("session:unlocked", () => this.handleSessionUnlocked());
   },
 
-  // Handle user inactivity
-  handleUserInactivity() {
+  // Layar terkunci: hentikan listener untuk menghemat kuota
+  handleSessionLocked() {
     this.isUserActive = false;
-    console.log("🔇 User inactive - pausing real-time updates");
-
-    // Remove listeners to save resources
+    console.log("🔇 Session locked - pausing real-time updates");
     this.removeListeners();
-
-    // Show notification
-    const notification = document.createElement("div");
-    notification.id = "inactivityNotification";
-    notification.className = "alert alert-info position-fixed";
-    notification.style.cssText = "top: 20px; right: 20px; z-index: 9999; cursor: pointer;";
-    notification.innerHTML = `
-      <i class="fas fa-pause-circle me-2"></i>
-      Mode hemat aktif - Klik untuk mengaktifkan kembali
-    `;
-
-    notification.onclick = () => {
-      this.handleUserReactivation();
-      notification.remove();
-    };
-
-    document.body.appendChild(notification);
-
-    // Auto remove notification after 30 seconds
-    setTimeout(() => {
-      if (document.getElementById("inactivityNotification")) {
-        notification.remove();
-      }
-    }, 30000);
   },
 
-  // Handle user reactivation
-  handleUserReactivation() {
+  // Layar dibuka kembali: lanjutkan listener
+  handleSessionUnlocked() {
     this.isUserActive = true;
-    this.lastActivity = Date.now();
-    console.log("🔊 User reactivated - resuming real-time updates");
-
-    // Resume listeners
+    console.log("🔊 Session unlocked - resuming real-time updates");
     this.setupSmartListeners();
   },
 
@@ -324,6 +322,61 @@ const penjualanHandler = {
     }
   },
 
+  // Kampanye promo & batas diskon; gagal memuat tidak menghalangi penjualan tanpa promo
+  async loadPromotions() {
+    try {
+      this.promotions = await PromotionService.getAll(true);
+      this.promoSettings = await PromotionService.getSettings();
+    } catch (error) {
+      console.warn("⚠️ Failed to load promotions:", error);
+      this.promotions = [];
+    }
+  },
+
+  // Harga emas harian; gagal memuat hanya mematikan saran harga
+  async loadGoldRates() {
+    try {
+      this.goldRates = await GoldRateService.getCurrentRates(true);
+    } catch (error) {
+      console.warn("⚠️ Failed to load gold rates:", error);
+      this.goldRates = null;
+    }
+  },
+
+  // Saran total harga = berat × (harga emas + ongkos), selama kasir belum mengetik harga sendiri
+  suggestGoldPrice($totalHargaInput, kadar, berat) {
+    const rate = GoldRateService.getRate(this.goldRates, kadar);
+    const suggested = GoldRateService.suggestPrice(rate, berat);
+    const isAuto = $totalHargaInput.val() === "" || $totalHargaInput.data("autoPrice");
+
+    $totalHargaInput.attr("placeholder", suggested ? `Saran ${utils.formatRupiah(suggested)}` : "Masukkan harga");
+    if (isAuto) {
+      $totalHargaInput.val(suggested ? utils.formatRupiah(suggested) : "").data("autoPrice", !!suggested);
+    }
+  },
+
+  // Tandai harga per gram di bawah harga emas hari ini
+  flagBelowGoldRate($input, kadar, hargaPerGram) {
+    const rate = GoldRateService.getRate(this.goldRates, kadar);
+    const isBelow = GoldRateService.isBelowRate(rate, hargaPerGram);
+    const title = isBelow ? `Di bawah harga emas ${kadar}: Rp ${utils.formatRupiah(rate.harga)}/gr` : "";
+    $input.toggleClass("is-invalid", isBelow).attr("title", title);
+  },
+
+  // Simpan harga emas acuan per item (harga neto setelah diskon) untuk laporan
+  markGoldRate(items) {
+    return items.map((item) => {
+      const rate = GoldRateService.getRate(this.goldRates, item.kadar);
+      if (!rate || !(item.berat > 0) || item.isBonus) return item;
+
+      const marked = { ...item, hargaEmas: rate.harga };
+      if (GoldRateService.isBelowRate(rate, (item.totalHarga - (item.diskon || 0)) / item.berat)) {
+        marked.dibawahHargaEmas = true;
+      }
+      return marked;
+    });
+  },
+
   // Load master data (kode, nama, kategori) - NO STOCK FIELDS
   async loadStockData() {
     try {
@@ -400,8 +453,8 @@ const penjualanHandler = {
           this.stockData.push(data);
         }
 
-        // Update cache untuk quick lookup
-        this.stockCache.set(data.kode, data.stokAkhir || 0);
+        // Update cache untuk quick lookup (saldo cabang user yang login)
+        this.stockCache.set(data.kode, StockService.getBranchStock(data));
         hasUpdates = true;
       } else if (change.type === "removed") {
         // Hapus item (stok = 0)
@@ -471,7 +524,7 @@ const penjualanHandler = {
         }
 
         // Update cache
-        this.stockCache.set(data.kode, data.stokAkhir || 0);
+        this.stockCache.set(data.kode, StockService.getBranchStock(data));
         hasChanges = true;
       } else if (change.type === "removed") {
         this.stockData = this.stockData.filter((item) => item.id !== data.id);
@@ -523,7 +576,7 @@ const penjualanHandler = {
       console.log("🔄 Refreshing data from Firestore");
 
       // Langsung load ulang tanpa TTL check
-      await Promise.all([this.loadStockData(), this.loadTodaySales()]);
+      await Promise.all([this.loadStockData(), this.loadTodaySales(), this.loadGoldRates()]);
 
       console.log("✅ Data refreshed successfully");
     } catch (error) {
@@ -553,6 +606,9 @@ const penjualanHandler = {
       this.toggleJenisManualField(salesType);
     });
 
+    // Autocomplete customer dari data master (nomor HP mengisi nama)
+    attachCustomerAutocomplete(document.getElementById("customerName"), document.getElementById("customerPhone"));
+
     // Jenis manual validation
     $("#jenisManual").on("change", function () {
       if ($(this).val()) {
@@ -570,6 +626,35 @@ const penjualanHandler = {
     $("#btnTambahBaris").on("click", () => this.addNewRow("manual"));
     $("#btnSimpanPenjualan").on("click", () => this.saveTransaction());
     $("#btnBatal").on("click", () => this.resetForm());
+
+    // Keranjang tertunda (parkir)
+    $("#btnParkirKeranjang").on("click", () => this.parkCart());
+    $("#btnKeranjangTertunda").on("click", () => this.showParkedCarts());
+    $("#filterSemuaSales").on("change", () => this.renderParkedCarts());
+    $("#tableKeranjangTertunda").on("click", ".btn-buka-keranjang", (e) => {
+      this.restoreParkedCart($(e.currentTarget).data("id"));
+    });
+    $("#tableKeranjangTertunda").on("click", ".btn-hapus-keranjang", (e) => {
+      this.deleteParkedCart($(e.currentTarget).data("id"));
+    });
+
+    // Antrean penjualan offline
+    $("#btnAntreanOffline").on("click", () => this.showOfflineQueue());
+    $("#btnSinkronSekarang").on("click", async () => {
+      $("#modalAntreanOffline").modal("hide");
+      if (!navigator.onLine) {
+        utils.showAlert("Perangkat masih offline, sinkron dilakukan otomatis saat koneksi pulih");
+        return;
+      }
+      await this.syncOfflineSales();
+    });
+    $("#tableAntreanOffline").on("click", ".btn-sinkron-ulang", (e) => {
+      this.retryOfflineSale($(e.currentTarget).data("id"));
+    });
+    $("#tableAntreanOffline").on("click", ".btn-sinkron-minus", (e) => {
+      this.retryOfflineSale($(e.currentTarget).data("id"), { allowNegative: true });
+    });
+
     $("#btnPrintReceipt").on("click", (e) => {
       e.preventDefault();
       this.printDocument("receipt");
@@ -580,20 +665,52 @@ const penjualanHandler = {
     });
 
     // Input events with debouncing
-    $("#jumlahBayar").on(
-      "input",
+    $("#tablePembayaran").on(
+      "input change",
+      ".jumlah-bayar-input, .metode-bayar-input",
       utils.debounce(() => this.calculateKembalian(), 300)
     );
     $("#nominalDP").on(
       "input",
       utils.debounce(() => this.calculateSisaPembayaran(), 300)
     );
+    $("#diskonManual").on(
+      "input",
+      utils.debounce(() => this.updateGrandTotal($("#jenisPenjualan").val()), 300)
+    );
 
-    $("#jumlahBayar, #nominalDP").on("blur", function () {
+    $("#nominalDP").on("blur", function () {
       const value = $(this).val().replace(/\./g, "");
       $(this).val(utils.formatRupiah(parseInt(value || 0)));
     });
 
+    // Baris pembayaran (multi-tender)
+    $("#btnTambahPembayaran").on("click", () => {
+      const { kurang } = calculatePayment(this.collectPaymentLines(), this.getTagihan());
+      this.addPaymentRow("transfer", kurang).find(".jumlah-bayar-input").focus().select();
+    });
+    $("#tablePembayaran").on("blur", ".jumlah-bayar-input", function () {
+      const value = $(this).val().replace(/\./g, "");
+      $(this).val(value ? utils.formatRupiah(parseInt(value)) : "");
+    });
+    $("#tablePembayaran").on("click", ".btn-hapus-pembayaran", (e) => {
+      $(e.currentTarget).closest("tr").remove();
+      if ($("#tablePembayaran tbody tr").length === 0) this.addPaymentRow();
+      this.calculateKembalian();
+    });
+
+    // Scanner barcode (keyboard wedge) langsung menambahkan barang ke keranjang
+    attachBarcodeScanner((kode) => this.handleScan(kode), {
+      isEnabled: () => !$(".modal.show").length && !Swal.isVisible(),
+    });
+    $("#scanKode").on("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      const kode = $("#scanKode").val().trim();
+      $("#scanKode").val("");
+      if (kode) this.handleScan(kode);
+    });
+
     // Search events
     $("#searchAksesoris, #searchKotak, #searchSilver, #searchLock").on(
       "input",
@@ -789,6 +906,59 @@ const penjualanHandler = {
     }
   },
 
+  // Tambah barang dari hasil scan barcode / input kode
+  handleScan(kode) {
+    const item = this.stockData.find((stock) => (stock.kode || "").toUpperCase() === kode.toUpperCase());
+    if (!item) {
+      utils.showAlert(`Kode ${kode} tidak ditemukan`, "Scan Barcode", "warning");
+      return;
+    }
+
+    const detailTables = {
+      aksesoris: "#tableAksesorisDetail",
+      kotak: "#tableKotakDetail",
+      silver: "#tableSilverDetail",
+    };
+    if (!detailTables[item.kategori]) {
+      utils.showAlert(`Kategori ${item.kategori || "-"} tidak bisa dijual lewat scan`, "Scan Barcode", "warning");
+      return;
+    }
+
+    // Ganti jenis penjualan otomatis selama keranjang jenis sebelumnya masih kosong
+    const salesType = $("#jenisPenjualan").val();
+    if (salesType !== item.kategori) {
+      const currentTable = detailTables[salesType] || "#tableManualDetail";
+      if ($(`${currentTable} tbody tr:not(.input-row)`).length > 0) {
+        utils.showAlert(
+          `${item.nama} termasuk ${item.kategori}, selesaikan transaksi ${salesType} terlebih dahulu`,
+          "Scan Barcode",
+          "warning"
+        );
+        return;
+      }
+      $("#jenisPenjualan").val(item.kategori).trigger("change");
+    }
+
+    const data = { kode: item.kode, nama: item.nama, harga: item.hargaJual || 0 };
+    if (item.kategori === "kotak") {
+      // Kotak yang sama cukup menambah jumlah
+      const $existing = $("#tableKotakDetail tbody tr").filter(
+        (_, row) => $(row).find("td:first").text() === item.kode
+      );
+      if ($existing.length) {
+        const $jumlah = $existing.first().find(".jumlah-input");
+        $jumlah.val((parseInt($jumlah.val()) || 0) + 1).trigger("input");
+        return;
+      }
+      this.addKotakToTable(data);
+    } else if (item.kategori === "silver") {
+      this.addSilverToTable(data);
+    } else {
+      this.addAksesorisToTable(data);
+    }
+    console.log(`📷 Scan ${item.kode} → ${item.kategori}`);
+  },
+
   // Add aksesoris to table
   addAksesorisToTable(data) {
     const { kode, nama, harga } = data;
@@ -947,10 +1117,19 @@ const penjualanHandler = {
       }
 
       $hargaPerGramInput.val(utils.formatRupiah(Math.round(hargaPerGram)));
+      this.flagBelowGoldRate($hargaPerGramInput, $kadarInput.val(), hargaPerGram);
       this.updateGrandTotal(salesType);
     };
 
-    $totalHargaInput.add($beratInput).on("input", calculateHargaPerGram);
+    // Saran harga dari harga emas saat kadar / berat berubah
+    $kadarInput.add($beratInput).on("input", () => {
+      this.suggestGoldPrice($totalHargaInput, $kadarInput.val(), $beratInput.val());
+      calculateHargaPerGram();
+    });
+    $totalHargaInput.on("input", () => {
+      $totalHargaInput.data("autoPrice", false);
+      calculateHargaPerGram();
+    });
     $jumlahInput.on("input", () => this.updateGrandTotal(salesType));
 
     // Format total harga
@@ -980,7 +1159,7 @@ const penjualanHandler = {
         const value = $totalHargaInput.val().replace(/\./g, "");
         $totalHargaInput.val(utils.formatRupiah(parseInt(value || 0)));
         calculateHargaPerGram();
-        $("#jumlahBayar").focus();
+        this.focusPayment();
       }
     });
   },
@@ -1014,7 +1193,7 @@ const penjualanHandler = {
         const value = $hargaInput.val().replace(/\./g, "");
         $hargaInput.val(utils.formatRupiah(parseInt(value)));
         calculateTotal();
-        $("#jumlahBayar").focus();
+        this.focusPayment();
       }
     });
 
@@ -1091,8 +1270,10 @@ const penjualanHandler = {
     const salesType = $("#jenisPenjualan").val();
 
     if (method === "free") {
-      $(".payment-field, .dp-field").hide();
+      $(".payment-field, .dp-field, .promo-field").hide();
       $("#totalOngkos").val("0");
+      this.promoResult = null;
+      this.renderPromoInfo();
     } else if (method === "dp") {
       if (salesType === "manual") {
         $(".payment-field, .dp-field").show();
@@ -1143,7 +1324,7 @@ const penjualanHandler = {
   attachManualInputHandlers() {
     // Remove existing handlers
     $("#manualBtnPilihKodeLock").off("click");
-    $("#manualInputBerat, #manualInputTotalHarga").off("input");
+    $("#manualInputKadar, #manualInputBerat, #manualInputTotalHarga").off("input");
 
     // Pilih kode lock button
     $("#manualBtnPilihKodeLock").on("click", function () {
@@ -1151,8 +1332,14 @@ const penjualanHandler = {
       $("#modalPilihLock").modal("show");
     });
 
-    // Calculate harga per gram
-    $("#manualInputBerat, #manualInputTotalHarga").on("input", () => {
+    // Saran harga dari harga emas, lalu hitung harga per gram
+    $("#manualInputKadar, #manualInputBerat").on("input", () => {
+      this.suggestGoldPrice($("#manualInputTotalHarga"), $("#manualInputKadar").val(), $("#manualInputBerat").val());
+      this.calculateHargaPerGram("manual");
+    });
+
+    $("#manualInputTotalHarga").on("input", () => {
+      $("#manualInputTotalHarga").data("autoPrice", false);
       this.calculateHargaPerGram("manual");
     });
 
@@ -1193,6 +1380,7 @@ const penjualanHandler = {
     }
 
     $(`#${type}InputHargaPerGram`).val(utils.formatRupiah(Math.round(hargaPerGram)));
+    this.flagBelowGoldRate($(`#${type}InputHargaPerGram`), $(`#${type}InputKadar`).val(), hargaPerGram);
   },
 
   // Add new row for manual
@@ -1229,8 +1417,13 @@ const penjualanHandler = {
       return;
     }
 
+    // Baris di bawah harga emas hari ini ditandai kuning
+    const rate = GoldRateService.getRate(this.goldRates, kadar);
+    const isBelowRate = GoldRateService.isBelowRate(rate, totalHarga / berat);
+    const rowAttr = isBelowRate ? ' class="table-warning" title="Di bawah harga emas hari ini"' : "";
+
     const newRow = `
-        <tr>
+        <tr${rowAttr}>
           <td>${kode}</td>
           <td>${namaBarang}</td>
           <td>${kodeLock}</td>
@@ -1253,6 +1446,8 @@ const penjualanHandler = {
     $(
       `#${type}InputKode, #${type}InputNamaBarang, #${type}InputKodeLock, #${type}InputKadar, #${type}InputBerat, #${type}InputHargaPerGram, #${type}InputTotalHarga, #${type}InputKeterangan`
     ).val("");
+    $(`#${type}InputTotalHarga`).data("autoPrice", false).attr("placeholder", "Masukkan harga");
+    $(`#${type}InputHargaPerGram`).removeClass("is-invalid").attr("title", "");
 
     $(`#${type}InputKode`).focus();
     this.updateGrandTotal(type);
@@ -1301,10 +1496,12 @@ const penjualanHandler = {
     }
 
     $(grandTotalId).text(utils.formatRupiah(total));
-    $("#totalOngkos").val(utils.formatRupiah(total));
+    $("#totalOngkos").val(utils.formatRupiah(this.updatePromotions(salesType, total)));
 
     if ($("#metodeBayar").val() === "dp") {
       this.calculateSisaPembayaran();
+    } else {
+      this.calculateKembalian();
     }
   },
 
@@ -1322,72 +1519,193 @@ const penjualanHandler = {
     const grandTotalSelector =
       salesType === "aksesoris"
         ? "#grand-total-aksesoris"
+        : salesType === "silver"
+        ? "#grand-total-silver"
         : salesType === "kotak"
         ? "#grand-total-kotak"
         : "#grand-total-manual";
 
     total = parseFloat($(grandTotalSelector).text().replace(/\./g, "")) || 0;
-    $("#totalOngkos").val(utils.formatRupiah(total));
+    $("#totalOngkos").val(utils.formatRupiah(this.updatePromotions(salesType, total)));
 
     if (paymentMethod === "dp") {
       this.calculateSisaPembayaran();
+    } else {
+      this.calculateKembalian();
     }
   },
 
+  // Terapkan promo aktif + diskon manual ke keranjang, mengembalikan total neto
+  updatePromotions(salesType, totalBruto) {
+    const eligible = PromotionService.isEligibleSalesType(salesType) && $("#metodeBayar").val() !== "free";
+    $(".promo-field").toggle(eligible);
+    this.promoResult = null;
+
+    if (eligible) {
+      const cabang = BranchService.getCurrentCabang();
+      const promotions = this.promotions.filter((promo) =>
+        PromotionService.isPromoActive(promo, { jenisPenjualan: salesType, cabang })
+      );
+      const items = this.collectItemsData(salesType, this.getDetailTableSelector(salesType));
+      this.promoResult = PromotionService.applyPromotions(items, promotions, {
+        diskonManual: $("#diskonManual").val(),
+        batasDiskonPersen: this.promoSettings.batasDiskonPersen,
+      });
+    }
+
+    $("#subtotalBruto").val(utils.formatRupiah(totalBruto));
+    this.renderPromoInfo();
+    return this.promoResult ? this.promoResult.totalNeto : totalBruto;
+  },
+
+  // Ringkasan promo yang terpakai di bawah field pembayaran
+  renderPromoInfo() {
+    const result = this.promoResult;
+    const lines = result ? PromotionService.getDiscountLines(result) : [];
+    if (lines.length === 0) {
+      $("#promoInfo").hide().empty();
+      return;
+    }
+
+    const renderLine = (line) => {
+      const jumlah = line.jumlah > 0 ? ` <strong>-${utils.formatRupiah(line.jumlah)}</strong>` : "";
+      return `<li>${line.label}${jumlah}</li>`;
+    };
+    const approval = result.perluApproval
+      ? `<div class="text-danger small"><i class="fas fa-user-shield me-1"></i>Perlu persetujuan supervisor</div>`
+      : "";
+
+    $("#promoInfo")
+      .html(
+        `<div class="alert alert-success py-2 mb-0">
+          <i class="fas fa-tags me-1"></i>
+          Total diskon Rp ${utils.formatRupiah(result.totalDiskon)} (${result.diskonPersen.toFixed(1)}%)
+          <ul class="mb-0 small">${lines.map(renderLine).join("")}</ul>
+          ${approval}
+        </div>`
+      )
+      .show();
+  },
+
+  // Password user dengan hak sales.discount untuk diskon di atas batas / promo khusus
+  async requestDiscountApproval(result) {
+    return this.requestAuthorization({
+      title: "Persetujuan Diskon",
+      html:
+        `Diskon Rp ${utils.formatRupiah(result.totalDiskon)} (${result.diskonPersen.toFixed(1)}%) ` +
+        `memerlukan persetujuan supervisor.<br>Batas tanpa persetujuan: ${this.promoSettings.batasDiskonPersen}%`,
+      permission: PromotionService.APPROVAL_PERMISSION,
+      errorMessage: "Username / password salah atau tidak berhak menyetujui diskon",
+    });
+  },
+
+  /**
+   * Minta username + password / PIN user yang berhak (UserService.verifyAuthorization)
+   * @returns {Promise<Object|null>} User yang menyetujui, null jika dibatalkan
+   */
+  async requestAuthorization({ title, html, permission, errorMessage }) {
+    const { value: authorizedBy } = await Swal.fire({
+      title,
+      html: `${html}
+        <input id="swalAuthUsername" class="swal2-input" placeholder="Username supervisor" autocomplete="off">
+        <input id="swalAuthSecret" type="password" class="swal2-input" placeholder="Password / PIN" autocomplete="off">`,
+      focusConfirm: false,
+      showCancelButton: true,
+      confirmButtonText: "Setujui",
+      cancelButtonText: "Batal",
+      showLoaderOnConfirm: true,
+      didOpen: () => document.getElementById("swalAuthUsername").focus(),
+      preConfirm: async () => {
+        const username = document.getElementById("swalAuthUsername").value.trim();
+        const secret = document.getElementById("swalAuthSecret").value;
+        const user = await UserService.verifyAuthorization(username, secret, permission);
+        if (!user) Swal.showValidationMessage(errorMessage);
+        return user;
+      },
+    });
+
+    return authorizedBy || null;
+  },
+
   // Calculate sisa pembayaran
   calculateSisaPembayaran() {
     const total = parseFloat($("#totalOngkos").val().replace(/\./g, "")) || 0;
     const nominalDP = parseFloat($("#nominalDP").val().replace(/\./g, "")) || 0;
 
-    if (nominalDP >= total) {
-      // Jika DP >= total, tidak ada sisa pembayaran
-      $("#sisaPembayaran").val("0");
-
-      // Jika DP > total, ada kembalian
-      if (nominalDP > total) {
-        const kembalian = nominalDP - total;
-        $("#kembalian").val(utils.formatRupiah(kembalian));
-      } else {
-        $("#kembalian").val("0");
-      }
-    } else {
-      // Jika DP < total, hitung sisa pembayaran
-      const sisa = total - nominalDP;
-      $("#sisaPembayaran").val(utils.formatRupiah(sisa));
-      $("#kembalian").val("0");
-    }
-
-    // Update jumlah bayar jika sudah ada input
-    if ($("#jumlahBayar").val()) {
-      this.calculateKembalian();
-    }
+    // DP >= total tidak menyisakan pembayaran, kelebihannya dikembalikan lewat kembalian tunai
+    $("#sisaPembayaran").val(utils.formatRupiah(Math.max(0, total - nominalDP)));
+    this.calculateKembalian();
   },
 
-  // Calculate kembalian
-  calculateKembalian() {
+  // Uang yang harus diterima sekarang: total untuk tunai, nominal DP untuk DP
+  getTagihan() {
     const paymentMethod = $("#metodeBayar").val();
-    const jumlahBayar = parseFloat($("#jumlahBayar").val().replace(/\./g, "")) || 0;
+    const total = parseFloat($("#totalOngkos").val().replace(/\./g, "")) || 0;
 
+    if (paymentMethod === "free") return 0;
     if (paymentMethod === "dp") {
-      const total = parseFloat($("#totalOngkos").val().replace(/\./g, "")) || 0;
       const nominalDP = parseFloat($("#nominalDP").val().replace(/\./g, "")) || 0;
-
-      if (nominalDP >= total) {
-        // Jika DP sudah menutupi total, kembalian = (DP - total) + jumlah bayar
-        const kembalian = nominalDP - total + jumlahBayar;
-        $("#kembalian").val(utils.formatRupiah(kembalian));
-      } else {
-        // Jika masih ada sisa, hitung kembalian dari sisa pembayaran
-        const sisaPembayaran = parseFloat($("#sisaPembayaran").val().replace(/\./g, "")) || 0;
-        const kembalian = jumlahBayar - sisaPembayaran;
-        $("#kembalian").val(utils.formatRupiah(kembalian >= 0 ? kembalian : 0));
-      }
-    } else {
-      // Untuk pembayaran tunai
-      const total = parseFloat($("#totalOngkos").val().replace(/\./g, "")) || 0;
-      const kembalian = jumlahBayar - total;
-      $("#kembalian").val(utils.formatRupiah(kembalian >= 0 ? kembalian : 0));
+      return Math.min(nominalDP, total);
     }
+    return total;
+  },
+
+  // Tambah baris pembayaran (metode, jumlah, no. referensi)
+  addPaymentRow(metode = "tunai", jumlah = 0) {
+    const options = Object.entries(PAYMENT_TYPES)
+      .map(([value, type]) => `<option value="${value}" ${value === metode ? "selected" : ""}>${type.label}</option>`)
+      .join("");
+
+    const $row = $(`
+      <tr>
+        <td><select class="form-select form-select-sm metode-bayar-input">${options}</select></td>
+        <td><input type="text" class="form-control form-control-sm jumlah-bayar-input" placeholder="0"
+          value="${jumlah ? utils.formatRupiah(jumlah) : ""}" /></td>
+        <td><input type="text" class="form-control form-control-sm referensi-input"
+          placeholder="No. transfer / approval code" /></td>
+        <td class="text-center">
+          <button type="button" class="btn btn-sm btn-outline-danger btn-hapus-pembayaran">
+            <i class="fas fa-times"></i>
+          </button>
+        </td>
+      </tr>
+    `);
+
+    $("#tablePembayaran tbody").append($row);
+    this.calculateKembalian();
+    return $row;
+  },
+
+  resetPaymentRows() {
+    $("#tablePembayaran tbody").empty();
+    this.addPaymentRow();
+  },
+
+  focusPayment() {
+    $("#tablePembayaran .jumlah-bayar-input").first().focus();
+  },
+
+  // Baris pembayaran yang terisi
+  collectPaymentLines() {
+    return $("#tablePembayaran tbody tr")
+      .map(function () {
+        return {
+          metode: $(this).find(".metode-bayar-input").val(),
+          jumlah: parseFloat($(this).find(".jumlah-bayar-input").val().replace(/\./g, "")) || 0,
+          referensi: $(this).find(".referensi-input").val().trim(),
+        };
+      })
+      .get()
+      .filter((line) => line.jumlah > 0);
+  },
+
+  // Calculate kembalian - hanya dari pembayaran tunai
+  calculateKembalian() {
+    const payment = calculatePayment(this.collectPaymentLines(), this.getTagihan());
+
+    $("#jumlahBayar").val(utils.formatRupiah(payment.totalBayar));
+    $("#kembalian").val(utils.formatRupiah(payment.kembalian));
+    return payment;
   },
 
   // Search table
@@ -1462,6 +1780,10 @@ const penjualanHandler = {
 
       // PERBAIKAN: Validasi pembayaran yang disederhanakan
       const paymentMethod = $("#metodeBayar").val();
+      if (paymentMethod !== "free") {
+        // Hitung ulang promo, input diskon manual di-debounce
+        this.updateGrandTotal(salesType);
+      }
       const total = parseFloat($("#totalOngkos").val().replace(/\./g, "")) || 0;
 
       if (paymentMethod === "dp") {
@@ -1475,34 +1797,106 @@ const penjualanHandler = {
         }
 
         // HAPUS validasi yang membatasi DP - sekarang DP boleh >= total
-      } else if (paymentMethod !== "free") {
-        const jumlahBayar = parseFloat($("#jumlahBayar").val().replace(/\./g, "")) || 0;
+      }
+
+      // Validasi baris pembayaran: harus menutupi tagihan, non-tunai tidak boleh lebih
+      const paymentLines = paymentMethod === "free" ? [] : this.collectPaymentLines();
+      const payment = calculatePayment(paymentLines, this.getTagihan());
 
-        if (jumlahBayar < total) {
-          utils.showAlert("Jumlah bayar kurang dari total!");
-          $("#jumlahBayar").focus();
+      if (paymentMethod !== "free") {
+        if (payment.kurang > 0) {
+          utils.showAlert(
+            `Jumlah bayar kurang dari ${paymentMethod === "dp" ? "nominal DP" : "total"}! ` +
+              `Kurang Rp ${utils.formatRupiah(payment.kurang)}`
+          );
+          this.focusPayment();
           return;
         }
+
+        if (payment.totalNonTunai > this.getTagihan()) {
+          utils.showAlert("Pembayaran non-tunai melebihi tagihan! Kembalian hanya bisa dari pembayaran tunai.");
+          this.focusPayment();
+          return;
+        }
+      }
+
+      // Harga neto per gram di bawah harga emas hari ini harus dikonfirmasi kasir
+      if (paymentMethod !== "free") {
+        const checkedItems = this.promoResult?.items || this.collectItemsData(salesType, tableSelector);
+        const belowRate = this.markGoldRate(checkedItems).filter((item) => item.dibawahHargaEmas);
+        if (belowRate.length > 0) {
+          const names = belowRate.map((item) => `${item.nama} (${item.kadar})`).join(", ");
+          const confirmed = await utils.showConfirm(
+            `${names} dijual di bawah harga emas hari ini. Lanjutkan penjualan?`,
+            "Harga di Bawah Harga Emas"
+          );
+          if (!confirmed) return;
+        }
+      }
+
+      // Diskon di atas batas atau promo khusus wajib disetujui supervisor
+      const promo = this.promoResult;
+      let diskonDisetujuiOleh = null;
+      if (promo?.perluApproval) {
+        diskonDisetujuiOleh = await this.requestDiscountApproval(promo);
+        if (!diskonDisetujuiOleh) return;
       }
 
       utils.showLoading(true);
 
-      // Collect items data
-      const items = this.collectItemsData(salesType, tableSelector);
+      // Penjualan wajib masuk ke shift kasir yang sedang terbuka di cabang ini
+      const shift = await this.resolveShift();
+      if (!shift) {
+        utils.showAlert("Shift kasir belum dibuka. Buka shift terlebih dahulu.");
+        document.dispatchEvent(new CustomEvent("shift:required"));
+        return;
+      }
+      if (shift.status !== "open") {
+        utils.showAlert("Shift kasir sedang ditutup, tunggu lalu buka shift baru.");
+        return;
+      }
+
+      // Collect items data - dengan diskon per baris dan barang bonus jika ada promo
+      const hasPromo = promo && (promo.totalDiskon > 0 || promo.bonusItems.length > 0);
+      const cartItems = hasPromo
+        ? [...promo.items, ...promo.bonusItems]
+        : this.collectItemsData(salesType, tableSelector);
+      const items = paymentMethod === "free" ? cartItems : this.markGoldRate(cartItems);
+      const discountFields = hasPromo
+        ? {
+            totalBruto: promo.totalBruto,
+            totalDiskon: promo.totalDiskon,
+            diskonManual: promo.diskonManual,
+            promosi: promo.promosi,
+          }
+        : {};
 
       // Prepare transaction data
       const transactionData = {
         jenisPenjualan: salesType,
         tanggal: $("#tanggal").val(),
+        cabang: BranchService.getCurrentCabang(),
         sales: salesName,
         customerName: ($("#customerName").val() || "").trim(),
         customerPhone: ($("#customerPhone").val() || "").trim(),
+        customerId: CustomerService.normalizePhone($("#customerPhone").val()),
         metodeBayar: paymentMethod,
+        pembayaran: paymentLines,
         totalHarga: total,
+        ...discountFields,
+        shiftId: shift.id,
         timestamp: serverTimestamp(),
         items: items,
       };
 
+      if (diskonDisetujuiOleh) {
+        transactionData.diskonDisetujuiOleh = diskonDisetujuiOleh.username;
+      }
+
+      if (items.some((item) => item.dibawahHargaEmas)) {
+        transactionData.dibawahHargaEmas = true;
+      }
+
       // Tambah jenisManual jika penjualan manual
       if (salesType === "manual") {
         transactionData.jenisManual = $("#jenisManual").val();
@@ -1517,13 +1911,14 @@ const penjualanHandler = {
       if (paymentMethod === "dp") {
         const nominalDP = parseFloat($("#nominalDP").val().replace(/\./g, "")) || 0;
         const sisaPembayaran = parseFloat($("#sisaPembayaran").val().replace(/\./g, "")) || 0;
-        const jumlahBayar = parseFloat($("#jumlahBayar").val().replace(/\./g, "")) || 0;
-        const kembalian = parseFloat($("#kembalian").val().replace(/\./g, "")) || 0;
 
         transactionData.nominalDP = nominalDP;
         transactionData.sisaPembayaran = sisaPembayaran;
-        transactionData.jumlahBayar = jumlahBayar;
-        transactionData.kembalian = kembalian;
+        transactionData.totalDibayar = Math.min(nominalDP, total);
+        transactionData.belumLunas = sisaPembayaran > 0;
+        transactionData.jatuhTempo = $("#jatuhTempoDP").val() || "";
+        transactionData.jumlahBayar = payment.totalBayar;
+        transactionData.kembalian = payment.kembalian;
 
         // PERBAIKAN: Status pembayaran selalu "DP" dengan nominal
         transactionData.statusPembayaran = `DP ${utils.formatRupiah(nominalDP)}`;
@@ -1533,21 +1928,19 @@ const penjualanHandler = {
       } else if (paymentMethod === "free") {
         transactionData.statusPembayaran = "Free";
       } else {
-        transactionData.jumlahBayar = parseFloat($("#jumlahBayar").val().replace(/\./g, "")) || 0;
-        transactionData.kembalian = parseFloat($("#kembalian").val().replace(/\./g, "")) || 0;
+        transactionData.jumlahBayar = payment.totalBayar;
+        transactionData.kembalian = payment.kembalian;
         transactionData.statusPembayaran = "Lunas";
       }
 
-      // Save transaction
-      const docRef = await addDoc(collection(firestore, "penjualanAksesoris"), transactionData);
-      readsMonitor.increment("Save Transaction", 1);
+      // Save transaction + stock ledger dalam satu Firestore transaction; saat offline masuk antrean lokal
+      const docRef = doc(collection(firestore, "penjualanAksesoris"));
+      const stockEntries = this.buildStockEntries(salesType, items, docRef.id);
+      const isQueued = await this.saveOrQueue(docRef, transactionData, stockEntries);
 
-      // Update stock
-      await this.updateStock(salesType, items);
-
-      // Duplikasi ke mutasiKode hanya jika manual DAN perlu-mutasi
-      if (transactionData.jenisPenjualan === "manual" && transactionData.jenisManual === "perlu-mutasi") {
-        await this.duplicateToMutasiKode(transactionData, docRef.id);
+      // Penjualan antrean menjalankan langkah ini setelah tersinkron
+      if (!isQueued) {
+        await this.runPostSaveSteps(docRef.id, transactionData);
       }
 
       // Update local cache
@@ -1557,7 +1950,15 @@ const penjualanHandler = {
       const dateKey = new Date().toISOString().split("T")[0];
       simpleCache.set(`salesData_${dateKey}`, this.salesData);
 
-      utils.showAlert("Transaksi berhasil disimpan!", "Sukses", "success");
+      if (isQueued) {
+        utils.showAlert(
+          "Koneksi offline. Transaksi disimpan di perangkat ini dan akan disinkronkan otomatis saat online.",
+          "Tersimpan Offline",
+          "warning"
+        );
+      } else {
+        utils.showAlert("Transaksi berhasil disimpan!", "Sukses", "success");
+      }
 
       // Store transaction data for printing
       currentTransactionData = {
@@ -1568,8 +1969,11 @@ const penjualanHandler = {
         customerName: ($("#customerName").val() || "").trim(),
         customerPhone: ($("#customerPhone").val() || "").trim(),
         totalHarga: $("#totalOngkos").val(),
+        ...discountFields,
         items: items,
         metodeBayar: paymentMethod,
+        pembayaran: paymentLines,
+        kembalian: payment.kembalian,
       };
 
       // PERBAIKAN: Add DP information dengan data yang lengkap
@@ -1577,7 +1981,6 @@ const penjualanHandler = {
         currentTransactionData.nominalDP = $("#nominalDP").val();
         currentTransactionData.sisaPembayaran = $("#sisaPembayaran").val();
         currentTransactionData.jumlahBayar = $("#jumlahBayar").val();
-        currentTransactionData.kembalian = $("#kembalian").val();
         currentTransactionData.statusPembayaran = transactionData.statusPembayaran;
       }
 
@@ -1666,118 +2069,149 @@ const penjualanHandler = {
     return items;
   },
 
-  // Update stock after sales
-  async updateStock(salesType, items) {
-    try {
-      const updatePromises = [];
-
-      for (const item of items) {
-        if (salesType === "manual") {
-          // ✅ Penjualan manual: HANYA catat transaksi kodeLock sebagai gantiLock
-          // ❌ Kode barang (item.kodeText) TIDAK dicatat ke transaksi stok
-
-          if (item.kodeLock && item.kodeLock !== "-") {
-            const currentStockLock = this.getStockForItem(item.kodeLock);
-            const jumlah = parseInt(item.jumlah) || 1;
-            const newStockLock = Math.max(0, currentStockLock - jumlah);
-
-            updatePromises.push(
-              this.processSingleStockUpdate(item.kodeLock, {
-                item: { ...item, kodeText: item.kodeLock, nama: `Ganti lock untuk ${item.nama}` },
-                currentStock: currentStockLock,
-                newStock: newStockLock,
-                jumlah,
-                isGantiLock: true,
-              })
-            );
-          }
-        } else {
-          // Untuk penjualan aksesoris, kotak, dan silver
-          const kode = item.kodeText;
-          if (!kode || kode === "-") continue;
-          // Untuk penjualan aksesoris dan kotak
-          const currentStock = this.getStockForItem(kode);
-          const jumlah = parseInt(item.jumlah) || 1;
-          const newStock = Math.max(0, currentStock - jumlah);
-
-          updatePromises.push(
-            this.processSingleStockUpdate(kode, {
-              item,
-              currentStock,
-              newStock,
-              jumlah,
-              isGantiLock: false,
-            })
-          );
-        }
+  // Shift aktif; saat offline memakai shift terakhir yang diketahui perangkat ini
+  async resolveShift() {
+    if (navigator.onLine) {
+      try {
+        this.lastShift = await ShiftService.getActiveShift();
+        return this.lastShift;
+      } catch (error) {
+        if (!OfflineSaleQueue.isOfflineError(error)) throw error;
       }
+    }
+    return this.lastShift || ShiftService.getCachedActiveShift();
+  },
 
-      await Promise.all(updatePromises);
+  // Susun entry ledger stok untuk item penjualan
+  buildStockEntries(salesType, items, kodeTransaksi) {
+    const entries = [];
+    const expectedStock = new Map();
 
-      // Update local cache
-      for (const item of items) {
-        const kode = item.kodeText;
-        if (kode && kode !== "-") {
-          const currentStock = this.getStockForItem(kode);
-          const jumlah = parseInt(item.jumlah) || 1;
-          const newStock = Math.max(0, currentStock - jumlah);
-
-          // Update stock cache
-          this.stockCache.set(kode, newStock);
-
-          // Stock managed by StockService transaction log
-          // No need to update local stockData (master data only)
-        }
-      }
+    for (const item of items) {
+      // ✅ Penjualan manual: HANYA catat transaksi kodeLock sebagai gantiLock
+      // ❌ Kode barang (item.kodeText) TIDAK dicatat ke transaksi stok
+      const isGantiLock = salesType === "manual";
+      const kode = isGantiLock ? item.kodeLock : item.kodeText;
+      if (!kode || kode === "-") continue;
 
-      simpleCache.set("stockData", this.stockData);
+      const jumlah = parseInt(item.jumlah) || 1;
 
-      return true;
-    } catch (error) {
-      console.error("Error updating stock:", error);
-      throw error;
+      // Stok yang diharapkan diteruskan per baris supaya kode yang sama di beberapa baris tetap konsisten
+      if (!expectedStock.has(kode)) {
+        expectedStock.set(kode, this.stockCache.has(kode) ? this.getStockForItem(kode) : null);
+      }
+      const currentStock = expectedStock.get(kode);
+      if (currentStock !== null) {
+        expectedStock.set(kode, currentStock - jumlah);
+      }
+
+      entries.push(
+        this.createStockEntry(kode, {
+          currentStock,
+          jumlah,
+          isGantiLock,
+          isBonus: item.isBonus === true,
+          kodeTransaksi,
+        })
+      );
     }
+
+    return entries;
   },
 
-  // Process single stock update
-  async processSingleStockUpdate(kode, { item, currentStock, newStock, jumlah, isGantiLock }) {
-    const metodeBayar = $("#metodeBayar").val();
-    const salesType = $("#jenisPenjualan").val();
+  // Tulis penjualan ke Firestore; offline atau gagal karena jaringan disimpan ke antrean lokal
+  async saveOrQueue(docRef, transactionData, entries) {
+    if (navigator.onLine) {
+      try {
+        await this.updateStock(entries, { ref: docRef, data: transactionData });
+        readsMonitor.increment("Save Transaction", 1);
+        return false;
+      } catch (error) {
+        if (!OfflineSaleQueue.isOfflineError(error)) throw error;
+      }
+    }
 
-    let jenisTransaksi, keterangan;
+    // serverTimestamp tidak bisa disimpan di IndexedDB, waktu penjualan diisi ulang saat sinkron
+    const { timestamp, ...sale } = transactionData;
+    await OfflineSaleQueue.enqueue({ id: docRef.id, sale, entries });
 
-    // Tentukan jenis transaksi
-    if (isGantiLock) {
-      jenisTransaksi = "gantiLock";
-      keterangan = `Ganti lock ${kode} oleh ${$("#sales").val()}`;
-    } else if (metodeBayar === "free") {
-      jenisTransaksi = "free";
-      keterangan = `Penjualan ${salesType} gratis oleh ${$("#sales").val()}`;
-    } else {
-      jenisTransaksi = "laku";
-      keterangan = `Penjualan ${salesType} oleh ${$("#sales").val()}`;
+    // Saldo lokal ikut berkurang supaya penjualan offline berikutnya melihat stok terbaru
+    entries.forEach((entry) => {
+      if (this.stockCache.has(entry.kode)) {
+        this.stockCache.set(entry.kode, applyStockTransaction(this.getStockForItem(entry.kode), entry));
+      }
+    });
+    this.updatePendingSyncCount();
+    return true;
+  },
+
+  // Langkah setelah penjualan tertulis di Firestore (langsung atau hasil sinkron antrean)
+  async runPostSaveSteps(transactionId, transactionData) {
+    // Duplikasi ke mutasiKode hanya jika manual DAN perlu-mutasi
+    if (transactionData.jenisPenjualan === "manual" && transactionData.jenisManual === "perlu-mutasi") {
+      await this.duplicateToMutasiKode(transactionData, transactionId);
     }
 
+    // Data master customer (dedupe per nomor HP), kegagalan tidak membatalkan penjualan
+    if (transactionData.customerId) {
+      await CustomerService.safeUpsert({ nama: transactionData.customerName, noHp: transactionData.customerPhone });
+      refreshCustomerAutocomplete();
+    }
+  },
+
+  // Update stock after sales - dokumen penjualan dan ringkasan harian ikut ditulis atomik bersama ledger stok
+  async updateStock(entries, saleWrite) {
     try {
-      // ✅ Gunakan StockService - single source of truth
-      await StockService.updateStock({
-        kode,
-        jenis: jenisTransaksi,
-        jumlah,
-        keterangan,
-        sales: $("#sales").val(),
-        currentStock,
-        newStock,
+      const results = await StockService.updateStocks(entries, {
+        writes: [saleWrite, SalesSummaryService.buildSaleWrite(saleWrite.data)],
+        // Shift yang sedang ditutup tidak menerima penjualan baru (ringkasan tutup shift sudah dihitung)
+        precondition: (transaction) => ShiftService.assertShiftOpen(transaction, saleWrite.data.shiftId),
+      });
+      readsMonitor.increment("Stock Transaction Write", results.length);
+
+      // Update local cache dengan saldo hasil transaksi
+      results.forEach((result) => {
+        this.stockCache.set(result.kode, result.stokSesudah);
+        console.log(
+          `Updated stock for ${result.kode}: ${result.stokSebelum} → ${result.stokSesudah} (${result.jenis})`
+        );
       });
 
-      readsMonitor.increment("Stock Transaction Write", 1);
-      console.log(`Updated stock for ${kode}: ${currentStock} → ${newStock} (${jenisTransaksi})`);
+      simpleCache.set("stockData", this.stockData);
+
+      return true;
     } catch (error) {
-      console.error(`Error updating stock for ${kode}:`, error);
+      console.error("Error updating stock:", error);
       throw error;
     }
   },
 
+  // Buat data transaksi stok untuk satu item penjualan
+  createStockEntry(kode, { currentStock, jumlah, isGantiLock, isBonus = false, kodeTransaksi }) {
+    const metodeBayar = $("#metodeBayar").val();
+    const salesType = $("#jenisPenjualan").val();
+
+    // Tentukan jenis transaksi dari registry (sama dengan yang dipakai saat pembatalan di dataPenjualan)
+    const jenisTransaksi = getSaleStockJenis({ isGantiLock, isBonus, metodeBayar });
+    const keterangan = isBonus
+      ? `Bonus promo penjualan ${salesType} oleh ${$("#sales").val()}`
+      : {
+          gantiLock: `Ganti lock ${kode} oleh ${$("#sales").val()}`,
+          free: `Penjualan ${salesType} gratis oleh ${$("#sales").val()}`,
+          laku: `Penjualan ${salesType} oleh ${$("#sales").val()}`,
+        }[jenisTransaksi];
+
+    return {
+      kode,
+      jenis: jenisTransaksi,
+      jumlah,
+      keterangan,
+      sales: $("#sales").val(),
+      kodeTransaksi,
+      currentStock,
+    };
+  },
+
   // Helper untuk menentukan kategori berdasarkan kode
   determineCategory(kode) {
     if (kode.startsWith("K") || kode.includes("KOTAK")) return "kotak";
@@ -1855,231 +2289,15 @@ const penjualanHandler = {
   },
 
   // Print receipt
-  // Print receipt - PERBAIKAN LOGIKA DP > TOTAL
   printReceipt() {
     if (!currentTransactionData) {
       utils.showAlert("Tidak ada data transaksi untuk dicetak!");
       return;
     }
 
-    const transaction = currentTransactionData;
-    const printWindow = window.open("", "_blank");
-
-    if (!printWindow) {
+    if (!printInWindow(renderReceiptHTML(currentTransactionData))) {
       utils.showAlert("Popup diblokir oleh browser. Mohon izinkan popup untuk mencetak.", "Error", "error");
-      return;
-    }
-
-    let receiptHTML = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>Struk Kasir</title>
-          <style>
-            body {
-              font-family: consolas;
-              font-size: 12px;
-              margin: 0;
-              padding: 0;
-              width: 80mm;
-            }
-            .receipt {
-              margin: 0 auto;
-              padding: 5mm;
-            }
-            .receipt h3, .receipt h4 {
-              text-align: center;
-              margin: 2mm 0;
-            }
-            .receipt hr {
-              border-top: 1px dashed #000;
-            }
-            .receipt table {
-              width: 100%;
-              border-collapse: collapse;
-            }
-            .receipt th, .receipt td {
-              text-align: left;
-              padding: 1mm 2mm;
-            }
-            .info-header {
-              display: flex;
-              justify-content: space-between;
-              margin: 2mm 0;
-              font-size: 11px;
-              padding: 0;
-            }
-            .nama-barang {
-              font-weight: bold;
-              white-space: nowrap;
-              overflow: hidden;
-              text-overflow: ellipsis;
-              border-bottom: 1px dotted #ccc;
-              padding: 2mm 0;
-              margin: 0;
-            }
-            .detail-barang {
-              display: flex;
-              justify-content: space-between;
-              font-size: 11px;
-              padding: 1mm 0;
-              margin: 0 0 2mm 0;
-            }
-            .item-separator {
-              border-bottom: 1px dotted #888;
-              padding-bottom: 2mm;
-              margin-bottom: 2mm;
-            }
-            .text-center {
-              text-align: center;
-            }
-            .text-right {
-              text-align: right;
-            }
-            .keterangan {
-              font-style: italic;
-              font-size: 14px;
-              margin-top: 2mm;
-              border-top: 1px dotted #000;
-              padding-top: 2mm;
-            }
-            .payment-info {
-              margin-top: 2mm;
-              border-top: 1px dotted #000;
-              padding-top: 2mm;
-            }
-          </style>
-        </head>
-        <body>
-          <div class="receipt">
-            <h3>MELATI 3</h3>
-            <h4>JL. DIPONEGORO NO. 116</h4>
-            <h4>NOTA PENJUALAN ${transaction.salesType.toUpperCase()}</h4>
-            <hr>
-            <div class="info-header">
-              <span>Tanggal: ${transaction.tanggal}</span>
-              <span>Sales: ${transaction.sales}</span>
-            </div>
-            <hr>
-            <div>
-      `;
-
-    let hasKeterangan = false;
-    let keteranganText = "";
-
-    transaction.items.forEach((item, index) => {
-      const itemHarga = parseInt(item.totalHarga) || 0;
-      const isLastItem = index === transaction.items.length - 1;
-      const separatorClass = !isLastItem ? " item-separator" : "";
-
-      receiptHTML += `
-      <div class="${separatorClass}">
-        <div class="nama-barang">${item.nama || "-"}</div>
-        <div class="detail-barang">
-          <span>${item.kodeText || "-"}</span>
-          <span>${item.kadar || "-"}</span>
-          <span>${item.berat || "-"} gr</span>
-          <span>${utils.formatRupiah(itemHarga)}</span>
-        </div>
-      </div>
-    `;
-
-      if (item.keterangan && item.keterangan.trim() !== "") {
-        hasKeterangan = true;
-        keteranganText += item.keterangan + " ";
-      }
-    });
-
-    const totalHarga = parseInt(transaction.totalHarga.replace(/\./g, "")) || 0;
-    receiptHTML += `
-        </div>
-        <hr>
-        <table style="width: 100%; margin-top: 2mm;">
-          <tr style="border-top: 2px solid #000;">
-            <td style="text-align: right; padding-right: 2mm;"><strong>Total:</strong></td>
-            <td style="text-align: right;"><strong>${utils.formatRupiah(totalHarga)}</strong></td>
-          </tr>
-        </table>
-      `;
-
-    // PERBAIKAN: Add DP information dengan logika yang benar
-    if (transaction.metodeBayar === "dp") {
-      const dpAmount = parseInt(transaction.nominalDP.replace(/\./g, "")) || 0;
-
-      receiptHTML += `
-            <div class="payment-info">
-              <table>
-                <tr>
-                  <td>Total Harga:</td>
-                  <td class="text-right">${utils.formatRupiah(totalHarga)}</td>
-                </tr>
-                <tr>
-                  <td>DP:</td>
-                  <td class="text-right">${utils.formatRupiah(dpAmount)}</td>
-                </tr>
-    `;
-
-      // PERBAIKAN: Logika untuk menampilkan SISA atau KEMBALIAN
-      if (dpAmount >= totalHarga) {
-        // Jika DP >= total, tampilkan kembalian (jika ada)
-        if (dpAmount > totalHarga) {
-          const kembalian = dpAmount - totalHarga;
-          receiptHTML += `
-                <tr>
-                  <td><strong>KEMBALIAN:</strong></td>
-                  <td class="text-right"><strong>${utils.formatRupiah(kembalian)}</strong></td>
-                </tr>
-        `;
-        } else {
-          // Jika DP = total, tampilkan LUNAS
-          receiptHTML += `
-                <tr>
-                  <td colspan="2" class="text-center"><strong>LUNAS</strong></td>
-                </tr>
-        `;
-        }
-      } else {
-        // Jika DP < total, tampilkan sisa pembayaran
-        const remainingAmount = parseInt(transaction.sisaPembayaran.replace(/\./g, "")) || 0;
-        receiptHTML += `
-                <tr>
-                  <td><strong>SISA:</strong></td>
-                  <td class="text-right"><strong>${utils.formatRupiah(remainingAmount)}</strong></td>
-                </tr>
-      `;
-      }
-
-      receiptHTML += `
-              </table>
-            </div>
-        `;
     }
-
-    // Add keterangan if exists and is manual sale
-    if (hasKeterangan && transaction.salesType === "manual") {
-      receiptHTML += `
-            <div class="keterangan">
-              <strong>Keterangan:</strong> ${keteranganText.trim()}
-            </div>
-        `;
-    }
-
-    receiptHTML += `
-            <hr>
-            <p class="text-center">Terima Kasih<br>Atas Kunjungan Anda</p>
-          </div>
-          <script>
-            window.onload = function() {
-              window.print();
-              setTimeout(function() { window.close(); }, 500);
-            };
-          </script>
-        </body>
-        </html>
-      `;
-
-    printWindow.document.write(receiptHTML);
-    printWindow.document.close();
   },
 
   // Print invoice
@@ -2089,268 +2307,19 @@ const penjualanHandler = {
       return;
     }
 
-    const transaction = currentTransactionData;
-    const printWindow = window.open("", "_blank");
-
-    if (!printWindow) {
+    if (!printInWindow(renderInvoiceHTML(currentTransactionData))) {
       utils.showAlert("Popup diblokir oleh browser. Mohon izinkan popup untuk mencetak.", "Error", "error");
-      return;
     }
-
-    // PERBAIKAN: Gunakan tanggal langsung karena sudah dalam format string dd/mm/yyyy
-    // Jika timestamp ada (Firestore Timestamp), format dulu, jika tidak pakai tanggal string
-    let tanggal = transaction.tanggal;
-    if (transaction.timestamp && transaction.timestamp.toDate) {
-      tanggal = utils.formatDate(transaction.timestamp);
-    }
-
-    let invoiceHTML = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>Invoice Customer</title>
-      <style>
-        @page { size: 10cm 20cm; margin: 0; }
-        body { font-family: Arial, sans-serif; font-size: 12px; margin: 0; padding: 5mm; width: 20cm; box-sizing: border-box; }
-        .invoice { width: 100%; position: relative; min-height: 19cm; }
-        .header-info { text-align: left; margin-bottom: 0.5cm; margin-left: 14.3cm; margin-top: 0.8cm; }
-        .customer-info { text-align: left; margin-bottom: 1.1cm; margin-left: 14.3cm; font-size: 11px; line-height: 1.2; }
-        .total-row { position: absolute; top: 6.3cm; right: 3cm; text-align: right; font-weight: bold; }
-        .sales { position: absolute; top: 7.2cm; right: 1.6cm; text-align: right; }
-        .keterangan { position: absolute; top: 5cm; left: 0.5cm; right: 3cm; font-style: italic; font-size: 10px; padding-top: 2mm; text-align: left; }
-        .keterangan-spacer { height: 0; }
-        .item-details { display: flex; flex-wrap: wrap; }
-        .item-data { display: grid; grid-template-columns: 2cm 2.8cm 4.7cm 1.8cm 1.8cm 2cm; width: 100%; column-gap: 0.2cm; margin-left: 0.5cm; margin-top: 0.8cm; margin-right: 3cm; }
-        .item-data span { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
-        .item-data span:nth-child(3) { white-space: normal; overflow: visible; text-overflow: clip; word-wrap: break-word; }
-      </style>
-    </head>
-    <body>
-      <div class="invoice">
-        <div class="header-info">
-          <p>${tanggal}</p>
-        </div>
-        <div class="customer-info">
-          <div>${transaction.customerName || "-"}</div>
-          <div>${transaction.customerPhone || ""}</div>
-        </div>
-  `;
-
-    let hasKeterangan = false;
-    let keteranganText = "";
-    let totalHarga = 0;
-
-    // Loop untuk menampilkan semua item-data
-    transaction.items.forEach((item) => {
-      const itemHarga = parseInt(item.totalHarga || 0);
-      totalHarga += itemHarga;
-
-      invoiceHTML += `
-      <div class="item-details">
-        <div class="item-data">
-          <span>${item.kodeText || "-"}</span>
-          <span>${item.jumlah || " "}pcs</span>
-          <span>${item.nama || "-"}</span>
-          <span>${item.kadar || "-"}</span>
-          <span>${item.berat || "-"}gr</span>
-          <span>${utils.formatRupiah(itemHarga)}</span>
-        </div>
-      </div>
-    `;
-
-      // Kumpulkan keterangan
-      if (item.keterangan && item.keterangan.trim() !== "") {
-        hasKeterangan = true;
-        keteranganText += `${item.keterangan}; `;
-      }
-    });
-
-    // Tampilkan keterangan atau spacer
-    if (hasKeterangan && transaction.salesType === "manual") {
-      invoiceHTML += `
-      <div class="keterangan">
-        <strong>Keterangan:</strong><br>
-        ${keteranganText.trim()}
-      </div>
-    `;
-    } else {
-      invoiceHTML += `<div class="keterangan-spacer"></div>`;
-    }
-
-    // Tampilkan total dan sales
-    invoiceHTML += `
-      <div class="total-row">
-        Rp ${utils.formatRupiah(totalHarga)}
-      </div>
-      <div class="sales">${transaction.sales || "-"}</div>
-      </div>
-      <script>
-        window.onload = function() {
-          window.print();
-          setTimeout(function() { window.close(); }, 500);
-        };
-      </script>
-    </body>
-    </html>
-  `;
-
-    printWindow.document.write(invoiceHTML);
-    printWindow.document.close();
   },
 
-  // Print separate invoices per item for manual sales
+  // Print separate invoices per item
   printInvoicePerItem() {
     if (!currentTransactionData) {
       utils.showAlert("Tidak ada data transaksi untuk dicetak!");
       return;
     }
 
-    const tx = currentTransactionData;
-    const items = Array.isArray(tx.items) ? tx.items : [];
-
-    // Fallback jika hanya 1 item
-    if (items.length <= 1) {
-      this.printInvoice();
-      return;
-    }
-
-    const parseHarga = (val) => {
-      if (val == null) return 0;
-      if (typeof val === "number") return val;
-      const s = String(val);
-      return parseInt(s.replace(/\./g, "")) || 0;
-    };
-
-    const fmt = (n) => utils.formatRupiah(parseInt(n) || 0);
-
-    const getField = (obj, keys, def = "-") => {
-      for (const k of keys) {
-        const v = obj[k];
-        if (v !== undefined && v !== null && String(v) !== "") return v;
-      }
-      return def;
-    };
-
-    const buildItemHTML = (item) => {
-      const kode = getField(item, ["kode", "kodeText", "kodeLock"], "-");
-      const nama = getField(item, ["nama", "namaBarang"], "-");
-      const kadar = getField(item, ["kadar"], "-");
-      const berat = getField(item, ["berat", "gr"], 0);
-      const total = parseHarga(getField(item, ["totalHarga"], 0));
-      const keterangan = getField(item, ["keterangan"], "");
-
-      return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <title>Invoice Customer</title>
-          <style>
-            @page { size: 10cm 20cm; margin: 0; }
-            body { font-family: Arial, sans-serif; font-size: 12px; margin: 0; padding: 5mm; width: 20cm; box-sizing: border-box; }
-            .invoice { width: 100%; position: relative; min-height: 19cm; }
-            .header-info { text-align: left; margin-bottom: 0.5cm; margin-left: 14.3cm; margin-top: 0.8cm; }
-            .customer-info { text-align: left; margin-bottom: 1.1cm; margin-left: 14.3cm; font-size: 11px; line-height: 1.2; }
-            .total-row { position: absolute; top: 6.3cm; right: 3cm; text-align: right; font-weight: bold; }
-            .sales { position: absolute; top: 7.2cm; right: 1.6cm; text-align: right; }
-            .item-details { display: flex; flex-wrap: wrap; }
-            .item-data { display: grid; grid-template-columns: 2cm 2.8cm 4.7cm 1.8cm 1.8cm 2cm; width: 100%; column-gap: 0.2cm; margin-left: 0.5cm; margin-top: 0.8cm; margin-right: 3cm; }
-            .item-data span { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
-            .item-data span:nth-child(3) { white-space: normal; overflow: visible; text-overflow: clip; word-wrap: break-word; }
-            .keterangan { position: absolute; top: 5cm; left: 0.5cm; right: 3cm; font-style: italic; font-size: 10px; padding-top: 2mm; text-align: left; }
-            .keterangan-spacer { height: 0; }
-          </style>
-        </head>
-        <body>
-          <div class="invoice">
-            <div class="header-info"><p>${tx.tanggal || ""}</p></div>
-            <div class="customer-info">
-              <div>${tx.customerName || "-"}</div>
-              <div>${tx.customerPhone || ""}</div>
-            </div>
-
-            <div class="item-details">
-              <div class="item-data">
-                <span>${kode}</span>
-                <span> pcs</span>
-                <span>${nama}</span>
-                <span>${kadar}</span>
-                <span>${berat}gr</span>
-                <span>${fmt(total)}</span>
-              </div>
-            </div>
-            ${
-              keterangan
-                ? `<div class="keterangan"><strong>Keterangan:</strong><br>${keterangan}</div>`
-                : `<div class="keterangan-spacer"></div>`
-            }
-            <div class="total-row">Rp ${fmt(total)}</div>
-            <div class="sales">${tx.sales || "-"}</div>
-          </div>
-        </body>
-        </html>
-      `;
-    };
-
-    const printViaIframe = (html) =>
-      new Promise((resolve) => {
-        const iframe = document.createElement("iframe");
-        iframe.style.position = "fixed";
-        iframe.style.right = "0";
-        iframe.style.bottom = "0";
-        iframe.style.width = "0";
-        iframe.style.height = "0";
-        iframe.style.border = "0";
-        document.body.appendChild(iframe);
-
-        const w = iframe.contentWindow;
-        const d = w.document;
-        d.open();
-        d.write(html);
-        d.close();
-
-        const cleanup = () => {
-          setTimeout(() => {
-            if (iframe.parentNode) iframe.parentNode.removeChild(iframe);
-            resolve();
-          }, 150);
-        };
-
-        const onAfterPrint = () => {
-          try {
-            w.removeEventListener && w.removeEventListener("afterprint", onAfterPrint);
-          } catch (e) {}
-          cleanup();
-        };
-        try {
-          w.addEventListener && w.addEventListener("afterprint", onAfterPrint);
-        } catch (e) {}
-
-        // Wait for content to fully load before printing to avoid duplicate triggers
-        const tryPrint = () => {
-          try {
-            w.focus();
-            w.print();
-            // Fallback cleanup if afterprint not fired
-            setTimeout(cleanup, 1000);
-          } catch (e) {
-            // Retry once shortly if print isn't ready
-            setTimeout(tryPrint, 100);
-          }
-        };
-        // Ensure styles applied before printing
-        if (d.readyState === "complete") {
-          setTimeout(tryPrint, 50);
-        } else {
-          w.onload = () => setTimeout(tryPrint, 50);
-        }
-      });
-
-    (async () => {
-      for (const item of items) {
-        const html = buildItemHTML(item);
-        await printViaIframe(html);
-      }
-    })();
+    printItemInvoices(currentTransactionData);
   },
 
   // Reset form
@@ -2372,14 +2341,20 @@ const penjualanHandler = {
       $("#jenisManualContainer").hide();
 
       // Clear all tables
-      $("#tableAksesorisDetail tbody, #tableKotakDetail tbody, #tableManualDetail tbody").empty();
+      $(
+        "#tableAksesorisDetail tbody, #tableKotakDetail tbody, #tableSilverDetail tbody, #tableManualDetail tbody"
+      ).empty();
 
       // Reset payment fields
       $("#metodeBayar").val("tunai").trigger("change");
-      $("#nominalDP, #totalOngkos, #sisaPembayaran, #jumlahBayar, #kembalian").val("");
+      $("#nominalDP, #totalOngkos, #sisaPembayaran, #jatuhTempoDP, #jumlahBayar, #kembalian").val("");
+      $("#subtotalBruto, #diskonManual").val("");
+      this.promoResult = null;
+      this.renderPromoInfo();
+      this.resetPaymentRows();
 
       // Reset grand totals
-      $("#grand-total-aksesoris, #grand-total-kotak, #grand-total-manual").text("0");
+      $("#grand-total-aksesoris, #grand-total-kotak, #grand-total-silver, #grand-total-manual").text("0");
 
       // Clear current transaction data
       currentTransactionData = null;
@@ -2393,6 +2368,380 @@ const penjualanHandler = {
     }
   },
 
+  getDetailTableSelector(salesType) {
+    const tables = { aksesoris: "#tableAksesorisDetail", silver: "#tableSilverDetail", kotak: "#tableKotakDetail" };
+    return tables[salesType] || "#tableManualDetail";
+  },
+
+  // Isi keranjang yang sedang diinput, untuk diparkir
+  getCartSnapshot() {
+    const jenisPenjualan = $("#jenisPenjualan").val();
+    const items = this.collectItemsData(jenisPenjualan, this.getDetailTableSelector(jenisPenjualan));
+
+    return {
+      sales: ($("#sales").val() || "").trim(),
+      customerName: ($("#customerName").val() || "").trim(),
+      customerPhone: ($("#customerPhone").val() || "").trim(),
+      jenisPenjualan,
+      jenisManual: $("#jenisManual").val() || "",
+      metodeBayar: $("#metodeBayar").val(),
+      nominalDP: $("#nominalDP").val() || "",
+      jatuhTempoDP: $("#jatuhTempoDP").val() || "",
+      diskonManual: $("#diskonManual").val() || "",
+      items,
+      totalHarga: items.reduce((total, item) => total + (Number(item.totalHarga) || 0), 0),
+    };
+  },
+
+  // Parkir keranjang: simpan ke IndexedDB lalu kosongkan form untuk customer berikutnya
+  async parkCart() {
+    const cart = this.getCartSnapshot();
+    if (cart.items.length === 0) {
+      utils.showAlert("Keranjang masih kosong, tidak ada yang bisa diparkir");
+      return;
+    }
+    if (!cart.sales) {
+      utils.showAlert("Nama sales harus diisi sebelum memparkir keranjang!");
+      $("#sales").focus();
+      return;
+    }
+
+    try {
+      await ParkedCartStore.park(cart);
+      this.resetForm();
+      $("#sales").val(cart.sales);
+      await this.updateParkedCount();
+      utils.showAlert(`Keranjang ${cart.customerName || cart.sales} diparkir`, "Sukses", "success");
+    } catch (error) {
+      console.error("Error parking cart:", error);
+      utils.showAlert("Gagal memparkir keranjang: " + error.message, "Error", "error");
+    }
+  },
+
+  async updateParkedCount() {
+    try {
+      const carts = await ParkedCartStore.list();
+      $("#jumlahTertunda")
+        .text(carts.length)
+        .toggle(carts.length > 0);
+    } catch (error) {
+      console.error("Error loading parked carts:", error);
+      $("#jumlahTertunda").hide();
+    }
+  },
+
+  async showParkedCarts() {
+    await this.renderParkedCarts();
+    $("#modalKeranjangTertunda").modal("show");
+  },
+
+  // Daftar keranjang tertunda milik sales yang sedang diinput (atau semua sales)
+  async renderParkedCarts() {
+    const $tbody = $("#tableKeranjangTertunda tbody");
+    const sales = $("#filterSemuaSales").is(":checked") ? "" : ($("#sales").val() || "").trim();
+
+    try {
+      const carts = await ParkedCartStore.list(sales);
+      if (carts.length === 0) {
+        const keterangan = sales ? ` untuk sales ${sales}` : "";
+        $tbody.html(
+          `<tr><td colspan="6" class="text-center text-muted">Tidak ada keranjang tertunda${keterangan}</td></tr>`
+        );
+        return;
+      }
+
+      $tbody.html(carts.map((cart) => this.renderParkedCartRow(cart)).join(""));
+    } catch (error) {
+      console.error("Error rendering parked carts:", error);
+      $tbody.html(`<tr><td colspan="6" class="text-center text-danger">Gagal memuat keranjang tertunda</td></tr>`);
+    }
+  },
+
+  renderParkedCartRow(cart) {
+    const jam = new Date(cart.parkedAt).toLocaleTimeString("id-ID", { hour: "2-digit", minute: "2-digit" });
+    const barang = cart.items.map((item) => item.nama || item.kodeText).join(", ");
+    return `
+      <tr>
+        <td>${jam}</td>
+        <td>${cart.sales}</td>
+        <td>${cart.customerName || "-"}<div class="small text-muted">${cart.customerPhone || ""}</div></td>
+        <td><span class="badge bg-secondary me-1">${cart.jenisPenjualan}</span>${barang}</td>
+        <td class="text-end">${utils.formatRupiah(cart.totalHarga)}</td>
+        <td class="text-center">
+          <button type="button" class="btn btn-sm btn-primary btn-buka-keranjang" data-id="${cart.id}" title="Buka">
+            <i class="fas fa-play"></i>
+          </button>
+          <button type="button" class="btn btn-sm btn-danger btn-hapus-keranjang" data-id="${cart.id}" title="Hapus">
+            <i class="fas fa-trash"></i>
+          </button>
+        </td>
+      </tr>`;
+  },
+
+  // Buka kembali keranjang tertunda. Keranjang yang sedang diinput ikut diparkir agar tidak hilang.
+  async restoreParkedCart(id) {
+    try {
+      const cart = await ParkedCartStore.get(id);
+      if (!cart) {
+        utils.showAlert("Keranjang tertunda tidak ditemukan atau sudah kedaluwarsa");
+        await this.renderParkedCarts();
+        return;
+      }
+
+      $("#modalKeranjangTertunda").modal("hide");
+      const current = this.getCartSnapshot();
+      if (current.items.length > 0) {
+        const confirmed = await utils.showConfirm(
+          "Keranjang yang sedang diinput akan diparkir terlebih dahulu. Lanjutkan?"
+        );
+        if (!confirmed) return;
+        await ParkedCartStore.park({ ...current, sales: current.sales || cart.sales });
+      }
+
+      this.resetForm();
+      $("#jenisPenjualan").val(cart.jenisPenjualan).trigger("change");
+      $("#jenisManual").val(cart.jenisManual);
+      $("#sales").val(cart.sales);
+      $("#customerName").val(cart.customerName);
+      $("#customerPhone").val(cart.customerPhone);
+      this.restoreCartItems(cart.jenisPenjualan, cart.items);
+
+      $("#diskonManual").val(cart.diskonManual || "");
+      $("#metodeBayar").val(cart.metodeBayar).trigger("change");
+      if (cart.metodeBayar === "dp") {
+        $("#nominalDP").val(cart.nominalDP);
+        $("#jatuhTempoDP").val(cart.jatuhTempoDP);
+        this.calculateSisaPembayaran();
+      }
+
+      await ParkedCartStore.remove(id);
+      await this.updateParkedCount();
+      this.focusPayment();
+      console.log(`▶️ Keranjang ${id} dibuka kembali`);
+    } catch (error) {
+      console.error("Error restoring parked cart:", error);
+      utils.showAlert("Gagal membuka keranjang tertunda: " + error.message, "Error", "error");
+    }
+  },
+
+  // Susun ulang baris detail dari item hasil collectItemsData
+  restoreCartItems(salesType, items) {
+    const $tbody = $(`${this.getDetailTableSelector(salesType)} tbody`);
+
+    items.forEach((item) => {
+      const data = { kode: item.kodeText, nama: item.nama, harga: item.hargaSatuan || 0 };
+
+      if (salesType === "kotak") {
+        this.addKotakToTable(data);
+        $tbody.find("tr:last-child .jumlah-input").val(item.jumlah).trigger("input");
+      } else if (salesType === "aksesoris" || salesType === "silver") {
+        if (salesType === "silver") {
+          this.addSilverToTable(data);
+        } else {
+          this.addAksesorisToTable(data);
+        }
+        const $row = $tbody.find("tr:last-child");
+        $row.find(".jumlah-input").val(item.jumlah);
+        $row.find(".kadar-input").val(item.kadar === "-" ? "" : item.kadar);
+        $row.find(".berat-input").val(item.berat || "");
+        $row
+          .find(".total-harga-input")
+          .val(item.totalHarga ? utils.formatRupiah(item.totalHarga) : "")
+          .trigger("input");
+      } else {
+        $("#manualInputKode").val(item.kodeText === "-" ? "" : item.kodeText);
+        $("#manualInputNamaBarang").val(item.nama);
+        $("#manualInputKodeLock").val(item.kodeLock || "");
+        $("#manualInputKadar").val(item.kadar);
+        $("#manualInputBerat").val(item.berat);
+        $("#manualInputTotalHarga").val(utils.formatRupiah(item.totalHarga));
+        $("#manualInputKeterangan").val(item.keterangan || "");
+        this.calculateHargaPerGram("manual");
+        this.addNewRow("manual");
+      }
+    });
+
+    this.updateGrandTotal(salesType);
+  },
+
+  async deleteParkedCart(id) {
+    const confirmed = await utils.showConfirm("Hapus keranjang tertunda ini?");
+    if (!confirmed) return;
+
+    try {
+      await ParkedCartStore.remove(id);
+      await this.updateParkedCount();
+      await this.renderParkedCarts();
+    } catch (error) {
+      console.error("Error deleting parked cart:", error);
+      utils.showAlert("Gagal menghapus keranjang tertunda: " + error.message, "Error", "error");
+    }
+  },
+
+  // Jumlah penjualan offline yang belum tersinkron (tombol antrean & indikator koneksi)
+  async updatePendingSyncCount() {
+    try {
+      const records = await OfflineSaleQueue.list();
+      const hasProblem = records.some((record) => record.status !== "pending");
+      $("#jumlahBelumSinkron")
+        .text(records.length)
+        .toggleClass("bg-danger", hasProblem)
+        .toggleClass("bg-warning text-dark", !hasProblem);
+      $("#btnAntreanOffline").toggle(records.length > 0);
+      connectionStatus.updateStatus(records.length);
+    } catch (error) {
+      console.error("Error loading offline queue:", error);
+      $("#btnAntreanOffline").hide();
+    }
+  },
+
+  /**
+   * Sinkronkan antrean penjualan offline; konflik stok dilaporkan ke kasir
+   * @returns {Promise<boolean>} true jika ada hasil yang ditampilkan ke kasir
+   */
+  async syncOfflineSales() {
+    if (!navigator.onLine) return false;
+
+    try {
+      const result = await OfflineSaleQueue.syncAll({
+        onSynced: (record) => this.runPostSaveSteps(record.id, record.sale),
+      });
+      return this.reportSyncResult(result);
+    } catch (error) {
+      console.error("Error syncing offline sales:", error);
+      return false;
+    } finally {
+      await this.updatePendingSyncCount();
+    }
+  },
+
+  reportSyncResult({ synced, conflicts, failed }) {
+    if (synced.length === 0 && conflicts.length === 0 && failed.length === 0) return false;
+
+    console.log(`🔁 Offline sync: ${synced.length} synced, ${conflicts.length} conflicts, ${failed.length} failed`);
+    if (conflicts.length === 0 && failed.length === 0) {
+      utils.showAlert(`${synced.length} penjualan offline berhasil disinkronkan`, "Sinkron Selesai", "success");
+      return true;
+    }
+
+    const problems = [...conflicts, ...failed]
+      .map((record) => `<li>${record.sale.sales} - ${record.error}</li>`)
+      .join("");
+    Swal.fire({
+      title: "Sebagian Penjualan Offline Belum Tersimpan",
+      html:
+        `${synced.length} penjualan tersinkron. Penjualan berikut tetap di antrean:` +
+        `<ul class="text-start small mt-2">${problems}</ul>`,
+      icon: "warning",
+      confirmButtonText: "Lihat Antrean",
+    }).then(() => this.showOfflineQueue());
+    return true;
+  },
+
+  async showOfflineQueue() {
+    await this.renderOfflineQueue();
+    $("#modalAntreanOffline").modal("show");
+  },
+
+  async renderOfflineQueue() {
+    const $tbody = $("#tableAntreanOffline tbody");
+
+    try {
+      const records = await OfflineSaleQueue.list();
+      if (records.length === 0) {
+        $tbody.html(`<tr><td colspan="6" class="text-center text-muted">Semua penjualan sudah tersinkron</td></tr>`);
+        return;
+      }
+
+      $tbody.html(records.map((record) => this.renderOfflineQueueRow(record)).join(""));
+    } catch (error) {
+      console.error("Error rendering offline queue:", error);
+      $tbody.html(`<tr><td colspan="6" class="text-center text-danger">Gagal memuat antrean offline</td></tr>`);
+    }
+  },
+
+  renderOfflineQueueRow(record) {
+    const { sale } = record;
+    const jam = new Date(record.createdAt).toLocaleString("id-ID", { dateStyle: "short", timeStyle: "short" });
+    const barang = sale.items.map((item) => escapeHtml(item.nama || item.kodeText)).join(", ");
+    const status = {
+      pending: `<span class="badge bg-warning text-dark">Menunggu</span>`,
+      conflict: `<span class="badge bg-danger">Konflik stok</span>`,
+      failed: `<span class="badge bg-secondary">Gagal</span>`,
+    }[record.status];
+    const error = record.error ? `<div class="small text-danger">${escapeHtml(record.error)}</div>` : "";
+    const retryButton =
+      record.status === "pending"
+        ? ""
+        : `<button type="button" class="btn btn-sm btn-primary btn-sinkron-ulang" data-id="${record.id}" title="Coba lagi">
+            <i class="fas fa-redo"></i>
+          </button>`;
+    const negativeButton =
+      record.status === "conflict"
+        ? `<button type="button" class="btn btn-sm btn-danger btn-sinkron-minus" data-id="${record.id}" title="Simpan dengan stok minus">
+            <i class="fas fa-user-shield"></i>
+          </button>`
+        : "";
+
+    return `
+      <tr>
+        <td>${jam}</td>
+        <td>${escapeHtml(sale.sales)}</td>
+        <td><span class="badge bg-secondary me-1">${escapeHtml(sale.jenisPenjualan)}</span>${barang}</td>
+        <td class="text-end">${utils.formatRupiah(sale.totalHarga)}</td>
+        <td>${status}${error}</td>
+        <td class="text-center text-nowrap">${retryButton}${negativeButton}</td>
+      </tr>`;
+  },
+
+  /**
+   * Tulis ulang satu penjualan antrean
+   * @param {Object} options - allowNegative: stok boleh minus, wajib password supervisor
+   */
+  async retryOfflineSale(id, { allowNegative = false } = {}) {
+    $("#modalAntreanOffline").modal("hide");
+
+    const record = await OfflineSaleQueue.get(id);
+    if (!record) {
+      await this.updatePendingSyncCount();
+      return;
+    }
+
+    let authorizedBy = null;
+    if (allowNegative) {
+      authorizedBy = await this.requestNegativeStockApproval(record);
+      if (!authorizedBy) return;
+    }
+
+    try {
+      utils.showLoading(true);
+      const written = await OfflineSaleQueue.syncRecord(record, { allowNegative, authorizedBy });
+      if (written) await this.runPostSaveSteps(record.id, record.sale);
+      utils.showAlert("Penjualan offline berhasil disinkronkan", "Sukses", "success");
+    } catch (error) {
+      console.error("Error retrying offline sale:", error);
+      if (!OfflineSaleQueue.isOfflineError(error)) {
+        const status = error.code === "insufficient-stock" ? "conflict" : "failed";
+        await OfflineSaleQueue.update(id, { status, error: error.message, kode: error.kode || "" });
+      }
+      utils.showAlert("Gagal menyinkronkan penjualan: " + error.message, "Error", "error");
+    } finally {
+      utils.showLoading(false);
+      await this.updatePendingSyncCount();
+    }
+  },
+
+  async requestNegativeStockApproval(record) {
+    return this.requestAuthorization({
+      title: "Simpan dengan Stok Minus",
+      html: `${escapeHtml(
+        record.error
+      )}<br>Penjualan tetap disimpan dan stok menjadi minus. Perlu persetujuan supervisor.`,
+      permission: "stock.adjust",
+      errorMessage: "Username / password salah atau tidak berhak menyetujui stok minus",
+    });
+  },
+
   // Print document handler
   printDocument(type) {
     if (type === "receipt") {
@@ -2454,7 +2803,10 @@ window.addEventListener("online", async () => {
   console.log("🌐 Connection restored");
   try {
     penjualanHandler.setupSmartListeners();
-    utils.showAlert("Koneksi pulih, data telah diperbarui", "Info", "info");
+    const reported = await penjualanHandler.syncOfflineSales();
+    if (!reported) {
+      utils.showAlert("Koneksi pulih, data telah diperbarui", "Info", "info");
+    }
   } catch (error) {
     console.error("Failed to refresh data after reconnection:", error);
   }
@@ -2462,7 +2814,11 @@ window.addEventListener("online", async () => {
 
 window.addEventListener("offline", () => {
   console.log("📡 Connection lost, using cached data");
-  utils.showAlert("Koneksi terputus, menggunakan data cache", "Warning", "warning");
+  utils.showAlert(
+    "Koneksi terputus. Penjualan tetap bisa disimpan dan akan disinkronkan saat online.",
+    "Warning",
+    "warning"
+  );
 });
 
 // Performance monitoring and optimization
@@ -2645,6 +3001,7 @@ const errorHandler = {
 // Add connection status indicator
 const connectionStatus = {
   indicator: null,
+  pendingCount: 0,
 
   init() {
     // Create status indicator
@@ -2661,16 +3018,21 @@ const connectionStatus = {
     this.updateStatus();
   },
 
-  updateStatus() {
+  // pendingCount = jumlah penjualan offline yang belum tersinkron
+  updateStatus(pendingCount = this.pendingCount) {
+    this.pendingCount = pendingCount;
+    if (!this.indicator) return;
+
     const isOnline = navigator.onLine;
     const badge = this.indicator.find(".badge");
+    const antrean = pendingCount > 0 ? ` · ${pendingCount} belum sinkron` : "";
 
     if (isOnline) {
       badge.removeClass("bg-danger").addClass("bg-success");
-      badge.html('<i class="fas fa-wifi me-1"></i>Online');
+      badge.html(`<i class="fas fa-wifi me-1"></i>Online${antrean}`);
     } else {
       badge.removeClass("bg-success").addClass("bg-danger");
-      badge.html('<i class="fas fa-wifi-slash me-1"></i>Offline');
+      badge.html(`<i class="fas fa-wifi-slash me-1"></i>Offline${antrean}`);
     }
   },
 };
@@ -0,0 +1,330 @@
+import { firestore } from "./configFirebase.js";
+import { collection, getDocs } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import PromotionService from "./services/promotionService.js";
+import BranchService from "./services/branchService.js";
+import { escapeHtml } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const formPromo = document.getElementById("formPromo");
+const formPromoTitle = document.getElementById("formPromoTitle");
+const promoId = document.getElementById("promoId");
+const namaPromo = document.getElementById("namaPromo");
+const jenisPromo = document.getElementById("jenisPromo");
+const cakupanPromo = document.getElementById("cakupanPromo");
+const nilaiPromo = document.getElementById("nilaiPromo");
+const labelNilaiPromo = document.getElementById("labelNilaiPromo");
+const kataKunci = document.getElementById("kataKunci");
+const minBelanja = document.getElementById("minBelanja");
+const syaratKataKunci = document.getElementById("syaratKataKunci");
+const syaratJumlah = document.getElementById("syaratJumlah");
+const hadiahKode = document.getElementById("hadiahKode");
+const hadiahJumlah = document.getElementById("hadiahJumlah");
+const hadiahList = document.getElementById("hadiahList");
+const jenisPenjualanPromo = document.getElementById("jenisPenjualanPromo");
+const tanggalMulai = document.getElementById("tanggalMulai");
+const tanggalSelesai = document.getElementById("tanggalSelesai");
+const cabangPromo = document.getElementById("cabangPromo");
+const perluApproval = document.getElementById("perluApproval");
+const btnSimpanPromo = document.getElementById("btnSimpanPromo");
+const btnResetPromo = document.getElementById("btnResetPromo");
+const batasDiskonPersen = document.getElementById("batasDiskonPersen");
+const btnSimpanBatas = document.getElementById("btnSimpanBatas");
+const tampilkanBerakhir = document.getElementById("tampilkanBerakhir");
+const tablePromosi = document.querySelector("#tablePromosi tbody");
+
+let promotions = [];
+let stockItems = [];
+
+// Helpers
+function formatRupiah(angka) {
+  return new Intl.NumberFormat("id-ID").format(Math.round(Number(angka) || 0));
+}
+
+function formatTanggal(dateKey) {
+  if (!dateKey) return "";
+  const [year, month, day] = dateKey.split("-");
+  return `${day}/${month}/${year}`;
+}
+
+function getPromoStatus(promo) {
+  const today = PromotionService.getDateKey();
+  if (promo.aktif === false) return { label: "Nonaktif", className: "bg-secondary" };
+  if (promo.tanggalSelesai && promo.tanggalSelesai < today) return { label: "Berakhir", className: "bg-dark" };
+  if (promo.tanggalMulai && promo.tanggalMulai > today) return { label: "Terjadwal", className: "bg-info" };
+  return { label: "Berlaku", className: "bg-success" };
+}
+
+function describePromo(promo) {
+  if (promo.jenis === "bundle") {
+    const syarat = promo.syarat || {};
+    const barang = syarat.kataKunci ? `"${escapeHtml(syarat.kataKunci)}"` : "barang apa saja";
+    const hadiah = escapeHtml(promo.hadiah?.nama || promo.hadiah?.kode);
+    return `Beli ${syarat.jumlah || 1} ${barang}, gratis ${promo.hadiah?.jumlah || 1} ${hadiah}`;
+  }
+
+  const nilai = promo.jenis === "persen" ? `${promo.nilai}%` : `Rp ${formatRupiah(promo.nilai)}`;
+  if (promo.cakupan === "transaksi") {
+    const syarat = promo.minBelanja > 0 ? ` min. belanja Rp ${formatRupiah(promo.minBelanja)}` : "";
+    return `Diskon ${nilai} per transaksi${syarat}`;
+  }
+
+  const barang = promo.kataKunci ? ` "${escapeHtml(promo.kataKunci)}"` : "";
+  return `Diskon ${nilai}${promo.jenis === "nominal" ? "/pcs" : ""} barang${barang}`;
+}
+
+// Form
+function renderFormOptions() {
+  jenisPromo.innerHTML = Object.entries(PromotionService.PROMO_TYPES)
+    .map(([value, type]) => `<option value="${value}">${type.label}</option>`)
+    .join("");
+  cakupanPromo.innerHTML = Object.entries(PromotionService.PROMO_SCOPES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join("");
+  jenisPenjualanPromo.innerHTML = PromotionService.PROMO_SALES_TYPES.map(
+    (jenis) => `
+      <div class="form-check form-check-inline">
+        <input class="form-check-input" type="checkbox" value="${jenis}" id="jenis-${jenis}" />
+        <label class="form-check-label text-capitalize" for="jenis-${jenis}">${jenis}</label>
+      </div>`
+  ).join("");
+}
+
+// Tampilkan field sesuai jenis & cakupan promo
+function updateFormFields() {
+  const isBundle = jenisPromo.value === "bundle";
+  const isTransaksi = cakupanPromo.value === "transaksi";
+
+  document.querySelectorAll(".promo-diskon").forEach((el) => (el.style.display = isBundle ? "none" : ""));
+  document.querySelectorAll(".promo-bundle").forEach((el) => (el.style.display = isBundle ? "" : "none"));
+  document
+    .querySelectorAll(".promo-item")
+    .forEach((el) => (el.style.display = !isBundle && !isTransaksi ? "" : "none"));
+  document
+    .querySelectorAll(".promo-transaksi")
+    .forEach((el) => (el.style.display = !isBundle && isTransaksi ? "" : "none"));
+
+  labelNilaiPromo.textContent = jenisPromo.value === "persen" ? "Diskon (%)" : "Potongan (Rp)";
+}
+
+function getSelectedJenisPenjualan() {
+  return [...jenisPenjualanPromo.querySelectorAll("input:checked")].map((input) => input.value);
+}
+
+function resetForm() {
+  formPromo.reset();
+  promoId.value = "";
+  formPromoTitle.textContent = "Promo Baru";
+  tanggalMulai.value = PromotionService.getDateKey();
+  cabangPromo.value = BranchService.ALL_CABANG;
+  ["aksesoris", "kotak"].forEach((jenis) => (document.getElementById(`jenis-${jenis}`).checked = true));
+  updateFormFields();
+}
+
+function fillForm(promo) {
+  promoId.value = promo.id;
+  formPromoTitle.textContent = `Edit: ${promo.nama}`;
+  namaPromo.value = promo.nama || "";
+  jenisPromo.value = promo.jenis;
+  cakupanPromo.value = promo.cakupan || "item";
+  nilaiPromo.value = promo.nilai || "";
+  kataKunci.value = promo.kataKunci || "";
+  minBelanja.value = promo.minBelanja || 0;
+  syaratKataKunci.value = promo.syarat?.kataKunci || "";
+  syaratJumlah.value = promo.syarat?.jumlah || 1;
+  hadiahKode.value = promo.hadiah?.kode || "";
+  hadiahJumlah.value = promo.hadiah?.jumlah || 1;
+  tanggalMulai.value = promo.tanggalMulai || "";
+  tanggalSelesai.value = promo.tanggalSelesai || "";
+  cabangPromo.value = promo.cabang || BranchService.ALL_CABANG;
+  perluApproval.checked = promo.perluApproval === true;
+  jenisPenjualanPromo.querySelectorAll("input").forEach((input) => {
+    input.checked = (promo.jenisPenjualan || []).includes(input.value);
+  });
+  updateFormFields();
+  namaPromo.focus();
+}
+
+function collectForm() {
+  const promo = {
+    nama: namaPromo.value.trim(),
+    jenis: jenisPromo.value,
+    jenisPenjualan: getSelectedJenisPenjualan(),
+    tanggalMulai: tanggalMulai.value,
+    tanggalSelesai: tanggalSelesai.value,
+    cabang: cabangPromo.value,
+    perluApproval: perluApproval.checked,
+  };
+
+  if (promo.jenis === "bundle") {
+    const kode = hadiahKode.value.trim().toUpperCase();
+    const item = stockItems.find((stock) => (stock.kode || "").toUpperCase() === kode);
+    promo.syarat = { kataKunci: syaratKataKunci.value.trim(), jumlah: parseInt(syaratJumlah.value) || 1 };
+    promo.hadiah = { kode: item?.kode || kode, nama: item?.nama || kode, jumlah: parseInt(hadiahJumlah.value) || 1 };
+  } else {
+    promo.cakupan = cakupanPromo.value;
+    promo.nilai = Number(nilaiPromo.value) || 0;
+    promo.kataKunci = promo.cakupan === "item" ? kataKunci.value.trim() : "";
+    promo.minBelanja = promo.cakupan === "transaksi" ? Number(minBelanja.value) || 0 : 0;
+  }
+
+  return promo;
+}
+
+async function savePromo(e) {
+  e.preventDefault();
+  const promo = collectForm();
+
+  // Barang hadiah dipotong dari stok, jadi kodenya harus ada di master stok
+  if (promo.jenis === "bundle" && !stockItems.some((stock) => stock.kode === promo.hadiah.kode)) {
+    Swal.fire("Kode tidak ditemukan", `Kode barang hadiah ${promo.hadiah.kode || "-"} tidak ada di stok`, "warning");
+    return;
+  }
+
+  btnSimpanPromo.disabled = true;
+  try {
+    await PromotionService.save(promo, promoId.value);
+    Swal.fire("Berhasil", `Promo ${promo.nama} tersimpan`, "success");
+    resetForm();
+    await loadPromotions();
+  } catch (error) {
+    console.error("❌ Save promo error:", error);
+    Swal.fire(error.code === "invalid-promo" ? "Data belum lengkap" : "Gagal", error.message, "error");
+  } finally {
+    btnSimpanPromo.disabled = false;
+  }
+}
+
+// Daftar promo
+function renderPromotions() {
+  const today = PromotionService.getDateKey();
+  const rows = promotions.filter(
+    (promo) => tampilkanBerakhir.checked || !promo.tanggalSelesai || promo.tanggalSelesai >= today
+  );
+
+  if (rows.length === 0) {
+    tablePromosi.innerHTML = `<tr><td colspan="6" class="text-center text-muted">Belum ada promo</td></tr>`;
+    return;
+  }
+
+  tablePromosi.innerHTML = rows
+    .map((promo) => {
+      const status = getPromoStatus(promo);
+      const periode = `${formatTanggal(promo.tanggalMulai) || "-"} s/d ${formatTanggal(promo.tanggalSelesai) || "-"}`;
+      const cabang = promo.cabang ? BranchService.getCabangName(promo.cabang) : "Semua Cabang";
+      const approval = promo.perluApproval ? `<div class="small text-danger">Wajib persetujuan</div>` : "";
+      const toggleIcon = promo.aktif === false ? "fa-toggle-off" : "fa-toggle-on";
+      return `
+        <tr>
+          <td class="fw-semibold">${escapeHtml(promo.nama)}</td>
+          <td>${describePromo(promo)}${approval}</td>
+          <td class="small">${periode}<div class="text-muted">${escapeHtml(cabang)}</div></td>
+          <td class="small text-capitalize">${(promo.jenisPenjualan || []).join(", ")}</td>
+          <td><span class="badge ${status.className}">${status.label}</span></td>
+          <td class="text-nowrap">
+            <button class="btn btn-sm btn-outline-primary btn-edit-promo" data-id="${promo.id}" title="Edit">
+              <i class="fas fa-edit"></i>
+            </button>
+            <button class="btn btn-sm btn-outline-secondary btn-toggle-promo" data-id="${promo.id}" title="Ubah status">
+              <i class="fas ${toggleIcon}"></i>
+            </button>
+          </td>
+        </tr>`;
+    })
+    .join("");
+}
+
+async function loadPromotions() {
+  try {
+    promotions = await PromotionService.getAll(true);
+    renderPromotions();
+  } catch (error) {
+    console.error("❌ Failed to load promotions:", error);
+    tablePromosi.innerHTML = `<tr><td colspan="6" class="text-center text-danger">Gagal memuat promo</td></tr>`;
+  }
+}
+
+async function togglePromo(id) {
+  const promo = promotions.find((item) => item.id === id);
+  if (!promo) return;
+
+  const aktif = promo.aktif === false;
+  const result = await Swal.fire({
+    title: `${aktif ? "Aktifkan" : "Nonaktifkan"} promo?`,
+    text: promo.nama,
+    icon: "question",
+    showCancelButton: true,
+    confirmButtonText: "Ya",
+    cancelButtonText: "Batal",
+  });
+  if (!result.isConfirmed) return;
+
+  try {
+    await PromotionService.setActive(id, aktif);
+    await loadPromotions();
+  } catch (error) {
+    console.error("❌ Toggle promo error:", error);
+    Swal.fire("Gagal", error.message, "error");
+  }
+}
+
+// Kode barang untuk hadiah bundle
+async function loadStockItems() {
+  try {
+    const snapshot = await getDocs(collection(firestore, "stokAksesoris"));
+    stockItems = snapshot.docs.map((stockDoc) => ({ id: stockDoc.id, ...stockDoc.data() }));
+    hadiahList.innerHTML = stockItems
+      .map((item) => `<option value="${escapeHtml(item.kode)}">${escapeHtml(item.nama)}</option>`)
+      .join("");
+  } catch (error) {
+    console.error("❌ Failed to load stokAksesoris:", error);
+  }
+}
+
+// Batas diskon
+async function loadSettings() {
+  try {
+    const settings = await PromotionService.getSettings();
+    batasDiskonPersen.value = settings.batasDiskonPersen;
+  } catch (error) {
+    console.error("❌ Failed to load promo settings:", error);
+  }
+}
+
+async function saveSettings() {
+  btnSimpanBatas.disabled = true;
+  try {
+    await PromotionService.saveSettings({ batasDiskonPersen: batasDiskonPersen.value });
+    Swal.fire("Berhasil", "Batas diskon tersimpan", "success");
+  } catch (error) {
+    console.error("❌ Save promo settings error:", error);
+    Swal.fire("Gagal", error.message, "error");
+  } finally {
+    btnSimpanBatas.disabled = false;
+  }
+}
+
+// Event listeners
+formPromo.addEventListener("submit", savePromo);
+btnResetPromo.addEventListener("click", resetForm);
+jenisPromo.addEventListener("change", updateFormFields);
+cakupanPromo.addEventListener("change", updateFormFields);
+btnSimpanBatas.addEventListener("click", saveSettings);
+tampilkanBerakhir.addEventListener("change", renderPromotions);
+tablePromosi.addEventListener("click", (e) => {
+  const editButton = e.target.closest(".btn-edit-promo");
+  const toggleButton = e.target.closest(".btn-toggle-promo");
+  if (editButton) fillForm(promotions.find((promo) => promo.id === editButton.dataset.id));
+  if (toggleButton) togglePromo(toggleButton.dataset.id);
+});
+
+// Initialize
+(async () => {
+  renderFormOptions();
+  await BranchService.populateCabangSelect(cabangPromo, { includeAll: true });
+  resetForm();
+  await Promise.all([loadPromotions(), loadStockItems(), loadSettings()]);
+})();
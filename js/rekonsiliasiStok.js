@@ -0,0 +1,268 @@
+import { firestore } from "./configFirebase.js";
+import { collection, getDocs } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import StockService from "./services/stockService.js";
+import BranchService from "./services/branchService.js";
+import PermissionService from "./services/permissionService.js";
+import { escapeHtml, pad } from "./services/helpers.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const btnRekonsiliasi = document.getElementById("btnRekonsiliasi");
+const showResolved = document.getElementById("showResolved");
+const searchKode = document.getElementById("searchKode");
+const filterCabang = document.getElementById("filterCabang");
+const tableSelisih = document.querySelector("#tableSelisih tbody");
+const summaryKode = document.getElementById("summaryKode");
+const summarySelisih = document.getElementById("summarySelisih");
+const summaryTemuan = document.getElementById("summaryTemuan");
+
+// Adjustment modal refs
+const adjustmentModal = document.getElementById("adjustmentModal");
+const adjustmentKode = document.getElementById("adjustmentKode");
+const adjustmentInfo = document.getElementById("adjustmentInfo");
+const adjustmentTemuan = document.getElementById("adjustmentTemuan");
+const adjustmentStok = document.getElementById("adjustmentStok");
+const adjustmentKeterangan = document.getElementById("adjustmentKeterangan");
+const btnSimpanAdjustment = document.getElementById("btnSimpanAdjustment");
+
+const ISSUE_LABELS = {
+  gap: "Rantai stok putus",
+  "unknown-jenis": "Jenis tidak dikenal",
+  duplicate: "kodeTransaksi ganda",
+};
+
+let rows = [];
+let currentRow = null;
+
+const currentUser = JSON.parse(sessionStorage.getItem("currentUser") || "null");
+const canAdjust = PermissionService.can("stock.adjust");
+
+// Helpers
+function formatDateTime(date) {
+  if (!date) return "-";
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()} ${pad(date.getHours())}:${pad(
+    date.getMinutes()
+  )}`;
+}
+
+function describeIssue(issue) {
+  switch (issue.type) {
+    case "gap":
+      return `stokSebelum ${issue.actual}, seharusnya ${issue.expected}`;
+    case "unknown-jenis":
+      return `jenis "${escapeHtml(issue.jenis)}" tidak dihitung`;
+    case "duplicate":
+      return `sama dengan ${escapeHtml(issue.duplicateOf)}`;
+    default:
+      return "";
+  }
+}
+
+async function loadKodeAksesoris() {
+  const kodeMap = new Map();
+  const kategoriList = ["kotak", "aksesoris", "silver"];
+
+  const snapshots = await Promise.all(
+    kategoriList.map((kategori) => getDocs(collection(firestore, "kodeAksesoris", "kategori", kategori)))
+  );
+
+  snapshots.forEach((snapshot, index) => {
+    snapshot.forEach((doc) => {
+      const data = doc.data();
+      if (data.text) {
+        kodeMap.set(data.text, { nama: data.nama || "", kategori: kategoriList[index] });
+      }
+    });
+  });
+
+  return kodeMap;
+}
+
+async function runReconciliation() {
+  btnRekonsiliasi.disabled = true;
+  tableSelisih.innerHTML = `
+    <tr>
+      <td colspan="8" class="text-center py-4">
+        <div class="spinner-border spinner-border-sm text-primary me-2"></div>
+        Menghitung ulang seluruh ledger...
+      </td>
+    </tr>`;
+
+  try {
+    const [kodeMap, report] = await Promise.all([loadKodeAksesoris(), StockService.reconcileLedger()]);
+
+    // Semua kode di kodeAksesoris ikut dicek di cabang utama, termasuk yang belum punya saldo/ledger
+    const defaultCabang = BranchService.DEFAULT_CABANG;
+    kodeMap.forEach((_, kode) => {
+      const key = `${defaultCabang}|${kode}`;
+      if (!report.has(key)) {
+        report.set(key, {
+          kode,
+          cabang: defaultCabang,
+          stokAkhir: null,
+          ledgerStock: 0,
+          transactionCount: 0,
+          issues: [],
+        });
+      }
+    });
+
+    rows = [...report.values()]
+      .map((row) => ({
+        ...row,
+        nama: kodeMap.get(row.kode)?.nama || "",
+        kategori: kodeMap.get(row.kode)?.kategori || "-",
+        selisih: (row.stokAkhir ?? 0) - row.ledgerStock,
+      }))
+      .sort((a, b) => a.kode.localeCompare(b.kode) || a.cabang.localeCompare(b.cabang));
+
+    renderTable();
+  } catch (error) {
+    console.error("❌ Reconciliation error:", error);
+    tableSelisih.innerHTML = `<tr><td colspan="8" class="text-center text-danger">Gagal memuat rekonsiliasi</td></tr>`;
+    Swal.fire("Error", "Gagal menjalankan rekonsiliasi: " + error.message, "error");
+  } finally {
+    btnRekonsiliasi.disabled = false;
+  }
+}
+
+function getVisibleIssues(row) {
+  return showResolved.checked ? row.issues : row.issues.filter((issue) => !issue.resolved);
+}
+
+function renderTable() {
+  const keyword = searchKode.value.trim().toLowerCase();
+  const cabangRows = rows.filter((row) => BranchService.matchesCabang(row, filterCabang.value));
+  const problemRows = cabangRows.filter((row) => row.selisih !== 0 || getVisibleIssues(row).length > 0);
+  const visibleRows = problemRows.filter(
+    (row) => !keyword || row.kode.toLowerCase().includes(keyword) || row.nama.toLowerCase().includes(keyword)
+  );
+
+  summaryKode.textContent = cabangRows.length;
+  summarySelisih.textContent = cabangRows.filter((row) => row.selisih !== 0).length;
+  summaryTemuan.textContent = cabangRows.reduce((total, row) => total + getVisibleIssues(row).length, 0);
+
+  if (visibleRows.length === 0) {
+    tableSelisih.innerHTML = `<tr><td colspan="8" class="text-center text-success">Tidak ada selisih atau temuan</td></tr>`;
+    return;
+  }
+
+  tableSelisih.innerHTML = visibleRows
+    .map((row) => {
+      const issues = getVisibleIssues(row);
+      const issueList = issues
+        .map(
+          (issue) => `
+            <div class="small ${issue.resolved ? "text-muted text-decoration-line-through" : ""}">
+              <span class="badge bg-warning text-dark">${ISSUE_LABELS[issue.type]}</span>
+              ${formatDateTime(issue.timestamp)} · ${escapeHtml(issue.jenis)} ${issue.jumlah}
+              <span class="text-muted">(${escapeHtml(issue.transaksiId)})</span> – ${describeIssue(issue)}
+            </div>`
+        )
+        .join("");
+
+      const selisihClass = row.selisih === 0 ? "" : "text-danger fw-bold";
+      const action = canAdjust
+        ? `<button type="button" class="btn btn-sm btn-outline-primary btn-adjust" data-kode="${escapeHtml(
+            row.kode
+          )}" data-cabang="${escapeHtml(row.cabang)}">
+             <i class="fas fa-sliders-h me-1"></i>Adjustment
+           </button>`
+        : "";
+
+      return `
+        <tr>
+          <td>${escapeHtml(row.kode)}</td>
+          <td>${escapeHtml(row.nama)}<div class="small text-muted">${row.kategori}</div></td>
+          <td>${escapeHtml(BranchService.getCabangName(row.cabang))}</td>
+          <td class="text-end">${row.stokAkhir ?? "-"}</td>
+          <td class="text-end">${row.ledgerStock}</td>
+          <td class="text-end ${selisihClass}">${row.selisih}</td>
+          <td>${issueList || '<span class="text-muted small">-</span>'}</td>
+          <td class="text-center">${action}</td>
+        </tr>`;
+    })
+    .join("");
+}
+
+function openAdjustment(kode, cabang) {
+  currentRow = rows.find((row) => row.kode === kode && row.cabang === cabang);
+  if (!currentRow) return;
+
+  const openIssues = currentRow.issues.filter((issue) => !issue.resolved);
+
+  adjustmentKode.textContent = `${currentRow.kode} · ${BranchService.getCabangName(currentRow.cabang)}`;
+  adjustmentInfo.textContent = `Saldo stokAksesoris: ${currentRow.stokAkhir ?? "-"} · Hasil ledger: ${
+    currentRow.ledgerStock
+  }`;
+  adjustmentTemuan.innerHTML = openIssues.length
+    ? openIssues
+        .map(
+          (issue) => `
+            <div class="form-check">
+              <input class="form-check-input" type="checkbox" value="${escapeHtml(issue.transaksiId)}" checked />
+              <label class="form-check-label small">
+                ${ISSUE_LABELS[issue.type]} · ${formatDateTime(issue.timestamp)} · ${escapeHtml(issue.transaksiId)}
+              </label>
+            </div>`
+        )
+        .join("")
+    : '<span class="text-muted small">Tidak ada transaksi bermasalah</span>';
+  adjustmentStok.value = currentRow.ledgerStock;
+  adjustmentKeterangan.value = "";
+  adjustmentKeterangan.classList.remove("is-invalid");
+
+  bootstrap.Modal.getOrCreateInstance(adjustmentModal).show();
+}
+
+async function saveAdjustment() {
+  if (!currentRow) return;
+
+  const stokSesudah = parseInt(adjustmentStok.value, 10);
+  const keterangan = adjustmentKeterangan.value.trim();
+
+  if (!keterangan) {
+    adjustmentKeterangan.classList.add("is-invalid");
+    return;
+  }
+
+  const referensiTransaksi = [...adjustmentTemuan.querySelectorAll("input:checked")].map((input) => input.value);
+
+  btnSimpanAdjustment.disabled = true;
+  try {
+    await StockService.postAdjustment({
+      kode: currentRow.kode,
+      cabang: currentRow.cabang,
+      stokSesudah,
+      keterangan: `Rekonsiliasi: ${keterangan}`,
+      sales: currentUser?.username || "",
+      referensiTransaksi,
+    });
+
+    bootstrap.Modal.getInstance(adjustmentModal)?.hide();
+    Swal.fire("Berhasil", `Adjustment ${currentRow.kode} → ${stokSesudah} tersimpan`, "success");
+    await runReconciliation();
+  } catch (error) {
+    console.error("❌ Adjustment error:", error);
+    Swal.fire("Error", error.message, "error");
+  } finally {
+    btnSimpanAdjustment.disabled = false;
+  }
+}
+
+// Event listeners
+btnRekonsiliasi.addEventListener("click", runReconciliation);
+showResolved.addEventListener("change", renderTable);
+searchKode.addEventListener("input", renderTable);
+filterCabang.addEventListener("change", renderTable);
+btnSimpanAdjustment.addEventListener("click", saveAdjustment);
+
+tableSelisih.addEventListener("click", (e) => {
+  const button = e.target.closest(".btn-adjust");
+  if (button) openAdjustment(button.dataset.kode, button.dataset.cabang);
+});
+
+BranchService.populateCabangSelect(filterCabang, { includeAll: true });
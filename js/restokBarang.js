@@ -11,6 +11,12 @@ import {
   getDoc,
   setDoc,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import ReorderService from "./services/reorderService.js";
+import PermissionService from "./services/permissionService.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 // DOM refs
 const form = document.getElementById("barangForm");
@@ -44,10 +50,21 @@ const chartBulan = document.getElementById("chartBulan");
 const btnUpdateChart = document.getElementById("btnUpdateChart");
 const chartSummary = document.getElementById("chartSummary");
 
+// Draft restok otomatis refs
+const filterStatusDraft = document.getElementById("filterStatusDraft");
+const dataTableDraft = document.querySelector("#dataTableDraft tbody");
+const draftSelectAll = document.getElementById("draftSelectAll");
+const draftCount = document.getElementById("draftCount");
+const draftInfo = document.getElementById("draftInfo");
+const btnCekReorder = document.getElementById("btnCekReorder");
+const btnApproveDraft = document.getElementById("btnApproveDraft");
+const btnRejectDraft = document.getElementById("btnRejectDraft");
+
 const collRef = collection(firestore, "restokBarang");
 let SUPPLIER_PHONE = null;
 let currentEditId = null;
 let jenisChart = null;
+let currentDrafts = [];
 
 async function loadSupplierPhone() {
   try {
@@ -991,6 +1008,143 @@ async function updateChart() {
   }
 }
 
+// Draft restok otomatis (reorder point)
+function updateDraftCount(count) {
+  if (!draftCount) return;
+  draftCount.textContent = count;
+  draftCount.classList.toggle("d-none", count === 0);
+}
+
+function renderDraftStatus(draft) {
+  const status = ReorderService.DRAFT_STATUS[draft.status] || ReorderService.DRAFT_STATUS.draft;
+  const oleh = draft.diputuskanOleh ? `<br><small class="text-muted">oleh ${draft.diputuskanOleh}</small>` : "";
+  return `<span class="badge bg-${status.badge}">${status.label}</span>${oleh}`;
+}
+
+function renderRowsDraft(drafts) {
+  const pending = filterStatusDraft?.value === "draft";
+  const canApprove = pending && PermissionService.can("restock.approve");
+
+  if (drafts.length === 0) {
+    dataTableDraft.innerHTML = `<tr><td colspan="9" class="text-center text-muted">Tidak ada draft restok</td></tr>`;
+  } else {
+    dataTableDraft.innerHTML = drafts
+      .map((draft) => {
+        const jumlah = canApprove
+          ? `<input type="number" class="form-control form-control-sm text-end draft-jumlah" min="1"
+              value="${draft.saranJumlah}" style="max-width: 90px; margin-left: auto">`
+          : draft.jumlahDisetujui ?? draft.saranJumlah;
+        return `
+    <tr data-id="${draft.id}">
+      <td>${canApprove ? '<input type="checkbox" class="form-check-input draft-check">' : ""}</td>
+      <td>${draft.tanggal || ""}</td>
+      <td>${draft.kode}</td>
+      <td>${draft.nama || ""}</td>
+      <td class="text-end">
+        ${draft.stok}${draft.dipesan ? `<div class="small text-muted">+${draft.dipesan} dipesan</div>` : ""}
+      </td>
+      <td class="text-end">${draft.stokMin} / ${draft.stokMax}</td>
+      <td class="text-end">${draft.rataJualHarian}</td>
+      <td class="text-end">${jumlah}</td>
+      <td>${renderDraftStatus(draft)}</td>
+    </tr>
+  `;
+      })
+      .join("");
+  }
+
+  if (draftSelectAll) {
+    draftSelectAll.checked = false;
+    draftSelectAll.disabled = !canApprove;
+  }
+  updateDraftButtons();
+}
+
+function getSelectedDrafts() {
+  return Array.from(dataTableDraft.querySelectorAll(".draft-check:checked")).map((checkbox) => {
+    const tr = checkbox.closest("tr");
+    return {
+      draft: currentDrafts.find((draft) => draft.id === tr.dataset.id),
+      jumlah: Number(tr.querySelector(".draft-jumlah").value),
+    };
+  });
+}
+
+function updateDraftButtons() {
+  const selected = dataTableDraft ? dataTableDraft.querySelectorAll(".draft-check:checked").length : 0;
+  if (btnApproveDraft) btnApproveDraft.disabled = selected === 0;
+  if (btnRejectDraft) btnRejectDraft.disabled = selected === 0;
+}
+
+async function fetchAndRenderDraft() {
+  if (!dataTableDraft) return;
+  try {
+    const status = filterStatusDraft?.value || "draft";
+    currentDrafts = await ReorderService.loadDrafts(status);
+    if (status === "draft") updateDraftCount(currentDrafts.length);
+    renderRowsDraft(currentDrafts);
+  } catch (err) {
+    console.error("Gagal memuat draft restok:", err);
+    dataTableDraft.innerHTML = `<tr><td colspan="9" class="text-center text-danger">Gagal memuat draft restok</td></tr>`;
+  }
+}
+
+// Pengecekan harian berjalan sekali per cabang per hari; force dari tombol "Cek Sekarang"
+async function runReorderCheck(force = false) {
+  try {
+    if (btnCekReorder) btnCekReorder.disabled = true;
+    const result = await ReorderService.runDailyCheck({ force });
+    if (!result.skipped && force) {
+      toastSuccess(`${result.dibuat} draft baru, ${result.diperbarui} diperbarui`);
+    }
+  } catch (err) {
+    console.error("Gagal mengecek reorder point:", err);
+    if (force) alert("Gagal mengecek stok minimum");
+  } finally {
+    if (btnCekReorder) btnCekReorder.disabled = false;
+  }
+
+  // Jumlah draft tetap ditampilkan di tab walau tab draft belum dibuka
+  if (filterStatusDraft?.value !== "draft") {
+    const pending = await ReorderService.loadDrafts("draft").catch(() => []);
+    updateDraftCount(pending.length);
+  }
+  await fetchAndRenderDraft();
+}
+
+async function decideDrafts(approve) {
+  const selected = getSelectedDrafts();
+  if (selected.length === 0) return;
+
+  const label = approve ? "setujui" : "tolak";
+  const res = await Swal.fire({
+    icon: "question",
+    title: `${approve ? "Setujui" : "Tolak"} ${selected.length} draft restok?`,
+    text: approve ? "Barang akan masuk daftar Perlu Restok dengan jumlah yang diisi." : "",
+    showCancelButton: true,
+    confirmButtonText: `Ya, ${label}`,
+    cancelButtonText: "Batal",
+  });
+  if (!res.isConfirmed) return;
+
+  try {
+    if (approve) {
+      await ReorderService.approve(selected);
+    } else {
+      await ReorderService.reject(selected.map(({ draft }) => draft));
+    }
+    toastSuccess(`${selected.length} draft berhasil di${label}`);
+    await fetchAndRenderDraft();
+    if (approve) {
+      await fetchAndRenderPerlu();
+      updateChart();
+    }
+  } catch (err) {
+    console.error(`Gagal ${label} draft restok:`, err);
+    Swal.fire({ icon: "error", title: "Gagal", text: err.message });
+  }
+}
+
 // Modal Input Barang Functions
 function openInputBarangModal() {
   // Reset form to clean state
@@ -1041,10 +1195,41 @@ if (btnUpdateChart) {
   btnUpdateChart.addEventListener("click", updateChart);
 }
 
+if (filterStatusDraft) {
+  filterStatusDraft.addEventListener("change", fetchAndRenderDraft);
+}
+
+if (btnCekReorder) {
+  btnCekReorder.addEventListener("click", () => runReorderCheck(true));
+}
+
+if (btnApproveDraft) {
+  btnApproveDraft.addEventListener("click", () => decideDrafts(true));
+}
+
+if (btnRejectDraft) {
+  btnRejectDraft.addEventListener("click", () => decideDrafts(false));
+}
+
+if (draftSelectAll) {
+  draftSelectAll.addEventListener("change", () => {
+    dataTableDraft.querySelectorAll(".draft-check").forEach((checkbox) => (checkbox.checked = draftSelectAll.checked));
+    updateDraftButtons();
+  });
+}
+
+if (dataTableDraft) {
+  dataTableDraft.addEventListener("change", (e) => {
+    if (e.target.classList.contains("draft-check")) updateDraftButtons();
+  });
+}
+
 // Tab switching
 document.addEventListener("shown.bs.tab", (e) => {
   if (e.target.getAttribute("href") === "#sudahRestok") {
     fetchAndRenderSudah();
+  } else if (e.target.getAttribute("href") === "#draftRestok") {
+    fetchAndRenderDraft();
   }
 });
 
@@ -1058,6 +1243,16 @@ document.addEventListener("DOMContentLoaded", () => {
   }
   fetchAndRenderPerlu(); // Load default tab
 
+  // Cek stok minimum harian lalu tampilkan jumlah draft di tab
+  if (draftInfo) {
+    draftInfo.textContent =
+      `Saran = stok maksimum - (stok + sudah dipesan - kebutuhan ${ReorderService.LEAD_TIME_HARI} hari), ` +
+      `dari rata-rata penjualan ${ReorderService.PERIODE_HARI} hari terakhir. ` +
+      "Sudah dipesan = jumlah di daftar restok yang masih berstatus perlu. " +
+      "Atur stok minimum / maksimum di Edit Kode halaman Tambah Aksesoris.";
+  }
+  runReorderCheck();
+
   // Initialize chart
   if (chartBulan) {
     chartBulan.value = currentMonthStr();
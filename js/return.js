@@ -3,17 +3,24 @@ import {
   query,
   where,
   getDocs,
-  addDoc,
   serverTimestamp,
   onSnapshot,
   doc,
   getDoc,
   updateDoc,
-  deleteDoc,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
 import { firestore } from "./configFirebase.js";
 
 import StockService from "./services/stockService.js";
+import BranchService from "./services/branchService.js";
+import UserService from "./services/userService.js";
+import CustomerService from "./services/customerService.js";
+import { attachCustomerAutocomplete, refreshCustomerAutocomplete } from "./components/customerAutocomplete.js";
+import { attachBarcodeScanner } from "./components/barcodeScanner.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 // Utils function untuk alert
 const showAlert = (message, title = "Informasi", type = "info") => {
@@ -42,7 +49,6 @@ const returnHandler = {
   riwayatData: [],
   currentDeleteData: null,
   isDeleting: false,
-  deletePassword: "smlt116",
 
   async init() {
     try {
@@ -105,10 +111,13 @@ const returnHandler = {
       );
 
       const snapshot = await getDocs(returnQuery);
-      this.riwayatData = snapshot.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
+      const cabang = BranchService.getCurrentCabang();
+      this.riwayatData = snapshot.docs
+        .map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+        }))
+        .filter((data) => BranchService.matchesCabang(data, cabang));
 
       this.renderRiwayatReturn();
     } catch (error) {
@@ -317,6 +326,8 @@ const returnHandler = {
 
   // Setup event listeners
   setupEventListeners() {
+    attachCustomerAutocomplete(document.getElementById("customerName"), document.getElementById("customerPhone"));
+
     // Jenis return change
     $("#jenisReturn").on("change", () => {
       const jenisReturn = $("#jenisReturn").val();
@@ -325,6 +336,9 @@ const returnHandler = {
       }
     });
 
+    // Scanner barcode langsung menambahkan barang ke daftar return
+    attachBarcodeScanner((kode) => this.handleScan(kode), { isEnabled: () => !$(".modal.show").length });
+
     // Filter and print buttons
     $("#btnTampilkan").on("click", () => this.filterRiwayatReturn());
     $("#btnPrintLaporan").on("click", () => this.printLaporanReturn());
@@ -386,6 +400,7 @@ const returnHandler = {
 
     // Reset password field when modal is hidden
     $("#modalKonfirmasiHapus").on("hidden.bs.modal", () => {
+      $("#usernameHapus").val("");
       $("#passwordHapus").val("").removeClass("is-invalid");
       $("#passwordError").text("");
       this.currentDeleteData = null;
@@ -512,6 +527,31 @@ const returnHandler = {
     $tbody.append(rowHtml);
   },
 
+  // Tambah barang hasil scan; kode yang sudah ada di daftar cukup ditambah jumlahnya
+  handleScan(kode) {
+    const jenisReturn = $("#jenisReturn").val();
+    if (!jenisReturn) {
+      showAlert("Pilih jenis return terlebih dahulu sebelum scan barang", "Warning", "warning");
+      return;
+    }
+
+    const item = (this.stockData || []).find((stock) => (stock.kode || "").toUpperCase() === kode.toUpperCase());
+    if (!item) {
+      showAlert(`Kode ${kode} tidak ada di stok ${jenisReturn}`, "Warning", "warning");
+      return;
+    }
+
+    const $existing = $("#tableReturn tbody tr").filter((_, row) => $(row).find("td:first").text() === item.kode);
+    if ($existing.length) {
+      const $jumlah = $existing.first().find(".jumlah-return");
+      $jumlah.val((parseInt($jumlah.val()) || 0) + 1);
+      return;
+    }
+
+    this.addReturnRow(item.kode, item.nama || "-");
+    $("#tableReturn tbody tr:last-child .jumlah-return").val(1);
+  },
+
   // Search table function
   searchTable(input, targetRows) {
     const searchText = $(input).val().toLowerCase();
@@ -574,53 +614,23 @@ const returnHandler = {
     return isValid;
   },
 
-  // NEW: Get current stock data for specific item
-  async getCurrentStockData(kode) {
+  // Save to stokAksesorisTransaksi + dokumen returnBarang secara atomik via StockService
+  async saveToStokTransaksi(returnData, returnRef) {
     try {
-      const stockRef = collection(firestore, "stokAksesoris");
-      const stockQuery = query(stockRef, where("kode", "==", kode));
-      const snapshot = await getDocs(stockQuery);
-
-      if (!snapshot.empty) {
-        const stockDoc = snapshot.docs[0];
-        return {
-          id: stockDoc.id,
-          ...stockDoc.data(),
-        };
-      }
-      return null;
-    } catch (error) {
-      console.error("Error getting current stock:", error);
-      return null;
-    }
-  },
+      const entries = returnData.detailReturn.map((item) => ({
+        kode: item.kode,
+        cabang: returnData.cabang,
+        jenis: "return",
+        jumlah: item.jumlah,
+        keterangan: `Return barang oleh ${returnData.namaSales}${item.keterangan ? ` - ${item.keterangan}` : ""}`,
+        sales: returnData.namaSales,
+        kodeTransaksi: returnRef.id,
+      }));
 
-  // NEW: Save to stokAksesorisTransaksi collection using StockService
-  async saveToStokTransaksi(returnData) {
-    try {
-      for (const item of returnData.detailReturn) {
-        const currentStock = await this.getCurrentStockData(item.kode);
-
-        if (currentStock) {
-          const stokSebelum = parseInt(currentStock.stok) || 0; // Legacy field
-          const stokSesudah = Math.max(0, stokSebelum - item.jumlah);
-
-          // ✅ Gunakan StockService - single source of truth
-          await StockService.updateStock({
-            kode: item.kode,
-            jenis: "return",
-            jumlah: item.jumlah,
-            keterangan: `Return barang oleh ${returnData.namaSales}${item.keterangan ? ` - ${item.keterangan}` : ""}`,
-            sales: returnData.namaSales,
-            currentStock: stokSebelum,
-            newStock: stokSesudah,
-          });
-
-          console.log(`✅ Transaction saved for ${item.kode}`);
-        } else {
-          console.warn(`⚠️ Stock data not found for ${item.kode}`);
-        }
-      }
+      // ✅ Gunakan StockService - single source of truth
+      await StockService.updateStocks(entries, { writes: [{ ref: returnRef, data: returnData }] });
+
+      console.log(`✅ Return ${returnRef.id} saved with ${entries.length} stock transactions`);
     } catch (error) {
       console.error("Error saving to stokAksesorisTransaksi:", error);
       throw error;
@@ -651,6 +661,10 @@ const returnHandler = {
         tanggal: isoDate,
         namaSales: $("#sales").val().trim(),
         jenisReturn: $("#jenisReturn").val(),
+        customerName: ($("#customerName").val() || "").trim(),
+        customerPhone: ($("#customerPhone").val() || "").trim(),
+        customerId: CustomerService.normalizePhone($("#customerPhone").val()),
+        cabang: BranchService.getCurrentCabang(),
         detailReturn: [],
         timestamp: serverTimestamp(),
       };
@@ -668,11 +682,13 @@ const returnHandler = {
 
       console.log("Saving return data:", returnData);
 
-      // Save to returnBarang collection
-      await addDoc(collection(firestore, "returnBarang"), returnData);
+      // Save to returnBarang + stokAksesorisTransaksi collection and update stock
+      await this.saveToStokTransaksi(returnData, doc(collection(firestore, "returnBarang")));
 
-      // Save to stokAksesorisTransaksi collection and update stock
-      await this.saveToStokTransaksi(returnData);
+      if (returnData.customerId) {
+        await CustomerService.safeUpsert({ nama: returnData.customerName, noHp: returnData.customerPhone });
+        refreshCustomerAutocomplete();
+      }
 
       showAlert("Data return berhasil disimpan dan stok telah diperbarui", "Sukses", "success");
       this.resetForm();
@@ -693,6 +709,7 @@ const returnHandler = {
     this.setDefaultDate();
     $("#sales").val("").removeClass("is-invalid");
     $("#jenisReturn").val("").removeClass("is-invalid");
+    $("#customerName, #customerPhone").val("");
     $("#tableReturn tbody").empty();
     $("#tableBarang tbody").empty();
   },
@@ -741,18 +758,20 @@ const returnHandler = {
   async deleteReturnData() {
     if (this.isDeleting || !this.currentDeleteData) return;
 
+    const username = $("#usernameHapus").val().trim();
     const password = $("#passwordHapus").val().trim();
 
     // Validate password
-    if (!password) {
+    if (!username || !password) {
       $("#passwordHapus").addClass("is-invalid");
-      $("#passwordError").text("Password harus diisi");
+      $("#passwordError").text("Username dan password harus diisi");
       return;
     }
 
-    if (password !== this.deletePassword) {
+    const authorizedBy = await UserService.verifyAuthorization(username, password, "return.delete");
+    if (!authorizedBy) {
       $("#passwordHapus").addClass("is-invalid");
-      $("#passwordError").text("Password salah");
+      $("#passwordError").text("Username atau password salah, atau tidak berhak menghapus");
       return;
     }
 
@@ -760,11 +779,8 @@ const returnHandler = {
       this.isDeleting = true;
       $("#btnKonfirmasiHapus").prop("disabled", true).html('<i class="fas fa-spinner fa-spin me-2"></i>Menghapus...');
 
-      // Delete from returnBarang collection
-      await deleteDoc(doc(firestore, "returnBarang", this.currentDeleteData.id));
-
-      // Optionally: Reverse stock changes
-      await this.reverseStockChanges(this.currentDeleteData);
+      // Delete from returnBarang collection + reverse stock changes (atomik)
+      await this.reverseStockChanges(this.currentDeleteData, authorizedBy);
 
       showAlert("Data return berhasil dihapus", "Sukses", "success");
 
@@ -782,34 +798,30 @@ const returnHandler = {
     }
   },
 
-  // NEW: Reverse stock changes when deleting return
-  async reverseStockChanges(returnData) {
+  // Reverse stock changes when deleting return
+  async reverseStockChanges(returnData, authorizedBy = null) {
     try {
-      for (const item of returnData.detailReturn) {
-        const currentStock = await this.getCurrentStockData(item.kode);
-
-        if (currentStock) {
-          // ✅ Stock managed by StockService - no direct update to stokAksesoris
-          // Create reverse transaction in stokAksesorisTransaksi
-          const reverseTransaksiData = {
-            jenis: "reverse_return", // pembatalan return
-            jumlah: item.jumlah, // positif → akan mengurangi nilai return bersih di laporan
-            kategori: currentStock.kategori || returnData.jenisReturn,
-            keterangan: `Pembatalan return - ${returnData.namaSales}`,
-            kode: item.kode,
-            nama: item.namaBarang,
-            stokSebelum: currentStok,
-            stokSesudah: newStok,
-            timestamp: serverTimestamp(),
-          };
-
-          await addDoc(collection(firestore, "stokAksesorisTransaksi"), reverseTransaksiData);
-
-          console.log(`✅ Stock reversed for ${item.kode}`);
-        }
-      }
+      // ✅ Stock managed by StockService - pembatalan return menambah stok kembali
+      const entries = returnData.detailReturn.map((item) => ({
+        kode: item.kode,
+        cabang: BranchService.getCabangOf(returnData),
+        jenis: "reverse_return",
+        jumlah: parseInt(item.jumlah),
+        keterangan: `Pembatalan return - ${returnData.namaSales}`,
+        sales: returnData.namaSales,
+        kodeTransaksi: returnData.id,
+      }));
+
+      const returnRef = doc(firestore, "returnBarang", returnData.id);
+      const { id, ...before } = returnData;
+      await StockService.updateStocks(entries, {
+        writes: [{ ref: returnRef, remove: true, audit: { before, authorizedBy } }],
+      });
+
+      console.log(`✅ Stock reversed for return ${returnData.id}`);
     } catch (error) {
       console.error("Error reversing stock changes:", error);
+      throw error;
     }
   },
 
@@ -0,0 +1,296 @@
+/**
+ * Audit Service - Jejak audit untuk setiap edit / hapus data penjualan dan stok
+ * Entri audit ditulis dalam batch / transaksi yang sama dengan mutasinya,
+ * sehingga tidak ada perubahan data tanpa catatan siapa yang melakukannya.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  writeBatch,
+  serverTimestamp,
+  Timestamp,
+  FieldValue,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+
+const AUDIT_COLLECTION = "auditLog";
+const MAX_LOG_RESULTS = 500;
+
+// Field metadata yang selalu berubah di setiap update, tidak relevan untuk diff
+const IGNORED_FIELDS = ["lastUpdated", "lastUpdate", "updatedAt"];
+
+const AUDIT_ACTIONS = Object.freeze({
+  create: "Tambah",
+  update: "Edit",
+  delete: "Hapus",
+  cancel: "Batal Transaksi",
+  void: "Void / Refund",
+  purge: "Hapus Per Bulan",
+});
+
+// Koleksi yang mutasinya dicatat (label untuk filter halaman audit)
+const AUDITED_COLLECTIONS = Object.freeze({
+  penjualanAksesoris: "Penjualan",
+  stokAksesorisTransaksi: "Transaksi Stok",
+  stockAdditions: "Tambah Stok",
+  returnBarang: "Return Barang",
+  hapusKode: "Hapus Kode",
+  hargaEmas: "Harga Emas",
+  setting_komisi: "Aturan Komisi",
+});
+
+function getCurrentPage() {
+  return window.location.pathname.split("/").pop() || "index.html";
+}
+
+// Ubah nilai Firestore menjadi nilai JSON sederhana (Timestamp → ISO string)
+function serializeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serializeValue(item)]));
+  }
+  return value;
+}
+
+// Ratakan objek bersarang menjadi path, mis. items.0.totalHarga
+function flatten(value, prefix = "", result = {}) {
+  if (value !== null && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (entries.length === 0 && prefix) result[prefix] = Array.isArray(value) ? "[]" : "{}";
+    entries.forEach(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key, result));
+  } else if (prefix) {
+    result[prefix] = value;
+  }
+  return result;
+}
+
+function withoutIgnoredFields(data) {
+  return Object.fromEntries(
+    Object.entries(data || {}).filter(([key, value]) => !IGNORED_FIELDS.includes(key) && !(value instanceof FieldValue))
+  );
+}
+
+/**
+ * Diff per field antara data sebelum dan sesudah mutasi
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+function diffData(before, after) {
+  const flatBefore = flatten(serializeValue(withoutIgnoredFields(before)));
+  const flatAfter = flatten(serializeValue(withoutIgnoredFields(after)));
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  return [...fields]
+    .filter((field) => flatBefore[field] !== flatAfter[field])
+    .sort()
+    .map((field) => ({ field, before: flatBefore[field] ?? null, after: flatAfter[field] ?? null }));
+}
+
+function setRelatedWrites(batch, writes = []) {
+  writes.forEach(({ ref, data, merge = false }) => batch.set(ref, data, merge ? { merge: true } : {}));
+}
+
+const AuditService = {
+  AUDIT_ACTIONS,
+  AUDITED_COLLECTIONS,
+
+  diffData,
+
+  /**
+   * Susun dokumen audit
+   * @param {Object} entry
+   * @param {string} entry.collection - Nama koleksi yang dimutasi
+   * @param {string} entry.docId
+   * @param {string} entry.action - Salah satu AUDIT_ACTIONS
+   * @param {Object|null} entry.before - Data sebelum mutasi (null untuk create)
+   * @param {Object|null} entry.after - Data sesudah mutasi (null untuk delete)
+   * @param {Object} entry.authorizedBy - User yang mengotorisasi dengan password (jika berbeda)
+   * @param {string} entry.keterangan
+   */
+  buildEntry({
+    collection: collectionName,
+    docId,
+    action,
+    before = null,
+    after = null,
+    authorizedBy = null,
+    keterangan = "",
+  }) {
+    const actor = BranchService.getCurrentUser();
+
+    const entry = {
+      collection: collectionName,
+      docId,
+      action,
+      actor: actor?.username || "unknown",
+      actorRole: actor?.role || "",
+      cabang: before || after ? BranchService.getCabangOf(before || after) : BranchService.getCurrentCabang(),
+      page: getCurrentPage(),
+      changes: diffData(before, after),
+      keterangan,
+      timestamp: serverTimestamp(),
+    };
+
+    if (authorizedBy && authorizedBy.username !== entry.actor) {
+      entry.authorizedBy = authorizedBy.username;
+    }
+
+    // Snapshot lengkap dokumen yang dihapus supaya bisa ditelusuri / dipulihkan manual
+    if (action === "delete" || action === "cancel") {
+      entry.snapshot = serializeValue(before);
+    }
+
+    return entry;
+  },
+
+  /**
+   * Tambahkan entri audit ke writeBatch atau runTransaction yang sedang berjalan
+   * @param {WriteBatch|Transaction} writer
+   */
+  record(writer, entry) {
+    const auditRef = doc(collection(firestore, AUDIT_COLLECTION));
+    writer.set(auditRef, this.buildEntry(entry));
+    return auditRef;
+  },
+
+  /**
+   * Tulis entri audit tanpa mutasi pendamping (mis. ringkasan hapus per bulan)
+   */
+  async log(entry) {
+    const batch = writeBatch(firestore);
+    this.record(batch, entry);
+    await batch.commit();
+  },
+
+  /**
+   * updateDoc + entri audit dalam satu batch
+   * @param {DocumentReference} ref
+   * @param {Object} changes - Field yang diupdate
+   * @param {Object} options - { action, authorizedBy, keterangan, relatedWrites }
+   *   relatedWrites: (before, after) => [{ ref, data, merge }] dokumen turunan yang ikut ditulis di batch yang sama
+   *   (mis. ringkasan penjualan harian)
+   * @returns {Promise<Object>} Data sebelum update
+   */
+  async updateDoc(
+    ref,
+    changes,
+    { action = "update", authorizedBy = null, keterangan = "", relatedWrites = null } = {}
+  ) {
+    const snapshot = await getDoc(ref);
+    if (!snapshot.exists()) {
+      throw new Error(`Dokumen ${ref.path} tidak ditemukan`);
+    }
+
+    const before = snapshot.data();
+    const after = { ...before, ...changes };
+    const batch = writeBatch(firestore);
+    batch.update(ref, changes);
+    this.record(batch, {
+      collection: ref.parent.id,
+      docId: ref.id,
+      action,
+      before,
+      after,
+      authorizedBy,
+      keterangan,
+    });
+    setRelatedWrites(batch, relatedWrites?.(before, after));
+    await batch.commit();
+
+    return before;
+  },
+
+  /**
+   * deleteDoc + entri audit (berisi snapshot dokumen) dalam satu batch
+   * @param {Object} options - { action, authorizedBy, keterangan, relatedWrites: (before) => [{ ref, data, merge }] }
+   * @returns {Promise<Object|null>} Data yang dihapus, null jika dokumen sudah tidak ada
+   */
+  async deleteDoc(ref, { action = "delete", authorizedBy = null, keterangan = "", relatedWrites = null } = {}) {
+    const snapshot = await getDoc(ref);
+    if (!snapshot.exists()) return null;
+
+    const before = snapshot.data();
+    const batch = writeBatch(firestore);
+    batch.delete(ref);
+    this.record(batch, { collection: ref.parent.id, docId: ref.id, action, before, authorizedBy, keterangan });
+    setRelatedWrites(batch, relatedWrites?.(before));
+    await batch.commit();
+
+    return before;
+  },
+
+  /**
+   * addDoc + entri audit dalam satu batch
+   * @returns {Promise<DocumentReference>}
+   */
+  async addDoc(collectionRef, data, { authorizedBy = null, keterangan = "" } = {}) {
+    const ref = doc(collectionRef);
+    const batch = writeBatch(firestore);
+    batch.set(ref, data);
+    this.record(batch, {
+      collection: collectionRef.id,
+      docId: ref.id,
+      action: "create",
+      after: data,
+      authorizedBy,
+      keterangan,
+    });
+    await batch.commit();
+
+    return ref;
+  },
+
+  /**
+   * Ambil log audit untuk halaman viewer, terbaru dulu, maksimal MAX_LOG_RESULTS log yang cocok
+   * Filter user & koleksi di client agar tidak perlu composite index per kombinasi filter; halaman berikutnya
+   * dibaca sampai hasil yang cocok penuh atau rentang tanggal habis.
+   * @param {Object} filters - { startDate, endDate, actor, collection }
+   */
+  async getLogs({ startDate, endDate, actor = "", collection: collectionName = "" } = {}) {
+    const logs = [];
+    let lastDoc = null;
+
+    while (logs.length < MAX_LOG_RESULTS) {
+      const constraints = [
+        where("timestamp", ">=", Timestamp.fromDate(startDate)),
+        where("timestamp", "<=", Timestamp.fromDate(endDate)),
+        orderBy("timestamp", "desc"),
+      ];
+      if (lastDoc) constraints.push(startAfter(lastDoc));
+
+      const snapshot = await getDocs(
+        query(collection(firestore, AUDIT_COLLECTION), ...constraints, limit(MAX_LOG_RESULTS))
+      );
+
+      snapshot.docs
+        .map((logDoc) => ({ id: logDoc.id, ...logDoc.data() }))
+        .filter((entry) => !actor || entry.actor === actor || entry.authorizedBy === actor)
+        .filter((entry) => !collectionName || entry.collection === collectionName)
+        .forEach((entry) => logs.push(entry));
+
+      if (snapshot.docs.length < MAX_LOG_RESULTS) break;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    return logs.slice(0, MAX_LOG_RESULTS);
+  },
+};
+
+// Export untuk ES6 modules
+export default AuditService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.AuditService = AuditService;
+}
@@ -0,0 +1,124 @@
+/**
+ * Branch Service - Dimensi cabang untuk stok dan penjualan
+ * Data lama tanpa field `cabang` dianggap milik cabang utama (DEFAULT_CABANG).
+ */
+
+import { collection, getDocs } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import PermissionService from "./permissionService.js";
+
+const DEFAULT_CABANG = "melati-bawah";
+const ALL_CABANG = "all";
+const CABANG_COLLECTION = "cabang";
+
+// Dipakai jika koleksi cabang belum diisi
+const FALLBACK_CABANG_LIST = [{ id: DEFAULT_CABANG, nama: "Melati Bawah" }];
+
+// Pemisah id dokumen per cabang untuk koleksi yang id-nya bermakna (stocks, daily_stock_reports)
+const SCOPED_ID_SEPARATOR = "__";
+
+const BranchService = {
+  DEFAULT_CABANG,
+  ALL_CABANG,
+
+  cabangList: null,
+
+  getCurrentUser() {
+    return JSON.parse(sessionStorage.getItem("currentUser") || "null");
+  },
+
+  // Cabang tempat user login bekerja
+  getCurrentCabang() {
+    return this.getCurrentUser()?.cabang || DEFAULT_CABANG;
+  },
+
+  // Melihat cabang lain dan laporan gabungan (permission branch.viewAll)
+  canViewAllCabang() {
+    return PermissionService.can("branch.viewAll", this.getCurrentUser());
+  },
+
+  getCabangOf(data) {
+    return data?.cabang || DEFAULT_CABANG;
+  },
+
+  /**
+   * Cek dokumen termasuk cabang yang dipilih. ALL_CABANG / kosong = gabungan semua cabang.
+   */
+  matchesCabang(data, cabang) {
+    return !cabang || cabang === ALL_CABANG || this.getCabangOf(data) === cabang;
+  },
+
+  async getCabangList() {
+    if (this.cabangList) return this.cabangList;
+
+    try {
+      const snapshot = await getDocs(collection(firestore, CABANG_COLLECTION));
+      const list = snapshot.docs
+        .map((doc) => ({ id: doc.id, nama: doc.data().nama || doc.id, ...doc.data() }))
+        .filter((cabang) => cabang.aktif !== false)
+        .sort((a, b) => a.nama.localeCompare(b.nama));
+
+      this.cabangList = list.length > 0 ? list : FALLBACK_CABANG_LIST;
+    } catch (error) {
+      console.error("❌ Failed to load cabang list:", error);
+      this.cabangList = FALLBACK_CABANG_LIST;
+    }
+
+    return this.cabangList;
+  },
+
+  getCabangName(cabangId) {
+    if (cabangId === ALL_CABANG) return "Semua Cabang";
+    const list = this.cabangList || FALLBACK_CABANG_LIST;
+    return list.find((cabang) => cabang.id === cabangId)?.nama || cabangId;
+  },
+
+  /**
+   * Isi <select> pilihan cabang. User non-supervisor dikunci ke cabangnya sendiri.
+   * @param {HTMLSelectElement} select
+   * @param {Object} options
+   * @param {boolean} options.includeAll - Tambahkan opsi "Semua Cabang" (laporan gabungan)
+   * @param {boolean} options.includeCurrent - Sertakan cabang user sendiri (false untuk tujuan transfer)
+   */
+  async populateCabangSelect(select, { includeAll = false, includeCurrent = true } = {}) {
+    if (!select) return;
+
+    const list = await this.getCabangList();
+    const current = this.getCurrentCabang();
+    const canViewAll = this.canViewAllCabang();
+
+    const options = list
+      .filter((cabang) => includeCurrent || cabang.id !== current)
+      .filter((cabang) => canViewAll || !includeCurrent || cabang.id === current)
+      .map((cabang) => `<option value="${cabang.id}">${cabang.nama}</option>`);
+
+    if (includeAll && canViewAll) {
+      options.unshift(`<option value="${ALL_CABANG}">Semua Cabang</option>`);
+    }
+
+    select.innerHTML = options.join("");
+    if (includeCurrent) select.value = current;
+    select.disabled = includeCurrent && !canViewAll;
+  },
+
+  /**
+   * Id dokumen per cabang: cabang utama memakai id lama agar data existing tetap terbaca
+   */
+  scopedDocId(id, cabang = this.getCurrentCabang()) {
+    return cabang === DEFAULT_CABANG ? id : `${cabang}${SCOPED_ID_SEPARATOR}${id}`;
+  },
+
+  parseScopedDocId(docId) {
+    const index = docId.indexOf(SCOPED_ID_SEPARATOR);
+    if (index === -1) return { cabang: DEFAULT_CABANG, id: docId };
+    return { cabang: docId.slice(0, index), id: docId.slice(index + SCOPED_ID_SEPARATOR.length) };
+  },
+};
+
+// Export untuk ES6 modules
+export default BranchService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.BranchService = BranchService;
+}
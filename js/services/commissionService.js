@@ -0,0 +1,239 @@
+/**
+ * Commission Service - Komisi / insentif bulanan per sales
+ * Aturan disimpan di "setting_komisi/default":
+ *   rules   : [{ id, jenis, kategori, tipe, nilai }] - komisi per baris barang terjual
+ *             tipe persen = % dari pendapatan neto, perItem = Rp per pcs
+ *             jenis / kategori "semua" berlaku untuk semua; aturan paling spesifik yang dipakai
+ *   targets : [{ omzet, persen }] - bonus target bulanan, % dari omzet sebulan untuk target tertinggi yang tercapai
+ *
+ * Baris penjualan diambil dari SalesAnalyticsService.toLines (harga neto setelah diskon, tanpa item yang
+ * sudah di-void / refund), sehingga omzet komisi sama dengan pendapatan di halaman analitik.
+ */
+
+import {
+  doc,
+  getDoc,
+  writeBatch,
+  serverTimestamp,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import AuditService from "./auditService.js";
+import SalesAnalyticsService from "./salesAnalyticsService.js";
+
+const SETTINGS_COLLECTION = "setting_komisi";
+const ALL = "semua";
+
+const RULE_TYPES = Object.freeze({
+  persen: "% dari pendapatan",
+  perItem: "Rp per pcs",
+});
+
+const JENIS_OPTIONS = Object.freeze({
+  [ALL]: "Semua jenis",
+  aksesoris: "Aksesoris",
+  silver: "Silver",
+  kotak: "Kotak",
+  manual: "Manual",
+});
+
+const KATEGORI_OPTIONS = Object.freeze({
+  [ALL]: "Semua kategori",
+  aksesoris: "Aksesoris",
+  silver: "Silver",
+  kotak: "Kotak",
+  manual: "Manual",
+  lainnya: "Lainnya",
+});
+
+function createCommissionError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function normalizeRule(rule = {}) {
+  return {
+    id: rule.id || Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    jenis: JENIS_OPTIONS[rule.jenis] ? rule.jenis : ALL,
+    kategori: KATEGORI_OPTIONS[rule.kategori] ? rule.kategori : ALL,
+    tipe: RULE_TYPES[rule.tipe] ? rule.tipe : "persen",
+    nilai: Number(rule.nilai) || 0,
+  };
+}
+
+function normalizeSettings(data = {}) {
+  return {
+    rules: (data.rules || []).map(normalizeRule),
+    targets: (data.targets || [])
+      .map((target) => ({ omzet: Number(target.omzet) || 0, persen: Number(target.persen) || 0 }))
+      .sort((a, b) => a.omzet - b.omzet),
+  };
+}
+
+function validateSettings({ rules, targets }) {
+  rules.forEach((rule) => {
+    if (rule.nilai < 0 || (rule.tipe === "persen" && rule.nilai > 100)) {
+      throw createCommissionError(
+        `Nilai aturan ${JENIS_OPTIONS[rule.jenis]} / ${KATEGORI_OPTIONS[rule.kategori]} tidak valid`,
+        "invalid-commission"
+      );
+    }
+  });
+
+  const ruleKeys = rules.map((rule) => `${rule.jenis}|${rule.kategori}`);
+  if (new Set(ruleKeys).size !== ruleKeys.length) {
+    throw createCommissionError("Ada aturan ganda untuk jenis dan kategori yang sama", "invalid-commission");
+  }
+
+  targets.forEach((target) => {
+    if (target.omzet <= 0 || target.persen < 0 || target.persen > 100) {
+      throw createCommissionError("Target omzet harus lebih dari 0 dengan bonus 0 - 100%", "invalid-commission");
+    }
+  });
+
+  const omzetList = targets.map((target) => target.omzet);
+  if (new Set(omzetList).size !== omzetList.length) {
+    throw createCommissionError("Ada target dengan omzet yang sama", "invalid-commission");
+  }
+}
+
+// Aturan paling spesifik: jenis + kategori, lalu jenis saja, lalu kategori saja, lalu umum
+function getRuleScore(rule) {
+  return (rule.jenis !== ALL ? 2 : 0) + (rule.kategori !== ALL ? 1 : 0);
+}
+
+function findRule(line, rules) {
+  return rules
+    .filter(
+      (rule) =>
+        (rule.jenis === ALL || rule.jenis === line.jenis) && (rule.kategori === ALL || rule.kategori === line.kategori)
+    )
+    .reduce((best, rule) => (!best || getRuleScore(rule) > getRuleScore(best) ? rule : best), null);
+}
+
+// Barang gratis / bonus (pendapatan 0) tidak menghasilkan komisi
+function getLineCommission(line, rule) {
+  if (!rule || line.nominal <= 0) return 0;
+  if (rule.tipe === "perItem") return Math.round(line.jumlah * rule.nilai);
+  return Math.round((line.nominal * rule.nilai) / 100);
+}
+
+// Target tertinggi yang tercapai, null jika belum ada
+function getReachedTarget(omzet, targets) {
+  return [...targets].reverse().find((target) => omzet >= target.omzet) || null;
+}
+
+function describeRule(rule) {
+  if (!rule) return "-";
+  const nilai =
+    rule.tipe === "perItem" ? `Rp ${new Intl.NumberFormat("id-ID").format(rule.nilai)}/pcs` : `${rule.nilai}%`;
+  return `${JENIS_OPTIONS[rule.jenis]} · ${KATEGORI_OPTIONS[rule.kategori]} · ${nilai}`;
+}
+
+/**
+ * Statement komisi per sales dari baris penjualan satu bulan
+ * @param {Array} lines - Hasil SalesAnalyticsService.toLines
+ * @param {Object} settings - Hasil normalizeSettings
+ * @returns {Array<Object>} { sales, transaksi, jumlah, omzet, komisiBarang, target, bonusTarget, total, lines }
+ */
+function buildStatements(lines, settings) {
+  const perSales = new Map();
+
+  lines.forEach((line) => {
+    if (!perSales.has(line.sales)) perSales.set(line.sales, []);
+    const rule = findRule(line, settings.rules);
+    perSales.get(line.sales).push({ ...line, rule, komisi: getLineCommission(line, rule) });
+  });
+
+  return [...perSales.entries()]
+    .map(([sales, salesLines]) => {
+      const omzet = salesLines.reduce((total, line) => total + line.nominal, 0);
+      const komisiBarang = salesLines.reduce((total, line) => total + line.komisi, 0);
+      const target = getReachedTarget(omzet, settings.targets);
+      const bonusTarget = target ? Math.round((omzet * target.persen) / 100) : 0;
+
+      return {
+        sales,
+        transaksi: new Set(salesLines.map((line) => line.saleId)).size,
+        jumlah: salesLines.reduce((total, line) => total + line.jumlah, 0),
+        omzet,
+        komisiBarang,
+        target,
+        bonusTarget,
+        total: komisiBarang + bonusTarget,
+        lines: salesLines.sort((a, b) => a.date - b.date),
+      };
+    })
+    .sort((a, b) => a.sales.localeCompare(b.sales));
+}
+
+const CommissionService = {
+  RULE_TYPES,
+  JENIS_OPTIONS,
+  KATEGORI_OPTIONS,
+  ALL,
+
+  normalizeRule,
+  normalizeSettings,
+  findRule,
+  describeRule,
+  buildStatements,
+
+  async load() {
+    const snapshot = await getDoc(doc(firestore, SETTINGS_COLLECTION, "default"));
+    return normalizeSettings(snapshot.exists() ? snapshot.data() : {});
+  },
+
+  /**
+   * Simpan aturan komisi beserta jejak audit (aturan menentukan angka payroll)
+   * @throws error.code "invalid-commission"
+   */
+  async save(data) {
+    const settings = normalizeSettings(data);
+    validateSettings(settings);
+
+    const ref = doc(firestore, SETTINGS_COLLECTION, "default");
+    const snapshot = await getDoc(ref);
+    const before = snapshot.exists() ? snapshot.data() : null;
+
+    const batch = writeBatch(firestore);
+    batch.set(ref, {
+      ...settings,
+      updatedBy: BranchService.getCurrentUser()?.username || "",
+      updatedAt: serverTimestamp(),
+    });
+    AuditService.record(batch, {
+      collection: SETTINGS_COLLECTION,
+      docId: ref.id,
+      action: before ? "update" : "create",
+      before,
+      after: settings,
+    });
+    await batch.commit();
+
+    console.log(`💰 Aturan komisi tersimpan: ${settings.rules.length} aturan, ${settings.targets.length} target`);
+    return settings;
+  },
+
+  /**
+   * Muat penjualan satu bulan dan hitung statement komisi per sales
+   * @param {string} bulan - "YYYY-MM"
+   * @param {string} cabang - ALL_CABANG untuk semua cabang
+   */
+  async loadStatements(bulan, cabang, settings = null) {
+    const [lines, currentSettings] = await Promise.all([
+      SalesAnalyticsService.loadLines(SalesAnalyticsService.getPeriodRange(bulan, 1), cabang),
+      settings || this.load(),
+    ]);
+    return buildStatements(lines, currentSettings);
+  },
+};
+
+// Export untuk ES6 modules
+export default CommissionService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.CommissionService = CommissionService;
+}
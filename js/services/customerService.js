@@ -0,0 +1,245 @@
+/**
+ * Customer Service - Data master customer, dedupe berdasarkan nomor HP
+ * Id dokumen "customers" = nomor HP ternormalisasi (62xxx), jadi satu nomor selalu satu customer
+ * walaupun namanya diketik berbeda-beda. Ejaan lain disimpan di `namaLain`.
+ *
+ * Riwayat customer digabung dari penjualan, DP, order, return dan buyback lewat nomor HP.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  serverTimestamp,
+  arrayUnion,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import { toDate } from "./helpers.js";
+
+const CUSTOMER_COLLECTION = "customers";
+const SALES_COLLECTION = "penjualanAksesoris";
+const INSTALLMENT_COLLECTION = "angsuranDP";
+const ORDER_COLLECTION = "orderBarang";
+const RETURN_COLLECTION = "returnBarang";
+const BUYBACK_COLLECTION = "buyback";
+
+// Batas jumlah nilai untuk operator "in" Firestore
+const IN_QUERY_LIMIT = 30;
+
+function createCustomerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Normalisasi nomor HP ke format 62xxx (sama dengan format noWa di order barang)
+ * @returns {string} Kosong jika nomor tidak valid
+ */
+function normalizePhone(phone) {
+  const cleaned = String(phone || "").replace(/[^0-9]/g, "");
+  if (cleaned.startsWith("08")) return "62" + cleaned.slice(1);
+  if (cleaned.startsWith("8")) return "62" + cleaned;
+  return cleaned.length >= 8 ? cleaned : "";
+}
+
+/**
+ * Variasi penulisan nomor yang mungkin tersimpan di data lama (0812.., 62812.., +62812.., 812..)
+ */
+function getPhoneVariants(phone) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return [];
+  if (!normalized.startsWith("62")) return [normalized];
+
+  const local = normalized.slice(2);
+  return [normalized, `0${local}`, `+${normalized}`, local];
+}
+
+// Tampilan nomor untuk kasir: 0812xxxx
+function formatPhoneDisplay(phone) {
+  const normalized = normalizePhone(phone);
+  return normalized.startsWith("62") ? `0${normalized.slice(2)}` : normalized || phone || "";
+}
+
+function chunk(values, size = IN_QUERY_LIMIT) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Query where(field, "in", values) dengan pemecahan batas IN_QUERY_LIMIT, hasil unik per id dokumen
+async function getDocsWhereIn(collectionName, field, values) {
+  const unique = [...new Set(values.filter(Boolean))];
+  const snapshots = await Promise.all(
+    chunk(unique).map((part) => getDocs(query(collection(firestore, collectionName), where(field, "in", part))))
+  );
+
+  const docs = new Map();
+  snapshots.forEach((snapshot) => {
+    snapshot.docs.forEach((docSnapshot) => docs.set(docSnapshot.id, { id: docSnapshot.id, ...docSnapshot.data() }));
+  });
+  return [...docs.values()];
+}
+
+const byNewest = (getDate) => (a, b) => (toDate(getDate(b)) || 0) - (toDate(getDate(a)) || 0);
+
+const CustomerService = {
+  normalizePhone,
+  getPhoneVariants,
+  formatPhoneDisplay,
+
+  customers: null,
+
+  /**
+   * Semua customer (di-cache untuk autocomplete)
+   * @param {boolean} forceRefresh
+   */
+  async getAll(forceRefresh = false) {
+    if (this.customers && !forceRefresh) return this.customers;
+
+    const snapshot = await getDocs(collection(firestore, CUSTOMER_COLLECTION));
+    this.customers = snapshot.docs
+      .map((customerDoc) => ({ id: customerDoc.id, ...customerDoc.data() }))
+      .sort((a, b) => (a.nama || "").localeCompare(b.nama || ""));
+    return this.customers;
+  },
+
+  // Cari customer dari cache berdasarkan nomor HP (format apa pun)
+  findByPhone(phone) {
+    const id = normalizePhone(phone);
+    return id ? (this.customers || []).find((customer) => customer.id === id) || null : null;
+  },
+
+  // Customer dengan nama persis sama (tanpa beda huruf besar/kecil), termasuk ejaan lain
+  findByName(nama) {
+    const keyword = String(nama || "")
+      .trim()
+      .toLowerCase();
+    if (!keyword) return [];
+
+    return (this.customers || []).filter((customer) =>
+      [customer.nama, ...(customer.namaLain || [])].some((value) => (value || "").toLowerCase() === keyword)
+    );
+  },
+
+  /**
+   * Simpan / perbarui customer dari transaksi. Nomor HP yang sama tidak membuat customer baru;
+   * nama berbeda dicatat sebagai ejaan lain dan nama utama tetap nama pertama.
+   * @param {Object} data - { nama, noHp }
+   * @returns {Promise<Object|null>} Customer, null jika nomor HP kosong / tidak valid
+   */
+  async upsert({ nama = "", noHp = "" } = {}) {
+    const id = normalizePhone(noHp);
+    if (!id) return null;
+
+    const namaBersih = String(nama).trim();
+    const customerRef = doc(firestore, CUSTOMER_COLLECTION, id);
+    const cabang = BranchService.getCurrentCabang();
+
+    const customer = await runTransaction(firestore, async (transaction) => {
+      const snapshot = await transaction.get(customerRef);
+
+      if (!snapshot.exists()) {
+        const data = {
+          nama: namaBersih || id,
+          noHp: id,
+          namaLain: [],
+          cabang,
+          jumlahTransaksi: 1,
+          createdAt: serverTimestamp(),
+          lastTransaksi: serverTimestamp(),
+        };
+        transaction.set(customerRef, data);
+        return { id, ...data };
+      }
+
+      const existing = snapshot.data();
+      const changes = { jumlahTransaksi: (existing.jumlahTransaksi || 0) + 1, lastTransaksi: serverTimestamp() };
+      const isNamaBaru =
+        namaBersih &&
+        ![existing.nama, ...(existing.namaLain || [])].some(
+          (value) => (value || "").toLowerCase() === namaBersih.toLowerCase()
+        );
+      if (isNamaBaru) changes.namaLain = arrayUnion(namaBersih);
+
+      transaction.update(customerRef, changes);
+      return {
+        id,
+        ...existing,
+        ...changes,
+        namaLain: isNamaBaru ? [...(existing.namaLain || []), namaBersih] : existing.namaLain || [],
+      };
+    });
+
+    if (this.customers) {
+      this.customers = [...this.customers.filter((item) => item.id !== id), customer];
+    }
+    return customer;
+  },
+
+  /**
+   * Upsert customer tanpa menggagalkan transaksi utama (penjualan / order / return / buyback sudah tersimpan)
+   */
+  async safeUpsert(data) {
+    try {
+      return await this.upsert(data);
+    } catch (error) {
+      console.error("❌ Gagal menyimpan data customer:", error);
+      return null;
+    }
+  },
+
+  /**
+   * Riwayat lengkap customer digabung berdasarkan nomor HP
+   * @param {string} phone
+   * @returns {Promise<Object>} { customer, penjualan, dp, angsuran, order, return, buyback }
+   */
+  async getHistory(phone) {
+    const id = normalizePhone(phone);
+    if (!id) throw createCustomerError("Nomor HP tidak valid", "invalid-phone");
+
+    const variants = getPhoneVariants(id);
+    const [customers, salesById, salesByPhone, orders, returns, buybacks] = await Promise.all([
+      this.getAll(),
+      getDocsWhereIn(SALES_COLLECTION, "customerId", [id]),
+      getDocsWhereIn(SALES_COLLECTION, "customerPhone", variants),
+      getDocsWhereIn(ORDER_COLLECTION, "noWa", variants),
+      getDocsWhereIn(RETURN_COLLECTION, "customerId", [id]),
+      getDocsWhereIn(BUYBACK_COLLECTION, "customerId", [id]),
+    ]);
+
+    const penjualan = [...new Map([...salesById, ...salesByPhone].map((sale) => [sale.id, sale])).values()].sort(
+      byNewest((sale) => sale.timestamp)
+    );
+    const dp = penjualan.filter((sale) => sale.metodeBayar === "dp");
+    const angsuran = await getDocsWhereIn(
+      INSTALLMENT_COLLECTION,
+      "penjualanId",
+      dp.map((sale) => sale.id)
+    );
+
+    return {
+      customer: customers.find((customer) => customer.id === id) || null,
+      penjualan,
+      dp,
+      angsuran: angsuran.sort(byNewest((installment) => installment.timestamp)),
+      order: orders.sort(byNewest((order) => order.createdAt)),
+      return: returns.sort(byNewest((item) => item.timestamp || item.tanggal)),
+      buyback: buybacks.sort(byNewest((item) => item.timestamp)),
+    };
+  },
+};
+
+// Export untuk ES6 modules
+export default CustomerService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.CustomerService = CustomerService;
+}
@@ -0,0 +1,241 @@
+/**
+ * DP Service - Siklus hidup penjualan DP: angsuran, pelunasan dan daftar DP yang belum lunas
+ * Setiap angsuran disimpan di "angsuranDP" (tertaut lewat penjualanId) dan masuk ke shift kasir yang terbuka.
+ * DP awal tetap tercatat di dokumen penjualan (nominalDP) dan ditampilkan sebagai baris pertama riwayat.
+ * Penjualan DP yang masih punya sisa ditandai `belumLunas: true` (saat disimpan, diangsur, diedit dan di-void)
+ * supaya daftar DP outstanding cukup membaca penjualan yang belum lunas.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  writeBatch,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import ShiftService from "./shiftService.js";
+import AuditService from "./auditService.js";
+import { calculatePayment } from "./paymentTypes.js";
+import { formatDateKey, pad, toDate } from "./helpers.js";
+
+const SALES_COLLECTION = "penjualanAksesoris";
+const INSTALLMENT_COLLECTION = "angsuranDP";
+
+function createDPError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function formatTanggal(date = new Date()) {
+  return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+}
+
+/**
+ * Uang yang sudah diterima dari penjualan DP (DP awal + angsuran)
+ * Penjualan lama tidak punya totalDibayar, dihitung dari nominal DP.
+ */
+function getTotalDibayar(sale) {
+  const totalHarga = Number(sale.totalHarga) || 0;
+  if (typeof sale.totalDibayar === "number") return sale.totalDibayar;
+  return Math.min(Number(sale.nominalDP) || 0, totalHarga);
+}
+
+// Harga item yang sudah direfund (refund lama tanpa field nilai memakai nominal yang dikembalikan)
+function getNilaiRefund(sale) {
+  return (sale.refunds || []).reduce(
+    (total, refund) => total + refund.items.reduce((sum, item) => sum + (item.nilai ?? item.nominal), 0),
+    0
+  );
+}
+
+/**
+ * Sisa yang masih harus dibayar customer (penjualan yang sudah di-void tidak ditagih lagi)
+ * = harga item yang tidak direfund - (uang yang sudah dibayar - uang yang sudah dikembalikan)
+ */
+function getSisaPembayaran(sale) {
+  if (sale.metodeBayar !== "dp" || sale.statusPembayaran === "Lunas" || sale.isDPComplete) return 0;
+  if (sale.statusVoid === "void") return 0;
+  const nilaiAktif = (Number(sale.totalHarga) || 0) - getNilaiRefund(sale);
+  const dibayarBersih = getTotalDibayar(sale) - (Number(sale.totalRefund) || 0);
+  return Math.max(0, nilaiAktif - dibayarBersih);
+}
+
+// Nilai field belumLunas untuk data penjualan (penjualan non-DP selalu false)
+function isBelumLunas(sale) {
+  return getSisaPembayaran(sale) > 0;
+}
+
+// Jatuh tempo (yyyy-mm-dd) sudah lewat
+function isOverdue(sale, today = new Date()) {
+  if (!sale.jatuhTempo || getSisaPembayaran(sale) <= 0) return false;
+  return sale.jatuhTempo < formatDateKey(today);
+}
+
+const DPService = {
+  getTotalDibayar,
+  getSisaPembayaran,
+  isBelumLunas,
+  isOverdue,
+
+  /**
+   * Penjualan DP yang masih punya sisa pembayaran
+   * @param {string} cabang - ALL_CABANG / kosong = semua cabang
+   * @returns {Promise<Array>} Urut jatuh tempo terdekat
+   */
+  async getOutstanding(cabang = BranchService.getCurrentCabang()) {
+    await this.migrateBelumLunas();
+    const snapshot = await getDocs(query(collection(firestore, SALES_COLLECTION), where("belumLunas", "==", true)));
+
+    return snapshot.docs
+      .map((saleDoc) => ({ id: saleDoc.id, ...saleDoc.data() }))
+      .filter((sale) => getSisaPembayaran(sale) > 0 && BranchService.matchesCabang(sale, cabang))
+      .sort((a, b) => (a.jatuhTempo || "9999").localeCompare(b.jatuhTempo || "9999"));
+  },
+
+  /**
+   * Isi field belumLunas untuk penjualan DP lama (sekali saja, ditandai di settings/dp)
+   */
+  async migrateBelumLunas() {
+    const settingsRef = doc(firestore, "settings", "dp");
+    if ((await getDoc(settingsRef)).data()?.belumLunasMigrated) return;
+
+    const snapshot = await getDocs(query(collection(firestore, SALES_COLLECTION), where("metodeBayar", "==", "dp")));
+    const saleDocs = snapshot.docs.filter((saleDoc) => saleDoc.data().belumLunas !== isBelumLunas(saleDoc.data()));
+
+    // Batch Firestore maksimal 500 operasi
+    for (let i = 0; i < saleDocs.length; i += 400) {
+      const batch = writeBatch(firestore);
+      saleDocs.slice(i, i + 400).forEach((saleDoc) => {
+        batch.update(saleDoc.ref, { belumLunas: isBelumLunas(saleDoc.data()) });
+      });
+      await batch.commit();
+    }
+
+    await setDoc(settingsRef, { belumLunasMigrated: true }, { merge: true });
+    console.log(`🔖 Field belumLunas diisi untuk ${saleDocs.length} penjualan DP lama`);
+  },
+
+  /**
+   * Riwayat angsuran satu penjualan, urut waktu bayar
+   * @param {string} penjualanId
+   */
+  async getInstallments(penjualanId) {
+    const snapshot = await getDocs(
+      query(collection(firestore, INSTALLMENT_COLLECTION), where("penjualanId", "==", penjualanId))
+    );
+
+    return snapshot.docs
+      .map((installmentDoc) => ({ id: installmentDoc.id, ...installmentDoc.data() }))
+      .sort((a, b) => (toDate(a.timestamp) || 0) - (toDate(b.timestamp) || 0));
+  },
+
+  /**
+   * Catat angsuran / pelunasan DP. Angsuran yang menutup sisa otomatis mengubah status penjualan jadi Lunas.
+   * @param {string} penjualanId
+   * @param {Object} data - { pembayaran: [{ metode, jumlah, referensi }], jatuhTempo, keterangan }
+   * @returns {Promise<Object>} Angsuran yang tersimpan beserta data penjualan terbaru (untuk struk)
+   * @throws error.code "no-open-shift" | "shift-closed" | "sale-not-found" | "already-paid" | "invalid-amount" |
+   *   "non-cash-overpaid"
+   */
+  async recordInstallment(penjualanId, { pembayaran = [], jatuhTempo = "", keterangan = "" } = {}) {
+    const shift = await ShiftService.requireActiveShift();
+    const kasir = BranchService.getCurrentUser()?.username || "";
+    const saleRef = doc(firestore, SALES_COLLECTION, penjualanId);
+    const installmentRef = doc(collection(firestore, INSTALLMENT_COLLECTION));
+    const lines = pembayaran.filter((line) => Number(line.jumlah) > 0);
+
+    const result = await runTransaction(firestore, async (transaction) => {
+      await ShiftService.assertShiftOpen(transaction, shift.id);
+      const saleSnapshot = await transaction.get(saleRef);
+      if (!saleSnapshot.exists()) {
+        throw createDPError("Transaksi DP tidak ditemukan", "sale-not-found");
+      }
+
+      const sale = saleSnapshot.data();
+      const sisaSebelum = getSisaPembayaran(sale);
+      if (sisaSebelum <= 0) {
+        throw createDPError("Transaksi ini sudah lunas", "already-paid");
+      }
+
+      const payment = calculatePayment(lines, sisaSebelum);
+      if (payment.totalBayar <= 0) {
+        throw createDPError("Jumlah pembayaran harus diisi", "invalid-amount");
+      }
+      if (payment.totalNonTunai > sisaSebelum) {
+        throw createDPError("Pembayaran non-tunai melebihi sisa pembayaran", "non-cash-overpaid");
+      }
+
+      const jumlah = payment.totalBayar - payment.kembalian;
+      const sisaSesudah = sisaSebelum - jumlah;
+      const isPelunasan = sisaSesudah <= 0;
+      const tanggal = formatTanggal();
+
+      const installment = {
+        penjualanId,
+        cabang: BranchService.getCabangOf(sale),
+        customerName: sale.customerName || "",
+        customerPhone: sale.customerPhone || "",
+        jumlah,
+        pembayaran: lines,
+        jumlahBayar: payment.totalBayar,
+        kembalian: payment.kembalian,
+        sisaSebelum,
+        sisaSesudah,
+        isPelunasan,
+        shiftId: shift.id,
+        kasir,
+        tanggal,
+        keterangan,
+        timestamp: serverTimestamp(),
+      };
+
+      const changes = {
+        sisaPembayaran: sisaSesudah,
+        totalDibayar: getTotalDibayar(sale) + jumlah,
+        jumlahAngsuran: (sale.jumlahAngsuran || 0) + 1,
+        belumLunas: !isPelunasan,
+        jatuhTempo: isPelunasan ? "" : jatuhTempo || sale.jatuhTempo || "",
+      };
+      if (isPelunasan) {
+        Object.assign(changes, { statusPembayaran: "Lunas", isDPComplete: true, tanggalLunas: tanggal });
+      }
+
+      transaction.set(installmentRef, installment);
+      transaction.update(saleRef, changes);
+      AuditService.record(transaction, {
+        collection: SALES_COLLECTION,
+        docId: penjualanId,
+        action: "update",
+        before: sale,
+        after: { ...sale, ...changes },
+        keterangan: `${isPelunasan ? "Pelunasan" : "Angsuran"} DP ${installmentRef.id}`,
+      });
+
+      return {
+        id: installmentRef.id,
+        ...installment,
+        timestamp: new Date(),
+        sale: { id: penjualanId, ...sale, ...changes },
+      };
+    });
+
+    console.log(`💰 ${result.isPelunasan ? "Pelunasan" : "Angsuran"} DP ${penjualanId}: ${result.jumlah}`);
+    return result;
+  },
+};
+
+// Export untuk ES6 modules
+export default DPService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.DPService = DPService;
+}
@@ -0,0 +1,183 @@
+/**
+ * Gold Rate Service - Harga emas harian per kadar (harga per gram + ongkos per gram)
+ * Satu dokumen per tanggal di koleksi "hargaEmas" (id = yyyy-mm-dd), jadi koleksinya sekaligus riwayat harga.
+ * Harga yang berlaku = dokumen terakhir dengan tanggal <= hari ini; perubahan di hari yang sama menimpa
+ * dokumen hari itu dan jejak sebelumnya tersimpan di audit log.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  limit,
+  orderBy,
+  query,
+  where,
+  writeBatch,
+  serverTimestamp,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import AuditService from "./auditService.js";
+import { formatDateKey } from "./helpers.js";
+
+const RATE_COLLECTION = "hargaEmas";
+
+// Kadar yang selalu tampil di form harga; kadar lain boleh ditambahkan supervisor
+const DEFAULT_KADAR_LIST = ["6K", "8K", "9K", "16K", "17K", "18K", "22K", "24K"];
+
+// Saran harga dibulatkan ke atas ke kelipatan ini (rupiah)
+const PRICE_ROUNDING = 1000;
+
+function createRateError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Kadar diketik bebas di POS: "16k", "16 K", "16" -> "16K"
+function normalizeKadar(kadar) {
+  const value = String(kadar || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+  if (!value || value === "-") return "";
+  return /^\d+(\.\d+)?$/.test(value) ? `${value}K` : value;
+}
+
+/**
+ * Harga per kadar dari dokumen harga
+ * @returns {Object|null} { harga, ongkos } per gram
+ */
+function getRate(rateDoc, kadar) {
+  const rate = rateDoc?.rates?.[normalizeKadar(kadar)];
+  if (!rate || !(Number(rate.harga) > 0)) return null;
+  return { harga: Number(rate.harga), ongkos: Number(rate.ongkos) || 0 };
+}
+
+/**
+ * Saran harga jual: berat × (harga emas + ongkos), dibulatkan ke atas
+ * @returns {number} 0 jika kadar belum punya harga atau berat kosong
+ */
+function suggestPrice(rate, berat) {
+  const gram = Number(berat) || 0;
+  if (!rate || gram <= 0) return 0;
+  return Math.ceil((gram * (rate.harga + rate.ongkos)) / PRICE_ROUNDING) * PRICE_ROUNDING;
+}
+
+// Harga jual per gram di bawah harga emas (tanpa ongkos) dianggap rugi dan perlu dicek
+function isBelowRate(rate, hargaPerGram) {
+  return !!rate && Number(hargaPerGram) > 0 && Number(hargaPerGram) < rate.harga;
+}
+
+function validateRates(rates) {
+  const entries = Object.entries(rates || {});
+  if (entries.length === 0) {
+    throw createRateError("Isi minimal satu harga kadar", "invalid-rate");
+  }
+
+  entries.forEach(([kadar, rate]) => {
+    if (!(Number(rate.harga) > 0)) {
+      throw createRateError(`Harga kadar ${kadar} harus lebih dari 0`, "invalid-rate");
+    }
+    if (Number(rate.ongkos) < 0) {
+      throw createRateError(`Ongkos kadar ${kadar} tidak boleh negatif`, "invalid-rate");
+    }
+  });
+}
+
+const GoldRateService = {
+  DEFAULT_KADAR_LIST,
+
+  getDateKey: formatDateKey,
+  normalizeKadar,
+  getRate,
+  suggestPrice,
+  isBelowRate,
+
+  // Cache harga berlaku, dimuat ulang saat tanggal berganti
+  current: null,
+  currentDateKey: "",
+
+  /**
+   * Harga yang berlaku hari ini (dokumen terakhir dengan tanggal <= hari ini)
+   * @returns {Promise<Object|null>} { id, tanggal, rates, updatedBy }
+   */
+  async getCurrentRates(forceRefresh = false) {
+    const today = formatDateKey();
+    if (!forceRefresh && this.current && this.currentDateKey === today) {
+      return this.current;
+    }
+
+    const snapshot = await getDocs(
+      query(collection(firestore, RATE_COLLECTION), where("tanggal", "<=", today), orderBy("tanggal", "desc"), limit(1))
+    );
+
+    this.current = snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+    this.currentDateKey = today;
+    return this.current;
+  },
+
+  /**
+   * Riwayat harga terbaru lebih dulu
+   * @param {number} count - Jumlah hari
+   */
+  async getHistory(count = 30) {
+    const snapshot = await getDocs(
+      query(collection(firestore, RATE_COLLECTION), orderBy("tanggal", "desc"), limit(count))
+    );
+    return snapshot.docs.map((rateDoc) => ({ id: rateDoc.id, ...rateDoc.data() }));
+  },
+
+  /**
+   * Simpan harga emas untuk satu tanggal (menimpa harga tanggal itu jika sudah ada)
+   * @param {string} tanggal - yyyy-mm-dd
+   * @param {Object} rates - { "16K": { harga, ongkos } }
+   */
+  async saveRates(tanggal, rates) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(tanggal || "")) {
+      throw createRateError("Tanggal harga tidak valid", "invalid-rate");
+    }
+
+    const normalized = {};
+    Object.entries(rates || {}).forEach(([kadar, rate]) => {
+      const key = normalizeKadar(kadar);
+      if (key) normalized[key] = { harga: Number(rate.harga) || 0, ongkos: Number(rate.ongkos) || 0 };
+    });
+    validateRates(normalized);
+
+    const ref = doc(firestore, RATE_COLLECTION, tanggal);
+    const snapshot = await getDoc(ref);
+    const before = snapshot.exists() ? snapshot.data() : null;
+    const data = {
+      tanggal,
+      rates: normalized,
+      updatedBy: BranchService.getCurrentUser()?.username || "",
+      updatedAt: serverTimestamp(),
+    };
+
+    const batch = writeBatch(firestore);
+    batch.set(ref, data);
+    AuditService.record(batch, {
+      collection: RATE_COLLECTION,
+      docId: tanggal,
+      action: before ? "update" : "create",
+      before,
+      after: data,
+      keterangan: `Harga emas ${tanggal}`,
+    });
+    await batch.commit();
+
+    this.current = null;
+    console.log(`💰 Harga emas ${tanggal} tersimpan (${Object.keys(normalized).length} kadar)`);
+    return data;
+  },
+};
+
+// Export untuk ES6 modules
+export default GoldRateService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.GoldRateService = GoldRateService;
+}
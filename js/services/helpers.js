@@ -0,0 +1,35 @@
+/**
+ * Helpers - Fungsi kecil yang dipakai bersama halaman, komponen dan service
+ * (escape HTML untuk template string, tanggal lokal yyyy-mm-dd, konversi Timestamp Firestore)
+ */
+
+// Escape teks sebelum disisipkan ke template HTML
+export function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[char])
+  );
+}
+
+export function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Tanggal lokal yyyy-mm-dd (format input type="date" dan kunci tanggal di Firestore)
+export function formatDateKey(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Timestamp Firestore, Date, { seconds } atau string / angka tanggal menjadi Date
+ * @returns {Date|null} null jika kosong atau tidak valid
+ */
+export function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate();
+  if (value instanceof Date) return value;
+  if (value.seconds) return new Date(value.seconds * 1000);
+
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
@@ -0,0 +1,70 @@
+/**
+ * Local Database - IndexedDB "melatiPOS" milik POS di browser ini
+ * Satu database untuk semua store lokal (keranjang parkir, antrean penjualan offline), karena versi
+ * database harus naik bersamaan saat store baru ditambahkan.
+ */
+
+const DB_NAME = "melatiPOS";
+const DB_VERSION = 2;
+
+// Store per versi database: versi lama di-upgrade bertahap
+const STORE_MIGRATIONS = [
+  // v1
+  (db) => {
+    const store = db.createObjectStore("parkedCarts", { keyPath: "id" });
+    store.createIndex("cabang", "cabang");
+  },
+  // v2
+  (db) => {
+    const store = db.createObjectStore("pendingSales", { keyPath: "id" });
+    store.createIndex("cabang", "cabang");
+  },
+];
+
+let dbPromise = null;
+
+function createDatabaseError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(createDatabaseError("Browser tidak mendukung IndexedDB", "indexeddb-unavailable"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      STORE_MIGRATIONS.slice(event.oldVersion).forEach((migrate) => migrate(request.result));
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch((error) => {
+    dbPromise = null;
+    throw error;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Jalankan request IndexedDB dalam transaksi baru
+ * @param {string} storeName
+ * @param {"readonly"|"readwrite"} mode
+ * @param {Function} callback - Menerima object store, mengembalikan request yang hasilnya di-resolve
+ */
+export async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,223 @@
+/**
+ * Offline Sale Queue - Antrean penjualan POS selama koneksi internet putus
+ * Dokumen penjualan beserta transaksi ledger stoknya disimpan di IndexedDB, lalu ditulis ulang ke Firestore
+ * (atomik, lewat StockService.updateStocks) saat koneksi pulih. Id dokumen penjualan dibuat saat transaksi
+ * terjadi, jadi sinkron ulang tidak pernah menggandakan penjualan.
+ *
+ * Saat sinkron, stok yang sudah tidak cukup (mis. terjual di perangkat lain selama offline) dilaporkan
+ * sebagai konflik dan penjualan tetap di antrean, tidak dibiarkan membuat saldo minus diam-diam.
+ * Penjualan yang shift-nya sudah ditutup saat sinkron dipindah ke shift yang sedang terbuka (shiftAsal menyimpan
+ * shift semula), supaya uang tunainya masuk Z-report; tanpa shift terbuka penjualan tetap di antrean.
+ *
+ * status: pending | conflict (stok tidak cukup) | failed (error lain, mis. hak akses)
+ */
+
+import { doc, serverTimestamp, Timestamp } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import StockService from "./stockService.js";
+import SalesSummaryService from "./salesSummaryService.js";
+import ShiftService from "./shiftService.js";
+import { withStore } from "./localDatabase.js";
+
+const STORE_NAME = "pendingSales";
+const SALES_COLLECTION = "penjualanAksesoris";
+
+// Kode error Firestore saat perangkat tidak bisa menjangkau server
+const OFFLINE_ERROR_CODES = ["unavailable", "deadline-exceeded"];
+
+function createAlreadySyncedError(id) {
+  const error = new Error(`Penjualan ${id} sudah tersinkron`);
+  error.code = "already-synced";
+  return error;
+}
+
+function createNoOpenShiftError() {
+  const error = new Error("Shift penjualan ini sudah ditutup. Buka shift kasir lalu coba lagi.");
+  error.code = "no-open-shift";
+  return error;
+}
+
+function isOfflineError(error) {
+  if (typeof navigator !== "undefined" && !navigator.onLine) return true;
+  const message = String(error?.message || "").toLowerCase();
+  return OFFLINE_ERROR_CODES.includes(error?.code) || message.includes("offline") || message.includes("network");
+}
+
+/**
+ * Shift tujuan penjualan offline, dibaca di dalam transaksi sinkron
+ * @param {string} shiftId - Shift saat penjualan terjadi
+ * @param {Object|null} activeShift - Shift terbuka cabang saat sinkron
+ * @throws error.code "no-open-shift" jika shift semula sudah ditutup dan tidak ada shift terbuka
+ */
+async function resolveSyncShift(transaction, shiftId, activeShift) {
+  if (shiftId) {
+    try {
+      await ShiftService.assertShiftOpen(transaction, shiftId);
+      return shiftId;
+    } catch (error) {
+      if (error.code !== "shift-closed") throw error;
+    }
+  }
+  if (!activeShift) throw createNoOpenShiftError();
+  await ShiftService.assertShiftOpen(transaction, activeShift.id);
+  return activeShift.id;
+}
+
+const OfflineSaleQueue = {
+  isOfflineError,
+
+  // Promise sinkron yang sedang berjalan, supaya event online beruntun tidak menulis dua kali
+  syncing: null,
+
+  /**
+   * Simpan penjualan ke antrean lokal
+   * @param {Object} data
+   * @param {string} data.id - Id dokumen penjualanAksesoris yang akan ditulis
+   * @param {Object} data.sale - Data penjualan tanpa field serverTimestamp
+   * @param {Object[]} data.entries - Entry StockService.updateStocks untuk penjualan ini
+   */
+  async enqueue({ id, sale, entries }) {
+    const record = {
+      id,
+      sale,
+      entries,
+      cabang: BranchService.getCurrentCabang(),
+      createdAt: Date.now(),
+      status: "pending",
+      error: "",
+    };
+
+    await withStore(STORE_NAME, "readwrite", (store) => store.put(record));
+    console.log(`📥 Penjualan ${id} masuk antrean offline (${entries.length} transaksi stok)`);
+    return record;
+  },
+
+  // Antrean cabang aktif, urut sesuai waktu transaksi
+  async list() {
+    const cabang = BranchService.getCurrentCabang();
+    const records = await withStore(STORE_NAME, "readonly", (store) => store.index("cabang").getAll(cabang));
+    return records.sort((a, b) => a.createdAt - b.createdAt);
+  },
+
+  async get(id) {
+    return withStore(STORE_NAME, "readonly", (store) => store.get(id));
+  },
+
+  async update(id, changes) {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    const updated = { ...record, ...changes };
+    await withStore(STORE_NAME, "readwrite", (store) => store.put(updated));
+    return updated;
+  },
+
+  async remove(id) {
+    await withStore(STORE_NAME, "readwrite", (store) => store.delete(id));
+  },
+
+  /**
+   * Tulis satu penjualan antrean ke Firestore lalu hapus dari antrean
+   * @param {Object} record
+   * @param {Object} options - { allowNegative: stok boleh minus (disetujui supervisor), authorizedBy }
+   * @throws error.code "insufficient-stock" jika stok tidak cukup dan allowNegative false, "no-open-shift" jika shift
+   *   penjualan sudah ditutup dan belum ada shift terbuka
+   */
+  async syncRecord(record, { allowNegative = false, authorizedBy = null } = {}) {
+    const ref = doc(firestore, SALES_COLLECTION, record.id);
+
+    // Waktu penjualan = saat transaksi terjadi offline, bukan saat sinkron
+    const waktu = Timestamp.fromMillis(record.createdAt);
+    const data = { ...record.sale, timestamp: waktu, offline: true, syncedAt: serverTimestamp() };
+    if (allowNegative) {
+      data.stokMinusDisetujuiOleh = authorizedBy?.username || "";
+    }
+
+    // Saldo yang terlihat saat offline sudah basi, yang dijaga hanya saldo tidak boleh minus
+    const entries = record.entries.map((entry) => ({
+      ...entry,
+      currentStock: null,
+      requireStock: !allowNegative,
+      timestamp: waktu,
+    }));
+
+    const audit = allowNegative ? { authorizedBy, keterangan: "Sinkron penjualan offline dengan stok minus" } : null;
+    const activeShift = await ShiftService.getActiveShift(record.cabang);
+    try {
+      await StockService.updateStocks(entries, {
+        // Cek di dalam transaksi: tab lain atau "Coba lagi" yang berjalan bersamaan mungkin sudah menulisnya
+        // (juga jika browser ditutup sebelum antrean sempat dihapus)
+        precondition: async (transaction) => {
+          if ((await transaction.get(ref)).exists()) throw createAlreadySyncedError(record.id);
+
+          // Shift sudah ditutup: kas penjualan masuk ke shift yang sedang terbuka
+          const shiftId = await resolveSyncShift(transaction, data.shiftId, activeShift);
+          const saleData = shiftId === data.shiftId ? data : { ...data, shiftId, shiftAsal: data.shiftId || "" };
+          return [{ ref, data: saleData, audit }, SalesSummaryService.buildSaleWrite(saleData)];
+        },
+      });
+    } catch (error) {
+      if (error.code !== "already-synced") throw error;
+      await this.remove(record.id);
+      return false;
+    }
+    await this.remove(record.id);
+
+    console.log(`📤 Penjualan offline ${record.id} tersinkron`);
+    return true;
+  },
+
+  /**
+   * Sinkronkan antrean berstatus pending secara berurutan
+   * @param {Object} options
+   * @param {Function} options.onSynced - Dipanggil per penjualan yang berhasil ditulis (efek samping halaman)
+   * @returns {Promise<{synced: Object[], conflicts: Object[], failed: Object[]}>}
+   */
+  async syncAll({ onSynced } = {}) {
+    if (this.syncing) return this.syncing;
+
+    this.syncing = (async () => {
+      const result = { synced: [], conflicts: [], failed: [] };
+      const records = (await this.list()).filter((record) => record.status === "pending");
+
+      for (const record of records) {
+        try {
+          const written = await this.syncRecord(record);
+          if (!written) continue;
+          result.synced.push(record);
+        } catch (error) {
+          // Koneksi putus lagi: sisa antrean tetap pending untuk percobaan berikutnya
+          if (isOfflineError(error)) break;
+
+          const status = error.code === "insufficient-stock" ? "conflict" : "failed";
+          const updated = await this.update(record.id, { status, error: error.message, kode: error.kode || "" });
+          result[status === "conflict" ? "conflicts" : "failed"].push(updated);
+          continue;
+        }
+
+        if (onSynced) {
+          try {
+            await onSynced(record);
+          } catch (error) {
+            console.warn(`⚠️ Post-sync step failed for ${record.id}:`, error);
+          }
+        }
+      }
+
+      return result;
+    })().finally(() => {
+      this.syncing = null;
+    });
+
+    return this.syncing;
+  },
+};
+
+// Export untuk ES6 modules
+export default OfflineSaleQueue;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.OfflineSaleQueue = OfflineSaleQueue;
+}
@@ -0,0 +1,82 @@
+/**
+ * Parked Cart Store - Keranjang POS yang ditunda (parkir) disimpan di IndexedDB browser
+ * Bertahan setelah reload halaman, dipisah per cabang dan per sales.
+ * Keranjang dari hari sebelumnya otomatis dihapus (harga & stok bisa sudah berubah).
+ */
+
+import BranchService from "./branchService.js";
+import { withStore } from "./localDatabase.js";
+import { formatDateKey } from "./helpers.js";
+
+const STORE_NAME = "parkedCarts";
+
+const ParkedCartStore = {
+  /**
+   * Parkir keranjang
+   * @param {Object} cart - { sales, customerName, customerPhone, jenisPenjualan, items, totalHarga, ... }
+   * @returns {Promise<Object>} Keranjang yang tersimpan
+   */
+  async park(cart) {
+    const record = {
+      ...cart,
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      cabang: BranchService.getCurrentCabang(),
+      hariParkir: formatDateKey(),
+      parkedAt: Date.now(),
+    };
+
+    await withStore(STORE_NAME, "readwrite", (store) => store.put(record));
+    console.log(`🅿️ Keranjang ${record.id} diparkir (${record.sales}, ${record.items.length} item)`);
+    return record;
+  },
+
+  /**
+   * Keranjang tertunda hari ini di cabang aktif
+   * @param {string} sales - Kosong = semua sales
+   */
+  async list(sales = "") {
+    await this.purgeExpired();
+
+    const cabang = BranchService.getCurrentCabang();
+    const carts = await withStore(STORE_NAME, "readonly", (store) => store.index("cabang").getAll(cabang));
+    const salesKey = sales.trim().toLowerCase();
+
+    return carts
+      .filter((cart) => !salesKey || (cart.sales || "").toLowerCase() === salesKey)
+      .sort((a, b) => b.parkedAt - a.parkedAt);
+  },
+
+  async get(id) {
+    return withStore(STORE_NAME, "readonly", (store) => store.get(id));
+  },
+
+  async remove(id) {
+    await withStore(STORE_NAME, "readwrite", (store) => store.delete(id));
+  },
+
+  /**
+   * Hapus keranjang yang diparkir sebelum hari ini
+   * @returns {Promise<number>} Jumlah keranjang yang dihapus
+   */
+  async purgeExpired() {
+    const today = formatDateKey();
+    const carts = await withStore(STORE_NAME, "readonly", (store) => store.getAll());
+    const expired = carts.filter((cart) => cart.hariParkir !== today);
+    if (expired.length === 0) return 0;
+
+    await withStore(STORE_NAME, "readwrite", (store) => {
+      expired.forEach((cart) => store.delete(cart.id));
+      return null;
+    });
+    console.log(`🧹 ${expired.length} keranjang parkir kedaluwarsa dihapus`);
+    return expired.length;
+  },
+};
+
+// Export untuk ES6 modules
+export default ParkedCartStore;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.ParkedCartStore = ParkedCartStore;
+}
@@ -0,0 +1,104 @@
+/**
+ * Payment Types - Registry metode pembayaran (tender) penjualan
+ * Dokumen penjualanAksesoris menyimpan baris pembayaran `pembayaran: [{ metode, jumlah, referensi }]`.
+ * Kembalian hanya boleh berasal dari pembayaran tunai; metode non-tunai tidak boleh melebihi tagihan.
+ *
+ * label  : nama tampilan
+ * isCash : uang fisik yang masuk laci kas
+ */
+const PAYMENT_TYPES = Object.freeze({
+  tunai: { label: "Tunai", isCash: true },
+  transfer: { label: "Transfer Bank", isCash: false },
+  qris: { label: "QRIS", isCash: false },
+  debit: { label: "Kartu Debit", isCash: false },
+});
+
+function getPaymentLabel(metode) {
+  return PAYMENT_TYPES[metode]?.label || metode || "-";
+}
+
+function isCashPayment(metode) {
+  return PAYMENT_TYPES[metode]?.isCash === true;
+}
+
+/**
+ * Baris pembayaran sebuah penjualan.
+ * Penjualan sebelum ada multi-tender dianggap dibayar tunai sebesar uang yang diterima (total / nominal DP).
+ */
+function getPaymentLines(sale) {
+  if (Array.isArray(sale.pembayaran)) return sale.pembayaran;
+  if (sale.metodeBayar === "free" || sale.statusPembayaran === "Free") return [];
+
+  const jumlah = sale.metodeBayar === "dp" ? sale.nominalDP : sale.totalHarga;
+  return [{ metode: "tunai", jumlah: Number(jumlah) || 0, referensi: "" }];
+}
+
+/**
+ * Hitung baris pembayaran terhadap tagihan
+ * @param {Array} lines - [{ metode, jumlah }]
+ * @param {number} tagihan - Uang yang harus diterima sekarang (total atau nominal DP)
+ * @returns {Object} { totalBayar, totalTunai, totalNonTunai, kembalian, kurang }
+ */
+function calculatePayment(lines, tagihan) {
+  const totals = lines.reduce(
+    (result, line) => {
+      const jumlah = Number(line.jumlah) || 0;
+      if (isCashPayment(line.metode)) {
+        result.totalTunai += jumlah;
+      } else {
+        result.totalNonTunai += jumlah;
+      }
+      return result;
+    },
+    { totalTunai: 0, totalNonTunai: 0 }
+  );
+
+  const totalBayar = totals.totalTunai + totals.totalNonTunai;
+  return {
+    ...totals,
+    totalBayar,
+    kembalian: Math.max(0, Math.min(totals.totalTunai, totalBayar - tagihan)),
+    kurang: Math.max(0, tagihan - totalBayar),
+  };
+}
+
+/**
+ * Pendapatan bersih per metode dari satu penjualan (tunai sudah dikurangi kembalian)
+ * @returns {Object} { [metode]: jumlah }
+ */
+function getTenderAmounts(sale) {
+  const amounts = {};
+  getPaymentLines(sale).forEach((line) => {
+    amounts[line.metode] = (amounts[line.metode] || 0) + (Number(line.jumlah) || 0);
+  });
+
+  // Penjualan lama sudah dicatat neto, kembalian hanya dikurangkan dari baris pembayaran baru
+  if (Array.isArray(sale.pembayaran) && amounts.tunai) {
+    amounts.tunai -= Number(sale.kembalian) || 0;
+  }
+
+  return amounts;
+}
+
+/**
+ * Total pendapatan per metode dari banyak penjualan
+ * @returns {Object} { [metode]: jumlah }
+ */
+function summarizeTenders(sales) {
+  return sales.reduce((summary, sale) => {
+    Object.entries(getTenderAmounts(sale)).forEach(([metode, jumlah]) => {
+      summary[metode] = (summary[metode] || 0) + jumlah;
+    });
+    return summary;
+  }, {});
+}
+
+export {
+  PAYMENT_TYPES,
+  getPaymentLabel,
+  isCashPayment,
+  getPaymentLines,
+  calculatePayment,
+  getTenderAmounts,
+  summarizeTenders,
+};
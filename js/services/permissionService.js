@@ -0,0 +1,199 @@
+/**
+ * Permission Service - Matriks hak akses per role
+ * Sidebar, guard halaman, dan handler aksi destruktif semuanya membaca matriks ini,
+ * sehingga menyembunyikan menu bukan satu-satunya penghalang akses.
+ */
+
+const PERMISSIONS = Object.freeze({
+  "dashboard.view": "Lihat dashboard",
+  "sales.create": "Input penjualan",
+  "sales.view": "Lihat data & laporan penjualan",
+  "sales.delete": "Hapus / batalkan penjualan",
+  "sales.discount": "Setujui diskon di atas batas",
+  "commission.manage": "Kelola aturan & statement komisi sales",
+  "promo.manage": "Kelola promo & diskon",
+  "price.manage": "Kelola harga emas harian",
+  "receipt.settings": "Pengaturan template struk",
+  "return.create": "Input return barang",
+  "return.delete": "Hapus data return",
+  "stock.view": "Lihat stok & laporan stok",
+  "stock.add": "Tambah stok aksesoris",
+  "stock.adjust": "Adjustment & perbaikan checkpoint stok",
+  "stock.transfer": "Transfer stok antar cabang",
+  "kode.manage": "Mutasi kode",
+  "kode.delete": "Hapus kode arsip",
+  "order.manage": "Order & restok barang",
+  "restock.settings": "Pengaturan WhatsApp restok",
+  "restock.approve": "Setujui draft restok otomatis",
+  "buyback.view": "Buyback",
+  "buyback.settings": "Pengaturan persentase buyback",
+  "branch.viewAll": "Lihat laporan semua cabang",
+  "maintenance.view": "Buka halaman maintenance",
+  "maintenance.purge": "Hapus data per bulan",
+  "users.manage": "Kelola user",
+  "audit.view": "Lihat audit log",
+});
+
+const ROLE_PERMISSIONS = Object.freeze({
+  admin: [
+    "dashboard.view",
+    "sales.create",
+    "sales.view",
+    "return.create",
+    "stock.view",
+    "stock.transfer",
+    "kode.manage",
+    "order.manage",
+    "buyback.view",
+  ],
+  supervisor: Object.keys(PERMISSIONS),
+});
+
+// Hak akses minimal untuk membuka setiap halaman
+const PAGE_PERMISSIONS = Object.freeze({
+  "dashboard.html": "dashboard.view",
+  "penjualanAksesoris.html": "sales.create",
+  "dataPenjualan.html": "sales.view",
+  "laporanPenjualan.html": "sales.view",
+  "analitikPenjualan.html": "sales.view",
+  "komisiSales.html": "commission.manage",
+  "dpOutstanding.html": "sales.view",
+  "customers.html": "sales.view",
+  "promosi.html": "promo.manage",
+  "hargaEmas.html": "price.manage",
+  "pengaturanStruk.html": "receipt.settings",
+  "return.html": "return.create",
+  "tambahAksesoris.html": "stock.add",
+  "labelBarcode.html": "stock.add",
+  "laporanStok.html": "stock.view",
+  "laporanStokHarian.html": "stock.view",
+  "manajemenStok.html": "stock.view",
+  "rekonsiliasiStok.html": "stock.adjust",
+  "mutasiKode.html": "kode.manage",
+  "hapus-kode.html": "kode.manage",
+  "order-barang.html": "order.manage",
+  "restokBarang.html": "order.manage",
+  "buyback.html": "buyback.view",
+  "maintenance.html": "maintenance.view",
+  "manajemenUser.html": "users.manage",
+  "auditLog.html": "audit.view",
+});
+
+// Halaman yang boleh dibuka user tanpa hak akses setelah diotorisasi password user yang berhak
+const AUTHORIZABLE_PAGES = ["tambahAksesoris.html"];
+const PAGE_AUTHORIZATION_KEY = "pageAuthorization";
+const PAGE_AUTHORIZATION_TTL = 10 * 60 * 1000;
+
+function createPermissionError(permission) {
+  const error = new Error(`Anda tidak memiliki akses: ${PERMISSIONS[permission] || permission}`);
+  error.code = "permission-denied";
+  error.permission = permission;
+  return error;
+}
+
+function getCurrentPage() {
+  return window.location.pathname.split("/").pop() || "index.html";
+}
+
+const PermissionService = {
+  PERMISSIONS,
+
+  getCurrentUser() {
+    return JSON.parse(sessionStorage.getItem("currentUser") || "null");
+  },
+
+  can(permission, user = this.getCurrentUser()) {
+    return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+  },
+
+  // Lempar error.code "permission-denied" jika user tidak berhak (dipakai di handler aksi destruktif)
+  assert(permission, user = this.getCurrentUser()) {
+    if (!this.can(permission, user)) {
+      throw createPermissionError(permission);
+    }
+  },
+
+  // Role yang boleh mengotorisasi aksi dengan password
+  rolesWith(permission) {
+    return Object.keys(ROLE_PERMISSIONS).filter((role) => ROLE_PERMISSIONS[role].includes(permission));
+  },
+
+  getPagePermission(page = getCurrentPage()) {
+    return PAGE_PERMISSIONS[page] || null;
+  },
+
+  canAccessPage(page = getCurrentPage(), user = this.getCurrentUser()) {
+    const permission = this.getPagePermission(page);
+    return !permission || this.can(permission, user) || this.hasPageAuthorization(page);
+  },
+
+  /**
+   * Izin sementara membuka halaman setelah verifikasi password (mis. menu Tambah Aksesoris)
+   * @param {string} page
+   * @param {Object} authorizedBy - User yang passwordnya dipakai
+   */
+  grantPageAuthorization(page, authorizedBy) {
+    if (!AUTHORIZABLE_PAGES.includes(page) || !this.can(this.getPagePermission(page), authorizedBy)) return;
+
+    sessionStorage.setItem(
+      PAGE_AUTHORIZATION_KEY,
+      JSON.stringify({ page, authorizedBy: authorizedBy.username, expiresAt: Date.now() + PAGE_AUTHORIZATION_TTL })
+    );
+  },
+
+  hasPageAuthorization(page) {
+    const authorization = JSON.parse(sessionStorage.getItem(PAGE_AUTHORIZATION_KEY) || "null");
+    return !!authorization && authorization.page === page && authorization.expiresAt > Date.now();
+  },
+
+  /**
+   * Guard halaman: belum login → login, tidak berhak → dashboard
+   * @returns {boolean} true jika halaman boleh dibuka
+   */
+  guardPage(page = getCurrentPage()) {
+    const user = this.getCurrentUser();
+    if (!user) {
+      window.location.href = "index.html";
+      return false;
+    }
+
+    if (this.canAccessPage(page, user)) return true;
+
+    console.warn(`🚫 Akses ${page} ditolak untuk role ${user.role}`);
+    document.body.style.visibility = "hidden";
+    alert("Anda tidak memiliki akses ke halaman ini");
+    window.location.href = "dashboard.html";
+    return false;
+  },
+
+  /**
+   * Sembunyikan menu sidebar dan elemen [data-permission] yang tidak boleh diakses
+   */
+  applyToDocument(root = document) {
+    const user = this.getCurrentUser();
+
+    root.querySelectorAll(".sidebar .nav-link[href]").forEach((link) => {
+      const page = link.getAttribute("href");
+      if (AUTHORIZABLE_PAGES.includes(page)) return;
+
+      const menuItem = link.closest(".nav-item");
+      if (menuItem && !this.canAccessPage(page, user)) {
+        menuItem.style.display = "none";
+      }
+    });
+
+    root.querySelectorAll("[data-permission]").forEach((element) => {
+      if (!this.can(element.dataset.permission, user)) {
+        element.style.display = "none";
+      }
+    });
+  },
+};
+
+// Export untuk ES6 modules
+export default PermissionService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.PermissionService = PermissionService;
+}
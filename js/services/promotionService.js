@@ -0,0 +1,374 @@
+/**
+ * Promotion Service - Kampanye promo & diskon penjualan aksesoris, silver dan kotak
+ * Kampanye disimpan di koleksi "promosi" dan hanya berlaku di rentang tanggal, jenis penjualan dan cabangnya.
+ * Penjualan menyimpan harga bruto per item (totalHarga), diskon per item (termasuk bagian dari diskon
+ * transaksi) dan totalHarga transaksi yang sudah neto, sehingga laporan bisa menampilkan bruto vs neto.
+ *
+ * jenis   : persen | nominal (per pcs untuk cakupan item) | bundle (gratis barang hadiah)
+ * cakupan : item (barang yang cocok kataKunci) | transaksi (dari subtotal, syarat minBelanja)
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  serverTimestamp,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import AuditService from "./auditService.js";
+import { formatDateKey } from "./helpers.js";
+
+const PROMO_COLLECTION = "promosi";
+const SETTINGS_COLLECTION = "setting_promosi";
+
+const PROMO_TYPES = Object.freeze({
+  persen: { label: "Diskon %" },
+  nominal: { label: "Potongan Rp" },
+  bundle: { label: "Bundle (gratis barang)" },
+});
+
+const PROMO_SCOPES = Object.freeze({
+  item: "Per barang",
+  transaksi: "Per transaksi",
+});
+
+// Penjualan manual tidak ikut promo, harganya sudah hasil negosiasi
+const PROMO_SALES_TYPES = ["aksesoris", "silver", "kotak"];
+
+// Diskon manual kasir di atas batas ini (persen dari subtotal) wajib disetujui supervisor
+const DEFAULT_BATAS_DISKON_PERSEN = 10;
+const APPROVAL_PERMISSION = "sales.discount";
+
+function createPromoError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Kata kunci kosong = semua barang
+function matchesKeyword(keyword, item) {
+  const key = String(keyword || "")
+    .trim()
+    .toLowerCase();
+  if (!key) return true;
+  return `${item.kodeText || ""} ${item.nama || ""}`.toLowerCase().includes(key);
+}
+
+/**
+ * Cek kampanye berlaku untuk transaksi
+ * @param {Object} promo
+ * @param {Object} context - { jenisPenjualan, tanggal: yyyy-mm-dd, cabang }
+ */
+function isPromoActive(promo, { jenisPenjualan = "", tanggal = formatDateKey(), cabang = "" } = {}) {
+  if (promo.aktif === false) return false;
+  if (promo.tanggalMulai && tanggal < promo.tanggalMulai) return false;
+  if (promo.tanggalSelesai && tanggal > promo.tanggalSelesai) return false;
+  if (cabang && !BranchService.matchesCabang({ cabang }, promo.cabang)) return false;
+  return !jenisPenjualan || (promo.jenisPenjualan || PROMO_SALES_TYPES).includes(jenisPenjualan);
+}
+
+/**
+ * Diskon manual kasir: "10%" = persen, selain itu nominal rupiah ("50.000")
+ * @returns {Object|null} { jenis, nilai }
+ */
+function parseManualDiscount(value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+
+  if (text.endsWith("%")) {
+    const nilai = parseFloat(text.slice(0, -1).replace(",", ".")) || 0;
+    return nilai > 0 ? { jenis: "persen", nilai: Math.min(nilai, 100) } : null;
+  }
+
+  const nilai = parseInt(text.replace(/[^0-9]/g, "")) || 0;
+  return nilai > 0 ? { jenis: "nominal", nilai } : null;
+}
+
+// Besar diskon, tidak pernah melebihi harga yang didiskon
+function calculateDiscount({ jenis, nilai }, amount, jumlah = 1) {
+  const value = jenis === "persen" ? Math.round((amount * (Number(nilai) || 0)) / 100) : (Number(nilai) || 0) * jumlah;
+  return Math.max(0, Math.min(amount, value));
+}
+
+// Bagi diskon transaksi ke setiap baris sebanding harga netonya, sisa pembulatan masuk baris terakhir
+function allocateDiscount(lines, amount) {
+  const base = lines.reduce((sum, line) => sum + line.totalHarga - line.diskon, 0);
+  if (amount <= 0 || base <= 0) return;
+
+  let sisa = amount;
+  lines.forEach((line, index) => {
+    const net = line.totalHarga - line.diskon;
+    const share = index === lines.length - 1 ? sisa : Math.min(sisa, Math.floor((amount * net) / base));
+    line.diskon += share;
+    sisa -= share;
+  });
+}
+
+// Promo dengan potongan terbesar untuk satu harga
+function findBestDiscount(promotions, amount, getJumlah = () => 1) {
+  return promotions.reduce(
+    (best, promo) => {
+      const jumlah = calculateDiscount(promo, amount, getJumlah(promo));
+      return jumlah > best.jumlah ? { promo, jumlah } : best;
+    },
+    { promo: null, jumlah: 0 }
+  );
+}
+
+/**
+ * Terapkan promo ke isi keranjang. Promo per barang dan per transaksi tidak ditumpuk:
+ * tiap baris mendapat satu promo barang terbaik, transaksi mendapat satu promo transaksi terbaik.
+ * @param {Array} items - Item keranjang (totalHarga = harga bruto baris)
+ * @param {Array} promotions - Kampanye yang aktif untuk transaksi ini
+ * @param {Object} options - { diskonManual: "10%" | "50.000", batasDiskonPersen }
+ * @returns {Object} { items, bonusItems, promosi, diskonManual, totalBruto, totalDiskon, totalNeto, diskonPersen, perluApproval }
+ */
+function applyPromotions(
+  items,
+  promotions = [],
+  { diskonManual = "", batasDiskonPersen = DEFAULT_BATAS_DISKON_PERSEN } = {}
+) {
+  const lines = items.map((item) => ({ ...item, totalHarga: Number(item.totalHarga) || 0, diskon: 0 }));
+  const totalBruto = lines.reduce((sum, line) => sum + line.totalHarga, 0);
+  const promosi = [];
+  const addPromo = (promo, jumlah, extra = {}) =>
+    promosi.push({ id: promo.id, nama: promo.nama, jenis: promo.jenis, jumlah, ...extra });
+
+  // 1. Promo per barang
+  const itemPromos = promotions.filter((promo) => promo.cakupan === "item" && promo.jenis !== "bundle");
+  const itemTotals = new Map();
+  lines.forEach((line) => {
+    const candidates = itemPromos.filter((promo) => matchesKeyword(promo.kataKunci, line));
+    const best = findBestDiscount(candidates, line.totalHarga, (promo) =>
+      promo.jenis === "nominal" ? parseInt(line.jumlah) || 1 : 1
+    );
+    if (!best.promo) return;
+
+    line.diskon = best.jumlah;
+    line.promoId = best.promo.id;
+    itemTotals.set(best.promo.id, (itemTotals.get(best.promo.id) || 0) + best.jumlah);
+  });
+  itemPromos.filter((promo) => itemTotals.has(promo.id)).forEach((promo) => addPromo(promo, itemTotals.get(promo.id)));
+
+  // 2. Promo per transaksi, syarat minimal belanja dihitung dari bruto
+  const transactionPromos = promotions.filter(
+    (promo) =>
+      promo.cakupan === "transaksi" && promo.jenis !== "bundle" && totalBruto >= (Number(promo.minBelanja) || 0)
+  );
+  const subtotal = totalBruto - lines.reduce((sum, line) => sum + line.diskon, 0);
+  const bestTransaction = findBestDiscount(transactionPromos, subtotal);
+  if (bestTransaction.promo) {
+    allocateDiscount(lines, bestTransaction.jumlah);
+    addPromo(bestTransaction.promo, bestTransaction.jumlah);
+  }
+
+  // 3. Diskon manual kasir dari sisa setelah promo
+  const manual = parseManualDiscount(diskonManual);
+  const diskonManualAmount = manual ? calculateDiscount(manual, subtotal - bestTransaction.jumlah) : 0;
+  allocateDiscount(lines, diskonManualAmount);
+
+  // 4. Bundle: barang hadiah gratis untuk setiap kelipatan jumlah syarat
+  const bonusItems = [];
+  promotions
+    .filter((promo) => promo.jenis === "bundle" && promo.hadiah?.kode)
+    .forEach((promo) => {
+      const syarat = promo.syarat || {};
+      const jumlahSyarat = Math.max(1, parseInt(syarat.jumlah) || 1);
+      const qty = lines
+        .filter((line) => matchesKeyword(syarat.kataKunci, line))
+        .reduce((sum, line) => sum + (parseInt(line.jumlah) || 1), 0);
+      const kelipatan = Math.floor(qty / jumlahSyarat);
+      if (kelipatan < 1) return;
+
+      const hadiah = promo.hadiah;
+      const jumlah = kelipatan * Math.max(1, parseInt(hadiah.jumlah) || 1);
+      bonusItems.push({
+        kodeText: hadiah.kode,
+        nama: hadiah.nama || hadiah.kode,
+        jumlah,
+        totalHarga: 0,
+        diskon: 0,
+        isBonus: true,
+        promoId: promo.id,
+      });
+      addPromo(promo, 0, { bonus: `${jumlah} ${hadiah.nama || hadiah.kode}` });
+    });
+
+  const totalDiskon = lines.reduce((sum, line) => sum + line.diskon, 0);
+  const diskonPersen = totalBruto > 0 ? (totalDiskon / totalBruto) * 100 : 0;
+  const appliedIds = new Set(promosi.map((promo) => promo.id));
+
+  return {
+    items: lines,
+    bonusItems,
+    promosi,
+    diskonManual: diskonManualAmount,
+    totalBruto,
+    totalDiskon,
+    totalNeto: totalBruto - totalDiskon,
+    diskonPersen,
+    perluApproval:
+      (diskonManualAmount > 0 && diskonPersen > batasDiskonPersen) ||
+      promotions.some((promo) => promo.perluApproval && appliedIds.has(promo.id)),
+  };
+}
+
+// Penjualan tanpa promo (termasuk data lama): bruto = totalHarga
+function getSaleGross(sale) {
+  return typeof sale.totalBruto === "number" ? sale.totalBruto : Number(sale.totalHarga) || 0;
+}
+
+function getSaleDiscount(sale) {
+  return Number(sale.totalDiskon) || 0;
+}
+
+function getItemNetPrice(item) {
+  return (Number(item.totalHarga) || 0) - (Number(item.diskon) || 0);
+}
+
+/**
+ * Baris diskon untuk struk / invoice
+ * @returns {Array<{label: string, jumlah: number}>} jumlah 0 untuk hadiah bundle
+ */
+function getDiscountLines(sale) {
+  const lines = (sale.promosi || []).map((promo) =>
+    promo.bonus
+      ? { label: `${promo.nama} (bonus ${promo.bonus})`, jumlah: 0 }
+      : { label: promo.nama, jumlah: promo.jumlah }
+  );
+  if (sale.diskonManual > 0) lines.push({ label: "Diskon", jumlah: sale.diskonManual });
+  return lines;
+}
+
+function validatePromo(promo) {
+  if (!promo.nama?.trim()) {
+    throw createPromoError("Nama promo wajib diisi", "invalid-promo");
+  }
+  if (!PROMO_TYPES[promo.jenis]) {
+    throw createPromoError(`Jenis promo "${promo.jenis}" tidak dikenal`, "invalid-promo");
+  }
+  if (promo.jenis === "bundle") {
+    if (!promo.hadiah?.kode) {
+      throw createPromoError("Kode barang hadiah bundle wajib diisi", "invalid-promo");
+    }
+  } else {
+    if (!PROMO_SCOPES[promo.cakupan]) {
+      throw createPromoError("Cakupan promo wajib dipilih", "invalid-promo");
+    }
+    if (!(promo.nilai > 0) || (promo.jenis === "persen" && promo.nilai > 100)) {
+      throw createPromoError("Nilai diskon harus lebih dari 0 (maksimal 100%)", "invalid-promo");
+    }
+  }
+  if (!promo.jenisPenjualan?.length) {
+    throw createPromoError("Pilih minimal satu jenis penjualan", "invalid-promo");
+  }
+  if (promo.tanggalMulai && promo.tanggalSelesai && promo.tanggalSelesai < promo.tanggalMulai) {
+    throw createPromoError("Tanggal selesai tidak boleh sebelum tanggal mulai", "invalid-promo");
+  }
+}
+
+const PromotionService = {
+  PROMO_TYPES,
+  PROMO_SCOPES,
+  PROMO_SALES_TYPES,
+  APPROVAL_PERMISSION,
+
+  promotions: null,
+
+  getDateKey: formatDateKey,
+  isPromoActive,
+  parseManualDiscount,
+  applyPromotions,
+  getSaleGross,
+  getSaleDiscount,
+  getItemNetPrice,
+  getDiscountLines,
+
+  isEligibleSalesType(jenisPenjualan) {
+    return PROMO_SALES_TYPES.includes(jenisPenjualan);
+  },
+
+  async getAll(forceRefresh = false) {
+    if (this.promotions && !forceRefresh) return this.promotions;
+
+    const snapshot = await getDocs(collection(firestore, PROMO_COLLECTION));
+    this.promotions = snapshot.docs
+      .map((promoDoc) => ({ id: promoDoc.id, ...promoDoc.data() }))
+      .sort((a, b) => (b.tanggalMulai || "").localeCompare(a.tanggalMulai || ""));
+
+    console.log(`🏷️ ${this.promotions.length} promo dimuat`);
+    return this.promotions;
+  },
+
+  /**
+   * Kampanye yang berlaku hari ini di cabang aktif
+   * @param {string} jenisPenjualan - Kosong = semua jenis
+   */
+  async getActivePromotions(jenisPenjualan = "") {
+    const promotions = await this.getAll();
+    return promotions.filter((promo) =>
+      isPromoActive(promo, { jenisPenjualan, cabang: BranchService.getCurrentCabang() })
+    );
+  },
+
+  async getSettings() {
+    const snapshot = await getDoc(doc(firestore, SETTINGS_COLLECTION, "default"));
+    const data = snapshot.exists() ? snapshot.data() : {};
+    return { batasDiskonPersen: data.batasDiskonPersen ?? DEFAULT_BATAS_DISKON_PERSEN };
+  },
+
+  async saveSettings({ batasDiskonPersen }) {
+    const batas = Number(batasDiskonPersen);
+    if (!(batas >= 0 && batas <= 100)) {
+      throw createPromoError("Batas diskon harus antara 0 - 100%", "invalid-promo");
+    }
+
+    await setDoc(
+      doc(firestore, SETTINGS_COLLECTION, "default"),
+      {
+        batasDiskonPersen: batas,
+        updatedBy: BranchService.getCurrentUser()?.username || "",
+        updatedAt: serverTimestamp(),
+      },
+      { merge: true }
+    );
+  },
+
+  /**
+   * Simpan kampanye baru atau perubahan kampanye (dengan jejak audit)
+   * @param {Object} promo
+   * @param {string} id - Kosong = kampanye baru
+   */
+  async save(promo, id = "") {
+    validatePromo(promo);
+
+    if (id) {
+      await AuditService.updateDoc(doc(firestore, PROMO_COLLECTION, id), promo);
+    } else {
+      await AuditService.addDoc(collection(firestore, PROMO_COLLECTION), {
+        ...promo,
+        aktif: true,
+        createdBy: BranchService.getCurrentUser()?.username || "",
+        createdAt: serverTimestamp(),
+      });
+    }
+
+    this.promotions = null;
+  },
+
+  async setActive(id, aktif) {
+    await AuditService.updateDoc(doc(firestore, PROMO_COLLECTION, id), { aktif });
+    this.promotions = null;
+  },
+};
+
+// Export untuk ES6 modules
+export default PromotionService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.PromotionService = PromotionService;
+}
@@ -0,0 +1,123 @@
+/**
+ * Receipt Template Service - Template struk penjualan yang bisa diubah supervisor
+ * Disimpan di "setting_struk/default" dan disalin ke localStorage, supaya POS tetap bisa mencetak
+ * dengan template terakhir saat offline dan fungsi cetak bisa berjalan sinkron di handler klik.
+ */
+
+import { doc, getDoc, setDoc, serverTimestamp } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+
+const SETTINGS_COLLECTION = "setting_struk";
+const CACHE_KEY = "receiptTemplate";
+
+// Lebar kertas struk; A5 untuk nota lembaran
+const PAPER_SIZES = Object.freeze({
+  "58mm": { label: "Thermal 58mm", width: "58mm", fontSize: 10, page: "58mm auto" },
+  "80mm": { label: "Thermal 80mm", width: "80mm", fontSize: 12, page: "80mm auto" },
+  A5: { label: "A5", width: "148mm", fontSize: 13, page: "A5" },
+});
+
+const DEFAULT_TEMPLATE = Object.freeze({
+  namaToko: "MELATI 3",
+  alamat: "JL. DIPONEGORO NO. 116",
+  telepon: "",
+  logoUrl: "",
+  header: "",
+  footer: "Terima Kasih\nAtas Kunjungan Anda",
+  syarat: "",
+  ukuranKertas: "80mm",
+});
+
+const TEMPLATE_FIELDS = Object.keys(DEFAULT_TEMPLATE);
+
+function createTemplateError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Hanya field template yang dikenal, sisanya diisi default
+function normalizeTemplate(data = {}) {
+  const template = { ...DEFAULT_TEMPLATE };
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (typeof data[field] === "string") template[field] = data[field];
+  });
+  if (!PAPER_SIZES[template.ukuranKertas]) template.ukuranKertas = DEFAULT_TEMPLATE.ukuranKertas;
+  return template;
+}
+
+function readCache() {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_KEY) || "null");
+    return cached ? normalizeTemplate(cached) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeCache(template) {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(template));
+  } catch (error) {
+    console.warn("⚠️ Failed to cache receipt template:", error);
+  }
+}
+
+const ReceiptTemplateService = {
+  PAPER_SIZES,
+  DEFAULT_TEMPLATE,
+
+  normalizeTemplate,
+
+  template: null,
+
+  /**
+   * Template terakhir yang diketahui tanpa menunggu Firestore (dipakai saat mencetak)
+   */
+  getCachedTemplate() {
+    if (!this.template) this.template = readCache() || normalizeTemplate();
+    return this.template;
+  },
+
+  /**
+   * Muat template dari Firestore; gagal (mis. offline) kembali ke salinan lokal
+   */
+  async load() {
+    try {
+      const snapshot = await getDoc(doc(firestore, SETTINGS_COLLECTION, "default"));
+      this.template = normalizeTemplate(snapshot.exists() ? snapshot.data() : {});
+      writeCache(this.template);
+    } catch (error) {
+      console.warn("⚠️ Failed to load receipt template, using cached copy:", error);
+      this.template = readCache() || normalizeTemplate();
+    }
+    return this.template;
+  },
+
+  async save(data) {
+    const template = normalizeTemplate(data);
+    if (!template.namaToko.trim()) {
+      throw createTemplateError("Nama toko wajib diisi", "invalid-template");
+    }
+
+    await setDoc(doc(firestore, SETTINGS_COLLECTION, "default"), {
+      ...template,
+      updatedBy: BranchService.getCurrentUser()?.username || "",
+      updatedAt: serverTimestamp(),
+    });
+
+    this.template = template;
+    writeCache(template);
+    console.log("🧾 Template struk tersimpan");
+    return template;
+  },
+};
+
+// Export untuk ES6 modules
+export default ReceiptTemplateService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.ReceiptTemplateService = ReceiptTemplateService;
+}
@@ -0,0 +1,300 @@
+/**
+ * Reorder Service - Saran restok otomatis dari reorder point per kode
+ * Kode di kodeAksesoris/kategori/{kategori} yang punya stokMin & stokMax dibandingkan dengan stok ledger
+ * (StockService) dan rata-rata penjualan harian (ledger stokAksesorisTransaksi, PERIODE_HARI terakhir).
+ *
+ * Kode perlu restok jika proyeksi stok setelah LEAD_TIME_HARI (stok + barang yang sudah dipesan - kebutuhan
+ * selama menunggu barang) sudah di bawah atau sama dengan stokMin. Saran jumlah = stokMax - proyeksi, supaya stok
+ * kembali ke maksimum saat barang datang. Barang yang sudah dipesan = restokBarang status perlu untuk kode tersebut;
+ * kode dengan entri restok terbuka tanpa jumlah dilewati karena jumlah pesanannya tidak diketahui.
+ *
+ * Saran ditulis sebagai draft di koleksi restokDraft (status draft / disetujui / ditolak). Pengecekan berjalan
+ * sekali sehari per cabang (settings/reorder.lastRun) saat halaman restok dibuka; draft baru masuk ke
+ * restokBarang setelah disetujui user dengan permission restock.approve.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import PermissionService from "./permissionService.js";
+import StockService from "./stockService.js";
+import StockAgingService from "./stockAgingService.js";
+import { formatDateKey } from "./helpers.js";
+
+const DRAFT_COLLECTION = "restokDraft";
+const RESTOCK_COLLECTION = "restokBarang";
+const KATEGORI_LIST = ["kotak", "aksesoris", "silver"];
+const PERIODE_HARI = 30; // rentang rata-rata penjualan harian
+const LEAD_TIME_HARI = 7; // perkiraan lama barang datang setelah dipesan
+
+const DRAFT_STATUS = Object.freeze({
+  draft: { label: "Menunggu", badge: "warning" },
+  disetujui: { label: "Disetujui", badge: "success" },
+  ditolak: { label: "Ditolak", badge: "secondary" },
+});
+
+function createReorderError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function hasStockLevel(data) {
+  return Number.isFinite(data.stokMin) && Number.isFinite(data.stokMax);
+}
+
+/**
+ * Saran restok per kode
+ * @param {Array<{kode, nama, kategori, stokMin, stokMax}>} items - Kode dengan reorder point
+ * @param {Map<string, number>} stokMap - Stok saat ini per kode
+ * @param {Map<string, {summary: Object}>} movements - Hasil StockAgingService.loadMovements
+ * @param {Map<string, {jumlah, tanpaJumlah}>} openRestock - Hasil StockAgingService.loadOpenRestock
+ * @returns {Array<Object>} hanya kode yang perlu restok
+ */
+function buildSuggestions(items, stokMap, movements, openRestock = new Map()) {
+  return items
+    .filter((item) => !openRestock.get(item.kode)?.tanpaJumlah)
+    .map((item) => {
+      const summary = movements.get(item.kode)?.summary || {};
+      const terjual = StockAgingService.SALE_COLUMNS.reduce((total, column) => total + (summary[column] || 0), 0);
+      const rataJualHarian = Math.max(terjual, 0) / PERIODE_HARI;
+      const stok = Math.max(stokMap.get(item.kode) || 0, 0);
+      const dipesan = openRestock.get(item.kode)?.jumlah || 0;
+      const kebutuhanLeadTime = Math.ceil(rataJualHarian * LEAD_TIME_HARI);
+      const proyeksi = stok + dipesan - kebutuhanLeadTime;
+
+      return {
+        ...item,
+        stok,
+        dipesan,
+        terjual,
+        rataJualHarian: Math.round(rataJualHarian * 100) / 100,
+        kebutuhanLeadTime,
+        proyeksi,
+        saranJumlah: Math.max(item.stokMax - proyeksi, 1),
+      };
+    })
+    .filter((row) => row.proyeksi <= row.stokMin)
+    .sort((a, b) => a.proyeksi - a.stokMin - (b.proyeksi - b.stokMin) || a.kode.localeCompare(b.kode));
+}
+
+const ReorderService = {
+  DRAFT_STATUS,
+  PERIODE_HARI,
+  LEAD_TIME_HARI,
+
+  buildSuggestions,
+
+  /**
+   * Kode dari master kodeAksesoris yang sudah diberi stokMin & stokMax
+   * @returns {Promise<Array<{kode, nama, kategori, stokMin, stokMax}>>}
+   */
+  async loadStockLevels() {
+    const snapshots = await Promise.all(
+      KATEGORI_LIST.map((kategori) => getDocs(collection(firestore, "kodeAksesoris", "kategori", kategori)))
+    );
+
+    return snapshots.flatMap((snapshot, index) =>
+      snapshot.docs
+        .map((kodeDoc) => kodeDoc.data())
+        .filter((data) => data.text && hasStockLevel(data))
+        .map((data) => ({
+          kode: data.text,
+          nama: data.nama || "-",
+          kategori: KATEGORI_LIST[index],
+          stokMin: data.stokMin,
+          stokMax: data.stokMax,
+        }))
+    );
+  },
+
+  /**
+   * Draft restok satu cabang
+   * @param {string} status - Kunci DRAFT_STATUS
+   */
+  async loadDrafts(status = "draft", cabang = BranchService.getCurrentCabang()) {
+    const snapshot = await getDocs(query(collection(firestore, DRAFT_COLLECTION), where("status", "==", status)));
+    return snapshot.docs
+      .map((draftDoc) => ({ id: draftDoc.id, ...draftDoc.data() }))
+      .filter((draft) => BranchService.matchesCabang(draft, cabang))
+      .sort((a, b) => (b.tanggal || "").localeCompare(a.tanggal || "") || a.kode.localeCompare(b.kode));
+  },
+
+  /**
+   * Bandingkan stok dengan reorder point dan tulis draft restok
+   * Draft yang masih menunggu untuk kode yang sama diperbarui angkanya, bukan dibuat ganda. Kode yang draftnya
+   * sudah disetujui / ditolak hari ini dilewati, jadi cek ulang (force) tidak menimpa keputusan supervisor.
+   * @param {Object} options - { force: jalankan walau hari ini sudah dicek, cabang }
+   * @returns {Promise<{skipped: boolean, dibuat: number, diperbarui: number}>}
+   */
+  async runDailyCheck({ force = false, cabang = BranchService.getCurrentCabang() } = {}) {
+    const tanggal = formatDateKey();
+    const settingsRef = doc(firestore, "settings", "reorder");
+    const settingsSnap = await getDoc(settingsRef);
+    if (!force && settingsSnap.exists() && settingsSnap.data().lastRun?.[cabang] === tanggal) {
+      return { skipped: true, dibuat: 0, diperbarui: 0 };
+    }
+
+    const items = await this.loadStockLevels();
+    const now = new Date();
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - PERIODE_HARI);
+    const kodeList = items.map((item) => item.kode);
+
+    const [stokMap, movements, pending, openRestock, todaySnapshot] = await Promise.all([
+      kodeList.length ? StockService.calculateAllStocksBatch(now, kodeList, { cabang }) : new Map(),
+      kodeList.length ? StockAgingService.loadMovements(start, now, cabang) : new Map(),
+      this.loadDrafts("draft", cabang),
+      StockAgingService.loadOpenRestock(cabang),
+      getDocs(query(collection(firestore, DRAFT_COLLECTION), where("tanggal", "==", tanggal))),
+    ]);
+
+    const pendingByKode = new Map(pending.map((draft) => [draft.kode, draft]));
+    const decidedToday = new Set(
+      todaySnapshot.docs
+        .map((draftDoc) => draftDoc.data())
+        .filter((draft) => draft.status !== "draft" && BranchService.matchesCabang(draft, cabang))
+        .map((draft) => draft.kode)
+    );
+    const suggestions = buildSuggestions(items, stokMap, movements, openRestock).filter(
+      (row) => !decidedToday.has(row.kode)
+    );
+    const writes = [];
+    let dibuat = 0;
+
+    suggestions.forEach((row) => {
+      const data = {
+        kode: row.kode,
+        nama: row.nama,
+        kategori: row.kategori,
+        stok: row.stok,
+        dipesan: row.dipesan,
+        stokMin: row.stokMin,
+        stokMax: row.stokMax,
+        terjual: row.terjual,
+        rataJualHarian: row.rataJualHarian,
+        kebutuhanLeadTime: row.kebutuhanLeadTime,
+        saranJumlah: row.saranJumlah,
+        updatedAt: Date.now(),
+      };
+      const existing = pendingByKode.get(row.kode);
+      if (existing) {
+        writes.push({ ref: doc(firestore, DRAFT_COLLECTION, existing.id), data, update: true });
+        return;
+      }
+      // Id per tanggal × cabang × kode, jadi pengecekan bersamaan dari dua perangkat tidak membuat draft ganda
+      writes.push({
+        ref: doc(firestore, DRAFT_COLLECTION, `${tanggal}_${cabang}_${row.kode}`),
+        data: { ...data, tanggal, cabang, status: "draft", createdAt: Date.now() },
+      });
+      dibuat++;
+    });
+
+    // lastRun ditulis paling akhir: jika ada batch yang gagal, cek berikutnya mengulang semua kode
+    writes.push({ ref: settingsRef, data: { lastRun: { [cabang]: tanggal } }, merge: true });
+
+    // Batch Firestore maksimal 500 operasi
+    for (let i = 0; i < writes.length; i += 400) {
+      const batch = writeBatch(firestore);
+      writes.slice(i, i + 400).forEach(({ ref, data, update, merge }) => {
+        if (update) batch.update(ref, data);
+        else batch.set(ref, data, { merge: Boolean(merge) });
+      });
+      await batch.commit();
+    }
+
+    const diperbarui = suggestions.length - dibuat;
+    console.log(`📦 Cek reorder point ${cabang}: ${items.length} kode, ${dibuat} draft baru, ${diperbarui} diperbarui`);
+    return { skipped: false, dibuat, diperbarui };
+  },
+
+  /**
+   * Setujui draft: masuk ke restokBarang (status perlu) dengan jumlah yang disetujui
+   * @param {Array<{draft: Object, jumlah: number}>} approvals
+   * @throws error.code "permission-denied" | "invalid-quantity"
+   */
+  async approve(approvals) {
+    PermissionService.assert("restock.approve");
+    approvals.forEach(({ draft, jumlah }) => {
+      if (!Number.isInteger(jumlah) || jumlah <= 0) {
+        throw createReorderError(`Jumlah restok ${draft.kode} harus lebih dari 0`, "invalid-quantity");
+      }
+    });
+
+    const tanggal = formatDateKey();
+    const username = BranchService.getCurrentUser()?.username || "";
+    const batch = writeBatch(firestore);
+
+    approvals.forEach(({ draft, jumlah }) => {
+      const restokRef = doc(collection(firestore, RESTOCK_COLLECTION));
+      batch.set(restokRef, {
+        tanggal,
+        jenis: StockAgingService.guessRestockJenis(draft),
+        // Jumlah ikut di nama supaya terbawa ke pesan WhatsApp dan PDF supplier
+        nama: `${draft.nama} (${draft.kode}) - ${jumlah} pcs`,
+        kadar: "",
+        berat: "",
+        panjang: "",
+        status: "perlu",
+        kode: draft.kode,
+        jumlah,
+        cabang: draft.cabang,
+        sumber: "reorderPoint",
+        draftId: draft.id,
+        createdBy: username,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      });
+      batch.update(doc(firestore, DRAFT_COLLECTION, draft.id), {
+        status: "disetujui",
+        jumlahDisetujui: jumlah,
+        restokId: restokRef.id,
+        diputuskanOleh: username,
+        diputuskanAt: Date.now(),
+        updatedAt: Date.now(),
+      });
+    });
+
+    await batch.commit();
+    console.log(`✅ ${approvals.length} draft restok disetujui`);
+    return approvals.length;
+  },
+
+  /**
+   * Tolak draft; kode yang masih di bawah minimum akan diusulkan lagi pada pengecekan berikutnya
+   * @throws error.code "permission-denied"
+   */
+  async reject(drafts) {
+    PermissionService.assert("restock.approve");
+    const username = BranchService.getCurrentUser()?.username || "";
+    const batch = writeBatch(firestore);
+
+    drafts.forEach((draft) => {
+      batch.update(doc(firestore, DRAFT_COLLECTION, draft.id), {
+        status: "ditolak",
+        diputuskanOleh: username,
+        diputuskanAt: Date.now(),
+        updatedAt: Date.now(),
+      });
+    });
+
+    await batch.commit();
+    console.log(`🚫 ${drafts.length} draft restok ditolak`);
+    return drafts.length;
+  },
+};
+
+// Export untuk ES6 modules
+export default ReorderService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.ReorderService = ReorderService;
+}
@@ -0,0 +1,313 @@
+/**
+ * Sale Void Service - Void / refund penjualan tanpa menghapus dokumen penjualan
+ * Penjualan asli tetap ada dan diberi catatan refund (alasan, penyetuju); stok dikembalikan lewat transaksi
+ * ledger pembalik (reverse_laku / reverse_free / reverse_gantiLock) yang ditulis atomik bersama catatan refund
+ * dan ringkasan penjualan harian, sehingga riwayat penjualan dan ledger stok tidak pernah terhapus.
+ *
+ * Field di dokumen penjualanAksesoris:
+ *   refunds        : [{ id, waktu, items: [{ index, kode, nama, jumlah, nominal, nilai }], nominal, metode, shiftId,
+ *                     alasan, oleh, disetujuiOleh }] (nilai = harga item yang direfund, nominal = uang dikembalikan)
+ *   totalRefund    : jumlah nominal semua refund
+ *   statusVoid     : "sebagian" | "void" (semua item sudah direfund)
+ *   refundShiftIds : shift tempat refund tunai dibayarkan, untuk mengurangi kas laci di ringkasan shift
+ *
+ * Penjualan DP hanya mengembalikan uang yang benar-benar sudah dibayar (DP + angsuran). Sisa tagihan dihitung ulang
+ * dari harga item yang tidak direfund dikurangi uang bersih yang sudah dibayar (DPService.getSisaPembayaran).
+ */
+
+import { doc, getDoc, serverTimestamp } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import StockService from "./stockService.js";
+import PromotionService from "./promotionService.js";
+import SalesSummaryService from "./salesSummaryService.js";
+import ShiftService from "./shiftService.js";
+import DPService from "./dpService.js";
+import { getSaleStockJenis, getVoidStockJenis } from "./stockTransactionTypes.js";
+
+const SALES_COLLECTION = "penjualanAksesoris";
+
+const REFUND_METHODS = Object.freeze({
+  tunai: "Tunai (dari laci kas)",
+  transfer: "Transfer",
+});
+
+function createVoidError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isManualSale(sale) {
+  return sale.jenisPenjualan === "manual" || sale.isGantiLock || sale.jenisPenjualan === "gantiLock";
+}
+
+function getItemQty(item) {
+  return parseInt(item.jumlah) || 1;
+}
+
+function getRefundedQty(sale, index) {
+  return (sale.refunds || []).reduce(
+    (total, refund) =>
+      total + refund.items.filter((item) => item.index === index).reduce((sum, item) => sum + item.jumlah, 0),
+    0
+  );
+}
+
+function getRemainingQty(sale, index) {
+  return getItemQty(sale.items[index]) - getRefundedQty(sale, index);
+}
+
+// Harga neto item (setelah diskon) sebanding jumlah yang direfund; barang gratis tidak mengembalikan uang
+function getRefundNominal(sale, item, jumlah) {
+  if (sale.metodeBayar === "free" || item.isBonus) return 0;
+  return Math.round((PromotionService.getItemNetPrice(item) * jumlah) / getItemQty(item));
+}
+
+// Uang yang masih bisa dikembalikan; null = tidak dibatasi selain harga item
+function getRefundableLimit(sale) {
+  if (sale.metodeBayar !== "dp") return null;
+  return Math.max(0, DPService.getTotalDibayar(sale) - (Number(sale.totalRefund) || 0));
+}
+
+/**
+ * Item yang masih berlaku: item yang sudah direfund penuh dibuang, sisanya jumlah/harga/berat dikurangi
+ * sebanding bagian yang direfund
+ */
+function getActiveItems(sale) {
+  return (sale.items || []).flatMap((item, index) => {
+    const qty = getItemQty(item);
+    const sisa = getRemainingQty(sale, index);
+    if (sisa <= 0) return [];
+    if (sisa === qty) return [item];
+
+    const ratio = sisa / qty;
+    const prorate = (value) => Math.round((Number(value) || 0) * ratio);
+    return [
+      {
+        ...item,
+        jumlah: sisa,
+        totalHarga: prorate(item.totalHarga),
+        diskon: prorate(item.diskon),
+        berat: Math.round((parseFloat(item.berat) || 0) * ratio * 100) / 100,
+      },
+    ];
+  });
+}
+
+// Transaksi ledger pembalik untuk satu item; null jika item tidak mengurangi stok saat dijual
+function buildReverseEntry(sale, item, jumlah, keterangan) {
+  const isGantiLock = isManualSale(sale);
+  const kode = isGantiLock ? item.kodeLock : item.kodeText || item.barcode;
+  if (!kode || kode === "-") return null;
+
+  const saleJenis = getSaleStockJenis({
+    isGantiLock,
+    isBonus: item.isBonus,
+    metodeBayar: sale.metodeBayar,
+    statusPembayaran: sale.statusPembayaran,
+  });
+
+  return {
+    kode,
+    jenis: getVoidStockJenis(saleJenis),
+    jumlah,
+    cabang: BranchService.getCabangOf(sale),
+    kodeTransaksi: sale.id,
+    keterangan,
+    sales: BranchService.getCurrentUser()?.username || "",
+  };
+}
+
+/**
+ * Susun refund dari data penjualan. Dipanggil sekali sebelum transaksi (ledger pembalik perlu diketahui lebih
+ * dulu) dan sekali lagi di dalam transaksi dengan data penjualan terbaru.
+ * @returns {{refund: Object, changes: Object, entries: Object[], keterangan: string}}
+ * @throws error.code "invalid-refund" | "already-voided"
+ */
+function buildRefund(sale, items, { id, waktu, alasan, metode, shiftId, authorizedBy }) {
+  if (sale.statusVoid === "void") {
+    throw createVoidError("Penjualan sudah di-void", "already-voided");
+  }
+
+  // Nominal DP dibatasi uang yang sudah diterima; dibagi berurutan ke item yang direfund
+  let sisaLimit = getRefundableLimit(sale);
+  const refundItems = items
+    .filter(({ jumlah }) => jumlah > 0)
+    .map(({ index, jumlah }) => {
+      const item = sale.items?.[index];
+      if (!item) {
+        throw createVoidError(`Item ke-${index + 1} tidak ada di penjualan ini`, "invalid-refund");
+      }
+
+      const sisa = getRemainingQty(sale, index);
+      if (!Number.isInteger(jumlah) || jumlah > sisa) {
+        throw createVoidError(`Jumlah refund ${item.nama || "item"} melebihi sisa (${sisa})`, "invalid-refund");
+      }
+
+      const nilai = getRefundNominal(sale, item, jumlah);
+      let nominal = nilai;
+      if (sisaLimit !== null) {
+        nominal = Math.min(nominal, sisaLimit);
+        sisaLimit -= nominal;
+      }
+
+      return {
+        index,
+        kode: item.kodeText || item.kodeLock || "-",
+        nama: item.nama || "-",
+        jumlah,
+        nominal,
+        nilai,
+      };
+    });
+
+  if (refundItems.length === 0) {
+    throw createVoidError("Pilih minimal satu item untuk di-void / refund", "invalid-refund");
+  }
+
+  const user = BranchService.getCurrentUser();
+  const nominal = refundItems.reduce((total, item) => total + item.nominal, 0);
+  const refund = {
+    id,
+    waktu,
+    items: refundItems,
+    nominal,
+    metode,
+    shiftId: nominal > 0 && metode === "tunai" ? shiftId : null,
+    alasan,
+    oleh: user?.username || "",
+    disetujuiOleh: authorizedBy?.username || user?.username || "",
+  };
+
+  const refunds = [...(sale.refunds || []), refund];
+  const isVoid = sale.items.every((_, index) => getRemainingQty({ ...sale, refunds }, index) <= 0);
+  const changes = {
+    refunds,
+    totalRefund: (Number(sale.totalRefund) || 0) + refund.nominal,
+    statusVoid: isVoid ? "void" : "sebagian",
+  };
+  if (isVoid) changes.voidAt = serverTimestamp();
+  // Penjualan DP: tagihan tinggal harga item yang tersisa dikurangi uang bersih yang sudah dibayar
+  if (sale.metodeBayar === "dp") {
+    changes.sisaPembayaran = DPService.getSisaPembayaran({ ...sale, ...changes });
+    changes.belumLunas = changes.sisaPembayaran > 0;
+  }
+  if (refund.shiftId) changes.refundShiftIds = [...new Set([...(sale.refundShiftIds || []), refund.shiftId])];
+
+  const keterangan = `${isVoid ? "Void" : "Refund"} penjualan ${sale.id}: ${alasan}`;
+  const entries = refundItems
+    .map(({ index, jumlah }) => buildReverseEntry(sale, sale.items[index], jumlah, keterangan))
+    .filter(Boolean);
+
+  return { refund, changes, entries, keterangan };
+}
+
+// Ledger pembalik yang sama (kode, jenis, jumlah) artinya item penjualan tidak berubah sejak dibaca
+function getEntriesSignature(entries) {
+  return entries.map(({ kode, jenis, jumlah, cabang }) => `${cabang}|${kode}|${jenis}|${jumlah}`).join(",");
+}
+
+const SaleVoidService = {
+  REFUND_METHODS,
+
+  getRefundedQty,
+  getRemainingQty,
+  getRefundNominal,
+  getRefundableLimit,
+  getActiveItems,
+
+  isVoided(sale) {
+    return sale.statusVoid === "void";
+  },
+
+  /**
+   * Semua refund dari daftar penjualan, untuk rekap void di laporan
+   * @returns {Array<Object>} refund + { sale }
+   */
+  listRefunds(sales) {
+    return sales.flatMap((sale) => (sale.refunds || []).map((refund) => ({ ...refund, sale })));
+  },
+
+  /**
+   * Refund sebagian item atau void seluruh penjualan (semua sisa item direfund)
+   * Dokumen penjualan dibaca ulang di dalam transaksi stok, jadi refund yang berjalan bersamaan tidak bisa
+   * mengembalikan item yang sama dua kali.
+   * @param {string} saleId
+   * @param {Object} data
+   * @param {Array<{index: number, jumlah: number}>} data.items - Index item di sale.items dan jumlah yang direfund
+   * @param {string} data.alasan
+   * @param {string} data.metode - Kunci REFUND_METHODS; refund tunai wajib ada shift kasir terbuka
+   * @param {Object} data.authorizedBy - User yang menyetujui dengan password
+   * @returns {Promise<{refund: Object, changes: Object}>}
+   * @throws error.code "invalid-refund" | "already-voided" | "not-found" | "stale-sale" | "no-open-shift" | "shift-closed",
+   *   atau error StockService
+   */
+  async refund(saleId, { items = [], alasan = "", metode = "tunai", authorizedBy = null } = {}) {
+    alasan = alasan.trim();
+    if (!alasan) {
+      throw createVoidError("Alasan void / refund wajib diisi", "invalid-refund");
+    }
+    if (!REFUND_METHODS[metode]) {
+      throw createVoidError("Metode refund tidak valid", "invalid-refund");
+    }
+
+    const ref = doc(firestore, SALES_COLLECTION, saleId);
+    const snapshot = await getDoc(ref);
+    if (!snapshot.exists()) {
+      throw createVoidError("Penjualan tidak ditemukan", "not-found");
+    }
+
+    const sale = { id: snapshot.id, ...snapshot.data() };
+    const options = {
+      id: Date.now().toString(36),
+      waktu: new Date().toISOString(),
+      alasan,
+      metode,
+      shiftId: null,
+      authorizedBy,
+    };
+
+    // Uang tunai keluar dari laci shift yang sedang berjalan
+    const draft = buildRefund(sale, items, options);
+    if (metode === "tunai" && draft.refund.nominal > 0) {
+      options.shiftId = (await ShiftService.requireActiveShift(BranchService.getCabangOf(sale))).id;
+    }
+
+    let result = draft;
+    await StockService.updateStocks(draft.entries, {
+      precondition: async (transaction) => {
+        if (options.shiftId) await ShiftService.assertShiftOpen(transaction, options.shiftId);
+        const freshSnapshot = await transaction.get(ref);
+        if (!freshSnapshot.exists()) {
+          throw createVoidError("Penjualan tidak ditemukan", "not-found");
+        }
+
+        const before = freshSnapshot.data();
+        result = buildRefund({ id: freshSnapshot.id, ...before }, items, options);
+        if (getEntriesSignature(result.entries) !== getEntriesSignature(draft.entries)) {
+          throw createVoidError("Item penjualan berubah, buka ulang penjualan lalu coba lagi", "stale-sale");
+        }
+
+        const { refund, changes, keterangan } = result;
+        const writes = [
+          { ref, data: changes, update: true, audit: { action: "void", before, authorizedBy, keterangan } },
+        ];
+        if (refund.nominal > 0) writes.push(SalesSummaryService.buildRefundWrite(before, refund.nominal));
+        return writes;
+      },
+    });
+
+    const { refund, changes, entries, keterangan } = result;
+    console.log(`↩️ ${keterangan} (${entries.length} transaksi stok, Rp ${refund.nominal})`);
+    return { refund, changes };
+  },
+};
+
+// Export untuk ES6 modules
+export default SaleVoidService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.SaleVoidService = SaleVoidService;
+}
@@ -0,0 +1,271 @@
+/**
+ * Sales Analytics Service - Agregasi penjualanAksesoris untuk halaman analitik
+ * Penjualan dipecah menjadi baris per item (pendapatan = harga neto setelah diskon, tanpa item yang sudah
+ * di-void / refund), lalu dikelompokkan per periode (hari / minggu / bulan) atau per dimensi
+ * (jenis penjualan, sales, kategori, kode). Setiap kelompok menyimpan barisnya supaya grafik bisa di-drill-down.
+ */
+
+import {
+  collection,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  Timestamp,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import PromotionService from "./promotionService.js";
+import SaleVoidService from "./saleVoidService.js";
+import { formatDateKey, pad, toDate } from "./helpers.js";
+
+const SALES_COLLECTION = "penjualanAksesoris";
+const KATEGORI_LIST = ["kotak", "aksesoris", "silver"];
+
+const GRANULARITIES = Object.freeze({
+  day: "Harian",
+  week: "Mingguan",
+  month: "Bulanan",
+});
+
+const DIMENSIONS = Object.freeze({
+  jenis: "Jenis Penjualan",
+  sales: "Sales",
+  kategori: "Kategori",
+  kode: "Kode Barang",
+});
+
+const BULAN = ["Jan", "Feb", "Mar", "Apr", "Mei", "Jun", "Jul", "Agu", "Sep", "Okt", "Nov", "Des"];
+
+// Senin di minggu yang sama
+function getWeekStart(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+function getPeriodKey(date, granularity) {
+  if (granularity === "month") return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+  if (granularity === "week") return formatDateKey(getWeekStart(date));
+  return formatDateKey(date);
+}
+
+function getPeriodLabel(key, granularity) {
+  const [year, month, day] = key.split("-").map(Number);
+  if (granularity === "month") return `${BULAN[month - 1]} ${year}`;
+  if (granularity === "week") return `Mg ${pad(day)}/${pad(month)}`;
+  return `${pad(day)}/${pad(month)}`;
+}
+
+// Semua periode dalam rentang, supaya hari / minggu tanpa penjualan tetap tampil sebagai 0
+function listPeriodKeys({ start, end }, granularity) {
+  const keys = [];
+  const cursor = granularity === "week" ? getWeekStart(start) : new Date(start);
+  if (granularity === "month") cursor.setDate(1);
+
+  while (cursor <= end) {
+    keys.push(getPeriodKey(cursor, granularity));
+    if (granularity === "month") cursor.setMonth(cursor.getMonth() + 1);
+    else cursor.setDate(cursor.getDate() + (granularity === "week" ? 7 : 1));
+  }
+  return keys;
+}
+
+function getJenisLabel(sale) {
+  if (sale.isGantiLock || sale.jenisPenjualan === "gantiLock") return "manual";
+  return sale.jenisPenjualan || "-";
+}
+
+function createGroup(key, label) {
+  return { key, label, nominal: 0, jumlah: 0, transaksi: 0, lines: [] };
+}
+
+function addLine(group, line) {
+  group.nominal += line.nominal;
+  group.jumlah += line.jumlah;
+  group.lines.push(line);
+}
+
+function countTransactions(lines) {
+  return new Set(lines.map((line) => line.saleId)).size;
+}
+
+/**
+ * Rentang satu periode laporan
+ * @param {string} bulan - "YYYY-MM", bulan terakhir periode
+ * @param {number} months - Panjang periode dalam bulan (1 untuk harian / mingguan, 12 untuk bulanan)
+ */
+function getPeriodRange(bulan, months = 1) {
+  const [year, month] = bulan.split("-").map(Number);
+  return {
+    start: new Date(year, month - months, 1),
+    end: new Date(year, month, 0, 23, 59, 59, 999),
+  };
+}
+
+/**
+ * Rentang pembanding: periode sebelumnya dengan panjang sama, atau periode yang sama tahun lalu
+ * @param {"previous"|"lastYear"} mode
+ */
+function getComparisonRange(bulan, months, mode) {
+  const [year, month] = bulan.split("-").map(Number);
+  const end = mode === "lastYear" ? new Date(year - 1, month - 1, 1) : new Date(year, month - 1 - months, 1);
+  return getPeriodRange(`${end.getFullYear()}-${pad(end.getMonth() + 1)}`, months);
+}
+
+/**
+ * Baris per item dari daftar penjualan
+ * @param {Array} sales - Dokumen penjualanAksesoris (dengan id)
+ * @param {Map<string, string>} kategoriMap - kode → kategori
+ */
+function toLines(sales, kategoriMap = new Map()) {
+  return sales.flatMap((sale) => {
+    const date = toDate(sale.timestamp);
+    if (!date) return [];
+
+    const isFree = sale.metodeBayar === "free" || sale.statusPembayaran === "Free";
+    return SaleVoidService.getActiveItems(sale).map((item) => {
+      const kode = item.kodeText || item.barcode || "-";
+      return {
+        saleId: sale.id,
+        date,
+        jenis: getJenisLabel(sale),
+        sales: sale.sales || "-",
+        kategori: kategoriMap.get(kode) || (getJenisLabel(sale) === "manual" ? "manual" : "lainnya"),
+        kode,
+        nama: item.nama || "-",
+        jumlah: parseInt(item.jumlah) || 1,
+        nominal: isFree ? 0 : PromotionService.getItemNetPrice(item),
+      };
+    });
+  });
+}
+
+/**
+ * Kelompokkan baris per periode, lengkap dengan periode kosong di dalam rentang
+ */
+function groupByPeriod(lines, granularity, range) {
+  const groups = new Map(
+    listPeriodKeys(range, granularity).map((key) => [key, createGroup(key, getPeriodLabel(key, granularity))])
+  );
+
+  lines.forEach((line) => {
+    const key = getPeriodKey(line.date, granularity);
+    if (!groups.has(key)) groups.set(key, createGroup(key, getPeriodLabel(key, granularity)));
+    addLine(groups.get(key), line);
+  });
+
+  return [...groups.values()]
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map((group) => ({ ...group, transaksi: countTransactions(group.lines) }));
+}
+
+/**
+ * Kelompokkan baris per dimensi, urut pendapatan terbesar
+ * @param {string} dimension - Salah satu DIMENSIONS
+ */
+function groupByDimension(lines, dimension) {
+  const groups = new Map();
+
+  lines.forEach((line) => {
+    const key = line[dimension];
+    if (!groups.has(key)) {
+      const label = dimension === "kode" ? `${line.kode} - ${line.nama}` : key;
+      groups.set(key, createGroup(key, label));
+    }
+    addLine(groups.get(key), line);
+  });
+
+  return [...groups.values()]
+    .map((group) => ({ ...group, transaksi: countTransactions(group.lines) }))
+    .sort((a, b) => b.nominal - a.nominal || b.jumlah - a.jumlah);
+}
+
+function summarize(lines) {
+  return {
+    nominal: lines.reduce((total, line) => total + line.nominal, 0),
+    jumlah: lines.reduce((total, line) => total + line.jumlah, 0),
+    transaksi: countTransactions(lines),
+  };
+}
+
+/**
+ * Perubahan terhadap pembanding dalam persen, null jika pembanding 0
+ */
+function getGrowth(current, previous) {
+  if (!previous) return null;
+  return ((current - previous) / previous) * 100;
+}
+
+let kategoriMapPromise = null;
+
+const SalesAnalyticsService = {
+  GRANULARITIES,
+  DIMENSIONS,
+
+  getPeriodRange,
+  getComparisonRange,
+  toLines,
+  groupByPeriod,
+  groupByDimension,
+  summarize,
+  getGrowth,
+
+  /**
+   * Penjualan dalam rentang tanggal untuk satu cabang (ALL_CABANG untuk semua)
+   */
+  async loadSales({ start, end }, cabang = BranchService.getCurrentCabang()) {
+    const snapshot = await getDocs(
+      query(
+        collection(firestore, SALES_COLLECTION),
+        where("timestamp", ">=", Timestamp.fromDate(start)),
+        where("timestamp", "<=", Timestamp.fromDate(end)),
+        orderBy("timestamp", "asc")
+      )
+    );
+
+    return snapshot.docs
+      .map((saleDoc) => ({ id: saleDoc.id, ...saleDoc.data() }))
+      .filter((sale) => BranchService.matchesCabang(sale, cabang));
+  },
+
+  /**
+   * Kategori per kode dari master kodeAksesoris (dimuat sekali per halaman)
+   * @returns {Promise<Map<string, string>>}
+   */
+  loadKategoriMap() {
+    if (!kategoriMapPromise) {
+      kategoriMapPromise = Promise.all(
+        KATEGORI_LIST.map((kategori) => getDocs(collection(firestore, "kodeAksesoris", "kategori", kategori)))
+      )
+        .then((snapshots) => {
+          const map = new Map();
+          snapshots.forEach((snapshot, index) => {
+            snapshot.forEach((kodeDoc) => map.set(kodeDoc.data().text, KATEGORI_LIST[index]));
+          });
+          return map;
+        })
+        .catch((error) => {
+          kategoriMapPromise = null;
+          throw error;
+        });
+    }
+    return kategoriMapPromise;
+  },
+
+  /**
+   * Muat dan pecah penjualan satu rentang menjadi baris item
+   */
+  async loadLines(range, cabang) {
+    const [sales, kategoriMap] = await Promise.all([this.loadSales(range, cabang), this.loadKategoriMap()]);
+    return toLines(sales, kategoriMap);
+  },
+};
+
+// Export untuk ES6 modules
+export default SalesAnalyticsService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.SalesAnalyticsService = SalesAnalyticsService;
+}
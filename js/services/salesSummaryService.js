@@ -0,0 +1,296 @@
+/**
+ * Sales Summary Service - Ringkasan penjualan harian (koleksi salesDailySummary)
+ * Satu dokumen per tanggal × cabang, berisi map `baris` per sales × jenis penjualan × metode bayar:
+ *   { sales, jenis, metodeBayar, transaksi, jumlah, bruto, diskon, nominal, refund }
+ * Ringkasan diperbarui bertahap (increment) setiap penjualan disimpan, diedit, dihapus atau di-refund,
+ * sehingga laporan berbulan-bulan cukup membaca satu dokumen per hari, bukan semua transaksi mentah.
+ * Ringkasan yang selisih (mis. data sebelum ringkasan ada) diperbaiki dengan rebuildDay.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  increment,
+  runTransaction,
+  serverTimestamp,
+  Timestamp,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import PromotionService from "./promotionService.js";
+import { formatDateKey } from "./helpers.js";
+
+const SUMMARY_COLLECTION = "salesDailySummary";
+const SALES_COLLECTION = "penjualanAksesoris";
+const METRICS = ["transaksi", "jumlah", "bruto", "diskon", "nominal", "refund"];
+const REBUILD_ATTEMPTS = 3;
+
+function createSummaryError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Tanggal ringkasan (yyyy-mm-dd) dari timestamp penjualan; tanggal dd/mm/yyyy lama sebagai cadangan
+ */
+function getDateKey(value) {
+  if (value && typeof value.toDate === "function") return formatDateKey(value.toDate());
+  if (value instanceof Date) return formatDateKey(value);
+  if (value?.seconds) return formatDateKey(new Date(value.seconds * 1000));
+  if (typeof value === "string" && /^\d{2}\/\d{2}\/\d{4}$/.test(value)) {
+    const [day, month, year] = value.split("/");
+    return `${year}-${month}-${day}`;
+  }
+  return formatDateKey(new Date());
+}
+
+function getSummaryDocId(tanggal, cabang) {
+  return `${tanggal}_${cabang}`;
+}
+
+function getJenis(sale) {
+  if (sale.isGantiLock || sale.jenisPenjualan === "gantiLock") return "manual";
+  return sale.jenisPenjualan || "-";
+}
+
+// Kunci baris: nama field map, jadi titik dan garis miring diganti
+function getRowKey({ sales, jenis, metodeBayar }) {
+  return [sales, jenis, metodeBayar].map((part) => String(part).replace(/[./]/g, "_")).join("|");
+}
+
+function getRowInfo(sale) {
+  return { sales: sale.sales || "-", jenis: getJenis(sale), metodeBayar: sale.metodeBayar || "tunai" };
+}
+
+function getSaleMetrics(sale) {
+  return {
+    transaksi: 1,
+    jumlah: (sale.items || []).reduce((total, item) => total + (parseInt(item.jumlah) || 1), 0),
+    bruto: PromotionService.getSaleGross(sale),
+    diskon: PromotionService.getSaleDiscount(sale),
+    nominal: Number(sale.totalHarga) || 0,
+    refund: Number(sale.totalRefund) || 0,
+  };
+}
+
+/**
+ * Data setDoc(merge) yang menambah / mengurangi metrik satu baris ringkasan
+ * @param {Object} sale
+ * @param {Object} metrics - Sebagian METRICS
+ * @param {number} sign - 1 tambah, -1 kurangi
+ */
+function buildIncrement(sale, metrics, sign = 1) {
+  const tanggal = getDateKey(sale.timestamp ?? sale.tanggal);
+  const cabang = BranchService.getCabangOf(sale);
+  const info = getRowInfo(sale);
+  const values = Object.fromEntries(
+    Object.entries(metrics)
+      .filter(([, value]) => value)
+      .map(([metric, value]) => [metric, increment(sign * value)])
+  );
+
+  return {
+    ref: doc(firestore, SUMMARY_COLLECTION, getSummaryDocId(tanggal, cabang)),
+    data: {
+      tanggal,
+      cabang,
+      baris: { [getRowKey(info)]: { ...info, ...values } },
+      updatedAt: serverTimestamp(),
+    },
+    merge: true,
+  };
+}
+
+// Versi dokumen ringkasan: setiap increment dan hitung ulang menulis updatedAt (null = belum ada)
+function getVersion(snapshot) {
+  if (!snapshot.exists()) return null;
+  const updatedAt = snapshot.data().updatedAt;
+  return updatedAt ? `${updatedAt.seconds}.${updatedAt.nanoseconds}` : "";
+}
+
+function createEmptyRow(info) {
+  return { ...info, ...Object.fromEntries(METRICS.map((metric) => [metric, 0])) };
+}
+
+const SalesSummaryService = {
+  METRICS,
+
+  getDateKey,
+
+  /**
+   * Write StockService.updateStocks untuk penjualan baru, ditulis atomik bersama dokumen penjualan
+   * @param {Object} sale - Data penjualan; timestamp serverTimestamp berarti hari ini
+   */
+  buildSaleWrite(sale) {
+    const timestamp = sale.timestamp instanceof Timestamp ? sale.timestamp : new Date();
+    return buildIncrement({ ...sale, timestamp }, getSaleMetrics(sale));
+  },
+
+  /**
+   * Write untuk refund penjualan (nominal refund dicatat di tanggal penjualan asli)
+   */
+  buildRefundWrite(sale, nominal) {
+    return buildIncrement(sale, { refund: nominal });
+  },
+
+  /**
+   * Write untuk penjualan yang diedit atau dihapus, ditulis di batch yang sama dengan perubahan penjualan
+   * (AuditService.updateDoc / deleteDoc option relatedWrites)
+   * @param {Object|null} before - Data penjualan sebelum perubahan (null untuk penjualan baru)
+   * @param {Object|null} after - Data penjualan sesudah perubahan (null untuk hapus)
+   * @returns {Array<{ref, data, merge}>}
+   */
+  buildChangeWrites(before, after = null) {
+    return [
+      before && buildIncrement(before, getSaleMetrics(before), -1),
+      after && buildIncrement(after, getSaleMetrics(after)),
+    ].filter(Boolean);
+  },
+
+  /**
+   * Ringkasan dalam rentang tanggal
+   * @param {string} startKey - yyyy-mm-dd
+   * @param {string} endKey - yyyy-mm-dd
+   * @param {string} cabang - ALL_CABANG untuk semua cabang
+   * @returns {Promise<Array<Object>>} Satu baris per tanggal × cabang × sales × jenis × metodeBayar
+   */
+  async getRows(startKey, endKey, cabang = BranchService.getCurrentCabang()) {
+    const snapshot = await getDocs(
+      query(
+        collection(firestore, SUMMARY_COLLECTION),
+        where("tanggal", ">=", startKey),
+        where("tanggal", "<=", endKey),
+        orderBy("tanggal", "asc")
+      )
+    );
+
+    return snapshot.docs
+      .map((summaryDoc) => summaryDoc.data())
+      .filter((summary) => BranchService.matchesCabang(summary, cabang))
+      .flatMap((summary) =>
+        Object.values(summary.baris || {})
+          .filter((row) => row.transaksi > 0)
+          .map((row) => ({ ...createEmptyRow(row), ...row, tanggal: summary.tanggal, cabang: summary.cabang }))
+      );
+  },
+
+  /**
+   * Jumlahkan baris ringkasan per field (mis. "tanggal", "sales", "jenis", "metodeBayar")
+   * @returns {Array<Object>} urut sesuai nilai field
+   */
+  groupRows(rows, field) {
+    const groups = new Map();
+    rows.forEach((row) => {
+      const key = row[field];
+      if (!groups.has(key)) groups.set(key, { key, ...Object.fromEntries(METRICS.map((metric) => [metric, 0])) });
+      const group = groups.get(key);
+      METRICS.forEach((metric) => (group[metric] += Number(row[metric]) || 0));
+    });
+    return [...groups.values()].sort((a, b) => String(a.key).localeCompare(String(b.key)));
+  },
+
+  /**
+   * Hitung ulang ringkasan satu hari dari transaksi mentah (semua cabang)
+   * Ringkasan dibaca sebelum transaksi mentah, lalu ditulis di runTransaction hanya jika belum berubah: penjualan
+   * yang masuk selama hitung ulang pasti mengubah updatedAt ringkasan, jadi hitung ulang diulang dan increment
+   * penjualan itu tidak tertimpa.
+   * @param {string} tanggal - yyyy-mm-dd
+   * @returns {Promise<{tanggal: string, cabang: number, transaksi: number}>}
+   * @throws error.code "summary-busy" jika ringkasan terus berubah selama REBUILD_ATTEMPTS percobaan
+   */
+  async rebuildDay(tanggal) {
+    const [year, month, day] = tanggal.split("-").map(Number);
+    const start = new Date(year, month - 1, day);
+    const end = new Date(year, month - 1, day, 23, 59, 59, 999);
+    const cabangList = await BranchService.getCabangList();
+
+    for (let attempt = 1; attempt <= REBUILD_ATTEMPTS; attempt++) {
+      // Berurutan, ringkasan dulu: penjualan yang masuk setelah ringkasan dibaca pasti mengubah updatedAt-nya
+      const summarySnapshot = await getDocs(
+        query(collection(firestore, SUMMARY_COLLECTION), where("tanggal", "==", tanggal))
+      );
+      const salesSnapshot = await getDocs(
+        query(
+          collection(firestore, SALES_COLLECTION),
+          where("timestamp", ">=", Timestamp.fromDate(start)),
+          where("timestamp", "<=", Timestamp.fromDate(end))
+        )
+      );
+
+      const perCabang = new Map();
+      salesSnapshot.docs.forEach((saleDoc) => {
+        const sale = saleDoc.data();
+        const cabang = BranchService.getCabangOf(sale);
+        const info = getRowInfo(sale);
+        const key = getRowKey(info);
+
+        if (!perCabang.has(cabang)) perCabang.set(cabang, {});
+        const baris = perCabang.get(cabang);
+        baris[key] = baris[key] || createEmptyRow(info);
+
+        const metrics = getSaleMetrics(sale);
+        METRICS.forEach((metric) => (baris[key][metric] += metrics[metric]));
+      });
+
+      // Semua dokumen ringkasan hari itu, termasuk cabang yang belum punya ringkasan (bisa dibuat penjualan baru)
+      const versions = new Map(summarySnapshot.docs.map((summaryDoc) => [summaryDoc.id, getVersion(summaryDoc)]));
+      const cabangIds = new Set([
+        ...cabangList.map((cabang) => cabang.id),
+        ...perCabang.keys(),
+        ...summarySnapshot.docs.map((summaryDoc) => summaryDoc.data().cabang),
+      ]);
+      const targets = [...cabangIds].map((cabang) => ({
+        cabang,
+        ref: doc(firestore, SUMMARY_COLLECTION, getSummaryDocId(tanggal, cabang)),
+      }));
+
+      const written = await runTransaction(firestore, async (transaction) => {
+        const snapshots = await Promise.all(targets.map(({ ref }) => transaction.get(ref)));
+        if (snapshots.some((snapshot) => getVersion(snapshot) !== (versions.get(snapshot.id) ?? null))) return false;
+
+        targets.forEach(({ cabang, ref }, index) => {
+          const baris = perCabang.get(cabang);
+          if (baris) {
+            transaction.set(ref, {
+              tanggal,
+              cabang,
+              baris,
+              updatedAt: serverTimestamp(),
+              rebuiltAt: serverTimestamp(),
+            });
+          } else if (snapshots[index].exists()) {
+            // Ringkasan cabang yang ternyata tidak punya penjualan di hari itu
+            transaction.delete(ref);
+          }
+        });
+        return true;
+      });
+
+      if (written) {
+        console.log(
+          `🧮 Ringkasan ${tanggal} dihitung ulang: ${salesSnapshot.size} transaksi, ${perCabang.size} cabang`
+        );
+        return { tanggal, cabang: perCabang.size, transaksi: salesSnapshot.size };
+      }
+      console.warn(`⚠️ Ringkasan ${tanggal} berubah selama dihitung ulang, percobaan ${attempt}`);
+    }
+
+    throw createSummaryError(
+      `Ringkasan ${tanggal} terus berubah karena ada penjualan baru. Coba lagi sebentar lagi.`,
+      "summary-busy"
+    );
+  },
+};
+
+// Export untuk ES6 modules
+export default SalesSummaryService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.SalesSummaryService = SalesSummaryService;
+}
@@ -0,0 +1,250 @@
+/**
+ * Session Service - Masa berlaku sesi login, kunci layar saat tidak aktif, dan logout lintas tab
+ * Data sesi tetap di sessionStorage "currentUser" ({ username, role, cabang }) ditambah field waktu sesi.
+ */
+
+import UserService from "./userService.js";
+import {
+  showLockScreen,
+  hideLockScreen,
+  showLockError,
+  showTimeoutWarning,
+  hideTimeoutWarning,
+  setupPinMenu,
+} from "../components/sessionLock.js";
+
+const SESSION_KEY = "currentUser";
+const PAGE_AUTHORIZATION_KEY = "pageAuthorization";
+const CHANNEL_NAME = "melati-session";
+
+const ACTIVITY_EVENTS = ["mousedown", "keydown", "scroll", "touchstart"];
+const ACTIVITY_PERSIST_INTERVAL = 15 * 1000;
+const CHECK_INTERVAL = 1000;
+const MAX_UNLOCK_ATTEMPTS = 5;
+
+/**
+ * Pengaturan sesi per role
+ * - idleTimeout: layar dikunci setelah tidak ada aktivitas selama ini
+ * - warningBefore: peringatan ditampilkan sebelum layar dikunci
+ * - maxAge: umur maksimal sesi sejak login, setelahnya wajib login ulang
+ */
+const ROLE_SESSION_SETTINGS = Object.freeze({
+  admin: { idleTimeout: 15 * 60 * 1000, warningBefore: 60 * 1000, maxAge: 12 * 60 * 60 * 1000 },
+  supervisor: { idleTimeout: 5 * 60 * 1000, warningBefore: 60 * 1000, maxAge: 8 * 60 * 60 * 1000 },
+});
+
+const LOGOUT_REASONS = Object.freeze({
+  logout: "",
+  expired: "Sesi Anda telah berakhir, silakan login kembali.",
+  "locked-out": "Terlalu banyak percobaan membuka kunci, silakan login kembali.",
+});
+
+let channel = null;
+let checkTimer = null;
+let lastActivity = Date.now();
+let lastPersist = 0;
+let unlockAttempts = 0;
+
+const SessionService = {
+  ROLE_SESSION_SETTINGS,
+  LOGOUT_REASONS,
+
+  getSettings(role = this.getSession()?.role) {
+    return ROLE_SESSION_SETTINGS[role] || ROLE_SESSION_SETTINGS.admin;
+  },
+
+  getSession() {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY) || "null");
+  },
+
+  saveSession(session) {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  },
+
+  /**
+   * Buat sesi baru setelah login berhasil
+   * @param {Object} user - { username, role, cabang }
+   */
+  start(user) {
+    const now = Date.now();
+    const session = {
+      username: user.username,
+      role: user.role,
+      cabang: user.cabang,
+      loginAt: now,
+      expiresAt: now + this.getSettings(user.role).maxAge,
+      lastActivity: now,
+      locked: false,
+    };
+
+    this.saveSession(session);
+    return session;
+  },
+
+  isExpired(session = this.getSession()) {
+    return !session || Date.now() >= session.expiresAt;
+  },
+
+  /**
+   * Cek sesi masih berlaku. Sesi kedaluwarsa langsung di-logout.
+   * @returns {boolean}
+   */
+  validate() {
+    const session = this.getSession();
+    if (!session) return false;
+
+    // Sesi yang dibuat sebelum ada masa berlaku dianggap baru login
+    if (!session.expiresAt) {
+      this.start(session);
+      return true;
+    }
+
+    if (this.isExpired(session)) {
+      this.logout("expired");
+      return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Mulai pemantauan sesi di halaman (dipanggil main.js setelah guard halaman lolos)
+   */
+  init() {
+    const session = this.getSession();
+    if (!session) return;
+
+    lastActivity = session.lastActivity || Date.now();
+
+    if (typeof BroadcastChannel !== "undefined") {
+      channel = new BroadcastChannel(CHANNEL_NAME);
+      channel.addEventListener("message", (event) => {
+        if (event.data?.type === "logout") {
+          this.logout(event.data.reason, { broadcast: false });
+        }
+      });
+    }
+
+    ACTIVITY_EVENTS.forEach((eventName) => {
+      document.addEventListener(eventName, () => this.recordActivity(), { capture: true, passive: true });
+    });
+
+    setupPinMenu((password, pin) => UserService.setPin(session.username, password, pin));
+
+    if (session.locked) {
+      this.lock();
+    }
+
+    checkTimer = setInterval(() => this.check(), CHECK_INTERVAL);
+    console.log(
+      `⏱️ Session monitor aktif (${session.role}, kunci setelah ${this.getSettings().idleTimeout / 60000} menit)`
+    );
+  },
+
+  recordActivity() {
+    const session = this.getSession();
+    if (!session || session.locked) return;
+
+    lastActivity = Date.now();
+    hideTimeoutWarning();
+
+    if (lastActivity - lastPersist >= ACTIVITY_PERSIST_INTERVAL) {
+      lastPersist = lastActivity;
+      this.saveSession({ ...session, lastActivity });
+    }
+  },
+
+  check() {
+    const session = this.getSession();
+    if (!session) {
+      this.logout("logout", { broadcast: false });
+      return;
+    }
+
+    if (this.isExpired(session)) {
+      this.logout("expired");
+      return;
+    }
+
+    if (session.locked) return;
+
+    const { idleTimeout, warningBefore } = this.getSettings(session.role);
+    const remaining = idleTimeout - (Date.now() - lastActivity);
+
+    if (remaining <= 0) {
+      this.lock();
+    } else if (remaining <= warningBefore) {
+      showTimeoutWarning(Math.ceil(remaining / 1000), () => this.recordActivity());
+    }
+  },
+
+  /**
+   * Kunci layar. Halaman bisa menghentikan listener real-time lewat event "session:locked".
+   */
+  lock() {
+    const session = this.getSession();
+    if (!session) return;
+
+    this.saveSession({ ...session, locked: true });
+    hideTimeoutWarning();
+    showLockScreen(session.username, {
+      onUnlock: (secret) => this.unlock(secret),
+      onLogout: () => this.logout(),
+    });
+
+    document.dispatchEvent(new CustomEvent("session:locked"));
+    console.log("🔒 Layar dikunci karena tidak ada aktivitas");
+  },
+
+  /**
+   * Buka kunci layar dengan PIN / password user yang sedang login
+   * @returns {Promise<boolean>}
+   */
+  async unlock(secret) {
+    const session = this.getSession();
+    if (!session) return false;
+
+    if (!(await UserService.verifyUnlock(session.username, secret))) {
+      unlockAttempts++;
+      if (unlockAttempts >= MAX_UNLOCK_ATTEMPTS) {
+        this.logout("locked-out");
+      } else {
+        showLockError(`PIN / password salah (${MAX_UNLOCK_ATTEMPTS - unlockAttempts} percobaan tersisa)`);
+      }
+      return false;
+    }
+
+    unlockAttempts = 0;
+    lastActivity = Date.now();
+    this.saveSession({ ...session, locked: false, lastActivity });
+    hideLockScreen();
+
+    document.dispatchEvent(new CustomEvent("session:unlocked"));
+    console.log("🔓 Layar dibuka kembali");
+    return true;
+  },
+
+  /**
+   * Akhiri sesi di tab ini dan (default) semua tab lain yang terbuka
+   * @param {string} reason - Key LOGOUT_REASONS, ditampilkan di halaman login
+   */
+  logout(reason = "logout", { broadcast = true } = {}) {
+    clearInterval(checkTimer);
+    sessionStorage.removeItem(SESSION_KEY);
+    sessionStorage.removeItem(PAGE_AUTHORIZATION_KEY);
+
+    if (broadcast && channel) {
+      channel.postMessage({ type: "logout", reason });
+    }
+
+    window.location.href = LOGOUT_REASONS[reason] ? `index.html?session=${reason}` : "index.html";
+  },
+};
+
+// Export untuk ES6 modules
+export default SessionService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.SessionService = SessionService;
+}
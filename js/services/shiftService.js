@@ -0,0 +1,357 @@
+/**
+ * Shift Service - Shift kasir per cabang dan rekonsiliasi laci kas
+ * Satu cabang hanya boleh memiliki satu shift terbuka.
+ * Setiap penjualan dan angsuran DP menyimpan `shiftId` shift tersebut; refund tunai menyimpan `shiftId` di
+ * penjualan.refunds dan penjualan.refundShiftIds (lihat SaleVoidService).
+ *
+ * Tutup shift dua tahap: status "open" → "closing" → "closed". Penjualan, angsuran DP dan refund tunai memeriksa
+ * status shift di dalam transaksinya sendiri (assertShiftOpen), jadi setelah shift berstatus closing tidak ada
+ * transaksi baru yang masuk dan ringkasan yang dihitung saat tutup shift tidak bisa terlewat transaksi.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  runTransaction,
+  serverTimestamp,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import { getTenderAmounts, summarizeTenders } from "./paymentTypes.js";
+
+const SHIFT_COLLECTION = "kasirShift";
+// Penanda shift yang sedang terbuka, id dokumen = id cabang
+const ACTIVE_SHIFT_COLLECTION = "kasirShiftAktif";
+const SALES_COLLECTION = "penjualanAksesoris";
+const INSTALLMENT_COLLECTION = "angsuranDP";
+
+// Salinan lokal shift aktif per cabang, supaya POS yang dimuat ulang saat offline tetap tahu shift-nya
+const ACTIVE_SHIFT_CACHE_PREFIX = "kasirShiftAktif_";
+
+// Pecahan rupiah untuk hitung fisik laci kas saat tutup shift
+const DENOMINATIONS = [100000, 50000, 20000, 10000, 5000, 2000, 1000, 500, 200, 100];
+
+function createShiftError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Uang tunai yang masuk laci dari satu penjualan / angsuran DP
+ * Hanya baris pembayaran tunai (setelah kembalian); transfer, QRIS dan debit tidak masuk laci
+ */
+function getCashIn(sale) {
+  return getTenderAmounts(sale).tunai || 0;
+}
+
+/**
+ * Ringkasan penjualan dan angsuran DP dalam satu shift
+ * @param {Array} sales - Dokumen penjualanAksesoris
+ * @param {Array} installments - Dokumen angsuranDP
+ * @param {Array} refunds - Refund yang dibayarkan di shift ini (penjualan.refunds); refund tunai mengurangi kas masuk
+ */
+function summarizeSales(sales, installments = [], refunds = []) {
+  const totals = sales.reduce(
+    (summary, sale) => {
+      summary.jumlahTransaksi++;
+      summary.totalPenjualan += Number(sale.totalHarga) || 0;
+      summary.kasMasuk += getCashIn(sale);
+
+      if (sale.metodeBayar === "dp") {
+        summary.totalDP += Number(sale.nominalDP) || 0;
+      } else if (sale.metodeBayar === "free") {
+        summary.jumlahFree++;
+      } else {
+        summary.totalLunas += Number(sale.totalHarga) || 0;
+      }
+
+      return summary;
+    },
+    {
+      jumlahTransaksi: 0,
+      totalPenjualan: 0,
+      totalLunas: 0,
+      totalDP: 0,
+      jumlahFree: 0,
+      jumlahAngsuran: 0,
+      totalAngsuran: 0,
+      jumlahRefund: 0,
+      totalRefund: 0,
+      refundTunai: 0,
+      kasMasuk: 0,
+    }
+  );
+
+  installments.forEach((installment) => {
+    totals.jumlahAngsuran++;
+    totals.totalAngsuran += Number(installment.jumlah) || 0;
+    totals.kasMasuk += getCashIn(installment);
+  });
+
+  refunds.forEach((refund) => {
+    const nominal = Number(refund.nominal) || 0;
+    totals.jumlahRefund++;
+    totals.totalRefund += nominal;
+    if (refund.metode === "tunai") {
+      totals.refundTunai += nominal;
+      totals.kasMasuk -= nominal;
+    }
+  });
+
+  // Uang diterima per metode pembayaran (tunai, transfer, QRIS, debit)
+  return { ...totals, perMetode: summarizeTenders([...sales, ...installments]) };
+}
+
+function rememberActiveShift(cabang, shift) {
+  try {
+    if (shift) {
+      localStorage.setItem(ACTIVE_SHIFT_CACHE_PREFIX + cabang, JSON.stringify(shift));
+    } else {
+      localStorage.removeItem(ACTIVE_SHIFT_CACHE_PREFIX + cabang);
+    }
+  } catch (error) {
+    console.warn("⚠️ Failed to store active shift locally:", error);
+  }
+}
+
+// Total uang fisik dari jumlah lembar/keping per pecahan
+function countDenominations(counts = {}) {
+  return DENOMINATIONS.reduce((total, nominal) => total + nominal * (parseInt(counts[nominal]) || 0), 0);
+}
+
+const ShiftService = {
+  DENOMINATIONS,
+
+  getCashIn,
+  summarizeSales,
+  countDenominations,
+
+  async getShift(shiftId) {
+    const snapshot = await getDoc(doc(firestore, SHIFT_COLLECTION, shiftId));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+  },
+
+  /**
+   * Shift yang sedang terbuka di cabang
+   * @returns {Promise<Object|null>}
+   */
+  async getActiveShift(cabang = BranchService.getCurrentCabang()) {
+    const activeSnapshot = await getDoc(doc(firestore, ACTIVE_SHIFT_COLLECTION, cabang));
+    const shiftId = activeSnapshot.exists() ? activeSnapshot.data().shiftId : null;
+    const shift = shiftId ? await this.getShift(shiftId) : null;
+    rememberActiveShift(cabang, shift);
+    return shift;
+  },
+
+  /**
+   * Shift aktif terakhir yang diketahui perangkat ini (dipakai saat offline)
+   * @returns {Object|null}
+   */
+  getCachedActiveShift(cabang = BranchService.getCurrentCabang()) {
+    try {
+      return JSON.parse(localStorage.getItem(ACTIVE_SHIFT_CACHE_PREFIX + cabang) || "null");
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Shift terbuka wajib ada sebelum transaksi yang menerima uang disimpan
+   * @throws error.code "no-open-shift" | "shift-closed"
+   */
+  async requireActiveShift(cabang = BranchService.getCurrentCabang()) {
+    const shift = await this.getActiveShift(cabang);
+    if (!shift) {
+      throw createShiftError("Shift kasir belum dibuka. Buka shift terlebih dahulu.", "no-open-shift");
+    }
+    if (shift.status !== "open") {
+      throw createShiftError("Shift kasir sedang ditutup, tunggu lalu buka shift baru.", "shift-closed");
+    }
+    return shift;
+  },
+
+  /**
+   * Baca shift di dalam transaksi Firestore dan tolak jika sudah tidak terbuka (sedang / sudah ditutup)
+   * Dipanggil sebelum write apa pun di transaksi tersebut.
+   * @throws error.code "shift-closed"
+   */
+  async assertShiftOpen(transaction, shiftId) {
+    const snapshot = await transaction.get(doc(firestore, SHIFT_COLLECTION, shiftId));
+    if (snapshot.data()?.status !== "open") {
+      throw createShiftError("Shift kasir sudah ditutup, buka shift baru lalu ulangi transaksi.", "shift-closed");
+    }
+  },
+
+  /**
+   * Buka shift dengan modal awal laci kas
+   * @param {Object} data - { modalAwal, cabang }
+   * @returns {Promise<Object>} Shift yang dibuka
+   */
+  async openShift({ modalAwal, cabang = BranchService.getCurrentCabang() }) {
+    const nominal = Number(modalAwal);
+    if (!Number.isFinite(nominal) || nominal < 0) {
+      throw createShiftError("Modal awal tidak valid", "invalid-amount");
+    }
+
+    const kasir = BranchService.getCurrentUser()?.username || "";
+    const activeRef = doc(firestore, ACTIVE_SHIFT_COLLECTION, cabang);
+    const shiftRef = doc(collection(firestore, SHIFT_COLLECTION));
+
+    await runTransaction(firestore, async (transaction) => {
+      const activeSnapshot = await transaction.get(activeRef);
+      if (activeSnapshot.exists() && activeSnapshot.data().shiftId) {
+        throw createShiftError(
+          `Shift cabang ini masih terbuka oleh ${activeSnapshot.data().kasir}, tutup shift tersebut terlebih dahulu`,
+          "shift-already-open"
+        );
+      }
+
+      transaction.set(shiftRef, {
+        cabang,
+        kasir,
+        status: "open",
+        modalAwal: nominal,
+        openedAt: serverTimestamp(),
+      });
+      transaction.set(activeRef, { shiftId: shiftRef.id, kasir, openedAt: serverTimestamp() });
+    });
+
+    console.log(`🟢 Shift ${shiftRef.id} dibuka (${cabang}) oleh ${kasir}, modal awal ${nominal}`);
+    const shift = await this.getShift(shiftRef.id);
+    rememberActiveShift(cabang, shift);
+    return shift;
+  },
+
+  async getShiftSales(shiftId) {
+    const snapshot = await getDocs(query(collection(firestore, SALES_COLLECTION), where("shiftId", "==", shiftId)));
+    return snapshot.docs.map((saleDoc) => ({ id: saleDoc.id, ...saleDoc.data() }));
+  },
+
+  async getShiftInstallments(shiftId) {
+    const snapshot = await getDocs(
+      query(collection(firestore, INSTALLMENT_COLLECTION), where("shiftId", "==", shiftId))
+    );
+    return snapshot.docs.map((installmentDoc) => ({ id: installmentDoc.id, ...installmentDoc.data() }));
+  },
+
+  // Refund yang dibayarkan di shift, termasuk refund penjualan dari shift lain
+  async getShiftRefunds(shiftId) {
+    const snapshot = await getDocs(
+      query(collection(firestore, SALES_COLLECTION), where("refundShiftIds", "array-contains", shiftId))
+    );
+    return snapshot.docs.flatMap((saleDoc) =>
+      (saleDoc.data().refunds || [])
+        .filter((refund) => refund.shiftId === shiftId)
+        .map((refund) => ({ ...refund, penjualanId: saleDoc.id }))
+    );
+  },
+
+  /**
+   * Ringkasan penjualan dan kas yang seharusnya ada di laci (setelah refund tunai)
+   * @returns {Promise<Object>} { ringkasan, expectedCash }
+   */
+  async getShiftSummary(shift) {
+    const [sales, installments, refunds] = await Promise.all([
+      this.getShiftSales(shift.id),
+      this.getShiftInstallments(shift.id),
+      this.getShiftRefunds(shift.id),
+    ]);
+    const ringkasan = summarizeSales(sales, installments, refunds);
+    return { ringkasan, expectedCash: (Number(shift.modalAwal) || 0) + ringkasan.kasMasuk };
+  },
+
+  /**
+   * Tutup shift: bandingkan kas seharusnya dengan hitung fisik per pecahan dan catat selisihnya
+   * Shift diberi status "closing" dulu supaya transaksi baru ditolak, baru ringkasan dihitung.
+   * @param {string} shiftId
+   * @param {Object} data - { pecahan: { [nominal]: jumlah }, catatan }
+   * @returns {Promise<Object>} Data shift yang sudah ditutup (untuk Z-report)
+   */
+  async closeShift(shiftId, { pecahan = {}, catatan = "" } = {}) {
+    const shift = await this.getShift(shiftId);
+    if (!shift) throw createShiftError("Shift tidak ditemukan", "shift-not-found");
+
+    const shiftRef = doc(firestore, SHIFT_COLLECTION, shiftId);
+    const activeRef = doc(firestore, ACTIVE_SHIFT_COLLECTION, shift.cabang);
+
+    // Tahap 1: hentikan transaksi baru. Status closing dari tutup shift yang gagal boleh diulang.
+    await runTransaction(firestore, async (transaction) => {
+      const status = (await transaction.get(shiftRef)).data()?.status;
+      if (status !== "open" && status !== "closing") {
+        throw createShiftError("Shift sudah ditutup", "shift-closed");
+      }
+      transaction.update(shiftRef, { status: "closing", closingAt: serverTimestamp() });
+    });
+
+    let summary;
+    try {
+      summary = await this.getShiftSummary(shift);
+    } catch (error) {
+      // Ringkasan gagal dihitung: buka lagi shift supaya kasir tetap bisa bertransaksi
+      await runTransaction(firestore, async (transaction) => {
+        if ((await transaction.get(shiftRef)).data()?.status === "closing") {
+          transaction.update(shiftRef, { status: "open" });
+        }
+      });
+      throw error;
+    }
+
+    const { ringkasan, expectedCash } = summary;
+    const countedCash = countDenominations(pecahan);
+    const closedBy = BranchService.getCurrentUser()?.username || "";
+
+    const closingData = {
+      status: "closed",
+      closedBy,
+      ringkasan,
+      expectedCash,
+      countedCash,
+      selisih: countedCash - expectedCash,
+      pecahan: Object.fromEntries(DENOMINATIONS.map((nominal) => [nominal, parseInt(pecahan[nominal]) || 0])),
+      catatan,
+    };
+
+    // Tahap 2: simpan hasil tutup shift
+    await runTransaction(firestore, async (transaction) => {
+      const [shiftSnapshot, activeSnapshot] = await Promise.all([
+        transaction.get(shiftRef),
+        transaction.get(activeRef),
+      ]);
+      if (shiftSnapshot.data()?.status !== "closing") {
+        throw createShiftError("Shift sudah ditutup", "shift-closed");
+      }
+
+      transaction.update(shiftRef, { ...closingData, closedAt: serverTimestamp() });
+      if (activeSnapshot.exists() && activeSnapshot.data().shiftId === shiftId) {
+        transaction.delete(activeRef);
+      }
+    });
+
+    rememberActiveShift(shift.cabang, null);
+    console.log(`🔴 Shift ${shiftId} ditutup oleh ${closedBy}, selisih ${closingData.selisih}`);
+    return { ...shift, ...closingData, closedAt: new Date() };
+  },
+
+  /**
+   * Ambil beberapa shift sekaligus (laporan penjualan per shift)
+   * @param {string[]} shiftIds
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async getShiftsByIds(shiftIds) {
+    const shifts = await Promise.all([...new Set(shiftIds)].map((shiftId) => this.getShift(shiftId)));
+    return new Map(shifts.filter(Boolean).map((shift) => [shift.id, shift]));
+  },
+};
+
+// Export untuk ES6 modules
+export default ShiftService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.ShiftService = ShiftService;
+}
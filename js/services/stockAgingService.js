@@ -0,0 +1,310 @@
+/**
+ * Stock Aging Service - Analisis slow-moving & dead stock per kode
+ * Menggabungkan ledger stokAksesorisTransaksi dalam periode analisis (tanggal laku / tambah terakhir, jumlah
+ * terjual dan masuk) dengan stok awal & akhir periode dari StockService.
+ *
+ * Per kode:
+ *   hariDiam     : hari sejak pergerakan terakhir (laku atau tambah stok); barang baru masuk tidak langsung dianggap mati
+ *   daysOnHand   : stok akhir dibagi rata-rata terjual per hari, null jika tidak ada penjualan
+ *   sellThrough  : terjual / (stok awal + masuk) dalam persen
+ *   turnover     : terjual / rata-rata stok (awal & akhir periode)
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  writeBatch,
+  Timestamp,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import StockService from "./stockService.js";
+import { addToStockSummary, createEmptyStockSummary, getStockTransactionType } from "./stockTransactionTypes.js";
+import { formatDateKey, toDate } from "./helpers.js";
+
+const LEDGER_COLLECTION = "stokAksesorisTransaksi";
+const RESTOCK_COLLECTION = "restokBarang";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Kolom laporan yang dihitung sebagai barang terjual (void / refund sudah mengurangi lewat reportSign)
+const SALE_COLUMNS = ["laku", "free", "gantiLock"];
+
+const DEFAULT_THRESHOLDS = Object.freeze({
+  periode: 90, // hari ke belakang yang dianalisis
+  slow: 60, // diam sejak ... hari = slow-moving
+  dead: 90, // diam sejak ... hari = dead stock
+  restok: 14, // sisa stok cukup untuk kurang dari ... hari = saran restok
+});
+
+const AGING_STATUS = Object.freeze({
+  dead: { label: "Dead Stock", badge: "danger" },
+  slow: { label: "Slow Moving", badge: "warning" },
+  normal: { label: "Normal", badge: "success" },
+  habis: { label: "Habis", badge: "secondary" },
+});
+
+// Jenis barang restokBarang, ditebak dari nama barang
+const RESTOCK_JENIS = ["KALUNG", "LIONTIN", "ANTING", "CINCIN", "GELANG", "GIWANG"];
+
+function daysSince(date, today) {
+  return date ? Math.max(0, Math.floor((today - date) / DAY_MS)) : null;
+}
+
+function latest(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+function normalizeThresholds(values = {}) {
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  Object.keys(DEFAULT_THRESHOLDS).forEach((key) => {
+    const value = parseInt(values[key]);
+    if (value > 0) thresholds[key] = value;
+  });
+  // Periode minimal sepanjang batas dead stock, supaya barang tanpa pergerakan pasti terdeteksi
+  thresholds.periode = Math.max(thresholds.periode, thresholds.dead);
+  thresholds.slow = Math.min(thresholds.slow, thresholds.dead);
+  return thresholds;
+}
+
+function getStatus({ stokAkhir, hariDiam }, thresholds) {
+  if (stokAkhir <= 0) return "habis";
+  // Tanpa pergerakan sepanjang periode = diam minimal sepanjang periode
+  const diam = hariDiam ?? thresholds.periode;
+  if (diam >= thresholds.dead) return "dead";
+  if (diam >= thresholds.slow) return "slow";
+  return "normal";
+}
+
+/**
+ * Baris analisis per kode
+ * @param {Array<{kode, nama, kategori}>} items - Master barang
+ * @param {Object} data - { stokAwal: Map, stokAkhir: Map, movements: Map } hasil loadMovements / StockService
+ * @param {Object} thresholds - Hasil normalizeThresholds
+ * @param {Date} today
+ */
+function buildAgingRows(items, { stokAwal, stokAkhir, movements }, thresholds, today = new Date()) {
+  return items
+    .map((item) => {
+      const movement = movements.get(item.kode) || { summary: createEmptyStockSummary() };
+      const awal = stokAwal.get(item.kode) || 0;
+      const akhir = stokAkhir.get(item.kode) || 0;
+      const terjual = SALE_COLUMNS.reduce((total, column) => total + (movement.summary[column] || 0), 0);
+      const masuk = movement.summary.tambahStok || 0;
+      const rataJualHarian = terjual / thresholds.periode;
+      const rataStok = (Math.max(awal, 0) + Math.max(akhir, 0)) / 2;
+
+      const row = {
+        kode: item.kode,
+        nama: item.nama || "-",
+        kategori: item.kategori || "lainnya",
+        kadar: item.kadar || "",
+        stokAwal: awal,
+        masuk,
+        terjual,
+        stokAkhir: akhir,
+        lastJual: movement.lastJual || null,
+        lastTambah: movement.lastTambah || null,
+        hariTanpaJual: daysSince(movement.lastJual, today),
+        hariDiam: daysSince(latest(movement.lastJual, movement.lastTambah), today),
+        daysOnHand: rataJualHarian > 0 ? Math.round(Math.max(akhir, 0) / rataJualHarian) : null,
+        sellThrough: awal + masuk > 0 ? (terjual / (awal + masuk)) * 100 : 0,
+        turnover: rataStok > 0 ? terjual / rataStok : 0,
+      };
+      row.status = getStatus(row, thresholds);
+      row.perluRestok = terjual > 0 && row.daysOnHand !== null && row.daysOnHand < thresholds.restok;
+      // Jumlah supaya stok cukup untuk thresholds.restok hari penjualan
+      row.saranRestok = Math.max(Math.ceil(rataJualHarian * thresholds.restok) - Math.max(akhir, 0), 1);
+      return row;
+    })
+    .filter((row) => row.stokAkhir > 0 || row.terjual > 0 || row.masuk > 0);
+}
+
+/**
+ * Ringkasan per kategori: total stok, terjual, sell-through, turnover dan jumlah kode per status
+ */
+function summarizeByKategori(rows) {
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    if (!groups.has(row.kategori)) {
+      groups.set(row.kategori, {
+        kategori: row.kategori,
+        kode: 0,
+        stokAwal: 0,
+        masuk: 0,
+        terjual: 0,
+        stokAkhir: 0,
+        dead: 0,
+        slow: 0,
+      });
+    }
+    const group = groups.get(row.kategori);
+    group.kode++;
+    ["stokAwal", "masuk", "terjual", "stokAkhir"].forEach((field) => (group[field] += row[field]));
+    if (row.status === "dead" || row.status === "slow") group[row.status]++;
+  });
+
+  return [...groups.values()]
+    .map((group) => {
+      const rataStok = (Math.max(group.stokAwal, 0) + Math.max(group.stokAkhir, 0)) / 2;
+      return {
+        ...group,
+        sellThrough: group.stokAwal + group.masuk > 0 ? (group.terjual / (group.stokAwal + group.masuk)) * 100 : 0,
+        turnover: rataStok > 0 ? group.terjual / rataStok : 0,
+      };
+    })
+    .sort((a, b) => a.kategori.localeCompare(b.kategori));
+}
+
+function guessRestockJenis(row) {
+  const nama = row.nama.toUpperCase();
+  return RESTOCK_JENIS.find((jenis) => nama.includes(jenis)) || row.kategori.toUpperCase();
+}
+
+const StockAgingService = {
+  DEFAULT_THRESHOLDS,
+  AGING_STATUS,
+  SALE_COLUMNS,
+
+  normalizeThresholds,
+  buildAgingRows,
+  summarizeByKategori,
+  guessRestockJenis,
+
+  /**
+   * Ringkasan ledger per kode dalam rentang: kolom laporan, tanggal laku & tambah stok terakhir
+   * @returns {Promise<Map<string, {summary: Object, lastJual: Date|null, lastTambah: Date|null}>>}
+   */
+  async loadMovements(start, end, cabang = BranchService.getCurrentCabang()) {
+    const snapshot = await getDocs(
+      query(
+        collection(firestore, LEDGER_COLLECTION),
+        where("timestamp", ">=", Timestamp.fromDate(start)),
+        where("timestamp", "<=", Timestamp.fromDate(end))
+      )
+    );
+
+    const movements = new Map();
+    snapshot.forEach((ledgerDoc) => {
+      const data = ledgerDoc.data();
+      const type = getStockTransactionType(data.jenis);
+      if (!type || !BranchService.matchesCabang(data, cabang)) return;
+
+      if (!movements.has(data.kode)) {
+        movements.set(data.kode, { summary: createEmptyStockSummary(), lastJual: null, lastTambah: null });
+      }
+      const movement = movements.get(data.kode);
+      addToStockSummary(movement.summary, data);
+
+      // Tanggal terakhir hanya dari transaksi asli, bukan pembaliknya (void)
+      const date = toDate(data.timestamp);
+      if (type.reportSign === -1 || !date) return;
+      if (SALE_COLUMNS.includes(type.reportColumn)) movement.lastJual = latest(movement.lastJual, date);
+      if (type.reportColumn === "tambahStok") movement.lastTambah = latest(movement.lastTambah, date);
+    });
+
+    return movements;
+  },
+
+  /**
+   * Analisis lengkap untuk master barang di satu cabang
+   * @param {Array<{kode, nama, kategori}>} items
+   * @param {Object} thresholds - Sebagian DEFAULT_THRESHOLDS
+   * @param {string} cabang - ALL_CABANG untuk gabungan semua cabang
+   * @returns {Promise<{rows: Array, kategori: Array, thresholds: Object}>}
+   */
+  async analyze(items, thresholds = {}, cabang = BranchService.getCurrentCabang()) {
+    const normalized = normalizeThresholds(thresholds);
+    const today = new Date();
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - normalized.periode);
+    const startEnd = new Date(start.getTime() - 1);
+    const kodeList = items.map((item) => item.kode);
+
+    const [stokAwal, stokAkhir, movements] = await Promise.all([
+      StockService.calculateAllStocksBatch(startEnd, kodeList, { cabang }),
+      StockService.calculateAllStocksBatch(today, kodeList, { cabang }),
+      this.loadMovements(start, today, cabang),
+    ]);
+
+    const rows = buildAgingRows(items, { stokAwal, stokAkhir, movements }, normalized, today);
+    console.log(`⏳ Analisis umur stok: ${rows.length} kode, periode ${normalized.periode} hari`);
+    return { rows, kategori: summarizeByKategori(rows), thresholds: normalized };
+  },
+
+  /**
+   * Barang yang masih menunggu restok (restokBarang status perlu) per kode di satu cabang
+   * @returns {Promise<Map<string, {jumlah: number, tanpaJumlah: boolean}>>} tanpaJumlah = ada entri tanpa jumlah
+   */
+  async loadOpenRestock(cabang = BranchService.getCurrentCabang()) {
+    const snapshot = await getDocs(query(collection(firestore, RESTOCK_COLLECTION), where("status", "==", "perlu")));
+    const openRestock = new Map();
+
+    snapshot.docs
+      .map((restokDoc) => restokDoc.data())
+      .filter((data) => data.kode && BranchService.matchesCabang(data, cabang))
+      .forEach((data) => {
+        const current = openRestock.get(data.kode) || { jumlah: 0, tanpaJumlah: false };
+        const jumlah = Number(data.jumlah);
+        if (Number.isFinite(jumlah) && jumlah > 0) current.jumlah += jumlah;
+        else current.tanpaJumlah = true;
+        openRestock.set(data.kode, current);
+      });
+
+    return openRestock;
+  },
+
+  /**
+   * Masukkan barang ke daftar "perlu restok" di restokBarang (field sama dengan draft reorder yang disetujui)
+   * Kode yang masih punya entri restok terbuka di cabang tersebut dilewati.
+   * @param {Array} rows - Baris hasil analisis
+   * @param {string} cabang - Cabang analisis; ALL_CABANG ditulis ke cabang user
+   * @returns {Promise<{dibuat: number, dilewati: number}>}
+   */
+  async createRestockRequests(rows, cabang = BranchService.getCurrentCabang()) {
+    if (cabang === BranchService.ALL_CABANG) cabang = BranchService.getCurrentCabang();
+
+    const tanggal = formatDateKey();
+    const openRestock = await this.loadOpenRestock(cabang);
+    const newRows = rows.filter((row) => !openRestock.has(row.kode));
+    const batch = writeBatch(firestore);
+
+    newRows.forEach((row) => {
+      const jumlah = row.saranRestok;
+      batch.set(doc(collection(firestore, RESTOCK_COLLECTION)), {
+        tanggal,
+        jenis: guessRestockJenis(row),
+        // Jumlah ikut di nama supaya terbawa ke pesan WhatsApp dan PDF supplier
+        nama: `${row.nama} (${row.kode}) - ${jumlah} pcs`,
+        kadar: row.kadar,
+        berat: "",
+        panjang: "",
+        status: "perlu",
+        kode: row.kode,
+        jumlah,
+        cabang,
+        sumber: "analisisStok",
+        createdBy: BranchService.getCurrentUser()?.username || "",
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      });
+    });
+
+    if (newRows.length > 0) await batch.commit();
+    const dilewati = rows.length - newRows.length;
+    console.log(`🛒 ${newRows.length} barang masuk daftar restok dari analisis stok, ${dilewati} sudah ada`);
+    return { dibuat: newRows.length, dilewati };
+  },
+};
+
+// Export untuk ES6 modules
+export default StockAgingService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.StockAgingService = StockAgingService;
+}
@@ -5,71 +5,496 @@
 
 import {
   collection,
-  addDoc,
+  doc,
+  getDoc,
   getDocs,
   query,
   where,
   orderBy,
-  limit,
+  runTransaction,
   serverTimestamp,
+  setDoc,
   Timestamp,
+  writeBatch,
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
 import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import AuditService from "./auditService.js";
+import {
+  applyStockTransaction,
+  addToStockSummary,
+  createEmptyStockSummary,
+  isKnownStockTransactionType,
+  validateStockTransaction,
+} from "./stockTransactionTypes.js";
+
+const LEDGER_COLLECTION = "stokAksesorisTransaksi";
+const BALANCE_COLLECTION = "stokAksesoris";
+const CHECKPOINT_COLLECTION = "stokCheckpoint";
+const CHECKPOINT_PERIODE_COLLECTION = "stokCheckpointPeriode";
+const TRANSFER_COLLECTION = "transferCabang";
+
+// Checkpoint dicari mundur maksimal 12 bulan sebelum jatuh ke replay penuh
+const CHECKPOINT_LOOKBACK_MONTHS = 12;
+const CHECKPOINT_CHECKSUM_PREFIX = "melati-stok-checkpoint-v1";
+
+// Periode checkpoint "YYYY-MM" (waktu lokal toko)
+function toPeriode(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+function getPeriodeEnd(periode) {
+  const [year, month] = periode.split("-").map(Number);
+  return new Date(year, month, 0, 23, 59, 59, 999);
+}
+
+function shiftPeriode(periode, months) {
+  const [year, month] = periode.split("-").map(Number);
+  return toPeriode(new Date(year, month - 1 + months, 1));
+}
+
+// Checkpoint cabang utama memakai id dan checksum lama supaya checkpoint yang sudah ada tetap valid
+function getCheckpointId(periode, cabang, kode) {
+  const kodeId = String(kode).replace(/\//g, "-");
+  return cabang === BranchService.DEFAULT_CABANG ? `${periode}_${kodeId}` : `${periode}_${cabang}_${kodeId}`;
+}
+
+/**
+ * Checksum SHA-256 dokumen checkpoint (disimpan di field `signature`)
+ * Hanya mendeteksi dokumen yang rusak atau diedit tanpa memperbarui checksum. Prefix-nya ada di kode sumber, jadi
+ * siapa pun yang bisa menulis checkpoint juga bisa membuat checksum yang cocok; kebenaran stok tetap diverifikasi
+ * lewat replay ledger di verifyCheckpoints.
+ */
+async function checksumCheckpoint({ kode, cabang, periode, stokAkhir }) {
+  const scope = cabang === BranchService.DEFAULT_CABANG ? kode : `${kode}|${cabang}`;
+  const payload = new TextEncoder().encode(`${CHECKPOINT_CHECKSUM_PREFIX}|${scope}|${periode}|${stokAkhir}`);
+  const hash = await crypto.subtle.digest("SHA-256", payload);
+  return Array.from(new Uint8Array(hash))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// Kunci stok per cabang + kode
+function toStockKey(cabang, kode) {
+  return `${cabang}|${kode}`;
+}
+
+function fromStockKey(key) {
+  const index = key.indexOf("|");
+  return { cabang: key.slice(0, index), kode: key.slice(index + 1) };
+}
+
+/**
+ * Saldo cabang utama tetap di field lama (stokAkhir, ledgerSynced) supaya data dan pembaca lama tetap jalan.
+ * Saldo cabang lain disimpan di map stokCabang.<cabang> pada dokumen stokAksesoris yang sama.
+ */
+function readBranchBalance(data, cabang) {
+  if (!data) return null;
+
+  if (cabang === BranchService.DEFAULT_CABANG) {
+    return { stokAkhir: data.stokAkhir || 0, ledgerSynced: !!data.ledgerSynced };
+  }
+
+  const node = data.stokCabang?.[cabang];
+  return node ? { stokAkhir: node.stokAkhir || 0, ledgerSynced: !!node.ledgerSynced } : null;
+}
+
+function buildBranchBalance(kode, cabang, fields) {
+  if (cabang === BranchService.DEFAULT_CABANG) {
+    return { kode, ...fields };
+  }
+  return { kode, stokCabang: { [cabang]: fields } };
+}
+
+// Id dokumen saldo stokAksesoris untuk kode baru (dokumen lama memakai id acak, tetap dipakai jika sudah ada)
+function getBalanceDocId(kode) {
+  return encodeURIComponent(kode);
+}
+
+// Saldo cabang ternyata belum disinkronkan saat transaksi berjalan; cukup diulang (resolveBalance menyinkronkan)
+function createUnsyncedBalanceError(kode, cabang) {
+  const error = new Error(`Saldo ${kode} di ${BranchService.getCabangName(cabang)} belum sinkron, ulangi transaksi`);
+  error.code = "stale-stock";
+  error.kode = kode;
+  return error;
+}
+
+function createStaleStockError(kode, expected, actual) {
+  const error = new Error(
+    `Stok ${kode} sudah berubah (tercatat ${actual}, form ${expected}). Muat ulang data stok lalu ulangi transaksi.`
+  );
+  error.code = "stale-stock";
+  error.kode = kode;
+  error.expected = expected;
+  error.actual = actual;
+  return error;
+}
+
+function createInsufficientStockError(kode, cabang, available, requested) {
+  const error = new Error(
+    `Stok ${kode} di ${BranchService.getCabangName(cabang)} tidak cukup (tersedia ${available}, diminta ${requested})`
+  );
+  error.code = "insufficient-stock";
+  error.kode = kode;
+  error.cabang = cabang;
+  return error;
+}
 
 const StockService = {
+  // Cache ref dokumen saldo stokAksesoris per kode (dokumen lama ber-id acak, satu dokumen untuk semua cabang)
+  balanceRefs: new Map(),
+
+  // Cache status periode checkpoint (true = lengkap, false = belum ada)
+  checkpointPeriodes: new Map(),
+
   /**
-   * Update stock - Universal method dengan feature flag support
+   * Update stock - satu transaksi ledger, ditulis atomik bersama saldo stokAksesoris
    * @param {Object} stockData - Data transaksi stok
    */
   async updateStock(stockData) {
-    const {
-      kode,
-      jenis,
-      jumlah,
-      keterangan = "",
-      sales = "",
-      kodeTransaksi = "",
-      tanggal = null,
-      currentStock = null,
-      newStock = null,
-    } = stockData;
+    const [result] = await this.updateStocks([stockData]);
+    return result;
+  },
 
+  /**
+   * Tulis beberapa transaksi ledger + saldo per kode dalam SATU Firestore transaction.
+   * Jika `currentStock` diisi dan tidak sama dengan saldo tercatat, seluruh transaksi ditolak (error.code = "stale-stock").
+   * Jenis transaksi harus terdaftar di stockTransactionTypes.js (error.code = "unknown-stock-type").
+   * Entry tanpa `cabang` ditulis ke cabang user yang sedang login.
+   * `timestamp` (Timestamp) hanya diisi untuk transaksi yang terjadi lebih dulu, mis. penjualan offline yang baru disinkronkan.
+   * @param {Object[]} entries - Daftar data transaksi stok ({ kode, jenis, jumlah, cabang, currentStock, newStock, requireStock, ... })
+   * @param {Object} options
+   * @param {{ref: Object, data?: Object, remove?: boolean, update?: boolean, merge?: boolean, audit?: Object}[]} options.writes - Dokumen lain yang ikut ditulis/dihapus atomik (mis. dokumen penjualan).
+   *   `update` mengubah sebagian field dokumen yang sudah ada (mis. catatan void penjualan).
+   *   `merge` menggabungkan data ke dokumen yang mungkin belum ada (mis. increment ringkasan penjualan harian).
+   *   `audit` ({ before, authorizedBy, keterangan, action }) mencatat mutasi ke auditLog dalam transaksi yang sama.
+   * @param {Function} options.precondition - async (transaction) => writes tambahan. Dijalankan di awal transaksi (ikut
+   *   diulang saat transaksi retry) untuk membaca dokumen lain dengan transaction.get; lempar error untuk membatalkan.
+   *   Dipakai jika keputusan bergantung pada data terbaru, mis. penjualan offline yang ternyata sudah tersinkron.
+   * @returns {Promise<Object[]>} { id, kode, cabang, jenis, stokSebelum, stokSesudah } per entry
+   */
+  async updateStocks(entries, { writes = [], precondition = null } = {}) {
     try {
-      console.log(`📝 StockService.updateStock: ${kode} - ${jenis} - ${jumlah}`);
-
-      // ✅ Log to transaction (single source of truth)
-      const transactionData = {
-        kode,
-        jenis,
-        jumlah,
-        timestamp: serverTimestamp(),
-        keterangan,
-        sales,
-      };
+      const currentCabang = BranchService.getCurrentCabang();
+      entries = entries.map((entry) => ({ ...entry, cabang: entry.cabang || currentCabang }));
+
+      // Tolak jenis tidak terdaftar / field wajib kosong sebelum menyentuh Firestore
+      entries.forEach((entry) => validateStockTransaction(entry));
+
+      const stockKeys = [...new Set(entries.map((entry) => toStockKey(entry.cabang, entry.kode)))];
+
+      // Berurutan: kode yang sama di dua cabang harus memakai ref dokumen stokAksesoris yang sama
+      const balances = [];
+      for (const key of stockKeys) {
+        const { cabang, kode } = fromStockKey(key);
+        balances.push(await this.resolveBalance(kode, cabang));
+      }
+
+      const results = await runTransaction(firestore, async (transaction) => {
+        // Firestore transaction: semua read harus sebelum write (satu dokumen bisa dibaca untuk beberapa cabang)
+        const extraWrites = precondition ? (await precondition(transaction)) || [] : [];
+        const snapshots = await Promise.all(balances.map((balance) => transaction.get(balance.ref)));
+
+        const runningStock = new Map();
+
+        snapshots.forEach((snapshot, index) => {
+          const { kode, cabang } = balances[index];
+          const balance = readBranchBalance(snapshot.exists() ? snapshot.data() : null, cabang);
+          if (!balance?.ledgerSynced) throw createUnsyncedBalanceError(kode, cabang);
+          runningStock.set(stockKeys[index], balance.stokAkhir);
+        });
+
+        const entryResults = entries.map((entry) => {
+          const {
+            kode,
+            cabang,
+            jenis,
+            jumlah,
+            keterangan = "",
+            sales = "",
+            kodeTransaksi = "",
+            tanggal = null,
+            timestamp = null,
+            currentStock = null,
+            newStock = null,
+            requireStock = false,
+            cabangLawan = "",
+            referensiTransaksi = [],
+          } = entry;
+
+          const key = toStockKey(cabang, kode);
+          const stokSebelum = runningStock.get(key);
+
+          if (currentStock !== null && currentStock !== stokSebelum) {
+            throw createStaleStockError(kode, currentStock, stokSebelum);
+          }
+
+          const stokSesudah = applyStockTransaction(stokSebelum, { jenis, jumlah, stokSesudah: newStock });
+
+          if (requireStock && stokSesudah < 0) {
+            throw createInsufficientStockError(kode, cabang, stokSebelum, jumlah);
+          }
+
+          // ✅ Log to transaction (single source of truth)
+          const transactionData = {
+            kode,
+            cabang,
+            jenis,
+            jumlah,
+            timestamp: timestamp || serverTimestamp(),
+            keterangan,
+            sales,
+            stokSebelum,
+            stokSesudah,
+          };
+
+          // Add optional fields
+          if (kodeTransaksi) transactionData.kodeTransaksi = kodeTransaksi;
+          if (tanggal) transactionData.tanggal = tanggal;
+          if (cabangLawan) transactionData.cabangLawan = cabangLawan;
+          if (referensiTransaksi.length > 0) transactionData.referensiTransaksi = referensiTransaksi;
+
+          const ledgerRef = doc(collection(firestore, LEDGER_COLLECTION));
+          transaction.set(ledgerRef, transactionData);
+          runningStock.set(key, stokSesudah);
+
+          return { id: ledgerRef.id, kode, cabang, jenis, stokSebelum, stokSesudah };
+        });
+
+        balances.forEach((balance, index) => {
+          const key = stockKeys[index];
+          const lastEntry = entryResults.filter((result) => toStockKey(result.cabang, result.kode) === key).pop();
+
+          transaction.set(
+            balance.ref,
+            buildBranchBalance(balance.kode, balance.cabang, {
+              stokAkhir: runningStock.get(key),
+              ledgerSynced: true,
+              lastTransaksiId: lastEntry.id,
+              lastUpdate: serverTimestamp(),
+            }),
+            { merge: true }
+          );
+        });
+
+        const allWrites = [...writes, ...extraWrites];
+        allWrites.forEach(({ ref, data, remove = false, update = false, merge = false, audit = null }) => {
+          if (remove) {
+            transaction.delete(ref);
+          } else if (update) {
+            transaction.update(ref, data);
+          } else if (merge) {
+            transaction.set(ref, data, { merge: true });
+          } else {
+            transaction.set(ref, data);
+          }
+
+          if (audit) {
+            let after = data;
+            if (remove) after = null;
+            else if (update) after = { ...audit.before, ...data };
+
+            AuditService.record(transaction, {
+              ...audit,
+              collection: ref.parent.id,
+              docId: ref.id,
+              action: audit.action || (remove ? "delete" : update ? "update" : "create"),
+              after,
+            });
+          }
+        });
+
+        return entryResults;
+      });
+
+      results.forEach((result) => {
+        console.log(
+          `✅ Transaction saved: ${result.id} (${result.cabang}/${result.kode} - ${result.jenis}: ${result.stokSebelum} → ${result.stokSesudah})`
+        );
+      });
+
+      await this.rebuildBackdatedCheckpoints(entries);
+      return results;
+    } catch (error) {
+      console.error("❌ StockService.updateStocks error:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Transaksi bertanggal mundur (mis. penjualan offline) yang jatuh di periode yang sudah di-checkpoint:
+   * hitung ulang checkpoint kode × cabang tersebut mulai dari periode transaksi
+   */
+  async rebuildBackdatedCheckpoints(entries) {
+    const currentPeriode = toPeriode(new Date());
+    const earliest = new Map();
+
+    entries.forEach(({ kode, cabang, timestamp }) => {
+      const date = timestamp?.toDate ? timestamp.toDate() : null;
+      if (!date || toPeriode(date) >= currentPeriode) return;
+
+      const key = toStockKey(cabang, kode);
+      if (!earliest.has(key) || date < earliest.get(key)) earliest.set(key, date);
+    });
+
+    // Ledger sudah tertulis; checkpoint yang gagal dihitung ulang tetap bisa diperbaiki lewat verifikasi checkpoint
+    for (const [key, date] of earliest) {
+      const { cabang, kode } = fromStockKey(key);
+      await this.rebuildCheckpointsForKode(kode, cabang, date).catch((error) =>
+        console.warn(`⚠️ Checkpoint ${cabang}/${kode} not rebuilt after backdated transaction:`, error)
+      );
+    }
+  },
+
+  /**
+   * Hapus satu transaksi ledger dan kembalikan saldo stokAksesoris secara atomik
+   * @param {string} transactionId - ID dokumen stokAksesorisTransaksi
+   * @returns {Promise<Object|null>} { kode, stokSebelum, stokSesudah } atau null jika tidak ditemukan
+   */
+  async removeTransaction(transactionId) {
+    try {
+      const ledgerRef = doc(firestore, LEDGER_COLLECTION, transactionId);
+      const ledgerSnapshot = await getDoc(ledgerRef);
+
+      if (!ledgerSnapshot.exists()) {
+        console.warn(`⚠️ Stock transaction not found: ${transactionId}`);
+        return null;
+      }
+
+      const { kode } = ledgerSnapshot.data();
+      const cabang = BranchService.getCabangOf(ledgerSnapshot.data());
+      const balance = await this.resolveBalance(kode, cabang);
+
+      const result = await runTransaction(firestore, async (transaction) => {
+        const [entrySnapshot, balanceSnapshot] = await Promise.all([
+          transaction.get(ledgerRef),
+          transaction.get(balance.ref),
+        ]);
+
+        if (!entrySnapshot.exists()) return null;
 
-      // Add optional fields
-      if (kodeTransaksi) transactionData.kodeTransaksi = kodeTransaksi;
-      if (tanggal) transactionData.tanggal = tanggal;
-      if (currentStock !== null) transactionData.stokSebelum = currentStock;
-      if (newStock !== null) transactionData.stokSesudah = newStock;
+        const entry = entrySnapshot.data();
+        if (entry.jenis === "adjustment") {
+          throw new Error(`Transaksi adjustment ${transactionId} tidak bisa dihapus, buat adjustment baru`);
+        }
+
+        const balanceData = readBranchBalance(balanceSnapshot.exists() ? balanceSnapshot.data() : null, cabang);
+        if (!balanceData?.ledgerSynced) throw createUnsyncedBalanceError(kode, cabang);
+        const stokSebelum = balanceData.stokAkhir;
+        const stokSesudah = stokSebelum - applyStockTransaction(0, entry);
 
-      const transactionRef = await addDoc(collection(firestore, "stokAksesorisTransaksi"), transactionData);
+        transaction.delete(ledgerRef);
+        AuditService.record(transaction, {
+          collection: LEDGER_COLLECTION,
+          docId: transactionId,
+          action: "delete",
+          before: entry,
+          keterangan: `Saldo ${kode}: ${stokSebelum} → ${stokSesudah}`,
+        });
+        transaction.set(
+          balance.ref,
+          buildBranchBalance(kode, cabang, {
+            stokAkhir: stokSesudah,
+            ledgerSynced: true,
+            lastUpdate: serverTimestamp(),
+          }),
+          { merge: true }
+        );
+
+        console.log(`🗑️ Transaction removed: ${transactionId} (${cabang}/${kode}: ${stokSebelum} → ${stokSesudah})`);
+        return { kode, stokSebelum, stokSesudah, timestamp: entry.timestamp };
+      });
 
-      console.log(`✅ Transaction saved: ${transactionRef.id} (${kode} - ${jenis})`);
+      // Transaksi di periode yang sudah di-checkpoint: hitung ulang checkpoint kode tersebut
+      const entryDate = result?.timestamp?.toDate ? result.timestamp.toDate() : null;
+      if (entryDate && toPeriode(entryDate) < toPeriode(new Date())) {
+        await this.rebuildCheckpointsForKode(kode, cabang, entryDate);
+      }
 
-      return transactionRef;
+      return result;
     } catch (error) {
-      console.error("❌ StockService.updateStock error:", error);
+      console.error("❌ StockService.removeTransaction error:", error);
       throw error;
     }
   },
 
+  /**
+   * Ref dokumen saldo stokAksesoris untuk kode yang belum punya dokumen (id = kode)
+   * Dipakai juga saat kode baru dibuat, supaya dua perangkat tidak membuat dua dokumen saldo untuk kode yang sama.
+   */
+  getBalanceRef(kode) {
+    return doc(firestore, BALANCE_COLLECTION, getBalanceDocId(kode));
+  },
+
+  /**
+   * Cari dokumen saldo stokAksesoris untuk kode dan pastikan saldo cabang sudah sinkron dengan ledger.
+   * Saldo cabang yang belum pernah disinkronkan dihitung dari ledger lalu ditulis dalam transaksi terpisah yang
+   * hanya menulis jika saldo masih belum sinkron, sehingga transaksi stok berikutnya cukup membaca saldo tercatat.
+   * @returns {Promise<{kode, cabang, ref}>}
+   */
+  async resolveBalance(kode, cabang = BranchService.getCurrentCabang()) {
+    let ref = this.balanceRefs.get(kode);
+
+    if (!ref) {
+      const snapshot = await getDocs(query(collection(firestore, BALANCE_COLLECTION), where("kode", "==", kode)));
+      const deterministicRef = this.getBalanceRef(kode);
+
+      // Dokumen ber-id kode diutamakan; dokumen lama ber-id acak dipilih urut id supaya semua perangkat sama
+      const existing =
+        snapshot.docs.find((balanceDoc) => balanceDoc.id === deterministicRef.id) ||
+        [...snapshot.docs].sort((a, b) => a.id.localeCompare(b.id))[0];
+      if (!existing) {
+        console.warn(`⚠️ Dokumen stokAksesoris untuk ${kode} tidak ditemukan, membuat dokumen saldo baru`);
+      }
+
+      ref = existing ? existing.ref : deterministicRef;
+      this.balanceRefs.set(kode, ref);
+    }
+
+    const snapshot = await getDoc(ref);
+    const balance = readBranchBalance(snapshot.exists() ? snapshot.data() : null, cabang);
+    if (!balance?.ledgerSynced) {
+      await this.syncBalance(ref, kode, cabang);
+    }
+
+    return { kode, cabang, ref };
+  },
+
+  /**
+   * Tulis saldo cabang dari hitung ledger, hanya jika saldo tersebut masih belum sinkron.
+   * Semua transaksi stok menulis saldo setelah sinkron, jadi saldo yang sudah sinkron tidak pernah ditimpa.
+   */
+  async syncBalance(ref, kode, cabang) {
+    const ledgerStock = await this.calculateStockFromTransactions(kode, new Date(), { cabang });
+
+    const synced = await runTransaction(firestore, async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      if (readBranchBalance(snapshot.exists() ? snapshot.data() : null, cabang)?.ledgerSynced) return false;
+
+      transaction.set(
+        ref,
+        buildBranchBalance(kode, cabang, { stokAkhir: ledgerStock, ledgerSynced: true, lastUpdate: serverTimestamp() }),
+        { merge: true }
+      );
+      return true;
+    });
+
+    if (synced) console.log(`🔄 Saldo ${cabang}/${kode} disinkronkan dari ledger: ${ledgerStock}`);
+  },
+
   /**
    * Calculate stock dari transaction log (NEW SYSTEM)
-   * Single source of truth
+   * Single source of truth: checkpoint bulan terakhir + delta transaksi setelahnya
    * Requires composite index: (kode, timestamp)
+   * @param {Object} options
+   * @param {boolean} options.useCheckpoint - false untuk replay penuh dari awal (dipakai verifier)
+   * @param {string} options.cabang - Cabang yang dihitung, BranchService.ALL_CABANG untuk gabungan
    */
-  async calculateStockFromTransactions(kode, upToDate = new Date()) {
+  async calculateStockFromTransactions(
+    kode,
+    upToDate = new Date(),
+    { useCheckpoint = true, cabang = BranchService.getCurrentCabang() } = {}
+  ) {
     try {
       // Validate firestore
       if (!firestore) {
@@ -79,48 +504,36 @@ const StockService = {
       const endOfDay = new Date(upToDate);
       endOfDay.setHours(23, 59, 59, 999);
 
-      // ✅ Query all transactions up to date
+      const checkpoint = useCheckpoint ? await this.getCheckpoint(kode, cabang, endOfDay) : null;
+      const constraints = [where("kode", "==", kode)];
+      if (checkpoint) {
+        constraints.push(where("timestamp", ">", Timestamp.fromDate(checkpoint.tanggal)));
+      }
+
+      // ✅ Query transactions after checkpoint (or from the beginning) up to date
       const transactions = await getDocs(
         query(
-          collection(firestore, "stokAksesorisTransaksi"),
-          where("kode", "==", kode),
+          collection(firestore, LEDGER_COLLECTION),
+          ...constraints,
           where("timestamp", "<=", Timestamp.fromDate(endOfDay)),
           orderBy("timestamp", "asc")
         )
       );
 
-      let stock = 0;
+      let stock = checkpoint ? checkpoint.stokAkhir : 0;
       let transactionCount = 0;
 
       transactions.forEach((doc) => {
         const data = doc.data();
-        const jumlah = data.jumlah || 0;
-
-        switch (data.jenis) {
-          case "tambah":
-          case "stockAddition":
-          case "initialStock": // ✅ Handle initial stock
-            stock += jumlah;
-            break;
-
-          case "laku":
-          case "free":
-          case "gantiLock":
-          case "return":
-            stock -= jumlah;
-            break;
-
-          case "adjustment":
-            // Handle manual adjustments
-            stock = data.stokSesudah || stock;
-            break;
-        }
+        if (!BranchService.matchesCabang(data, cabang)) return;
+
+        stock = applyStockTransaction(stock, { ...data, jumlah: data.jumlah || 0 });
         transactionCount++;
       });
 
       // Warning if stock is negative
       if (stock < 0) {
-        console.warn(`⚠️ Negative stock for ${kode}: ${stock} (${transactionCount} transactions)`);
+        console.warn(`⚠️ Negative stock for ${kode} (${cabang}): ${stock} (${transactionCount} transactions)`);
       }
 
       return stock;
@@ -132,64 +545,26 @@ const StockService = {
   },
 
   /**
-   * Calculate ALL stocks in batch (OPTIMIZED - 99% faster!)
+   * Calculate ALL stocks in batch: checkpoint bulan terakhir + delta transaksi setelahnya
    * Query once, calculate all in-memory
+   * @param {Object} options
+   * @param {string} options.cabang - Cabang yang dihitung, BranchService.ALL_CABANG untuk gabungan semua cabang
+   * @returns {Promise<Map<string, number>>} kode → stok
    */
-  async calculateAllStocksBatch(upToDate = new Date(), kodeList = []) {
+  async calculateAllStocksBatch(
+    upToDate = new Date(),
+    kodeList = [],
+    { useCheckpoint = true, cabang = BranchService.getCurrentCabang() } = {}
+  ) {
     try {
-      if (!firestore) {
-        throw new Error("Firestore is not initialized");
-      }
-
       const startTime = performance.now();
-      const endOfDay = new Date(upToDate);
-      endOfDay.setHours(23, 59, 59, 999);
-
-      // ✅ Single query for ALL transactions
-      const transactions = await getDocs(
-        query(collection(firestore, "stokAksesorisTransaksi"), where("timestamp", "<=", Timestamp.fromDate(endOfDay)))
-      );
-
-      console.log(
-        `📦 Batch query: ${transactions.size} transactions in ${(performance.now() - startTime).toFixed(0)}ms`
-      );
+      const branchStocks = await this.calculateBranchStocks(upToDate, { useCheckpoint });
 
-      // ✅ Group and calculate in-memory (fast!)
       const stockMap = new Map();
-      const transactionsByKode = new Map();
-
-      transactions.forEach((doc) => {
-        const data = doc.data();
-        const kode = data.kode;
-        const jumlah = data.jumlah || 0;
-
-        // Initialize if not exists
-        if (!stockMap.has(kode)) {
-          stockMap.set(kode, 0);
-          transactionsByKode.set(kode, []);
-        }
-
-        // Track transactions for this kode
-        transactionsByKode.get(kode).push(data);
-
-        // Calculate stock
-        switch (data.jenis) {
-          case "tambah":
-          case "stockAddition":
-          case "initialStock":
-            stockMap.set(kode, stockMap.get(kode) + jumlah);
-            break;
-
-          case "laku":
-          case "free":
-          case "gantiLock":
-          case "return":
-            stockMap.set(kode, stockMap.get(kode) - jumlah);
-            break;
-
-          case "adjustment":
-            stockMap.set(kode, data.stokSesudah || stockMap.get(kode));
-            break;
+      branchStocks.forEach((stock, key) => {
+        const entry = fromStockKey(key);
+        if (BranchService.matchesCabang(entry, cabang)) {
+          stockMap.set(entry.kode, (stockMap.get(entry.kode) || 0) + stock);
         }
       });
 
@@ -214,10 +589,478 @@ const StockService = {
     }
   },
 
+  /**
+   * Stok semua kode di semua cabang (dasar checkpoint dan laporan gabungan)
+   * @returns {Promise<Map<string, number>>} "cabang|kode" → stok
+   */
+  async calculateBranchStocks(upToDate = new Date(), { useCheckpoint = true } = {}) {
+    if (!firestore) {
+      throw new Error("Firestore is not initialized");
+    }
+
+    const startTime = performance.now();
+    const endOfDay = new Date(upToDate);
+    endOfDay.setHours(23, 59, 59, 999);
+
+    const periode = useCheckpoint ? await this.findCheckpointPeriode(endOfDay) : null;
+    const stockMap = periode ? await this.getCheckpointStocks(periode) : new Map();
+
+    const constraints = [];
+    if (periode) {
+      constraints.push(where("timestamp", ">", Timestamp.fromDate(getPeriodeEnd(periode))));
+    }
+
+    // ✅ Single query for ALL transactions after checkpoint
+    const transactions = await getDocs(
+      query(
+        collection(firestore, LEDGER_COLLECTION),
+        ...constraints,
+        where("timestamp", "<=", Timestamp.fromDate(endOfDay)),
+        orderBy("timestamp", "asc")
+      )
+    );
+
+    console.log(
+      `📦 Batch query: ${transactions.size} transactions${periode ? ` after checkpoint ${periode}` : ""} in ${(
+        performance.now() - startTime
+      ).toFixed(0)}ms`
+    );
+
+    // ✅ Calculate in-memory (fast!)
+    transactions.forEach((doc) => {
+      const data = doc.data();
+      if (!data.kode) return;
+
+      const key = toStockKey(BranchService.getCabangOf(data), data.kode);
+      stockMap.set(key, applyStockTransaction(stockMap.get(key) || 0, { ...data, jumlah: data.jumlah || 0 }));
+    });
+
+    return stockMap;
+  },
+
+  /**
+   * Saldo tercatat satu cabang dari dokumen stokAksesoris (untuk cache lokal halaman)
+   */
+  getBranchStock(data, cabang = BranchService.getCurrentCabang()) {
+    return readBranchBalance(data, cabang)?.stokAkhir || 0;
+  },
+
+  /**
+   * Cari periode checkpoint lengkap terakhir yang berakhir sebelum/pada tanggal
+   * @returns {Promise<string|null>} "YYYY-MM" atau null jika harus replay penuh
+   */
+  async findCheckpointPeriode(upToDate) {
+    let periode = toPeriode(upToDate);
+    if (getPeriodeEnd(periode) > upToDate) {
+      periode = shiftPeriode(periode, -1);
+    }
+
+    for (let i = 0; i < CHECKPOINT_LOOKBACK_MONTHS; i++) {
+      if (await this.isCheckpointPeriodeComplete(periode)) {
+        return periode;
+      }
+      periode = shiftPeriode(periode, -1);
+    }
+
+    return null;
+  },
+
+  async isCheckpointPeriodeComplete(periode) {
+    if (this.checkpointPeriodes.get(periode)) return true;
+
+    const snapshot = await getDoc(doc(firestore, CHECKPOINT_PERIODE_COLLECTION, periode));
+    const complete = snapshot.exists() && snapshot.data().complete === true;
+    this.checkpointPeriodes.set(periode, complete);
+    return complete;
+  },
+
+  /**
+   * Ambil checkpoint satu kode. Kode tanpa dokumen checkpoint di periode lengkap berarti stoknya 0.
+   * Untuk BranchService.ALL_CABANG checkpoint semua cabang dijumlahkan.
+   */
+  async getCheckpoint(kode, cabang, upToDate) {
+    const periode = await this.findCheckpointPeriode(upToDate);
+    if (!periode) return null;
+
+    const snapshot = await getDocs(
+      query(collection(firestore, CHECKPOINT_COLLECTION), where("periode", "==", periode), where("kode", "==", kode))
+    );
+
+    let stokAkhir = 0;
+    snapshot.forEach((checkpointDoc) => {
+      const data = checkpointDoc.data();
+      if (BranchService.matchesCabang(data, cabang)) stokAkhir += data.stokAkhir || 0;
+    });
+
+    return { periode, tanggal: getPeriodeEnd(periode), stokAkhir };
+  },
+
+  /**
+   * @returns {Promise<Map<string, number>>} "cabang|kode" → stokAkhir checkpoint
+   */
+  async getCheckpointStocks(periode) {
+    const snapshot = await getDocs(
+      query(collection(firestore, CHECKPOINT_COLLECTION), where("periode", "==", periode))
+    );
+    const stockMap = new Map();
+    snapshot.forEach((doc) => {
+      const data = doc.data();
+      stockMap.set(toStockKey(BranchService.getCabangOf(data), data.kode), data.stokAkhir || 0);
+    });
+    return stockMap;
+  },
+
+  async buildCheckpointDoc({ kode, cabang, periode, stokAkhir }) {
+    return {
+      kode,
+      cabang,
+      periode,
+      tanggal: Timestamp.fromDate(getPeriodeEnd(periode)),
+      stokAkhir,
+      signature: await checksumCheckpoint({ kode, cabang, periode, stokAkhir }),
+      createdAt: serverTimestamp(),
+    };
+  },
+
+  /**
+   * Buat checkpoint akhir bulan untuk semua kode di semua cabang pada periode "YYYY-MM"
+   */
+  async createMonthlyCheckpoints(periode) {
+    try {
+      const periodeEnd = getPeriodeEnd(periode);
+      if (periodeEnd > new Date()) {
+        throw new Error(`Periode ${periode} belum berakhir`);
+      }
+
+      const stockMap = await this.calculateBranchStocks(periodeEnd);
+      const entries = [...stockMap.entries()].map(([key, stokAkhir]) => ({ ...fromStockKey(key), stokAkhir }));
+
+      // Batch Firestore maksimal 500 operasi
+      for (let i = 0; i < entries.length; i += 400) {
+        const batch = writeBatch(firestore);
+        for (const { kode, cabang, stokAkhir } of entries.slice(i, i + 400)) {
+          batch.set(
+            doc(firestore, CHECKPOINT_COLLECTION, getCheckpointId(periode, cabang, kode)),
+            await this.buildCheckpointDoc({ kode, cabang, periode, stokAkhir })
+          );
+        }
+        await batch.commit();
+      }
+
+      // Periode baru dipakai setelah semua dokumen kode tertulis
+      await setDoc(doc(firestore, CHECKPOINT_PERIODE_COLLECTION, periode), {
+        periode,
+        tanggal: Timestamp.fromDate(periodeEnd),
+        kodeCount: entries.length,
+        complete: true,
+        createdAt: serverTimestamp(),
+      });
+      this.checkpointPeriodes.set(periode, true);
+
+      console.log(`📌 Checkpoint ${periode} created: ${entries.length} kode`);
+      return entries.length;
+    } catch (error) {
+      console.error(`❌ createMonthlyCheckpoints ${periode} error:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Pastikan checkpoint bulan-bulan yang sudah lewat tersedia
+   * Replay penuh ledger, jadi hanya dijalankan untuk user dengan permission stock.adjust (supervisor) saat membuka
+   * laporan stok; user lain memakai checkpoint lengkap terakhir.
+   */
+  async ensureCheckpoints() {
+    const lastPeriode = shiftPeriode(toPeriode(new Date()), -1);
+    const latestPeriode = await this.findCheckpointPeriode(new Date());
+
+    if (latestPeriode === lastPeriode) return;
+
+    // Tanpa checkpoint sama sekali cukup buat bulan terakhir (satu kali replay penuh)
+    let periode = latestPeriode ? shiftPeriode(latestPeriode, 1) : lastPeriode;
+    while (periode <= lastPeriode) {
+      await this.createMonthlyCheckpoints(periode);
+      periode = shiftPeriode(periode, 1);
+    }
+  },
+
+  /**
+   * Verifikasi checkpoint periode terhadap replay penuh transaksi mentah
+   * @param {string} periode - "YYYY-MM"
+   * @param {Object} options
+   * @param {boolean} options.repair - Tulis ulang checkpoint yang tidak cocok
+   * @returns {Promise<Object>} { periode, checked, mismatches: [{ kode, cabang, tercatat, seharusnya, checksumValid }] }
+   */
+  async verifyCheckpoints(periode, { repair = false } = {}) {
+    try {
+      const periodeEnd = getPeriodeEnd(periode);
+      const [checkpointSnapshot, actualMap] = await Promise.all([
+        getDocs(query(collection(firestore, CHECKPOINT_COLLECTION), where("periode", "==", periode))),
+        this.calculateBranchStocks(periodeEnd, { useCheckpoint: false }),
+      ]);
+
+      const mismatches = [];
+      const checkedKeys = new Set();
+
+      for (const checkpointDoc of checkpointSnapshot.docs) {
+        const data = checkpointDoc.data();
+        const cabang = BranchService.getCabangOf(data);
+        const key = toStockKey(cabang, data.kode);
+        const seharusnya = actualMap.get(key) || 0;
+        const checksumValid = data.signature === (await checksumCheckpoint({ ...data, cabang }));
+        checkedKeys.add(key);
+
+        if (data.stokAkhir !== seharusnya || !checksumValid) {
+          mismatches.push({ kode: data.kode, cabang, tercatat: data.stokAkhir, seharusnya, checksumValid });
+        }
+      }
+
+      // Kode dengan stok tapi tanpa dokumen checkpoint
+      actualMap.forEach((seharusnya, key) => {
+        if (!checkedKeys.has(key) && seharusnya !== 0) {
+          mismatches.push({ ...fromStockKey(key), tercatat: null, seharusnya, checksumValid: false });
+        }
+      });
+
+      if (mismatches.length > 0) {
+        console.warn(`⚠️ Checkpoint ${periode}: ${mismatches.length} mismatch`, mismatches);
+      }
+
+      if (repair && mismatches.length > 0) {
+        // Batch Firestore maksimal 500 operasi
+        for (let i = 0; i < mismatches.length; i += 400) {
+          const batch = writeBatch(firestore);
+          for (const { kode, cabang, seharusnya } of mismatches.slice(i, i + 400)) {
+            batch.set(doc(firestore, CHECKPOINT_COLLECTION, getCheckpointId(periode, cabang, kode)), {
+              ...(await this.buildCheckpointDoc({ kode, cabang, periode, stokAkhir: seharusnya })),
+              repairedAt: serverTimestamp(),
+            });
+          }
+          await batch.commit();
+        }
+        console.log(`🔧 Checkpoint ${periode}: ${mismatches.length} kode diperbaiki`);
+      }
+
+      return { periode, checked: checkedKeys.size, mismatches };
+    } catch (error) {
+      console.error(`❌ verifyCheckpoints ${periode} error:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Hitung ulang checkpoint satu kode di satu cabang mulai dari periode tanggal tertentu (setelah transaksi lama dihapus)
+   */
+  async rebuildCheckpointsForKode(kode, cabang, fromDate) {
+    try {
+      const fromPeriode = toPeriode(fromDate);
+      const lastPeriode = shiftPeriode(toPeriode(new Date()), -1);
+
+      for (let periode = fromPeriode; periode <= lastPeriode; periode = shiftPeriode(periode, 1)) {
+        if (!(await this.isCheckpointPeriodeComplete(periode))) continue;
+
+        const stokAkhir = await this.calculateStockFromTransactions(kode, getPeriodeEnd(periode), {
+          useCheckpoint: false,
+          cabang,
+        });
+
+        await setDoc(
+          doc(firestore, CHECKPOINT_COLLECTION, getCheckpointId(periode, cabang, kode)),
+          await this.buildCheckpointDoc({ kode, cabang, periode, stokAkhir })
+        );
+      }
+
+      console.log(`📌 Checkpoint ${cabang}/${kode} rebuilt from ${fromPeriode}`);
+    } catch (error) {
+      console.error(`❌ rebuildCheckpointsForKode ${kode} error:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Rekonsiliasi saldo stokAksesoris terhadap replay ledger, per cabang.
+   * Temuan: gap rantai stokSebelum/stokSesudah, jenis tidak dikenal, kodeTransaksi ganda.
+   * Temuan yang sudah dirujuk oleh adjustment (referensiTransaksi) ditandai resolved.
+   * @returns {Promise<Map<string, Object>>} "cabang|kode" → { kode, cabang, stokAkhir, ledgerStock, transactionCount, issues }
+   */
+  async reconcileLedger() {
+    try {
+      const [ledgerSnapshot, balanceSnapshot] = await Promise.all([
+        getDocs(query(collection(firestore, LEDGER_COLLECTION), orderBy("timestamp", "asc"))),
+        getDocs(collection(firestore, BALANCE_COLLECTION)),
+      ]);
+
+      const report = new Map();
+      const getRow = (cabang, kode) => {
+        const key = toStockKey(cabang, kode);
+        if (!report.has(key)) {
+          report.set(key, {
+            kode,
+            cabang,
+            stokAkhir: null,
+            ledgerStock: 0,
+            transactionCount: 0,
+            issues: [],
+            last: null,
+          });
+        }
+        return report.get(key);
+      };
+
+      balanceSnapshot.forEach((balanceDoc) => {
+        const data = balanceDoc.data();
+        if (!data.kode) return;
+
+        getRow(BranchService.DEFAULT_CABANG, data.kode).stokAkhir = data.stokAkhir ?? null;
+        Object.entries(data.stokCabang || {}).forEach(([cabang, node]) => {
+          getRow(cabang, data.kode).stokAkhir = node.stokAkhir ?? null;
+        });
+      });
+
+      const transaksiKeys = new Map();
+      const resolvedIds = new Set();
+
+      ledgerSnapshot.forEach((ledgerDoc) => {
+        const data = ledgerDoc.data();
+        if (!data.kode) return;
+
+        const cabang = BranchService.getCabangOf(data);
+        const row = getRow(cabang, data.kode);
+        const issueBase = {
+          transaksiId: ledgerDoc.id,
+          jenis: data.jenis,
+          jumlah: data.jumlah || 0,
+          timestamp: data.timestamp?.toDate ? data.timestamp.toDate() : null,
+          kodeTransaksi: data.kodeTransaksi || "",
+        };
+
+        if (!isKnownStockTransactionType(data.jenis)) {
+          row.issues.push({ ...issueBase, type: "unknown-jenis" });
+        }
+
+        // Rantai hanya bisa dicek untuk entry yang mencatat stokSebelum/stokSesudah
+        const previous = row.last;
+        if (previous && typeof previous.stokSesudah === "number" && typeof data.stokSebelum === "number") {
+          if (previous.stokSesudah !== data.stokSebelum) {
+            row.issues.push({
+              ...issueBase,
+              type: "gap",
+              expected: previous.stokSesudah,
+              actual: data.stokSebelum,
+              previousId: previous.id,
+            });
+          }
+        }
+
+        if (data.kodeTransaksi) {
+          const key = `${data.kodeTransaksi}|${cabang}|${data.kode}|${data.jenis}|${data.jumlah || 0}`;
+          if (transaksiKeys.has(key)) {
+            row.issues.push({ ...issueBase, type: "duplicate", duplicateOf: transaksiKeys.get(key) });
+          } else {
+            transaksiKeys.set(key, ledgerDoc.id);
+          }
+        }
+
+        if (data.jenis === "adjustment" && Array.isArray(data.referensiTransaksi)) {
+          data.referensiTransaksi.forEach((id) => resolvedIds.add(id));
+        }
+
+        row.ledgerStock = applyStockTransaction(row.ledgerStock, { ...data, jumlah: data.jumlah || 0 });
+        row.transactionCount++;
+        row.last = { id: ledgerDoc.id, stokSesudah: data.stokSesudah };
+      });
+
+      report.forEach((row) => {
+        row.issues.forEach((issue) => {
+          issue.resolved = resolvedIds.has(issue.transaksiId);
+        });
+        delete row.last;
+      });
+
+      console.log(`🔍 Reconciliation: ${ledgerSnapshot.size} transactions, ${report.size} kode/cabang`);
+      return report;
+    } catch (error) {
+      console.error("❌ StockService.reconcileLedger error:", error);
+      throw error;
+    }
+  },
+
+  /**
+   * Posting adjustment terdokumentasi: set stok absolut dengan alasan dan transaksi yang dirujuk
+   * @param {Object} data - { kode, cabang, stokSesudah, keterangan, sales, referensiTransaksi }
+   */
+  async postAdjustment({ kode, cabang, stokSesudah, keterangan, sales, referensiTransaksi = [] }) {
+    return this.updateStock({
+      kode,
+      cabang,
+      jenis: "adjustment",
+      jumlah: 0,
+      newStock: stokSesudah,
+      keterangan: (keterangan || "").trim(),
+      sales,
+      referensiTransaksi,
+    });
+  },
+
+  /**
+   * Transfer stok antar cabang: debit cabang asal, kredit cabang tujuan dan dokumen transferCabang ditulis atomik
+   * @param {Object} data - { kode, jumlah, dariCabang, keCabang, keterangan, sales }
+   * @returns {Promise<Object>} { id, keluar, masuk }
+   */
+  async transferStock({ kode, jumlah, dariCabang, keCabang, keterangan = "", sales = "" }) {
+    if (!dariCabang || !keCabang || dariCabang === keCabang) {
+      throw new Error("Cabang asal dan tujuan transfer harus berbeda");
+    }
+
+    const transferRef = doc(collection(firestore, TRANSFER_COLLECTION));
+    const tanggal = new Date().toISOString().split("T")[0];
+    const base = { kode, jumlah, sales, kodeTransaksi: transferRef.id, tanggal };
+
+    const [keluar, masuk] = await this.updateStocks(
+      [
+        {
+          ...base,
+          jenis: "transferKeluar",
+          cabang: dariCabang,
+          cabangLawan: keCabang,
+          requireStock: true,
+          keterangan: `Transfer ke ${BranchService.getCabangName(keCabang)}${keterangan ? ` - ${keterangan}` : ""}`,
+        },
+        {
+          ...base,
+          jenis: "transferMasuk",
+          cabang: keCabang,
+          cabangLawan: dariCabang,
+          keterangan: `Transfer dari ${BranchService.getCabangName(dariCabang)}${keterangan ? ` - ${keterangan}` : ""}`,
+        },
+      ],
+      {
+        writes: [
+          {
+            ref: transferRef,
+            data: {
+              kode,
+              jumlah,
+              dariCabang,
+              keCabang,
+              keterangan,
+              sales,
+              tanggal,
+              timestamp: serverTimestamp(),
+            },
+          },
+        ],
+      }
+    );
+
+    console.log(`🔁 Transfer ${transferRef.id}: ${kode} x${jumlah} ${dariCabang} → ${keCabang}`);
+    return { id: transferRef.id, keluar, masuk };
+  },
+
   /**
    * Get transactions grouped by date for a specific kode
    */
-  async getTransactionsByDate(kode, startDate, endDate) {
+  async getTransactionsByDate(kode, startDate, endDate, cabang = BranchService.getCurrentCabang()) {
     try {
       const transactions = await getDocs(
         query(
@@ -228,49 +1071,17 @@ const StockService = {
         )
       );
 
-      const grouped = {
-        tambahStok: 0,
-        laku: 0,
-        free: 0,
-        gantiLock: 0,
-        return: 0,
-      };
+      const grouped = createEmptyStockSummary();
 
       transactions.forEach((doc) => {
         const data = doc.data();
-        const jumlah = data.jumlah || 0;
-
-        switch (data.jenis) {
-          case "tambah":
-          case "stockAddition":
-          case "initialStock":
-            grouped.tambahStok += jumlah;
-            break;
-          case "laku":
-            grouped.laku += jumlah;
-            break;
-          case "free":
-            grouped.free += jumlah;
-            break;
-          case "gantiLock":
-            grouped.gantiLock += jumlah;
-            break;
-          case "return":
-            grouped.return += jumlah;
-            break;
-        }
+        if (BranchService.matchesCabang(data, cabang)) addToStockSummary(grouped, data);
       });
 
       return grouped;
     } catch (error) {
       console.error(`Error getting transactions for ${kode}:`, error);
-      return {
-        tambahStok: 0,
-        laku: 0,
-        free: 0,
-        gantiLock: 0,
-        return: 0,
-      };
+      return createEmptyStockSummary();
     }
   },
 };
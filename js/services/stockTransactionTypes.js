@@ -0,0 +1,243 @@
+/**
+ * Stock Transaction Types - Registry jenis transaksi stokAksesorisTransaksi
+ * Semua modul yang menulis atau menghitung ledger stok memakai definisi di sini,
+ * sehingga jenis baru tidak bisa "hilang" dari angka stok.
+ *
+ * sign         : arah perubahan stok (+1 / -1), null untuk jenis absolut (adjustment)
+ * label        : nama tampilan
+ * reportColumn : kolom ringkasan di laporan stok
+ * reportSign   : kontribusi ke kolom laporan (mis. batal return mengurangi kolom Return)
+ * requiredFields : field wajib saat transaksi ditulis
+ */
+const STOCK_TRANSACTION_TYPES = Object.freeze({
+  tambah: {
+    sign: 1,
+    label: "Tambah Stok",
+    reportColumn: "tambahStok",
+    requiredFields: ["jumlah"],
+  },
+  stockAddition: {
+    sign: 1,
+    label: "Tambah Stok",
+    reportColumn: "tambahStok",
+    requiredFields: ["jumlah"],
+  },
+  initialStock: {
+    sign: 1,
+    label: "Stok Awal",
+    reportColumn: "tambahStok",
+    requiredFields: ["jumlah"],
+  },
+  laku: {
+    sign: -1,
+    label: "Laku",
+    reportColumn: "laku",
+    requiredFields: ["jumlah", "kodeTransaksi"],
+  },
+  free: {
+    sign: -1,
+    label: "Free",
+    reportColumn: "free",
+    requiredFields: ["jumlah", "kodeTransaksi"],
+  },
+  gantiLock: {
+    sign: -1,
+    label: "Ganti Lock",
+    reportColumn: "gantiLock",
+    requiredFields: ["jumlah", "kodeTransaksi"],
+  },
+  reverse_laku: {
+    sign: 1,
+    label: "Void Laku",
+    reportColumn: "laku",
+    reportSign: -1,
+    requiredFields: ["jumlah", "kodeTransaksi"],
+  },
+  reverse_free: {
+    sign: 1,
+    label: "Void Free",
+    reportColumn: "free",
+    reportSign: -1,
+    requiredFields: ["jumlah", "kodeTransaksi"],
+  },
+  reverse_gantiLock: {
+    sign: 1,
+    label: "Void Ganti Lock",
+    reportColumn: "gantiLock",
+    reportSign: -1,
+    requiredFields: ["jumlah", "kodeTransaksi"],
+  },
+  return: {
+    sign: -1,
+    label: "Return",
+    reportColumn: "return",
+    requiredFields: ["jumlah", "kodeTransaksi"],
+  },
+  reverse_return: {
+    sign: 1,
+    label: "Batal Return",
+    reportColumn: "return",
+    reportSign: -1,
+    requiredFields: ["jumlah", "kodeTransaksi"],
+  },
+  transferKeluar: {
+    sign: -1,
+    label: "Transfer Keluar",
+    reportColumn: "transfer",
+    reportSign: -1,
+    requiredFields: ["jumlah", "kodeTransaksi", "cabangLawan"],
+  },
+  transferMasuk: {
+    sign: 1,
+    label: "Transfer Masuk",
+    reportColumn: "transfer",
+    requiredFields: ["jumlah", "kodeTransaksi", "cabangLawan"],
+  },
+  adjustment: {
+    sign: null,
+    label: "Koreksi",
+    reportColumn: "koreksi",
+    requiredFields: ["newStock", "keterangan"],
+  },
+});
+
+// Kolom ringkasan laporan stok, urut sesuai tampilan
+const STOCK_REPORT_COLUMNS = ["tambahStok", "laku", "free", "gantiLock", "return", "transfer", "koreksi"];
+
+function getStockTransactionType(jenis) {
+  return Object.prototype.hasOwnProperty.call(STOCK_TRANSACTION_TYPES, jenis) ? STOCK_TRANSACTION_TYPES[jenis] : null;
+}
+
+function isKnownStockTransactionType(jenis) {
+  return getStockTransactionType(jenis) !== null;
+}
+
+function createInvalidTransactionError(message, code, entry) {
+  const error = new Error(message);
+  error.code = code;
+  error.kode = entry.kode;
+  error.jenis = entry.jenis;
+  return error;
+}
+
+/**
+ * Validasi data transaksi sebelum ditulis ke ledger.
+ * Jenis tidak dikenal ditolak (error.code = "unknown-stock-type"), field wajib kosong ditolak (error.code = "invalid-stock-transaction").
+ */
+function validateStockTransaction(entry) {
+  const type = getStockTransactionType(entry.jenis);
+
+  if (!type) {
+    throw createInvalidTransactionError(
+      `Jenis transaksi stok "${entry.jenis}" tidak terdaftar`,
+      "unknown-stock-type",
+      entry
+    );
+  }
+
+  if (!entry.kode || typeof entry.kode !== "string") {
+    throw createInvalidTransactionError("Kode barang wajib diisi", "invalid-stock-transaction", entry);
+  }
+
+  type.requiredFields.forEach((field) => {
+    const value = entry[field];
+
+    if (field === "jumlah" && !(Number.isInteger(value) && value > 0)) {
+      throw createInvalidTransactionError(
+        `Jumlah ${type.label} untuk ${entry.kode} harus bilangan bulat > 0`,
+        "invalid-stock-transaction",
+        entry
+      );
+    }
+
+    if (field === "newStock" && !(Number.isInteger(value) && value >= 0)) {
+      throw createInvalidTransactionError(
+        `Stok hasil ${type.label} untuk ${entry.kode} harus bilangan bulat ≥ 0`,
+        "invalid-stock-transaction",
+        entry
+      );
+    }
+
+    if (value === undefined || value === null || (typeof value === "string" && !value.trim())) {
+      throw createInvalidTransactionError(
+        `Field ${field} wajib diisi untuk transaksi ${type.label} (${entry.kode})`,
+        "invalid-stock-transaction",
+        entry
+      );
+    }
+  });
+
+  return type;
+}
+
+/**
+ * Hitung stok setelah satu transaksi ledger.
+ * Dipakai bersama oleh penulisan saldo dan perhitungan dari ledger supaya keduanya tidak pernah berbeda.
+ * Jenis tidak dikenal (data lama) tidak mengubah stok dan dilaporkan di halaman rekonsiliasi.
+ */
+function applyStockTransaction(stock, { jenis, jumlah = 0, stokSesudah = null }) {
+  const type = getStockTransactionType(jenis);
+
+  if (!type) {
+    console.warn(`⚠️ Unknown stock transaction type "${jenis}" ignored in stock calculation`);
+    return stock;
+  }
+
+  if (type.sign === null) {
+    return stokSesudah ?? stock;
+  }
+
+  return stock + type.sign * jumlah;
+}
+
+function createEmptyStockSummary() {
+  return Object.fromEntries(STOCK_REPORT_COLUMNS.map((column) => [column, 0]));
+}
+
+/**
+ * Tambahkan satu transaksi ledger ke ringkasan per kolom laporan
+ * Adjustment dihitung dari selisih stokSesudah - stokSebelum yang tercatat.
+ */
+function addToStockSummary(summary, { jenis, jumlah = 0, stokSebelum = 0, stokSesudah = 0 }) {
+  const type = getStockTransactionType(jenis);
+
+  if (!type) {
+    console.warn(`⚠️ Unknown stock transaction type "${jenis}" not shown in stock summary`);
+    return summary;
+  }
+
+  const value = type.sign === null ? (stokSesudah || 0) - (stokSebelum || 0) : jumlah * (type.reportSign ?? 1);
+  summary[type.reportColumn] = (summary[type.reportColumn] || 0) + value;
+  return summary;
+}
+
+/**
+ * Jenis ledger untuk satu item penjualan (dipakai saat simpan maupun batal penjualan)
+ * Barang hadiah promo bundle (isBonus) tercatat sebagai free.
+ */
+function getSaleStockJenis({ isGantiLock = false, isBonus = false, metodeBayar = "", statusPembayaran = "" } = {}) {
+  if (isGantiLock) return "gantiLock";
+  if (isBonus || metodeBayar === "free" || statusPembayaran === "Free") return "free";
+  return "laku";
+}
+
+/**
+ * Jenis ledger pembalik untuk void / refund item penjualan: stok kembali, kolom laporan asal berkurang
+ * @param {string} saleJenis - Hasil getSaleStockJenis saat penjualan disimpan
+ */
+function getVoidStockJenis(saleJenis) {
+  return `reverse_${saleJenis}`;
+}
+
+export {
+  STOCK_TRANSACTION_TYPES,
+  STOCK_REPORT_COLUMNS,
+  getStockTransactionType,
+  isKnownStockTransactionType,
+  validateStockTransaction,
+  applyStockTransaction,
+  createEmptyStockSummary,
+  addToStockSummary,
+  getSaleStockJenis,
+  getVoidStockJenis,
+};
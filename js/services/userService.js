@@ -0,0 +1,368 @@
+/**
+ * User Service - Akun user di Firestore dengan password ter-hash (PBKDF2, Web Crypto)
+ * Semua pengecekan password (login maupun verifikasi aksi sensitif) lewat service ini.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  runTransaction,
+  deleteField,
+  serverTimestamp,
+} from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
+import { firestore } from "../configFirebase.js";
+import BranchService from "./branchService.js";
+import PermissionService from "./permissionService.js";
+
+const USERS_COLLECTION = "users";
+const PBKDF2_ITERATIONS = 150000;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 6;
+const PIN_PATTERN = /^\d{4,6}$/;
+
+const ROLES = ["admin", "supervisor"];
+
+// Akun pertama saat koleksi users masih kosong; password acak sekali pakai, wajib diganti saat login pertama
+const BOOTSTRAP_USERNAME = "supervisor";
+const BOOTSTRAP_PASSWORD_BYTES = 6;
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+function fromHex(hex) {
+  return new Uint8Array(hex.match(/.{2}/g).map((byte) => parseInt(byte, 16)));
+}
+
+async function derivePasswordHash(password, salt, iterations) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+  return toHex(bits);
+}
+
+async function createPasswordFields(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  return {
+    passwordHash: await derivePasswordHash(password, salt, PBKDF2_ITERATIONS),
+    salt: toHex(salt),
+    iterations: PBKDF2_ITERATIONS,
+  };
+}
+
+// Perbandingan tanpa short-circuit supaya waktu respon tidak membocorkan posisi karakter
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function normalizeUsername(username) {
+  return String(username || "")
+    .trim()
+    .toLowerCase();
+}
+
+function createUserError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw createUserError(`Password minimal ${MIN_PASSWORD_LENGTH} karakter`, "weak-password");
+  }
+}
+
+// PIN (jika user sudah mengatur PIN) atau password
+async function checkSecret(data, secret) {
+  if (data.pinHash && PIN_PATTERN.test(secret || "")) {
+    const pinFields = { passwordHash: data.pinHash, salt: data.pinSalt, iterations: data.pinIterations };
+    if (await UserService.checkPassword(pinFields, secret)) return true;
+  }
+  return UserService.checkPassword(data, secret);
+}
+
+// Data user yang aman ditampilkan / disimpan di session (tanpa hash dan salt)
+function toPublicUser(id, data) {
+  return {
+    id,
+    username: data.username,
+    role: data.role,
+    cabang: BranchService.getCabangOf(data),
+    aktif: data.aktif !== false,
+    mustChangePassword: data.mustChangePassword === true,
+    lastLogin: data.lastLogin || null,
+  };
+}
+
+const UserService = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+
+  usersReady: null,
+
+  /**
+   * Siapkan koleksi users: migrasi password plaintext lama ke hash, dan buat satu akun supervisor awal jika
+   * koleksi masih kosong. Dipanggil sekali per halaman sebelum login/verifikasi.
+   * @returns {Promise<{username: string, password: string}|null>} Akun awal yang baru dibuat (password hanya
+   *   diketahui dari sini, tampilkan sekali ke user yang memasang aplikasi), null jika users sudah terisi
+   */
+  ensureUsers() {
+    if (!this.usersReady) {
+      this.usersReady = this.migrateUsers().catch((error) => {
+        this.usersReady = null;
+        throw error;
+      });
+    }
+    // Password akun awal cukup dikembalikan sekali
+    return this.usersReady.then((bootstrapAccount) => {
+      if (bootstrapAccount) this.usersReady = Promise.resolve(null);
+      return bootstrapAccount;
+    });
+  },
+
+  async migrateUsers() {
+    const snapshot = await getDocs(collection(firestore, USERS_COLLECTION));
+    if (snapshot.empty) return this.createBootstrapAccount();
+
+    for (const userDoc of snapshot.docs) {
+      const data = userDoc.data();
+
+      if (typeof data.password === "string" && !data.passwordHash) {
+        await updateDoc(userDoc.ref, {
+          ...(await createPasswordFields(data.password)),
+          password: deleteField(),
+          mustChangePassword: true,
+          updatedAt: serverTimestamp(),
+        });
+        console.log(`🔐 Password user ${data.username || userDoc.id} dimigrasi ke hash`);
+      }
+    }
+
+    return null;
+  },
+
+  async createBootstrapAccount() {
+    const password = toHex(crypto.getRandomValues(new Uint8Array(BOOTSTRAP_PASSWORD_BYTES)));
+    const passwordFields = await createPasswordFields(password);
+    const ref = doc(firestore, USERS_COLLECTION, BOOTSTRAP_USERNAME);
+
+    // Dua perangkat yang membuka login bersamaan tidak boleh saling menimpa akun awal
+    const created = await runTransaction(firestore, async (transaction) => {
+      if ((await transaction.get(ref)).exists()) return false;
+      transaction.set(ref, {
+        username: BOOTSTRAP_USERNAME,
+        role: "supervisor",
+        cabang: BranchService.DEFAULT_CABANG,
+        aktif: true,
+        mustChangePassword: true,
+        ...passwordFields,
+        createdAt: serverTimestamp(),
+      });
+      return true;
+    });
+
+    if (!created) return null;
+    console.log(`👤 Akun awal ${BOOTSTRAP_USERNAME} dibuat`);
+    return { username: BOOTSTRAP_USERNAME, password };
+  },
+
+  // Cari dokumen user berdasarkan username (id dokumen lama tidak selalu sama dengan username)
+  async findUserDoc(username) {
+    const normalized = normalizeUsername(username);
+    if (!normalized) return null;
+
+    const byId = await getDoc(doc(firestore, USERS_COLLECTION, normalized));
+    if (byId.exists()) return byId;
+
+    const snapshot = await getDocs(collection(firestore, USERS_COLLECTION));
+    return snapshot.docs.find((userDoc) => normalizeUsername(userDoc.data().username) === normalized) || null;
+  },
+
+  async checkPassword(data, password) {
+    if (!data?.passwordHash || !data.salt || typeof password !== "string") return false;
+    const hash = await derivePasswordHash(password, fromHex(data.salt), data.iterations || PBKDF2_ITERATIONS);
+    return safeEqual(hash, data.passwordHash);
+  },
+
+  /**
+   * Login dengan username + password
+   * @returns {Promise<Object>} { success, user } atau { success: false, message }
+   */
+  async login(username, password) {
+    await this.ensureUsers();
+
+    const userDoc = await this.findUserDoc(username);
+    const data = userDoc?.data();
+
+    if (!data || !(await this.checkPassword(data, password))) {
+      return { success: false, message: "Username atau password salah" };
+    }
+
+    if (data.aktif === false) {
+      return { success: false, message: "Akun dinonaktifkan. Hubungi supervisor." };
+    }
+
+    await updateDoc(userDoc.ref, { lastLogin: serverTimestamp() });
+    return { success: true, user: toPublicUser(userDoc.id, data) };
+  },
+
+  /**
+   * Verifikasi aksi sensitif (hapus transaksi, pengaturan, dll) oleh satu user: username + password atau PIN.
+   * Diterima jika user aktif dan role-nya memiliki permission tersebut (PermissionService).
+   * @param {string} username - User yang menyetujui
+   * @param {string} secret - Password atau PIN user tersebut
+   * @param {string} permission - mis. "sales.delete"
+   * @returns {Promise<Object|null>} User yang mengotorisasi, null jika salah / tidak berhak
+   */
+  async verifyAuthorization(username, secret, permission) {
+    if (!username || !secret) return null;
+    await this.ensureUsers();
+
+    const userDoc = await this.findUserDoc(username);
+    const data = userDoc?.data();
+    if (!data || data.aktif === false || !PermissionService.can(permission, data)) return null;
+
+    return (await checkSecret(data, secret)) ? toPublicUser(userDoc.id, data) : null;
+  },
+
+  /**
+   * Verifikasi username + password tertentu (validasi kredensial di modal konfirmasi)
+   * @returns {Promise<Object|null>} User aktif jika cocok
+   */
+  async verifyCredentials(username, password) {
+    await this.ensureUsers();
+
+    const userDoc = await this.findUserDoc(username);
+    const data = userDoc?.data();
+    if (!data || data.aktif === false || !(await this.checkPassword(data, password))) return null;
+
+    return toPublicUser(userDoc.id, data);
+  },
+
+  /**
+   * Buka kunci layar sesi: PIN jika user sudah mengatur PIN, password tetap diterima
+   * @returns {Promise<boolean>}
+   */
+  async verifyUnlock(username, secret) {
+    const userDoc = await this.findUserDoc(username);
+    const data = userDoc?.data();
+    if (!data || data.aktif === false) return false;
+
+    return checkSecret(data, secret);
+  },
+
+  /**
+   * Atur PIN kunci layar (4-6 digit), dikonfirmasi dengan password
+   */
+  async setPin(username, password, pin) {
+    const userDoc = await this.findUserDoc(username);
+    if (!userDoc || !(await this.checkPassword(userDoc.data(), password))) {
+      throw createUserError("Password salah", "wrong-password");
+    }
+    if (!PIN_PATTERN.test(pin || "")) {
+      throw createUserError("PIN harus 4-6 digit angka", "weak-pin");
+    }
+
+    const { passwordHash, salt, iterations } = await createPasswordFields(pin);
+    await updateDoc(userDoc.ref, {
+      pinHash: passwordHash,
+      pinSalt: salt,
+      pinIterations: iterations,
+      updatedAt: serverTimestamp(),
+    });
+  },
+
+  async changePassword(username, oldPassword, newPassword) {
+    const userDoc = await this.findUserDoc(username);
+    if (!userDoc || !(await this.checkPassword(userDoc.data(), oldPassword))) {
+      throw createUserError("Password lama salah", "wrong-password");
+    }
+
+    validatePassword(newPassword);
+    if (newPassword === oldPassword) {
+      throw createUserError("Password baru harus berbeda dari password lama", "weak-password");
+    }
+
+    await updateDoc(userDoc.ref, {
+      ...(await createPasswordFields(newPassword)),
+      mustChangePassword: false,
+      passwordChangedAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+  },
+
+  async listUsers() {
+    const snapshot = await getDocs(collection(firestore, USERS_COLLECTION));
+    return snapshot.docs
+      .map((userDoc) => toPublicUser(userDoc.id, userDoc.data()))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  },
+
+  /**
+   * Buat user baru (wajib ganti password saat login pertama)
+   * @param {Object} data - { username, password, role, cabang }
+   */
+  async createUser({ username, password, role, cabang = BranchService.DEFAULT_CABANG }) {
+    const normalized = normalizeUsername(username);
+    if (!/^[a-z0-9._-]{3,}$/.test(normalized)) {
+      throw createUserError("Username minimal 3 karakter (huruf, angka, . _ -)", "invalid-username");
+    }
+    if (!ROLES.includes(role)) {
+      throw createUserError(`Role "${role}" tidak dikenal`, "invalid-role");
+    }
+    validatePassword(password);
+
+    if (await this.findUserDoc(normalized)) {
+      throw createUserError(`Username ${normalized} sudah dipakai`, "user-exists");
+    }
+
+    await setDoc(doc(firestore, USERS_COLLECTION, normalized), {
+      username: normalized,
+      role,
+      cabang,
+      aktif: true,
+      mustChangePassword: true,
+      ...(await createPasswordFields(password)),
+      createdAt: serverTimestamp(),
+      createdBy: BranchService.getCurrentUser()?.username || "",
+    });
+  },
+
+  async resetPassword(userId, newPassword) {
+    validatePassword(newPassword);
+    await updateDoc(doc(firestore, USERS_COLLECTION, userId), {
+      ...(await createPasswordFields(newPassword)),
+      mustChangePassword: true,
+      updatedAt: serverTimestamp(),
+    });
+  },
+
+  async setUserActive(userId, aktif) {
+    const ref = doc(firestore, USERS_COLLECTION, userId);
+    const snapshot = await getDoc(ref);
+
+    if (!aktif && snapshot.data()?.username === BranchService.getCurrentUser()?.username) {
+      throw createUserError("Tidak bisa menonaktifkan akun sendiri", "self-disable");
+    }
+    await updateDoc(ref, { aktif, updatedAt: serverTimestamp() });
+  },
+};
+
+// Export untuk ES6 modules
+export default UserService;
+
+// Export untuk global scope (backward compatibility)
+if (typeof window !== "undefined") {
+  window.UserService = UserService;
+}
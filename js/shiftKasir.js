@@ -0,0 +1,273 @@
+import ShiftService from "./services/shiftService.js";
+import BranchService from "./services/branchService.js";
+import { PAYMENT_TYPES, getPaymentLabel } from "./services/paymentTypes.js";
+import { escapeHtml } from "./services/helpers.js";
+import { renderReceiptDocument, printInWindow } from "./components/receiptTemplate.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
+
+// DOM refs
+const shiftStatus = document.getElementById("shiftStatus");
+const btnBukaShift = document.getElementById("btnBukaShift");
+const btnTutupShift = document.getElementById("btnTutupShift");
+
+// Buka shift modal refs
+const bukaShiftModal = document.getElementById("bukaShiftModal");
+const modalAwalInput = document.getElementById("modalAwal");
+const btnSimpanBukaShift = document.getElementById("btnSimpanBukaShift");
+
+// Tutup shift modal refs
+const tutupShiftModal = document.getElementById("tutupShiftModal");
+const tablePecahan = document.querySelector("#tablePecahan tbody");
+const tableRingkasanShift = document.querySelector("#tableRingkasanShift tbody");
+const catatanShift = document.getElementById("catatanShift");
+const btnSimpanTutupShift = document.getElementById("btnSimpanTutupShift");
+
+let activeShift = null;
+let expectedCash = 0;
+let shiftRingkasan = null;
+
+// Helpers
+function formatRupiah(angka) {
+  return new Intl.NumberFormat("id-ID").format(Math.round(Number(angka) || 0));
+}
+
+function parseRupiah(value) {
+  return parseInt(String(value || "").replace(/\./g, "")) || 0;
+}
+
+function formatDateTime(value) {
+  const date = value?.toDate ? value.toDate() : value instanceof Date ? value : null;
+  if (!date) return "-";
+  return date.toLocaleString("id-ID", { dateStyle: "short", timeStyle: "short" });
+}
+
+// Uang diterima per metode pembayaran, urut sesuai registry
+function getTenderRows(perMetode = {}) {
+  return [...new Set([...Object.keys(PAYMENT_TYPES), ...Object.keys(perMetode)])]
+    .filter((metode) => perMetode[metode])
+    .map((metode) => [getPaymentLabel(metode), perMetode[metode]]);
+}
+
+function getPecahan() {
+  return Object.fromEntries(
+    [...tablePecahan.querySelectorAll("input[data-nominal]")].map((input) => [
+      input.dataset.nominal,
+      parseInt(input.value) || 0,
+    ])
+  );
+}
+
+async function refreshShiftStatus() {
+  try {
+    activeShift = await ShiftService.getActiveShift();
+  } catch (error) {
+    console.error("❌ Failed to load shift status:", error);
+    shiftStatus.innerHTML = `<i class="fas fa-exclamation-triangle me-2"></i>Gagal memuat status shift`;
+    return;
+  }
+
+  const cabang = BranchService.getCabangName(BranchService.getCurrentCabang());
+  if (activeShift) {
+    shiftStatus.innerHTML = `
+      <i class="fas fa-cash-register me-2 text-success"></i>
+      Shift <strong>terbuka</strong> (${cabang}) oleh <strong>${activeShift.kasir}</strong>
+      sejak ${formatDateTime(activeShift.openedAt)} - modal awal Rp ${formatRupiah(activeShift.modalAwal)}`;
+  } else {
+    shiftStatus.innerHTML = `
+      <i class="fas fa-cash-register me-2 text-danger"></i>
+      Belum ada shift terbuka di ${cabang}. Penjualan tidak bisa disimpan sebelum shift dibuka.`;
+  }
+
+  btnBukaShift.style.display = activeShift ? "none" : "";
+  btnTutupShift.style.display = activeShift ? "" : "none";
+}
+
+function openBukaShiftModal() {
+  modalAwalInput.value = "";
+  bootstrap.Modal.getOrCreateInstance(bukaShiftModal).show();
+}
+
+async function bukaShift() {
+  btnSimpanBukaShift.disabled = true;
+  try {
+    await ShiftService.openShift({ modalAwal: parseRupiah(modalAwalInput.value) });
+    bootstrap.Modal.getInstance(bukaShiftModal)?.hide();
+    await refreshShiftStatus();
+    Swal.fire("Berhasil", "Shift kasir dibuka", "success");
+  } catch (error) {
+    console.error("❌ Open shift error:", error);
+    Swal.fire("Error", error.message, "error");
+    await refreshShiftStatus();
+  } finally {
+    btnSimpanBukaShift.disabled = false;
+  }
+}
+
+function renderRingkasan() {
+  const countedCash = ShiftService.countDenominations(getPecahan());
+  const selisih = countedCash - expectedCash;
+  const selisihClass = selisih === 0 ? "text-success" : "text-danger";
+
+  const row = (label, value, className = "") =>
+    `<tr class="${className}"><td>${label}</td><td class="text-end">${value}</td></tr>`;
+  const tenderRows = getTenderRows(shiftRingkasan.perMetode)
+    .map(([label, jumlah]) => row(`<span class="ps-3">${label}</span>`, `Rp ${formatRupiah(jumlah)}`))
+    .join("");
+
+  tableRingkasanShift.innerHTML = `
+    ${row("Jumlah transaksi", shiftRingkasan.jumlahTransaksi)}
+    ${row("Total penjualan", `Rp ${formatRupiah(shiftRingkasan.totalPenjualan)}`)}
+    ${row("Penjualan lunas", `Rp ${formatRupiah(shiftRingkasan.totalLunas)}`)}
+    ${row("DP diterima", `Rp ${formatRupiah(shiftRingkasan.totalDP)}`)}
+    ${row(`Angsuran DP (${shiftRingkasan.jumlahAngsuran})`, `Rp ${formatRupiah(shiftRingkasan.totalAngsuran)}`)}
+    ${tenderRows}
+    ${row(`Refund (${shiftRingkasan.jumlahRefund})`, `Rp ${formatRupiah(shiftRingkasan.totalRefund)}`)}
+    ${row('<span class="ps-3">Refund tunai dari laci</span>', `- Rp ${formatRupiah(shiftRingkasan.refundTunai)}`)}
+    ${row("Modal awal", `Rp ${formatRupiah(activeShift.modalAwal)}`)}
+    ${row("Kas seharusnya", `Rp ${formatRupiah(expectedCash)}`, "fw-bold")}
+    ${row("Kas dihitung", `Rp ${formatRupiah(countedCash)}`, "fw-bold")}
+    ${row("Selisih", `Rp ${formatRupiah(selisih)}`, `fw-bold ${selisihClass}`)}`;
+}
+
+async function openTutupShiftModal() {
+  if (!activeShift) return;
+
+  try {
+    ({ ringkasan: shiftRingkasan, expectedCash } = await ShiftService.getShiftSummary(activeShift));
+  } catch (error) {
+    console.error("❌ Failed to load shift summary:", error);
+    Swal.fire("Error", "Gagal memuat ringkasan shift: " + error.message, "error");
+    return;
+  }
+
+  tablePecahan.innerHTML = ShiftService.DENOMINATIONS.map(
+    (nominal) => `
+      <tr>
+        <td>Rp ${formatRupiah(nominal)}</td>
+        <td><input type="number" min="0" class="form-control form-control-sm" data-nominal="${nominal}" value="0" /></td>
+        <td class="text-end subtotal-pecahan" data-nominal="${nominal}">0</td>
+      </tr>`
+  ).join("");
+  catatanShift.value = "";
+
+  renderRingkasan();
+  bootstrap.Modal.getOrCreateInstance(tutupShiftModal).show();
+}
+
+function handlePecahanInput(e) {
+  const input = e.target.closest("input[data-nominal]");
+  if (!input) return;
+
+  const subtotal = tablePecahan.querySelector(`.subtotal-pecahan[data-nominal="${input.dataset.nominal}"]`);
+  subtotal.textContent = formatRupiah(input.dataset.nominal * (parseInt(input.value) || 0));
+  renderRingkasan();
+}
+
+async function tutupShift() {
+  const countedCash = ShiftService.countDenominations(getPecahan());
+  const selisih = countedCash - expectedCash;
+
+  const { isConfirmed } = await Swal.fire({
+    title: "Tutup shift?",
+    html: `Kas dihitung Rp ${formatRupiah(countedCash)}<br>Selisih <strong>Rp ${formatRupiah(selisih)}</strong>`,
+    icon: selisih === 0 ? "question" : "warning",
+    showCancelButton: true,
+    confirmButtonText: "Tutup Shift",
+    cancelButtonText: "Batal",
+  });
+  if (!isConfirmed) return;
+
+  btnSimpanTutupShift.disabled = true;
+  try {
+    const closedShift = await ShiftService.closeShift(activeShift.id, {
+      pecahan: getPecahan(),
+      catatan: catatanShift.value.trim(),
+    });
+
+    bootstrap.Modal.getInstance(tutupShiftModal)?.hide();
+    printZReport(closedShift);
+    await refreshShiftStatus();
+  } catch (error) {
+    console.error("❌ Close shift error:", error);
+    Swal.fire("Error", error.message, "error");
+    await refreshShiftStatus();
+  } finally {
+    btnSimpanTutupShift.disabled = false;
+  }
+}
+
+// Z-report: rekap shift yang sudah ditutup, kop dan footer mengikuti template struk
+function printZReport(shift) {
+  const row = (label, value) => `<tr><td>${label}</td><td class="text-right">${value}</td></tr>`;
+  const pecahanRows = ShiftService.DENOMINATIONS.filter((nominal) => shift.pecahan[nominal] > 0)
+    .map((nominal) =>
+      row(`${formatRupiah(nominal)} x ${shift.pecahan[nominal]}`, formatRupiah(nominal * shift.pecahan[nominal]))
+    )
+    .join("");
+
+  const body = `
+        <table>
+          ${row("Cabang", BranchService.getCabangName(shift.cabang))}
+          ${row("Kasir", escapeHtml(shift.kasir))}
+          ${row("Dibuka", formatDateTime(shift.openedAt))}
+          ${row("Ditutup", `${formatDateTime(shift.closedAt)} (${escapeHtml(shift.closedBy)})`)}
+        </table>
+        <hr>
+        <table>
+          ${row("Jumlah transaksi", shift.ringkasan.jumlahTransaksi)}
+          ${row("Total penjualan", formatRupiah(shift.ringkasan.totalPenjualan))}
+          ${row("Penjualan lunas", formatRupiah(shift.ringkasan.totalLunas))}
+          ${row("DP diterima", formatRupiah(shift.ringkasan.totalDP))}
+          ${row(`Angsuran DP (${shift.ringkasan.jumlahAngsuran})`, formatRupiah(shift.ringkasan.totalAngsuran))}
+          ${row("Transaksi free", shift.ringkasan.jumlahFree)}
+        </table>
+        <hr>
+        <table>
+          ${getTenderRows(shift.ringkasan.perMetode)
+            .map(([label, jumlah]) => row(label, formatRupiah(jumlah)))
+            .join("")}
+        </table>
+        <hr>
+        <table>
+          ${pecahanRows || row("Tidak ada uang fisik", "0")}
+        </table>
+        <hr>
+        <table>
+          ${row("Modal awal", formatRupiah(shift.modalAwal))}
+          ${row("Refund tunai", formatRupiah(-(shift.ringkasan.refundTunai || 0)))}
+          ${row("Kas masuk", formatRupiah(shift.ringkasan.kasMasuk))}
+          <tr class="total"><td>Kas seharusnya</td><td class="text-right">${formatRupiah(shift.expectedCash)}</td></tr>
+          <tr class="total"><td>Kas dihitung</td><td class="text-right">${formatRupiah(shift.countedCash)}</td></tr>
+          <tr class="total"><td>Selisih</td><td class="text-right">${formatRupiah(shift.selisih)}</td></tr>
+        </table>
+        ${shift.catatan ? `<hr><div>Catatan: ${escapeHtml(shift.catatan)}</div>` : ""}`;
+
+  const html = renderReceiptDocument({ documentTitle: "Z-Report", title: "Z-REPORT SHIFT KASIR", body });
+  if (!printInWindow(html)) {
+    Swal.fire("Error", "Popup diblokir oleh browser. Mohon izinkan popup untuk mencetak.", "error");
+  }
+}
+
+// Event listeners
+btnBukaShift.addEventListener("click", openBukaShiftModal);
+btnSimpanBukaShift.addEventListener("click", bukaShift);
+btnTutupShift.addEventListener("click", openTutupShiftModal);
+btnSimpanTutupShift.addEventListener("click", tutupShift);
+tablePecahan.addEventListener("input", handlePecahanInput);
+
+modalAwalInput.addEventListener("input", () => {
+  const nominal = parseRupiah(modalAwalInput.value);
+  modalAwalInput.value = nominal ? formatRupiah(nominal) : "";
+});
+bukaShiftModal.addEventListener("shown.bs.modal", () => modalAwalInput.focus());
+
+// Dipicu penjualanAksesoris.js saat transaksi disimpan tanpa shift terbuka
+document.addEventListener("shift:required", async () => {
+  await refreshShiftStatus();
+  if (!activeShift) openBukaShiftModal();
+});
+
+BranchService.getCabangList().then(refreshShiftStatus);
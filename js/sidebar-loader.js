@@ -10,30 +10,13 @@ async function initSidebar() {
     // Set active menu berdasarkan halaman saat ini
     setActiveMenu();
 
-    // Filter menu berdasarkan role user
-    filterMenuByRole();
+    // Menu difilter oleh PermissionService (main.js) berdasarkan matriks hak akses
+    document.dispatchEvent(new CustomEvent("sidebar:loaded"));
   } catch (error) {
     console.error("Error loading sidebar:", error);
   }
 }
 
-// Filter menu berdasarkan role user
-function filterMenuByRole() {
-  const user = JSON.parse(sessionStorage.getItem("currentUser"));
-  const maintenanceMenu = document.querySelector('a[href="maintenance.html"]');
-
-  if (!maintenanceMenu) return;
-
-  const maintenanceItem = maintenanceMenu.closest(".nav-item");
-
-  // Sembunyikan menu maintenance untuk semua role kecuali supervisor
-  if (!user || user.role !== "supervisor") {
-    if (maintenanceItem) {
-      maintenanceItem.style.display = "none";
-    }
-  }
-}
-
 // Set active menu berdasarkan current page
 function setActiveMenu() {
   const currentPage = window.location.pathname.split("/").pop();
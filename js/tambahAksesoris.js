@@ -6,6 +6,7 @@ import {
   doc,
   getDoc,
   updateDoc,
+  setDoc,
   deleteDoc,
   query,
   where,
@@ -15,6 +16,10 @@ import {
 } from "https://www.gstatic.com/firebasejs/10.4.0/firebase-firestore.js";
 
 import StockService from "./services/stockService.js";
+import { requirePageAccess } from "./auth/authCheck.js";
+
+// Hak akses halaman dicek sebelum data dimuat
+await requirePageAccess();
 
 // ===== OPTIMIZED CACHE MANAGEMENT =====
 const CACHE_TTL_STANDARD = 24 * 60 * 60 * 1000; // 24 jam - cache bertahan lama
@@ -550,6 +555,7 @@ export const aksesorisSaleHandler = {
       if (cachedData) {
         document.getElementById("textKode").value = cachedData.text;
         document.getElementById("namaKode").value = cachedData.nama;
+        this.fillStockLevelInputs(cachedData);
         return;
       }
 
@@ -560,6 +566,7 @@ export const aksesorisSaleHandler = {
         const data = docSnap.data();
         document.getElementById("textKode").value = data.text;
         document.getElementById("namaKode").value = data.nama;
+        this.fillStockLevelInputs(data);
         setCacheWithTimestamp(cacheKey, data, CACHE_TTL_STANDARD);
       } else {
         console.error("Dokumen tidak ditemukan!");
@@ -571,6 +578,21 @@ export const aksesorisSaleHandler = {
     }
   },
 
+  // Isi input stok minimum / maksimum (reorder point) dari data kode
+  fillStockLevelInputs(data) {
+    document.getElementById("stokMinKode").value = data.stokMin ?? "";
+    document.getElementById("stokMaxKode").value = data.stokMax ?? "";
+  },
+
+  // Stok minimum / maksimum dari form, null jika dikosongkan
+  getStockLevelInputs() {
+    const parse = (id) => {
+      const value = document.getElementById(id)?.value.trim();
+      return value === "" || value === undefined ? null : parseInt(value);
+    };
+    return { stokMin: parse("stokMinKode"), stokMax: parse("stokMaxKode") };
+  },
+
   // Fungsi untuk menambah baris baru
   tambahBaris(kategori, tbody) {
     const newRow = document.createElement("tr");
@@ -692,21 +714,31 @@ export const aksesorisSaleHandler = {
       }
       await this.updateStokAksesoris(items);
 
+      // Simpan batch agar bisa dicetak labelnya (halaman Cetak Label Barcode)
+      const batchId = await this.saveStockAdditionToFirestore(this.createStockAdditionData(items));
+
       // IMPROVED: Invalidate related caches
       invalidateCache("stockAdditions");
       invalidateCache("stockData");
       const totalItems = items.reduce((total, item) => total + item.jumlah, 0);
       const kategoriText = this.elements.selectKategori.value === "1" ? "Kotak" : "Aksesoris";
-      this.showSuccessNotification(`
-              ${totalItems} item ${kategoriText} berhasil ditambahkan!
-              
-              Detail:
-              ${items.map((item) => `• ${item.nama} (${item.kodeText}): ${item.jumlah} pcs`).join("\n")}
-            `);
       this.loadStockAdditionHistory();
       this.resetForm();
 
       this.showLoading(false);
+
+      const cetakLabel = await this.showConfirmation(
+        `${totalItems} item ${kategoriText} berhasil ditambahkan!
+
+        Detail:
+        ${items.map((item) => `• ${item.nama} (${item.kodeText}): ${item.jumlah} pcs`).join("\n")}
+
+        Cetak label barcode untuk barang ini?`,
+        "Berhasil!"
+      );
+      if (cetakLabel) {
+        window.open(`labelBarcode.html?batch=${batchId}`, "_blank");
+      }
     } catch (error) {
       console.error("Error saving data:", error);
       this.showErrorNotification("Gagal menyimpan data: " + error.message);
@@ -800,17 +832,16 @@ export const aksesorisSaleHandler = {
       console.log(`🔄 Starting stock update for ${items.length} items`);
       invalidateCache("stockData");
 
-      for (const item of items) {
-        console.log(`📦 Updating stock for ${item.kodeText} (+${item.jumlah})`);
-
-        await StockService.updateStock({
+      // ✅ Semua item ditulis dalam satu transaksi - gagal satu, gagal semua
+      await StockService.updateStocks(
+        items.map((item) => ({
           kode: item.kodeText,
           jenis: "stockAddition",
           jumlah: parseInt(item.jumlah) || 0,
           keterangan: `Tambah stok: ${item.nama}`,
           sales: "System",
-        });
-      }
+        }))
+      );
 
       console.log(`✅ All stock updates completed (${items.length} items)`);
 
@@ -1336,6 +1367,7 @@ export const aksesorisSaleHandler = {
     const data = {
       text: text || "",
       nama: nama || "",
+      ...this.getStockLevelInputs(),
     };
 
     try {
@@ -1386,6 +1418,20 @@ export const aksesorisSaleHandler = {
       return false;
     }
 
+    const { stokMin, stokMax } = this.getStockLevelInputs();
+    if ([stokMin, stokMax].some((value) => value !== null && (isNaN(value) || value < 0))) {
+      this.showErrorNotification("Stok minimum / maksimum harus angka 0 atau lebih");
+      return false;
+    }
+    if ((stokMin === null) !== (stokMax === null)) {
+      this.showErrorNotification("Isi stok minimum dan maksimum sekaligus, atau kosongkan keduanya");
+      return false;
+    }
+    if (stokMin !== null && stokMax < stokMin) {
+      this.showErrorNotification("Stok maksimum tidak boleh lebih kecil dari stok minimum");
+      return false;
+    }
+
     return true;
   },
 
@@ -1395,11 +1441,16 @@ export const aksesorisSaleHandler = {
       await addDoc(collection(firestore, "kodeAksesoris", "kategori", kategori), data);
       
       // FIXED: Simpan kategori sebagai string (kotak, aksesoris, silver)
-      await addDoc(collection(firestore, "stokAksesoris"), {
-        kode: data.text,
-        nama: data.nama,
-        kategori: kategori,  // Langsung pakai nama kategori
-      });
+      // Id dokumen saldo = kode (StockService.getBalanceRef), merge supaya saldo yang sudah ada tidak tertimpa
+      await setDoc(
+        StockService.getBalanceRef(data.text),
+        {
+          kode: data.text,
+          nama: data.nama,
+          kategori: kategori, // Langsung pakai nama kategori
+        },
+        { merge: true }
+      );
       invalidateCache("stockData");
 
       console.log(`✅ Kode ${data.text} berhasil ditambahkan dan tersinkronisasi`);